@@ -18,6 +18,12 @@ import React, { useState } from 'react';
 import { useFirebaseAuth } from './hooks/useFirebaseAuth';
 import { useFirestoreData } from './hooks/useFirestoreData';
 import { useNavigation } from './hooks/useNavigation';
+import { useNotifications } from './hooks/useNotifications';
+import { useSensorPolling } from './hooks/useSensorPolling';
+import { useMaintenanceReminders } from './hooks/useMaintenanceReminders';
+import { useSeasoningReminders } from './hooks/useSeasoningReminders';
+import { useFreezeReminders } from './hooks/useFreezeReminders';
+import { useSensorIntegrations } from './hooks/useSensorIntegrations';
 
 // Components
 import AppRouter from './components/AppRouter';
@@ -51,14 +57,31 @@ export default function App() {
         dataError 
     } = useFirestoreData(db, userId, firebaseConfigExport.appId);
 
+    // Notification inbox
+    const { notifications, unreadCount } = useNotifications(db, firebaseConfigExport.appId, userId);
+
     // Application state
     const [selectedFont, setSelectedFont] = useState(fontOptions[0]);
-    const [goveeApiKey, setGoveeApiKey] = useState('');
-    const [goveeDevices, setGoveeDevices] = useState([]);
+
+    // Sensor provider connections, persisted in the user's settings document
+    const { sensorIntegrations } = useSensorIntegrations(db, userId);
+
+    // Poll linked sensors and store their readings while the app is open
+    useSensorPolling(db, firebaseConfigExport.appId, userId, humidors, sensorIntegrations);
+
+    // Remind the user when humidification packs or refills are due
+    useMaintenanceReminders(db, firebaseConfigExport.appId, userId, humidors);
+
+    // Prompt for a daily reading while a new humidor is seasoning
+    useSeasoningReminders(db, firebaseConfigExport.appId, userId, humidors);
+
+    // Remind the user to move cigars on to the next freeze protocol stage
+    useFreezeReminders(db, firebaseConfigExport.appId, userId);
 
     // Dashboard panel visibility state
     const [dashboardPanelVisibility, setDashboardPanelVisibility] = useState({
         showAchievements: true,
+        showLiveEnvironment: true,
         showAgingWellPanel: true,
         showWrapperPanel: false,
         showStrengthPanel: false,
@@ -120,6 +143,7 @@ export default function App() {
                         cigars={cigars}
                         humidors={humidors}
                         journalEntries={journalEntries}
+                        notifications={notifications}
                         db={db}
                         appId={firebaseConfigExport.appId}
                         userId={userId}
@@ -131,13 +155,10 @@ export default function App() {
                         setDashboardPanelStates={setDashboardPanelStates}
                         selectedFont={selectedFont}
                         setSelectedFont={setSelectedFont}
-                        goveeApiKey={goveeApiKey}
-                        setGoveeApiKey={setGoveeApiKey}
-                        goveeDevices={goveeDevices}
-                        setGoveeDevices={setGoveeDevices}
+                        sensorIntegrations={sensorIntegrations}
                     />
                 </div>
-                <BottomNav activeScreen={navigation.screen} navigate={navigate} />
+                <BottomNav activeScreen={navigation.screen} navigate={navigate} unreadCount={unreadCount} />
             </div>
         </SubscriptionProvider>
     );
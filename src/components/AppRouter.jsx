@@ -13,6 +13,7 @@
 
 import React from 'react';
 import { LoaderCircle } from 'lucide-react';
+import { getActiveCigars } from '../utils/archiveUtils';
 
 // Import all screen components
 import AddCigar from './Screens/Cigar/AddCigar';
@@ -46,6 +47,7 @@ const AppRouter = ({
     cigars,
     humidors,
     journalEntries,
+    notifications,
     db,
     appId,
     userId,
@@ -57,10 +59,7 @@ const AppRouter = ({
     setDashboardPanelStates,
     selectedFont,
     setSelectedFont,
-    goveeApiKey,
-    setGoveeApiKey,
-    goveeDevices,
-    setGoveeDevices
+    sensorIntegrations
 }) => {
     const { screen, params } = navigation;
 
@@ -84,12 +83,18 @@ const AppRouter = ({
         journalEntries: journalEntries.length
     });
 
+    // Out-of-stock cigars are archived, so inventory screens, counts and charts leave them out
+    const activeCigars = getActiveCigars(cigars);
+
     switch (screen) {
         case 'Dashboard':
             return (
                 <Dashboard
                     navigate={navigate}
-                    cigars={cigars}
+                    db={db}
+                    appId={appId}
+                    userId={userId}
+                    cigars={activeCigars}
                     humidors={humidors}
                     showWrapperPanel={dashboardPanelVisibility.showWrapperPanel}
                     showStrengthPanel={dashboardPanelVisibility.showStrengthPanel}
@@ -105,7 +110,7 @@ const AppRouter = ({
             return (
                 <HumidorsScreen
                     navigate={navigate}
-                    cigars={cigars}
+                    cigars={activeCigars}
                     humidors={humidors}
                     db={db}
                     appId={appId}
@@ -127,6 +132,7 @@ const AppRouter = ({
                     navigate={navigate}
                     cigars={cigars}
                     humidors={humidors}
+                    journalEntries={journalEntries}
                     db={db}
                     appId={appId}
                     userId={userId}
@@ -145,6 +151,7 @@ const AppRouter = ({
             return cigar ? (
                 <CigarDetail
                     cigar={cigar}
+                    humidor={humidors.find(h => h.id === cigar.humidorId)}
                     navigate={navigate}
                     db={db}
                     appId={appId}
@@ -163,6 +170,7 @@ const AppRouter = ({
                     appId={appId}
                     userId={userId}
                     humidorId={params.humidorId}
+                    humidors={humidors}
                     cigars={cigars}
                 />
             );
@@ -176,13 +184,23 @@ const AppRouter = ({
                     appId={appId}
                     userId={userId}
                     cigar={cigarToEdit}
+                    humidor={humidors.find(h => h.id === cigarToEdit.humidorId)}
                 />
             ) : (
                 <div>Cigar not found</div>
             );
 
         case 'Alerts':
-            return <AlertsScreen navigate={navigate} humidors={humidors} />;
+            return (
+                <AlertsScreen
+                    navigate={navigate}
+                    humidors={humidors}
+                    notifications={notifications}
+                    db={db}
+                    appId={appId}
+                    userId={userId}
+                />
+            );
 
         case 'Fonts':
             return (
@@ -223,8 +241,7 @@ const AppRouter = ({
                     appId={appId}
                     userId={userId}
                     humidor={humidorToEdit}
-                    goveeApiKey={goveeApiKey}
-                    goveeDevices={goveeDevices}
+                    sensorIntegrations={sensorIntegrations}
                 />
             ) : (
                 <div>Humidor not found</div>
@@ -252,6 +269,7 @@ const AppRouter = ({
                     userId={userId}
                     cigar={cigarForJournal}
                     existingEntry={entryToEdit}
+                    smoke={params.smoke}
                 />
             ) : (
                 <div>Cigar not found for journal entry.</div>
@@ -267,16 +285,17 @@ const AppRouter = ({
             );
 
         case 'DeeperStatistics':
-            return <DeeperStatisticsScreen navigate={navigate} cigars={cigars} />;
+            return <DeeperStatisticsScreen navigate={navigate} cigars={activeCigars} />;
 
         case 'Integrations':
             return (
                 <IntegrationsScreen
                     navigate={navigate}
-                    goveeApiKey={goveeApiKey}
-                    setGoveeApiKey={setGoveeApiKey}
-                    goveeDevices={goveeDevices}
-                    setGoveeDevices={setGoveeDevices}
+                    db={db}
+                    appId={appId}
+                    userId={userId}
+                    humidors={humidors}
+                    sensorIntegrations={sensorIntegrations}
                 />
             );
 
@@ -293,7 +312,17 @@ const AppRouter = ({
             );
 
         case 'Notifications':
-            return <NotificationsScreen navigate={navigate} humidors={humidors} />;
+            return (
+                <NotificationsScreen
+                    navigate={navigate}
+                    humidors={humidors}
+                    notifications={notifications}
+                    db={db}
+                    appId={appId}
+                    userId={userId}
+                    {...params}
+                />
+            );
 
         case 'About':
             return <AboutScreen navigate={navigate} />;
@@ -316,7 +345,10 @@ const AppRouter = ({
             return (
                 <Dashboard
                     navigate={navigate}
-                    cigars={cigars}
+                    db={db}
+                    appId={appId}
+                    userId={userId}
+                    cigars={activeCigars}
                     humidors={humidors}
                     showWrapperPanel={dashboardPanelVisibility.showWrapperPanel}
                     showStrengthPanel={dashboardPanelVisibility.showStrengthPanel}
@@ -324,6 +356,7 @@ const AppRouter = ({
                     showInventoryAnalysis={dashboardPanelVisibility.showInventoryAnalysis}
                     panelStates={dashboardPanelStates}
                     setPanelStates={setDashboardPanelStates}
+                    dashboardPanelVisibility={dashboardPanelVisibility}
                 />
             );
     }
@@ -0,0 +1,66 @@
+import React, { useState } from 'react';
+import { Archive, BookText, LoaderCircle, RotateCcw } from 'lucide-react';
+import { getCigarLots } from '../../utils/lotUtils';
+import { restockCigar } from '../../services/lotService';
+
+const formatDay = (iso) => new Date(iso).toLocaleDateString('en-US', { month: 'short', day: 'numeric', year: 'numeric' });
+
+/**
+ * Out-of-stock cigars kept for their history and journal entries. Each row opens the
+ * cigar's detail screen, and Restock repeats its last purchase to bring it back.
+ */
+const ArchivedCigarList = ({ cigars, journalEntries = [], navigate, db, appId, userId }) => {
+    const [restockingId, setRestockingId] = useState(null);
+    const [error, setError] = useState('');
+
+    const handleRestock = async (cigar) => {
+        setRestockingId(cigar.id);
+        setError('');
+        try {
+            await restockCigar(db, appId, userId, cigar);
+        } catch (err) {
+            console.error('ArchivedCigarList: Restock failed:', err);
+            setError(err.message);
+        } finally {
+            setRestockingId(null);
+        }
+    };
+
+    if (cigars.length === 0) {
+        return (
+            <div className="text-center py-10">
+                <Archive className="w-8 h-8 mx-auto mb-2 text-base-content/50" />
+                <p className="text-base-content/70">No finished cigars here yet.</p>
+            </div>
+        );
+    }
+
+    return (
+        <div className="space-y-2">
+            {error && <p className="text-sm text-error">{error}</p>}
+            {cigars.map(cigar => {
+                const lots = getCigarLots(cigar);
+                const lastLot = lots[lots.length - 1];
+                const entryCount = journalEntries.filter(entry => entry.cigarId === cigar.id).length;
+                return (
+                    <div key={cigar.id} className="flex items-center gap-3 p-3 rounded-md bg-base-200">
+                        <button onClick={() => navigate('CigarDetail', { cigarId: cigar.id })} className="flex-1 min-w-0 text-left">
+                            <p className="text-xs text-base-content/70 uppercase">{cigar.brand}</p>
+                            <p className="font-semibold truncate">{cigar.name}</p>
+                            <p className="text-xs text-base-content/70 flex items-center gap-2">
+                                {lastLot && !lastLot.isLegacy && <span>Last bought {formatDay(lastLot.acquiredAt)}</span>}
+                                {entryCount > 0 && <span className="flex items-center gap-1"><BookText className="w-3 h-3" />{entryCount}</span>}
+                            </p>
+                        </button>
+                        <button onClick={() => handleRestock(cigar)} disabled={!!restockingId} className="btn btn-primary btn-sm">
+                            {restockingId === cigar.id ? <LoaderCircle className="w-4 h-4 animate-spin" /> : <RotateCcw className="w-4 h-4" />}
+                            Restock{lastLot?.quantity > 1 ? ` ${lastLot.quantity}` : ''}
+                        </button>
+                    </div>
+                );
+            })}
+        </div>
+    );
+};
+
+export default ArchivedCigarList;
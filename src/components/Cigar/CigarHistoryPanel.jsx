@@ -0,0 +1,79 @@
+import React from 'react';
+import { Snowflake, History, ClipboardList, Move } from 'lucide-react';
+import { CIGAR_HISTORY_TYPES } from '../../constants/cigarHistory';
+import { getAdjustmentReason } from '../../constants/inventoryAdjustments';
+import { getCigarHistory } from '../../services/cigarHistoryService';
+
+const formatDay = (iso) => new Date(iso).toLocaleDateString('en-US', { month: 'short', day: 'numeric', year: 'numeric' });
+
+// How each kind of event is summarized; unknown types fall back to their raw type
+const EVENT_RENDERERS = {
+    [CIGAR_HISTORY_TYPES.FREEZE.id]: (event) => ({
+        icon: Snowflake,
+        title: CIGAR_HISTORY_TYPES.FREEZE.label,
+        detail: `Freeze protocol ${formatDay(event.startedAt)} – ${formatDay(event.completedAt)}${event.notes ? ` · ${event.notes}` : ''}`
+    }),
+    [CIGAR_HISTORY_TYPES.ADJUSTMENT.id]: (event) => ({
+        icon: ClipboardList,
+        title: `${getAdjustmentReason(event.reason)?.label || CIGAR_HISTORY_TYPES.ADJUSTMENT.label} ${event.change > 0 ? '+' : ''}${event.change}`,
+        detail: [
+            event.recipient,
+            event.damage,
+            event.notes,
+            `${event.quantityAfter} left`
+        ].filter(Boolean).join(' · ')
+    }),
+    [CIGAR_HISTORY_TYPES.MOVE.id]: (event) => ({
+        icon: Move,
+        title: `${CIGAR_HISTORY_TYPES.MOVE.label}${event.count ? ` ${event.count}` : ''} to ${event.toHumidorName || 'another humidor'}`,
+        detail: [event.fromHumidorName && `From ${event.fromHumidorName}`, event.reason].filter(Boolean).join(' · ')
+    })
+};
+
+// Cigars taken out by each adjustment reason, e.g. "Damaged 3 · Gifted 2"
+const summarizeAdjustments = (events) => {
+    const totals = {};
+    events
+        .filter(event => event.type === CIGAR_HISTORY_TYPES.ADJUSTMENT.id && event.change < 0)
+        .forEach(event => { totals[event.reason] = (totals[event.reason] || 0) - event.change; });
+    return Object.entries(totals)
+        .map(([reason, count]) => `${getAdjustmentReason(reason)?.label || reason} ${count}`)
+        .join(' · ');
+};
+
+/**
+ * Lists the events recorded on a cigar (freezes, stock adjustments, moves and other changes), newest first.
+ */
+const CigarHistoryPanel = ({ cigar }) => {
+    const events = getCigarHistory(cigar);
+    const adjustmentSummary = summarizeAdjustments(events);
+
+    return (
+        <div className="card bg-base-200 p-4 space-y-4">
+            <h3 className="card-title text-primary">History</h3>
+            {adjustmentSummary && (
+                <p className="text-sm text-base-content/70">Taken out of stock: {adjustmentSummary}</p>
+            )}
+            {events.length > 0 ? (
+                <ul className="space-y-3">
+                    {events.map(event => {
+                        const { icon: Icon = History, title = event.type, detail = '' } = EVENT_RENDERERS[event.type]?.(event) || {};
+                        return (
+                            <li key={event.id} className="flex items-start gap-3 text-sm">
+                                <Icon className="w-4 h-4 mt-0.5 text-base-content/70 flex-shrink-0" />
+                                <div>
+                                    <p className="font-semibold">{title} <span className="font-normal text-xs text-base-content/70">{formatDay(event.at)}</span></p>
+                                    {detail && <p className="text-xs text-base-content/70">{detail}</p>}
+                                </div>
+                            </li>
+                        );
+                    })}
+                </ul>
+            ) : (
+                <p className="text-sm text-base-content/70">Nothing recorded for this cigar yet.</p>
+            )}
+        </div>
+    );
+};
+
+export default CigarHistoryPanel;
@@ -0,0 +1,153 @@
+import React, { useState } from 'react';
+import { ShoppingBag, Plus, Trash2, LoaderCircle } from 'lucide-react';
+import InputField from '../UI/InputField';
+import { summarizeLots } from '../../utils/lotUtils';
+import { addCigarLot, removeCigarLot } from '../../services/lotService';
+
+const formatDay = (iso) => new Date(iso).toLocaleDateString('en-US', { month: 'short', day: 'numeric', year: 'numeric' });
+
+const getEmptyDraft = (cigar) => ({
+    acquiredOn: new Date().toISOString().slice(0, 10),
+    quantity: '1',
+    unitPrice: cigar.price ? String(cigar.price) : '',
+    vendor: '',
+    boxCode: '',
+    notes: ''
+});
+
+/**
+ * Lists a cigar's purchase lots, newest first, with what each cost and how many are left
+ * from it, plus totals across lots. Restocks are recorded here as new lots.
+ */
+const CigarLotsPanel = ({ cigar, db, appId, userId }) => {
+    const [isAdding, setIsAdding] = useState(false);
+    const [draft, setDraft] = useState(() => getEmptyDraft(cigar));
+    const [isSaving, setIsSaving] = useState(false);
+    const [error, setError] = useState('');
+
+    const { lots, purchased, totalCost, onHandValue, averageUnitPrice, untracked } = summarizeLots(cigar);
+
+    const handleDraftChange = (e) => {
+        const { name, value } = e.target;
+        setDraft(prev => ({ ...prev, [name]: value }));
+    };
+
+    const run = async (action) => {
+        setIsSaving(true);
+        setError('');
+        try {
+            await action();
+            return true;
+        } catch (err) {
+            console.error('CigarLotsPanel: Update failed:', err);
+            setError(err.message);
+            return false;
+        } finally {
+            setIsSaving(false);
+        }
+    };
+
+    const handleAdd = async () => {
+        const saved = await run(() => addCigarLot(db, appId, userId, cigar, {
+            acquiredAt: new Date(`${draft.acquiredOn}T12:00:00`).toISOString(),
+            quantity: draft.quantity,
+            unitPrice: draft.unitPrice,
+            vendor: draft.vendor,
+            boxCode: draft.boxCode,
+            notes: draft.notes
+        }));
+        if (saved) {
+            setIsAdding(false);
+            setDraft(getEmptyDraft(cigar));
+        }
+    };
+
+    const handleRemove = (lot) => {
+        if (!window.confirm(`Remove the ${formatDay(lot.acquiredAt)} purchase? The ${lot.remaining} still on hand from it come off the quantity.`)) return;
+        run(() => removeCigarLot(db, appId, userId, cigar, lot.id));
+    };
+
+    return (
+        <div className="card bg-base-200 p-4 space-y-4">
+            <div className="flex justify-between items-center">
+                <h3 className="card-title text-primary">Purchases</h3>
+                {!isAdding && (
+                    <button onClick={() => setIsAdding(true)} className="btn btn-ghost btn-sm"><Plus className="w-4 h-4" /> Restock</button>
+                )}
+            </div>
+
+            {lots.length > 0 && (
+                <div className="grid grid-cols-3 gap-2 text-center text-sm">
+                    <div>
+                        <p className="text-xs text-base-content/70">Bought</p>
+                        <p className="font-bold">{purchased} for ${totalCost.toFixed(2)}</p>
+                    </div>
+                    <div>
+                        <p className="text-xs text-base-content/70">Avg. on Hand</p>
+                        <p className="font-bold">${averageUnitPrice.toFixed(2)}</p>
+                    </div>
+                    <div>
+                        <p className="text-xs text-base-content/70">On-Hand Value</p>
+                        <p className="font-bold">${onHandValue.toFixed(2)}</p>
+                    </div>
+                </div>
+            )}
+
+            {lots.length > 0 ? (
+                <ul className="space-y-2">
+                    {[...lots].reverse().map(lot => (
+                        <li key={lot.id} className="flex items-start gap-3 p-2 rounded-md bg-base-100 text-sm">
+                            <ShoppingBag className="w-4 h-4 mt-0.5 text-base-content/70 flex-shrink-0" />
+                            <div className="flex-1 min-w-0">
+                                <p className="font-semibold">
+                                    {formatDay(lot.acquiredAt)} · {lot.quantity} @ ${lot.unitPrice.toFixed(2)}
+                                    <span className="font-normal text-xs text-base-content/70"> ({lot.remaining} left)</span>
+                                </p>
+                                {(lot.vendor || lot.boxCode) && (
+                                    <p className="text-xs text-base-content/70">{[lot.vendor, lot.boxCode && `Box ${lot.boxCode}`].filter(Boolean).join(' · ')}</p>
+                                )}
+                                {lot.notes && <p className="text-xs text-base-content/70 italic">{lot.notes}</p>}
+                                {lot.isLegacy && <p className="text-xs text-base-content/50">From the cigar's original price and date added</p>}
+                            </div>
+                            {!lot.isLegacy && (
+                                <button onClick={() => handleRemove(lot)} disabled={isSaving} className="btn btn-ghost btn-xs" aria-label="Remove purchase">
+                                    <Trash2 className="w-4 h-4" />
+                                </button>
+                            )}
+                        </li>
+                    ))}
+                </ul>
+            ) : (
+                <p className="text-sm text-base-content/70">No purchases recorded.</p>
+            )}
+            {untracked > 0 && (
+                <p className="text-xs text-base-content/70">{untracked} on hand aren't from a recorded purchase.</p>
+            )}
+
+            {isAdding && (
+                <div className="space-y-3 border-t border-base-300 pt-3">
+                    <div className="grid grid-cols-3 gap-3">
+                        <InputField name="acquiredOn" label="Date" type="date" value={draft.acquiredOn} onChange={handleDraftChange} />
+                        <InputField name="quantity" label="Quantity" type="number" value={draft.quantity} onChange={handleDraftChange} />
+                        <InputField name="unitPrice" label="Unit Price" type="number" placeholder="e.g., 12.50" value={draft.unitPrice} onChange={handleDraftChange} />
+                    </div>
+                    <div className="grid grid-cols-2 gap-3">
+                        <InputField name="vendor" label="Vendor" placeholder="e.g., Local shop" value={draft.vendor} onChange={handleDraftChange} />
+                        <InputField name="boxCode" label="Box Code" placeholder="e.g., TAA MAR 24" value={draft.boxCode} onChange={handleDraftChange} />
+                    </div>
+                    <InputField name="notes" label="Notes" placeholder="Optional" value={draft.notes} onChange={handleDraftChange} />
+                    <div className="flex gap-3">
+                        <button onClick={() => setIsAdding(false)} disabled={isSaving} className="btn btn-secondary btn-sm flex-1">Cancel</button>
+                        <button onClick={handleAdd} disabled={isSaving} className="btn btn-primary btn-sm flex-1">
+                            {isSaving && <LoaderCircle className="w-4 h-4 animate-spin" />}
+                            Add Purchase
+                        </button>
+                    </div>
+                </div>
+            )}
+            {error && (<p className="text-sm text-error">{error}</p>)}
+        </div>
+    );
+};
+
+export default CigarLotsPanel;
@@ -0,0 +1,114 @@
+/**
+ *
+ * @file HumidificationEditor.jsx
+ * @path src/components/Humidor/HumidificationEditor.jsx
+ * @project Humidor Hub
+ * @author Shawn Miller (hereiamnow@gmail.com)
+ * @date August 19, 2025
+ *
+ * Humidification Editor Component
+ *
+ * Form section for the devices that keep a humidor humidified (Boveda packs, beads, crystal gel, active units).
+ * Lists the current devices with their service interval and next due date, and adds or removes devices.
+ * Changes are only held in the parent form until it is saved.
+ *
+ * @param {Object} props - Component props
+ * @param {Array} props.devices - Current humidification devices
+ * @param {Function} props.onChange - Called with the updated device list
+ *
+ */
+import React, { useState } from 'react';
+import { Droplets, Plus, Trash2 } from 'lucide-react';
+import InputField from '../UI/InputField';
+import { HUMIDIFICATION_TYPES } from '../../constants/humidificationTypes';
+import { createHumidificationDevice, getDeviceDueDate, getHumidificationType } from '../../services/humidificationService';
+
+const getEmptyDraft = () => ({
+    type: HUMIDIFICATION_TYPES[0].id,
+    name: '',
+    rh: '69',
+    count: '1',
+    installedOn: new Date().toISOString().slice(0, 10),
+    intervalDays: String(HUMIDIFICATION_TYPES[0].defaultIntervalDays)
+});
+
+const HumidificationEditor = ({ devices = [], onChange }) => {
+    const [draft, setDraft] = useState(getEmptyDraft);
+    const draftType = getHumidificationType(draft.type);
+
+    const handleDraftChange = (e) => {
+        const { name, value } = e.target;
+        setDraft(prev => ({
+            ...prev,
+            [name]: value,
+            // A new type starts from that type's usual service interval
+            ...(name === 'type' && { intervalDays: String(getHumidificationType(value)?.defaultIntervalDays || prev.intervalDays) })
+        }));
+    };
+
+    const handleAdd = () => {
+        const device = createHumidificationDevice({
+            type: draft.type,
+            name: draft.name.trim(),
+            rh: draftType?.hasRh ? draft.rh : null,
+            count: draft.count,
+            installedAt: new Date(`${draft.installedOn}T12:00:00`).toISOString(),
+            intervalDays: draft.intervalDays
+        });
+        onChange([...devices, device]);
+        setDraft(getEmptyDraft());
+    };
+
+    return (
+        <div className="card bg-base-200 p-4 rounded-md">
+            <h3 className="font-bold text-xl text-primary mb-4 flex items-center"><Droplets className="w-5 h-5 mr-2" /> Humidification</h3>
+
+            {devices.length > 0 ? (
+                <ul className="space-y-2 mb-4">
+                    {devices.map(device => (
+                        <li key={device.id} className="flex justify-between items-center gap-2 p-2 rounded-md bg-base-100 text-sm">
+                            <div>
+                                <p className="font-semibold">
+                                    {device.name}{device.count > 1 ? ` ×${device.count}` : ''}{device.rh ? ` · ${device.rh}%` : ''}
+                                </p>
+                                <p className="text-xs text-base-content/70">
+                                    Every {device.intervalDays} days · next due {new Date(getDeviceDueDate(device)).toLocaleDateString()}
+                                </p>
+                            </div>
+                            <button type="button" onClick={() => onChange(devices.filter(d => d.id !== device.id))} className="btn btn-ghost btn-xs" aria-label={`Remove ${device.name}`}>
+                                <Trash2 className="w-4 h-4" />
+                            </button>
+                        </li>
+                    ))}
+                </ul>
+            ) : (
+                <p className="text-sm text-base-content/70 mb-4">No humidification devices recorded.</p>
+            )}
+
+            <div className="space-y-3">
+                <div className="grid grid-cols-2 gap-3">
+                    <div>
+                        <label className="label-text mb-1 block">Type</label>
+                        <select name="type" value={draft.type} onChange={handleDraftChange} className="select select-bordered w-full">
+                            {HUMIDIFICATION_TYPES.map(type => <option key={type.id} value={type.id}>{type.label}</option>)}
+                        </select>
+                    </div>
+                    <InputField name="name" label="Label" placeholder={draftType?.label} value={draft.name} onChange={handleDraftChange} />
+                </div>
+                <div className="grid grid-cols-3 gap-3">
+                    {draftType?.hasRh && (
+                        <InputField name="rh" label={draft.type === 'active' ? 'Set Point (%)' : 'RH (%)'} type="number" value={draft.rh} onChange={handleDraftChange} />
+                    )}
+                    <InputField name="count" label="Count" type="number" value={draft.count} onChange={handleDraftChange} />
+                    <InputField name="intervalDays" label={draftType?.serviceAction === 'replace' ? 'Replace (days)' : 'Refill (days)'} type="number" value={draft.intervalDays} onChange={handleDraftChange} />
+                </div>
+                <InputField name="installedOn" label="Installed" type="date" value={draft.installedOn} onChange={handleDraftChange} />
+                <button type="button" onClick={handleAdd} className="btn btn-outline btn-sm w-full">
+                    <Plus className="w-4 h-4" /> Add Device
+                </button>
+            </div>
+        </div>
+    );
+};
+
+export default HumidificationEditor;
@@ -0,0 +1,92 @@
+/**
+ *
+ * @file HumidorLayoutView.jsx
+ * @path src/components/Humidor/HumidorLayoutView.jsx
+ * @project Humidor Hub
+ * @author Shawn Miller (hereiamnow@gmail.com)
+ * @date August 23, 2025
+ *
+ * Humidor Layout View Component
+ *
+ * Shows a humidor's shelves, trays, drawers and boxes top to bottom, each listing the cigars it holds, with
+ * unassigned cigars last. Tapping a section's header filters the humidor to that section. Cigar rows open the
+ * cigar, or toggle its selection in select mode.
+ *
+ * @param {Object} props - Component props
+ * @param {Object} props.humidor - Humidor whose layout is shown
+ * @param {Array} props.cigars - Cigars to place, already searched, filtered and sorted
+ * @param {Function} props.navigate - Navigation function for detail view
+ * @param {string} props.sectionFilter - Active section filter ('' for all)
+ * @param {Function} props.onFilterSection - Called with a section filter value, or '' to clear it
+ * @param {boolean} props.isSelectMode - Whether selection mode is active
+ * @param {Array<string>} props.selectedCigarIds - Selected cigar ids
+ * @param {Function} props.onSelect - Callback for selection toggle
+ *
+ */
+import React from 'react';
+import { Layers, Check } from 'lucide-react';
+import { HUMIDOR_SECTION_TYPES, UNASSIGNED_SECTION } from '../../constants/humidorSections';
+import { getHumidorSections, groupCigarsBySection } from '../../utils/sectionUtils';
+
+const HumidorLayoutView = ({ humidor, cigars, navigate, sectionFilter, onFilterSection, isSelectMode, selectedCigarIds, onSelect }) => {
+    if (getHumidorSections(humidor).length === 0) {
+        return (
+            <div className="card bg-base-200 p-6 text-center">
+                <Layers className="w-8 h-8 mx-auto mb-2 text-base-content/50" />
+                <p className="text-base-content/70 mb-3">No shelves, trays, drawers or boxes set up for this humidor yet.</p>
+                <button onClick={() => navigate('EditHumidor', { humidorId: humidor.id })} className="btn btn-primary btn-sm">Set Up Layout</button>
+            </div>
+        );
+    }
+
+    const groups = groupCigarsBySection(cigars, humidor)
+        .filter(({ section }) => !sectionFilter || (sectionFilter === UNASSIGNED_SECTION ? !section : section?.id === sectionFilter));
+
+    return (
+        <div className="flex flex-col gap-3">
+            {groups.map(({ section, cigars: sectionCigars, count }) => {
+                const filterValue = section ? section.id : UNASSIGNED_SECTION;
+                return (
+                    <div key={filterValue} className={`card bg-base-200 rounded-md border ${section ? 'border-base-300' : 'border-dashed border-base-content/30'}`}>
+                        <button
+                            type="button"
+                            onClick={() => onFilterSection(sectionFilter === filterValue ? '' : filterValue)}
+                            className="flex justify-between items-center p-3 text-left"
+                            title={sectionFilter === filterValue ? 'Show all sections' : 'Show only this section'}
+                        >
+                            <span className="font-bold flex items-center gap-2">
+                                {section ? section.name : 'Not assigned'}
+                                {section && <span className="badge badge-ghost badge-sm">{HUMIDOR_SECTION_TYPES.find(t => t.id === section.type)?.label}</span>}
+                            </span>
+                            <span className="text-sm text-base-content/70">{count} cigar{count === 1 ? '' : 's'}</span>
+                        </button>
+                        {sectionCigars.length > 0 ? (
+                            <ul className="px-3 pb-3 space-y-1">
+                                {sectionCigars.map(cigar => {
+                                    const isSelected = selectedCigarIds.includes(cigar.id);
+                                    return (
+                                        <li
+                                            key={cigar.id}
+                                            onClick={() => isSelectMode ? onSelect(cigar.id) : navigate('CigarDetail', { cigarId: cigar.id })}
+                                            className={`flex justify-between items-center gap-2 p-2 rounded-md bg-base-100 text-sm cursor-pointer ${isSelected ? 'ring-2 ring-amber-400' : ''}`}
+                                        >
+                                            <span className="flex items-center gap-2 min-w-0">
+                                                {isSelectMode && isSelected && <Check className="w-4 h-4 text-amber-400 flex-shrink-0" />}
+                                                <span className="truncate"><span className="text-base-content/70 uppercase text-xs">{cigar.brand}</span> {cigar.name}</span>
+                                            </span>
+                                            <span className="font-bold">×{cigar.quantity}</span>
+                                        </li>
+                                    );
+                                })}
+                            </ul>
+                        ) : (
+                            <p className="px-3 pb-3 text-xs text-base-content/50">Empty</p>
+                        )}
+                    </div>
+                );
+            })}
+        </div>
+    );
+};
+
+export default HumidorLayoutView;
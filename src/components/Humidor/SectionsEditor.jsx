@@ -0,0 +1,99 @@
+/**
+ *
+ * @file SectionsEditor.jsx
+ * @path src/components/Humidor/SectionsEditor.jsx
+ * @project Humidor Hub
+ * @author Shawn Miller (hereiamnow@gmail.com)
+ * @date August 23, 2025
+ *
+ * Sections Editor Component
+ *
+ * Form section for a humidor's physical layout: the shelves, trays, drawers and boxes cigars can be kept in.
+ * Sections can be added, renamed, reordered to match how they sit, and removed. Cigars in a removed section
+ * become unassigned. Changes are only held in the parent form until it is saved.
+ *
+ * @param {Object} props - Component props
+ * @param {Array} props.sections - Current sections, in layout order
+ * @param {Function} props.onChange - Called with the updated section list
+ *
+ */
+import React, { useState } from 'react';
+import { Layers, Plus, Trash2, ChevronUp, ChevronDown } from 'lucide-react';
+import InputField from '../UI/InputField';
+import { HUMIDOR_SECTION_TYPES } from '../../constants/humidorSections';
+import { createHumidorSection } from '../../utils/sectionUtils';
+
+const SectionsEditor = ({ sections = [], onChange }) => {
+    const [draft, setDraft] = useState({ type: HUMIDOR_SECTION_TYPES[0].id, name: '' });
+
+    const handleDraftChange = (e) => {
+        const { name, value } = e.target;
+        setDraft(prev => ({ ...prev, [name]: value }));
+    };
+
+    const handleAdd = () => {
+        onChange([...sections, createHumidorSection({ type: draft.type, name: draft.name.trim() }, sections)]);
+        setDraft(prev => ({ ...prev, name: '' }));
+    };
+
+    const handleRename = (id, name) => onChange(sections.map(s => s.id === id ? { ...s, name } : s));
+
+    const handleMove = (index, offset) => {
+        const next = [...sections];
+        [next[index], next[index + offset]] = [next[index + offset], next[index]];
+        onChange(next);
+    };
+
+    return (
+        <div className="card bg-base-200 p-4 rounded-md">
+            <h3 className="font-bold text-xl text-primary mb-1 flex items-center"><Layers className="w-5 h-5 mr-2" /> Layout</h3>
+            <p className="text-sm text-base-content/70 mb-4">Shelves, trays, drawers and boxes inside this humidor, top to bottom.</p>
+
+            {sections.length > 0 ? (
+                <ul className="space-y-2 mb-4">
+                    {sections.map((section, i) => (
+                        <li key={section.id} className="flex items-center gap-2 p-2 rounded-md bg-base-100 text-sm">
+                            <span className="badge badge-ghost badge-sm">{HUMIDOR_SECTION_TYPES.find(t => t.id === section.type)?.label}</span>
+                            <input
+                                type="text"
+                                value={section.name}
+                                onChange={(e) => handleRename(section.id, e.target.value)}
+                                onBlur={(e) => !e.target.value.trim() && handleRename(section.id, HUMIDOR_SECTION_TYPES.find(t => t.id === section.type)?.label || 'Section')}
+                                className="input input-bordered input-sm flex-1 min-w-0"
+                                aria-label="Section name"
+                            />
+                            <button type="button" onClick={() => handleMove(i, -1)} disabled={i === 0} className="btn btn-ghost btn-xs" aria-label={`Move ${section.name} up`}>
+                                <ChevronUp className="w-4 h-4" />
+                            </button>
+                            <button type="button" onClick={() => handleMove(i, 1)} disabled={i === sections.length - 1} className="btn btn-ghost btn-xs" aria-label={`Move ${section.name} down`}>
+                                <ChevronDown className="w-4 h-4" />
+                            </button>
+                            <button type="button" onClick={() => onChange(sections.filter(s => s.id !== section.id))} className="btn btn-ghost btn-xs" aria-label={`Remove ${section.name}`}>
+                                <Trash2 className="w-4 h-4" />
+                            </button>
+                        </li>
+                    ))}
+                </ul>
+            ) : (
+                <p className="text-sm text-base-content/70 mb-4">No sections yet. Cigars are just "in the humidor".</p>
+            )}
+
+            <div className="space-y-3">
+                <div className="grid grid-cols-2 gap-3">
+                    <div>
+                        <label className="label-text mb-1 block">Type</label>
+                        <select name="type" value={draft.type} onChange={handleDraftChange} className="select select-bordered w-full">
+                            {HUMIDOR_SECTION_TYPES.map(type => <option key={type.id} value={type.id}>{type.label}</option>)}
+                        </select>
+                    </div>
+                    <InputField name="name" label="Name" placeholder="e.g., Top shelf" value={draft.name} onChange={handleDraftChange} />
+                </div>
+                <button type="button" onClick={handleAdd} className="btn btn-outline btn-sm w-full">
+                    <Plus className="w-4 h-4" /> Add Section
+                </button>
+            </div>
+        </div>
+    );
+};
+
+export default SectionsEditor;
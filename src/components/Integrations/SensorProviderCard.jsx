@@ -0,0 +1,217 @@
+/**
+ *
+ * @file SensorProviderCard.jsx
+ * @path src/components/Integrations/SensorProviderCard.jsx
+ * @project Humidor Hub
+ * @author Shawn Miller (hereiamnow@gmail.com)
+ * @date August 16, 2025
+ *
+ * Sensor Provider Card Component
+ *
+ * Connection card for one sensor provider on the Integrations screen. Renders the
+ * provider's credential fields, connects/refreshes/disconnects the integration and
+ * lists its devices. Providers that add devices one at a time (the generic HTTP/JSON
+ * provider) keep the form open and let each device be removed on its own.
+ *
+ * @param {Object} props - Component props
+ * @param {Object} props.provider - Sensor provider (see services/sensors)
+ * @param {Object} [props.integration] - Saved integration, if connected
+ * @param {Array} props.humidors - All humidors, for linked counts and unlinking
+ * @param {Object} props.db - Firebase Firestore database instance
+ * @param {string} props.appId - Application identifier for Firestore paths
+ * @param {string} props.userId - Current user's unique identifier
+ *
+ */
+import React, { useState } from 'react';
+import { LoaderCircle, Zap, Unplug, RefreshCw, Trash2 } from 'lucide-react';
+import {
+    disconnectSensorIntegration,
+    removeSensorDevice,
+    saveSensorIntegration,
+    updateSensorDevices
+} from '../../services/integrationSettingsService';
+import { getHumidorSensor } from '../../utils/sensorUtils';
+
+const getInitialInput = (provider) =>
+    provider.credentialFields.reduce((acc, field) => ({ ...acc, [field.key]: field.defaultValue || '' }), {});
+
+const SensorProviderCard = ({ provider, integration, humidors = [], db, appId, userId }) => {
+    const [input, setInput] = useState(() => getInitialInput(provider));
+    const [isLoading, setIsLoading] = useState(false);
+    const [message, setMessage] = useState('');
+    const [isError, setIsError] = useState(false);
+
+    const isConnected = !!integration;
+    const devices = integration?.devices || [];
+    const linkedHumidorCount = humidors.filter(h => getHumidorSensor(h)?.provider === provider.id).length;
+    const showForm = !isConnected || provider.addsDevices;
+
+    const showMessage = (text, error = false) => {
+        setMessage(text);
+        setIsError(error);
+    };
+
+    const showError = (action, error) => {
+        console.error(`SensorProviderCard: Failed to ${action} ${provider.name}:`, error);
+        if (error.isRateLimited) {
+            const minutes = Math.ceil((error.retryAfterMs || 60000) / 60000);
+            showMessage(`${provider.name} is limiting requests. Try again in about ${minutes} minute(s).`, true);
+        } else {
+            showMessage(`Failed to ${action} ${provider.name}: ${error.message}`, true);
+        }
+    };
+
+    const handleConnect = async () => {
+        const missing = provider.credentialFields.find(f => !f.label.includes('optional') && !input[f.key]);
+        if (missing) {
+            showMessage(`Please enter ${missing.label}.`, true);
+            return;
+        }
+
+        setIsLoading(true);
+        setMessage('');
+        try {
+            const result = await provider.connect(input, integration);
+            if (result.devices.length === 0) {
+                showMessage(`No ${provider.name} sensors found. Check your details and make sure the sensors are online.`, true);
+                return;
+            }
+            await saveSensorIntegration(db, userId, provider.id, result);
+            setInput(getInitialInput(provider));
+            showMessage(provider.addsDevices ? 'Sensor added.' : `Successfully connected! Found ${result.devices.length} sensor(s).`);
+        } catch (error) {
+            showError('connect to', error);
+        } finally {
+            setIsLoading(false);
+        }
+    };
+
+    const handleRefresh = async () => {
+        setIsLoading(true);
+        setMessage('');
+        try {
+            const refreshed = await provider.listDevices(integration);
+            await updateSensorDevices(db, userId, provider.id, integration, refreshed);
+            showMessage(`Found ${refreshed.length} sensor(s).`);
+        } catch (error) {
+            showError('refresh', error);
+        } finally {
+            setIsLoading(false);
+        }
+    };
+
+    const handleDisconnect = async () => {
+        const confirmText = linkedHumidorCount > 0
+            ? `Disconnect ${provider.name}? ${linkedHumidorCount} humidor(s) will be switched back to manual readings.`
+            : `Disconnect ${provider.name}?`;
+        if (!window.confirm(confirmText)) return;
+
+        setIsLoading(true);
+        try {
+            const unlinked = await disconnectSensorIntegration(db, appId, userId, provider.id, humidors);
+            showMessage(unlinked > 0 ? `Disconnected. Unlinked sensors from ${unlinked} humidor(s).` : 'Disconnected.');
+        } catch (error) {
+            showError('disconnect', error);
+        } finally {
+            setIsLoading(false);
+        }
+    };
+
+    const handleRemoveDevice = async (device) => {
+        if (!window.confirm(`Remove ${device.deviceName}? Humidors using it will switch back to manual readings.`)) return;
+
+        setIsLoading(true);
+        try {
+            await removeSensorDevice(db, appId, userId, provider.id, integration, device.device, humidors);
+            showMessage(`Removed ${device.deviceName}.`);
+        } catch (error) {
+            showError('update', error);
+        } finally {
+            setIsLoading(false);
+        }
+    };
+
+    return (
+        <div className="card bg-base-200 p-4">
+            <div className="flex justify-between items-start mb-2">
+                <h3 className="font-bold text-xl text-primary">{provider.name}</h3>
+                <span className={`badge ${isConnected ? 'badge-success' : 'badge-ghost'}`}>{isConnected ? 'Connected' : 'Not Connected'}</span>
+            </div>
+            <p className="text-base-content/70 text-sm mb-4">{provider.description}</p>
+
+            {showForm && provider.credentialFields.map(field => (
+                <div key={field.key} className="form-control w-full">
+                    <label className="label">
+                        <span className="label-text">{field.label}</span>
+                    </label>
+                    {field.type === 'select' ? (
+                        <select
+                            value={input[field.key]}
+                            onChange={(e) => setInput(prev => ({ ...prev, [field.key]: e.target.value }))}
+                            className="select select-bordered w-full"
+                        >
+                            {field.options.map(option => <option key={option.value} value={option.value}>{option.label}</option>)}
+                        </select>
+                    ) : (
+                        <input
+                            type={field.type}
+                            placeholder={field.placeholder}
+                            value={input[field.key]}
+                            onChange={(e) => { setInput(prev => ({ ...prev, [field.key]: e.target.value })); setMessage(''); }}
+                            className="input input-bordered w-full"
+                            autoComplete="off"
+                        />
+                    )}
+                    {field.help && (
+                        <label className="label">
+                            <span className="label-text-alt">{field.help}</span>
+                        </label>
+                    )}
+                </div>
+            ))}
+
+            <div className="mt-4 flex flex-wrap justify-end gap-2">
+                {isConnected && (
+                    <button onClick={handleDisconnect} disabled={isLoading} className="btn btn-outline btn-error btn-sm">
+                        <Unplug className="w-4 h-4" /> Disconnect
+                    </button>
+                )}
+                {isConnected && !provider.addsDevices && (
+                    <button onClick={handleRefresh} disabled={isLoading} className="btn btn-outline btn-sm">
+                        <RefreshCw className="w-4 h-4" /> Refresh
+                    </button>
+                )}
+                {showForm && (
+                    <button onClick={handleConnect} disabled={isLoading} className="btn btn-primary btn-sm">
+                        {isLoading ? <LoaderCircle className="w-4 h-4 animate-spin" /> : <Zap className="w-4 h-4" />}
+                        {isLoading ? 'Connecting...' : (provider.addsDevices ? 'Test & Add' : 'Connect')}
+                    </button>
+                )}
+            </div>
+
+            {integration?.connectedAt && (
+                <p className="mt-2 text-xs text-base-content/70">Connected {new Date(integration.connectedAt).toLocaleString()} · {linkedHumidorCount} humidor(s) linked</p>
+            )}
+            {message && (<p className={`mt-3 text-sm ${isError ? 'text-error' : 'text-success'}`}>{message}</p>)}
+            {devices.length > 0 && (
+                <div className="mt-4 p-3 bg-base-300 rounded-box">
+                    <p className="text-sm text-base-content font-semibold mb-2">Sensors:</p>
+                    <ul className="text-base-content/80 text-xs space-y-1">
+                        {devices.map(d => (
+                            <li key={d.device} className="flex justify-between items-center">
+                                <span>{d.deviceName} ({d.config?.url || d.model})</span>
+                                {provider.addsDevices && (
+                                    <button onClick={() => handleRemoveDevice(d)} disabled={isLoading} className="btn btn-ghost btn-xs" aria-label={`Remove ${d.deviceName}`}>
+                                        <Trash2 className="w-3 h-3" />
+                                    </button>
+                                )}
+                            </li>
+                        ))}
+                    </ul>
+                </div>
+            )}
+        </div>
+    );
+};
+
+export default SensorProviderCard;
@@ -8,7 +8,7 @@
  *
  * Cigar Action Menu Component
  *
- * Dropdown menu for managing cigar-specific actions: add journal, edit, export, and delete.
+ * Dropdown menu for managing cigar-specific actions: add journal, adjust stock, edit, export, and delete.
  * Provides a user-friendly interface for quick cigar management in the UI.
  *
  * @param {Object} props - Component props
@@ -16,13 +16,14 @@
  * @param {Function} props.onExport - Function to handle export action
  * @param {Function} props.onDelete - Function to handle delete action
  * @param {Function} props.onAddJournal - Function to handle add journal action
+ * @param {Function} props.onAdjustStock - Function to handle adjust stock action
  *
  */
 
 import React, { useState, useEffect, useRef } from 'react';
-import { MoreVertical, PencilRuler, FileUp, Trash, BookOpen } from 'lucide-react';
+import { MoreVertical, PencilRuler, FileUp, Trash, BookOpen, ClipboardList } from 'lucide-react';
 
-const CigarActionMenu = ({ onEdit, onExport, onDelete, onAddJournal }) => {
+const CigarActionMenu = ({ onEdit, onExport, onDelete, onAddJournal, onAdjustStock }) => {
     const [isOpen, setIsOpen] = useState(false);
     const menuRef = useRef(null);
 
@@ -58,6 +59,7 @@ const CigarActionMenu = ({ onEdit, onExport, onDelete, onAddJournal }) => {
                 <div className="absolute top-full right-0 mt-2 w-56 bg-gray-800 border border-gray-700 rounded-lg shadow-lg z-30 overflow-hidden">
                     <MenuItem icon={BookOpen} text="Add Journal" onClick={onAddJournal} className="text-gray-200" />
                     <div className="border-t border-gray-700 my-1"></div>
+                    <MenuItem icon={ClipboardList} text="Adjust Stock" onClick={onAdjustStock} className="text-gray-200" />
                     <MenuItem icon={PencilRuler} text="Edit this Cigar" onClick={onEdit} className="text-gray-200" />
                     <MenuItem icon={FileUp} text="Export this Cigar" onClick={onExport} className="text-gray-200" />
                     <div className="border-t border-gray-700 my-1"></div>
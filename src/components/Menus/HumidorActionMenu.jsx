@@ -8,13 +8,15 @@
  *
  * Humidor Action Menu Component
  *
- * Dropdown menu for managing humidor-specific actions: edit, take reading, add cigar, import/export, and delete.
+ * Dropdown menu for managing humidor-specific actions: edit, take reading, calibrate hygrometer, humidification maintenance, add cigar, import/export, and delete.
  * Provides a user-friendly interface for quick humidor management in the UI.
  *
  * @param {Object} props - Component props
  * @param {Function} props.onAddCigar - Function to handle add cigar action
  * @param {Function} props.onEdit - Function to handle edit action
  * @param {Function} props.onTakeReading - Function to handle take reading action
+ * @param {Function} props.onCalibrate - Function to handle calibrate hygrometer action
+ * @param {Function} props.onMaintenance - Function to handle humidification maintenance action
  * @param {Function} props.onExport - Function to handle export action
  * @param {Function} props.onDelete - Function to handle delete action
  * @param {Function} props.onImport - Function to handle import action
@@ -24,12 +26,14 @@
  */
 
 import React, { useState, useEffect, useRef } from 'react';
-import { MoreVertical, PencilRuler, ClipboardPenLine, FileDown, FileUp, Trash, Plus, MousePointerClick } from 'lucide-react';
+import { MoreVertical, PencilRuler, ClipboardPenLine, FileDown, FileUp, Trash, Plus, MousePointerClick, Target, Droplets } from 'lucide-react';
 
 const HumidorActionMenu = ({
     onAddCigar,
     onEdit,
     onTakeReading,
+    onCalibrate,
+    onMaintenance,
     onExport,
     onDelete,
     onImport,
@@ -71,6 +75,8 @@ const HumidorActionMenu = ({
 
                     <MenuItem icon={PencilRuler} text="Edit Humidor" onClick={onEdit} className="text-base-content" />
                     <MenuItem icon={ClipboardPenLine} text="Take Reading" onClick={onTakeReading} className="text-base-content" />
+                    <MenuItem icon={Target} text="Calibrate Hygrometer" onClick={onCalibrate} className="text-base-content" />
+                    <MenuItem icon={Droplets} text="Humidification" onClick={onMaintenance} className="text-base-content" />
                     <div className="border-t border-base-content/10 my-1"></div>
                     <MenuItem icon={Plus} text="Add Cigar" onClick={onAddCigar} className="text-base-content" />
                     <MenuItem icon={FileDown} text="Import Cigars from CSV" onClick={onImport} className="text-base-content" />
@@ -0,0 +1,161 @@
+/**
+ *
+ * @file AdjustInventoryModal.jsx
+ * @path src/components/Modals/Actions/AdjustInventoryModal.jsx
+ * @project Humidor Hub
+ * @author Shawn Miller (hereiamnow@gmail.com)
+ * @date August 25, 2025
+ *
+ * Adjust Inventory Modal Component
+ *
+ * Modal dialog for changing the stock of one or more cigars with a reason: smoked, gifted, traded, damaged,
+ * lost or a correction. Gifts and trades ask who with, damage asks what went wrong, and only a correction
+ * can add cigars. With several cigars selected the count applies to each.
+ *
+ * @param {Object} props - Component props
+ * @param {Array} props.cigars - Cigars being adjusted
+ * @param {Function} props.onClose - Callback to close the modal
+ * @param {Function} props.onSave - Async callback receiving { reason, count, direction, recipient, damage, notes }
+ *
+ */
+
+import React, { useState } from 'react';
+import { X, ClipboardList, LoaderCircle } from 'lucide-react';
+import { ADJUSTMENT_REASONS, getAdjustmentReason } from '../../../constants/inventoryAdjustments';
+
+const inputClassName = 'w-full bg-gray-700 border border-gray-600 rounded-lg py-2 px-3 text-white focus:outline-none focus:border-amber-500';
+
+const AdjustInventoryModal = ({ cigars, onClose, onSave }) => {
+    const [reason, setReason] = useState(ADJUSTMENT_REASONS.SMOKED.id);
+    const [count, setCount] = useState(1);
+    const [direction, setDirection] = useState(-1);
+    const [recipient, setRecipient] = useState('');
+    const [damage, setDamage] = useState(ADJUSTMENT_REASONS.DAMAGED.detail.options[0]);
+    const [notes, setNotes] = useState('');
+    const [isSaving, setIsSaving] = useState(false);
+    const [error, setError] = useState('');
+
+    const reasonDef = getAdjustmentReason(reason);
+    const isCorrection = reasonDef.direction === 0;
+    const isSingle = cigars.length === 1;
+    const maxOnHand = Math.max(0, ...cigars.map(c => Number(c.quantity) || 0));
+    const isTakingOut = !isCorrection || direction < 0;
+
+    const handleSave = async () => {
+        setIsSaving(true);
+        setError('');
+        try {
+            await onSave({ reason, count, direction: isTakingOut ? -1 : 1, recipient, damage, notes });
+            onClose();
+        } catch (err) {
+            console.error('AdjustInventoryModal: Adjustment failed:', err);
+            setError(err.message);
+            setIsSaving(false);
+        }
+    };
+
+    return (
+        <div className="fixed inset-0 bg-black/60 flex items-center justify-center p-4 z-[100]" onClick={onClose}>
+            <div className="bg-gray-800 rounded-2xl p-6 w-full max-w-sm" onClick={e => e.stopPropagation()}>
+                <div className="flex justify-between items-center mb-6">
+                    <h3 className="text-xl font-bold text-amber-400 flex items-center">
+                        <ClipboardList className="w-5 h-5 mr-2" />
+                        Adjust Stock
+                    </h3>
+                    <button onClick={onClose} className="text-gray-400 hover:text-white">
+                        <X className="w-6 h-6" />
+                    </button>
+                </div>
+
+                <p className="text-gray-300 text-sm mb-4">
+                    {isSingle
+                        ? `${cigars[0].brand} ${cigars[0].name} · ${cigars[0].quantity} on hand`
+                        : `${cigars.length} cigars selected; the count applies to each`}
+                </p>
+
+                <div className="space-y-4 mb-6">
+                    <div>
+                        <label className="block text-gray-300 text-sm font-medium mb-2">Why did the stock change?</label>
+                        <div className="grid grid-cols-3 gap-2">
+                            {Object.values(ADJUSTMENT_REASONS).map(option => (
+                                <button
+                                    key={option.id}
+                                    onClick={() => setReason(option.id)}
+                                    className={`py-2 px-2 rounded-lg text-sm font-semibold transition-colors ${reason === option.id ? 'bg-amber-500 text-white' : 'bg-gray-700 text-gray-300 hover:bg-gray-600'}`}
+                                >
+                                    {option.label}
+                                </button>
+                            ))}
+                        </div>
+                    </div>
+
+                    {isCorrection && (
+                        <div className="grid grid-cols-2 gap-2">
+                            <button onClick={() => setDirection(-1)} className={`py-2 rounded-lg text-sm font-semibold ${direction < 0 ? 'bg-amber-500 text-white' : 'bg-gray-700 text-gray-300'}`}>Remove</button>
+                            <button onClick={() => setDirection(1)} className={`py-2 rounded-lg text-sm font-semibold ${direction > 0 ? 'bg-amber-500 text-white' : 'bg-gray-700 text-gray-300'}`}>Add</button>
+                        </div>
+                    )}
+
+                    <div>
+                        <label className="block text-gray-300 text-sm font-medium mb-2">How many{isSingle ? '' : ' of each'}?</label>
+                        <input
+                            type="number"
+                            min="1"
+                            max={isTakingOut ? maxOnHand : undefined}
+                            value={count}
+                            onChange={(e) => setCount(e.target.value)}
+                            className={inputClassName}
+                        />
+                    </div>
+
+                    {reasonDef.detail?.name === 'recipient' && (
+                        <div>
+                            <label className="block text-gray-300 text-sm font-medium mb-2">{reasonDef.detail.label}</label>
+                            <input type="text" value={recipient} onChange={(e) => setRecipient(e.target.value)} placeholder="e.g., Dave" className={inputClassName} />
+                        </div>
+                    )}
+
+                    {reasonDef.detail?.name === 'damage' && (
+                        <div>
+                            <label className="block text-gray-300 text-sm font-medium mb-2">{reasonDef.detail.label}</label>
+                            <select value={damage} onChange={(e) => setDamage(e.target.value)} className={inputClassName}>
+                                {reasonDef.detail.options.map(option => (
+                                    <option key={option} value={option}>{option}</option>
+                                ))}
+                            </select>
+                        </div>
+                    )}
+
+                    <div>
+                        <label className="block text-gray-300 text-sm font-medium mb-2">Notes</label>
+                        <input type="text" value={notes} onChange={(e) => setNotes(e.target.value)} placeholder="Optional" className={inputClassName} />
+                    </div>
+                </div>
+
+                {isTakingOut && Number(count) > maxOnHand && (
+                    <p className="text-yellow-400 text-sm mb-4">Only {maxOnHand} on hand; no more than that will be taken out.</p>
+                )}
+                {error && <p className="text-red-400 text-sm mb-4">{error}</p>}
+
+                <div className="flex gap-3">
+                    <button
+                        onClick={onClose}
+                        className="flex-1 bg-gray-600 text-white font-bold py-2 px-4 rounded-lg hover:bg-gray-500 transition-colors"
+                    >
+                        Cancel
+                    </button>
+                    <button
+                        onClick={handleSave}
+                        disabled={isSaving}
+                        className="flex-1 bg-amber-500 text-white font-bold py-2 px-4 rounded-lg hover:bg-amber-600 transition-colors flex items-center justify-center gap-2 disabled:opacity-50"
+                    >
+                        {isSaving && <LoaderCircle className="w-4 h-4 animate-spin" />}
+                        Save
+                    </button>
+                </div>
+            </div>
+        </div>
+    );
+};
+
+export default AdjustInventoryModal;
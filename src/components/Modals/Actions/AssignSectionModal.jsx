@@ -0,0 +1,83 @@
+/**
+ *
+ * @file AssignSectionModal.jsx
+ * @path src/components/Modals/Actions/AssignSectionModal.jsx
+ * @project Humidor Hub
+ * @author Shawn Miller (hereiamnow@gmail.com)
+ * @date August 23, 2025
+ *
+ * Assign Section Modal Component
+ *
+ * Modal dialog for putting the selected cigars on a shelf, tray, drawer or box inside their humidor, or taking
+ * them off one.
+ *
+ * @param {Object} props - Component props
+ * @param {Object} props.humidor - Humidor whose sections are offered
+ * @param {number} props.count - Number of selected cigars
+ * @param {Function} props.onClose - Callback to close the modal
+ * @param {Function} props.onAssign - Callback to confirm, receives the section ID or null for none
+ *
+ */
+
+import React, { useState } from 'react';
+import { X, Layers } from 'lucide-react';
+import { getHumidorSections } from '../../../utils/sectionUtils';
+
+const AssignSectionModal = ({ humidor, count, onClose, onAssign }) => {
+    const sections = getHumidorSections(humidor);
+    const [sectionId, setSectionId] = useState(sections[0]?.id || '');
+
+    const handleAssign = () => {
+        onAssign(sectionId || null);
+        onClose();
+    };
+
+    return (
+        <div className="fixed inset-0 bg-black/60 flex items-center justify-center p-4 z-[100]" onClick={onClose}>
+            <div className="bg-gray-800 rounded-2xl p-6 w-full max-w-sm" onClick={e => e.stopPropagation()}>
+                <div className="flex justify-between items-center mb-6">
+                    <h3 className="text-xl font-bold text-amber-400 flex items-center">
+                        <Layers className="w-5 h-5 mr-2" />
+                        Assign Spot
+                    </h3>
+                    <button onClick={onClose} className="text-gray-400 hover:text-white">
+                        <X className="w-6 h-6" />
+                    </button>
+                </div>
+
+                <div className="mb-6">
+                    <label className="block text-gray-300 text-sm font-medium mb-2">
+                        Where in {humidor.name} are these {count} cigar{count === 1 ? '' : 's'}?
+                    </label>
+                    <select
+                        value={sectionId}
+                        onChange={(e) => setSectionId(e.target.value)}
+                        className="w-full bg-gray-700 border border-gray-600 rounded-lg py-2 px-3 text-white focus:outline-none focus:border-amber-500"
+                    >
+                        {sections.map(section => (
+                            <option key={section.id} value={section.id}>{section.name}</option>
+                        ))}
+                        <option value="">Not assigned</option>
+                    </select>
+                </div>
+
+                <div className="flex gap-3">
+                    <button
+                        onClick={onClose}
+                        className="flex-1 bg-gray-600 text-white font-bold py-2 px-4 rounded-lg hover:bg-gray-500 transition-colors"
+                    >
+                        Cancel
+                    </button>
+                    <button
+                        onClick={handleAssign}
+                        className="flex-1 bg-amber-500 text-white font-bold py-2 px-4 rounded-lg hover:bg-amber-600 transition-colors"
+                    >
+                        Assign
+                    </button>
+                </div>
+            </div>
+        </div>
+    );
+};
+
+export default AssignSectionModal;
@@ -9,11 +9,13 @@
  * Delete Humidor Modal Component
  *
  * Modal dialog for confirming deletion of a humidor. If cigars are present, allows user to move them to another humidor or delete them.
+ * If the deletion fails the modal stays open with the error.
  *
  * @param {Object} props - Component props
  * @param {boolean} props.isOpen - Whether the modal is open
  * @param {Function} props.onClose - Callback to close the modal
- * @param {Function} props.onConfirm - Callback to confirm deletion
+ * @param {Function} props.onConfirm - Async callback to confirm deletion, receives the action ('move' or 'delete') and
+ *   the destination humidor ID
  * @param {Object} props.humidor - The humidor object being deleted
  * @param {Array} props.cigarsInHumidor - Array of cigars in the humidor
  * @param {Array} props.otherHumidors - Array of other humidors for moving cigars
@@ -21,17 +23,27 @@
  */
 
 import React, { useState } from 'react';
-import { X, AlertTriangle, Trash2, Move } from 'lucide-react';
+import { X, AlertTriangle, Trash2, Move, LoaderCircle } from 'lucide-react';
 
 const DeleteHumidorModal = ({ isOpen, onClose, onConfirm, humidor, cigarsInHumidor, otherHumidors }) => {
-    const [deleteAction, setDeleteAction] = useState('move');
+    const [deleteAction, setDeleteAction] = useState(otherHumidors.length > 0 ? 'move' : 'delete');
     const [destinationHumidorId, setDestinationHumidorId] = useState(otherHumidors[0]?.id || '');
+    const [isDeleting, setIsDeleting] = useState(false);
+    const [error, setError] = useState('');
 
     if (!isOpen) return null;
 
-    const handleConfirm = () => {
-        onConfirm(deleteAction, destinationHumidorId);
-        onClose();
+    const handleConfirm = async () => {
+        setIsDeleting(true);
+        setError('');
+        try {
+            await onConfirm(deleteAction, destinationHumidorId);
+            onClose();
+        } catch (err) {
+            console.error('DeleteHumidorModal: Delete failed:', err);
+            setError(err.message);
+            setIsDeleting(false);
+        }
     };
 
     const cigarCount = cigarsInHumidor.length;
@@ -114,6 +126,8 @@ const DeleteHumidorModal = ({ isOpen, onClose, onConfirm, humidor, cigarsInHumid
                     </p>
                 </div>
 
+                {error && <p className="text-red-400 text-sm mb-4">{error}</p>}
+
                 <div className="flex gap-3">
                     <button
                         onClick={onClose}
@@ -123,8 +137,10 @@ const DeleteHumidorModal = ({ isOpen, onClose, onConfirm, humidor, cigarsInHumid
                     </button>
                     <button
                         onClick={handleConfirm}
-                        className="flex-1 bg-red-600 text-white font-bold py-2 px-4 rounded-lg hover:bg-red-700 transition-colors"
+                        disabled={isDeleting}
+                        className="flex-1 bg-red-600 text-white font-bold py-2 px-4 rounded-lg hover:bg-red-700 transition-colors flex items-center justify-center gap-2 disabled:opacity-50"
                     >
+                        {isDeleting && <LoaderCircle className="w-4 h-4 animate-spin" />}
                         Delete Humidor
                     </button>
                 </div>
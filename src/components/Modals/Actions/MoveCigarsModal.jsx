@@ -9,25 +9,59 @@
  * Move Cigars Modal Component
  *
  * Modal dialog for selecting a destination humidor and moving cigars. User selects a humidor and confirms the move.
+ * Warns when the destination is still seasoning or the cigars would take it over capacity, suggesting a humidor
+ * with room in the latter case; the confirm button then reads "Move Anyway". An optional reason is recorded in
+ * each cigar's history with the move. Each cigar can move only some of its stock, e.g. 5 from a box of 20;
+ * cigars that will join a record of the same cigar already in the destination are marked. If the move fails the
+ * modal stays open with the error.
  *
  * @param {Object} props - Component props
  * @param {Function} props.onClose - Callback to close the modal
- * @param {Function} props.onMove - Callback to confirm move, receives destination humidor ID
+ * @param {Function} props.onMove - Async callback to confirm move, receives destination humidor ID, the reason and
+ *   how many of each cigar to move (by cigar ID)
  * @param {Array} props.destinationHumidors - Array of available destination humidors
+ * @param {Array} props.cigars - All cigars, used to work out how full each destination is
+ * @param {Array} props.movingCigars - Cigars selected to move
  * @param {Object} props.theme - Theme object for styling
  *
  */
 
 import React, { useState } from 'react';
-import { X, Move } from 'lucide-react';
+import { X, Move, Sprout, AlertTriangle, LoaderCircle } from 'lucide-react';
+import { isHumidorSeasoning } from '../../../services/seasoningService';
+import { getHumidorUtilization, suggestHumidorWithRoom } from '../../../utils/capacityUtils';
+import { getCigarLineageId } from '../../../services/cigarMoveService';
 
-const MoveCigarsModal = ({ onClose, onMove, destinationHumidors, theme }) => {
+const MoveCigarsModal = ({ onClose, onMove, destinationHumidors, cigars = [], movingCigars = [], theme }) => {
     const [selectedHumidorId, setSelectedHumidorId] = useState(destinationHumidors[0]?.id || '');
+    const [reason, setReason] = useState('');
+    const [quantities, setQuantities] = useState(() => Object.fromEntries(movingCigars.map(c => [c.id, c.quantity || 0])));
+    const [isSaving, setIsSaving] = useState(false);
+    const [error, setError] = useState('');
 
-    const handleMove = () => {
-        if (selectedHumidorId) {
-            onMove(selectedHumidorId);
+    const getMoveCount = (cigar) => Math.min(cigar.quantity || 0, Math.max(0, Math.round(Number(quantities[cigar.id]) || 0)));
+    const movingCount = movingCigars.reduce((sum, c) => sum + getMoveCount(c), 0);
+    const joinsExisting = (cigar) => cigars.some(c => c.humidorId === selectedHumidorId && getCigarLineageId(c) === getCigarLineageId(cigar));
+
+    const selectedHumidor = destinationHumidors.find(h => h.id === selectedHumidorId);
+    const isSeasoning = isHumidorSeasoning(selectedHumidor);
+    const after = selectedHumidor ? getHumidorUtilization(selectedHumidor, cigars, movingCount) : null;
+    const wouldOverfill = after?.status === 'over';
+    const suggestion = wouldOverfill
+        ? suggestHumidorWithRoom(destinationHumidors, cigars, movingCount, { excludeIds: [selectedHumidorId], isAvailable: h => !isHumidorSeasoning(h) })
+        : null;
+
+    const handleMove = async () => {
+        if (!selectedHumidorId) return;
+        setIsSaving(true);
+        setError('');
+        try {
+            await onMove(selectedHumidorId, reason, Object.fromEntries(movingCigars.map(c => [c.id, getMoveCount(c)])));
             onClose();
+        } catch (err) {
+            console.error('MoveCigarsModal: Move failed:', err);
+            setError(err.message);
+            setIsSaving(false);
         }
     };
 
@@ -53,14 +87,74 @@ const MoveCigarsModal = ({ onClose, onMove, destinationHumidors, theme }) => {
                         onChange={(e) => setSelectedHumidorId(e.target.value)}
                         className="w-full bg-gray-700 border border-gray-600 rounded-lg py-2 px-3 text-white focus:outline-none focus:border-amber-500"
                     >
-                        {destinationHumidors.map(humidor => (
-                            <option key={humidor.id} value={humidor.id}>
-                                {humidor.name}
-                            </option>
-                        ))}
+                        {destinationHumidors.map(humidor => {
+                            const { capacity, remaining } = getHumidorUtilization(humidor, cigars);
+                            return (
+                                <option key={humidor.id} value={humidor.id}>
+                                    {humidor.name}{capacity > 0 ? ` (${Math.max(remaining, 0)} free)` : ''}
+                                </option>
+                            );
+                        })}
                     </select>
+                    {isSeasoning && (
+                        <div className="flex items-start gap-2 mt-3 p-3 rounded-lg bg-amber-900/40 border border-amber-600 text-amber-200 text-sm">
+                            <Sprout className="w-4 h-4 mt-0.5 flex-shrink-0" />
+                            <span>{selectedHumidor.name} is still seasoning and isn't ready for cigars. Cigars moved in now can dry out.</span>
+                        </div>
+                    )}
+                    {wouldOverfill && (
+                        <div className="flex items-start gap-2 mt-3 p-3 rounded-lg bg-red-900/40 border border-red-600 text-red-200 text-sm">
+                            <AlertTriangle className="w-4 h-4 mt-0.5 flex-shrink-0" />
+                            <div>
+                                <p>Moving {movingCount} cigar{movingCount === 1 ? '' : 's'} would put {selectedHumidor.name} at {after.count} of {after.capacity}.</p>
+                                {suggestion && (
+                                    <button onClick={() => setSelectedHumidorId(suggestion.humidor.id)} className="underline mt-1">
+                                        Use {suggestion.humidor.name} instead ({suggestion.utilization.remaining} left after)
+                                    </button>
+                                )}
+                            </div>
+                        </div>
+                    )}
+                    {movingCigars.length > 0 && (
+                        <>
+                            <label className="block text-gray-300 text-sm font-medium mt-4 mb-2">
+                                How Many
+                            </label>
+                            <ul className="space-y-2 max-h-48 overflow-y-auto">
+                                {movingCigars.map(cigar => (
+                                    <li key={cigar.id} className="flex items-center gap-2 text-sm text-gray-300">
+                                        <div className="flex-1 min-w-0">
+                                            <p className="truncate">{cigar.brand} {cigar.name}</p>
+                                            {joinsExisting(cigar) && <p className="text-xs text-amber-300">Joins the ones already there</p>}
+                                        </div>
+                                        <input
+                                            type="number"
+                                            min="0"
+                                            max={cigar.quantity || 0}
+                                            value={quantities[cigar.id]}
+                                            onChange={(e) => setQuantities(prev => ({ ...prev, [cigar.id]: e.target.value }))}
+                                            className="w-16 bg-gray-700 border border-gray-600 rounded-lg py-1 px-2 text-white text-right focus:outline-none focus:border-amber-500"
+                                        />
+                                        <span className="text-xs text-gray-400 w-10">of {cigar.quantity || 0}</span>
+                                    </li>
+                                ))}
+                            </ul>
+                        </>
+                    )}
+                    <label className="block text-gray-300 text-sm font-medium mt-4 mb-2">
+                        Reason (optional)
+                    </label>
+                    <input
+                        type="text"
+                        value={reason}
+                        onChange={(e) => setReason(e.target.value)}
+                        placeholder="e.g., Long-term aging"
+                        className="w-full bg-gray-700 border border-gray-600 rounded-lg py-2 px-3 text-white placeholder-gray-500 focus:outline-none focus:border-amber-500"
+                    />
                 </div>
 
+                {error && <p className="text-red-400 text-sm mb-4">{error}</p>}
+
                 <div className="flex gap-3">
                     <button
                         onClick={onClose}
@@ -70,10 +164,11 @@ const MoveCigarsModal = ({ onClose, onMove, destinationHumidors, theme }) => {
                     </button>
                     <button
                         onClick={handleMove}
-                        disabled={!selectedHumidorId}
-                        className="flex-1 bg-amber-500 text-white font-bold py-2 px-4 rounded-lg hover:bg-amber-600 disabled:opacity-50 disabled:cursor-not-allowed transition-colors"
+                        disabled={isSaving || !selectedHumidorId || (movingCount === 0 && movingCigars.some(c => c.quantity > 0))}
+                        className="flex-1 bg-amber-500 text-white font-bold py-2 px-4 rounded-lg hover:bg-amber-600 disabled:opacity-50 disabled:cursor-not-allowed transition-colors flex items-center justify-center gap-2"
                     >
-                        Move Cigars
+                        {isSaving && <LoaderCircle className="w-4 h-4 animate-spin" />}
+                        {isSeasoning || wouldOverfill ? 'Move Anyway' : 'Move Cigars'}
                     </button>
                 </div>
             </div>
@@ -20,13 +20,14 @@
 import React from 'react';
 import { X, Download } from 'lucide-react';
 import { downloadFile } from '../../../utils/fileUtils';
+import { getHumidorSensor } from '../../../utils/sensorUtils';
 
 const ExportModal = ({ data, dataType, onClose }) => {
     const getHeaders = () => {
         if (dataType === 'cigar') {
             return ['id,name,brand,line,shape,isBoxPress,isPuro,length_inches,ring_gauge,Size,Country of Origin,wrapper,binder,filler,strength,flavorNotes,rating,userRating,price,quantity,image,shortDescription,description,dateAdded'];
         } else if (dataType === 'humidor') {
-            return ['id,name,shortDescription,longDescription,size,location,image,type,temp,humidity,goveeDeviceId,goveeDeviceModel'];
+            return ['id,name,shortDescription,longDescription,size,capacity,location,image,type,temp,humidity,sensorProvider,sensorDeviceId,sensorDeviceModel'];
         }
         return [];
     };
@@ -47,12 +48,13 @@ const ExportModal = ({ data, dataType, onClose }) => {
                 ].map(field => `"${String(field ?? '').replace(/"/g, '""')}"`).join(',')); // Escape double quotes
             } else if (dataType === 'humidor') {
                 const {
-                    id, name, shortDescription = '', longDescription = '', size = '', location = '',
-                    image = '', type = '', temp = 0, humidity = 0, goveeDeviceId = '', goveeDeviceModel = ''
+                    id, name, shortDescription = '', longDescription = '', size = '', capacity = '', location = '',
+                    image = '', type = '', temp = 0, humidity = 0
                 } = item;
+                const sensor = getHumidorSensor(item);
                 acc.push([
-                    id, name, shortDescription, longDescription, size, location, image, type, temp, humidity,
-                    goveeDeviceId, goveeDeviceModel
+                    id, name, shortDescription, longDescription, size, capacity ?? '', location, image, type, temp, humidity,
+                    sensor?.provider || '', sensor?.deviceId || '', sensor?.model || ''
                 ].map(field => `"${String(field).replace(/"/g, '""')}"`).join(',')); // Escape double quotes
             }
             return acc;
@@ -0,0 +1,174 @@
+/**
+ *
+ * @file ExportReadingsModal.jsx
+ * @path src/components/Modals/Data/ExportReadingsModal.jsx
+ * @project Humidor Hub
+ * @author Shawn Miller (hereiamnow@gmail.com)
+ * @date August 17, 2025
+ *
+ * Export Readings Modal Component
+ *
+ * Exports the temperature and humidity reading history of selected humidors over an
+ * optional date range, as CSV (one row per reading, units in the column names) or JSON
+ * (readings grouped per humidor with unit and range metadata). Timestamps are ISO 8601 in UTC; calibrated
+ * readings include the measured humidity and the offset applied to it.
+ *
+ * @param {Object} props - Component props
+ * @param {Object} props.db - Firestore database instance
+ * @param {string} props.appId - Application ID for Firestore collection
+ * @param {string} props.userId - Current user ID
+ * @param {Array} props.humidors - Humidors whose readings can be exported
+ * @param {Function} props.onClose - Function to call when the modal should be closed
+ *
+ */
+
+import React, { useState } from 'react';
+import { X, Download, LoaderCircle } from 'lucide-react';
+import { fetchHumidorReadings } from '../../../services/readingService';
+import { downloadFile } from '../../../utils/fileUtils';
+
+const UNITS = { temperature: '°F', humidity: '%RH' };
+const CSV_HEADERS = ['humidorId', 'humidorName', 'timestamp', 'temperature_F', 'humidity_RH', 'rawHumidity_RH', 'humidityOffset', 'source', 'deviceId'];
+
+const escapeCsv = (field) => `"${String(field ?? '').replace(/"/g, '""')}"`;
+
+// Date inputs are in local time; the range covers the whole of both days
+const getRange = (fromDate, toDate) => ({
+    since: fromDate ? new Date(`${fromDate}T00:00:00`).toISOString() : undefined,
+    until: toDate ? new Date(`${toDate}T23:59:59.999`).toISOString() : undefined
+});
+
+const buildCsv = (exports) => {
+    const rows = exports.flatMap(({ humidor, readings }) => readings.map(r => [
+        humidor.id, humidor.name, r.timestamp, r.temp, r.humidity, r.rawHumidity, r.humidityOffset, r.source, r.deviceId
+    ].map(escapeCsv).join(',')));
+    return [CSV_HEADERS.join(','), ...rows].join('\n');
+};
+
+const buildJson = (exports, range) => JSON.stringify({
+    exportedAt: new Date().toISOString(),
+    units: UNITS,
+    range: { since: range.since || null, until: range.until || null },
+    humidors: exports.map(({ humidor, readings }) => ({
+        id: humidor.id,
+        name: humidor.name,
+        readings: readings.map(({ timestamp, temp, humidity, rawHumidity = null, humidityOffset = null, source, deviceId }) =>
+            ({ timestamp, temp, humidity, rawHumidity, humidityOffset, source, deviceId }))
+    }))
+}, null, 2);
+
+const ExportReadingsModal = ({ db, appId, userId, humidors, onClose }) => {
+    const [selectedHumidorIds, setSelectedHumidorIds] = useState(humidors.map(h => h.id));
+    const [fromDate, setFromDate] = useState('');
+    const [toDate, setToDate] = useState('');
+    const [isExporting, setIsExporting] = useState(false);
+    const [message, setMessage] = useState('');
+
+    const toggleHumidor = (humidorId) => {
+        setSelectedHumidorIds(prev => prev.includes(humidorId) ? prev.filter(id => id !== humidorId) : [...prev, humidorId]);
+    };
+
+    const handleExport = async (format) => {
+        const range = getRange(fromDate, toDate);
+        setIsExporting(true);
+        setMessage('');
+        try {
+            const selected = humidors.filter(h => selectedHumidorIds.includes(h.id));
+            const exports = [];
+            for (const humidor of selected) {
+                exports.push({ humidor, readings: await fetchHumidorReadings(db, appId, userId, humidor.id, range) });
+            }
+
+            const total = exports.reduce((sum, e) => sum + e.readings.length, 0);
+            if (total === 0) {
+                setMessage('No readings found for the selected humidors and dates.');
+                return;
+            }
+
+            const stamp = new Date().toISOString().slice(0, 10);
+            downloadFile(format === 'csv'
+                ? { data: buildCsv(exports), fileName: `humidor_hub_readings_${stamp}.csv`, fileType: 'text/csv' }
+                : { data: buildJson(exports, range), fileName: `humidor_hub_readings_${stamp}.json`, fileType: 'application/json' });
+            onClose();
+        } catch (error) {
+            console.error("Error exporting readings:", error);
+            setMessage(`Export failed: ${error.message}`);
+        } finally {
+            setIsExporting(false);
+        }
+    };
+
+    const isRangeValid = !fromDate || !toDate || fromDate <= toDate;
+    const canExport = selectedHumidorIds.length > 0 && isRangeValid && !isExporting;
+
+    return (
+        <div className="fixed inset-0 bg-black/60 flex items-center justify-center p-4 z-[100]" onClick={!isExporting ? onClose : undefined}>
+            <div className="bg-gray-800 rounded-2xl p-6 w-full max-w-sm flex flex-col" onClick={e => e.stopPropagation()}>
+                <div className="flex justify-between items-center mb-4">
+                    <h3 className="text-xl font-bold text-amber-400 flex items-center">
+                        <Download className="w-5 h-5 mr-2" />
+                        Export Readings
+                    </h3>
+                    <button onClick={onClose} className="text-gray-400 hover:text-white">
+                        <X className="w-6 h-6" />
+                    </button>
+                </div>
+
+                <div className="space-y-4">
+                    <div>
+                        <div className="flex justify-between items-center mb-1">
+                            <label className="text-sm font-medium text-gray-300">Humidors</label>
+                            <button
+                                onClick={() => setSelectedHumidorIds(selectedHumidorIds.length === humidors.length ? [] : humidors.map(h => h.id))}
+                                className="btn btn-ghost btn-xs">
+                                {selectedHumidorIds.length === humidors.length ? 'Select None' : 'Select All'}
+                            </button>
+                        </div>
+                        <div className="max-h-40 overflow-y-auto space-y-1">
+                            {humidors.map(h => (
+                                <label key={h.id} className="flex items-center gap-2 text-sm text-gray-200">
+                                    <input type="checkbox" checked={selectedHumidorIds.includes(h.id)} onChange={() => toggleHumidor(h.id)} className="checkbox checkbox-primary checkbox-sm" />
+                                    {h.name}
+                                </label>
+                            ))}
+                        </div>
+                    </div>
+
+                    <div className="grid grid-cols-2 gap-3">
+                        <div>
+                            <label className="text-sm font-medium text-gray-300 mb-1 block">From</label>
+                            <input type="date" value={fromDate} max={toDate || undefined} onChange={(e) => setFromDate(e.target.value)} className="input input-bordered input-sm w-full" />
+                        </div>
+                        <div>
+                            <label className="text-sm font-medium text-gray-300 mb-1 block">To</label>
+                            <input type="date" value={toDate} min={fromDate || undefined} onChange={(e) => setToDate(e.target.value)} className="input input-bordered input-sm w-full" />
+                        </div>
+                    </div>
+                    <p className="text-xs text-gray-400">Leave the dates empty to export the full history. Temperatures are in °F, humidity in %RH, timestamps in ISO 8601 (UTC).</p>
+                    {!isRangeValid && (<p className="text-xs text-error">The start date must be before the end date.</p>)}
+                    {message && (<p className="text-sm text-warning">{message}</p>)}
+
+                    <button
+                        onClick={() => handleExport('csv')}
+                        disabled={!canExport}
+                        className="w-full flex items-center justify-center gap-2 bg-green-600/80 text-white font-bold py-3 rounded-lg hover:bg-green-700 transition-colors disabled:bg-gray-500 disabled:cursor-not-allowed"
+                    >
+                        {isExporting ? <LoaderCircle className="w-5 h-5 animate-spin" /> : <Download className="w-5 h-5" />}
+                        Export as CSV
+                    </button>
+
+                    <button
+                        onClick={() => handleExport('json')}
+                        disabled={!canExport}
+                        className="w-full flex items-center justify-center gap-2 bg-blue-600/80 text-white font-bold py-3 rounded-lg hover:bg-blue-700 transition-colors disabled:bg-gray-500 disabled:cursor-not-allowed"
+                    >
+                        {isExporting ? <LoaderCircle className="w-5 h-5 animate-spin" /> : <Download className="w-5 h-5" />}
+                        Export as JSON
+                    </button>
+                </div>
+            </div>
+        </div>
+    );
+};
+
+export default ExportReadingsModal;
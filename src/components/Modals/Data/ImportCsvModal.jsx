@@ -9,6 +9,7 @@
  * Import CSV Modal Component
  *
  * Handles import of cigars or humidors from CSV files. Features a multi-step process: file selection, field mapping, import, and completion.
+ * Warns before a cigar import would take the destination humidor over capacity and offers a humidor with room.
  *
  * @param {Object} props - Component props
  * @param {string} props.dataType - Type of data being imported ('cigar' or 'humidor')
@@ -18,20 +19,28 @@
  * @param {string} props.userId - Current user ID
  * @param {Function} props.onClose - Function to call when the modal should be closed
  * @param {Array} props.humidors - Array of available humidors for cigar imports
+ * @param {Array} props.cigars - All cigars, used to check the destination humidor's capacity
  * @param {Function} props.navigate - Navigation function
  * @param {Function} props.onSwitchType - Function to switch between import types
  *
  */
 
 import React, { useState, useRef, useMemo } from 'react';
-import { X, UploadCloud, Upload, LoaderCircle, Wind } from 'lucide-react';
+import { X, UploadCloud, Upload, LoaderCircle, Wind, AlertTriangle } from 'lucide-react';
 import { writeBatch, collection, doc } from 'firebase/firestore';
 import Papa from 'papaparse';
 
 // Import field definitions from constants
 import { APP_HUMIDOR_FIELDS, APP_CIGAR_FIELDS } from '../../../constants/fieldDefinitions';
+import { getHumidorUtilization, suggestHumidorWithRoom } from '../../../utils/capacityUtils';
 
-const ImportCsvModal = ({ dataType, data, db, appId, userId, onClose, humidors, navigate, onSwitchType }) => {
+// A cigar row's quantity: one when the quantity column is unmapped (-1) or left blank
+const getRowQuantity = (row, quantityIndex) => {
+    const value = quantityIndex === -1 ? '' : row[quantityIndex]?.trim();
+    return value ? parseFloat(value) || 0 : 1;
+};
+
+const ImportCsvModal = ({ dataType, data, db, appId, userId, onClose, humidors, cigars = [], navigate, onSwitchType }) => {
     const [step, setStep] = useState('selectFile');
     const [selectedHumidor, setSelectedHumidor] = useState(humidors[0]?.id || '');
     const [fileName, setFileName] = useState('');
@@ -45,6 +54,7 @@ const ImportCsvModal = ({ dataType, data, db, appId, userId, onClose, humidors,
 
     const currentAppFields = dataType === 'cigar' ? APP_CIGAR_FIELDS : APP_HUMIDOR_FIELDS;
     const collectionName = dataType === 'cigar' ? 'cigars' : 'humidors';
+    const quantityIndex = fieldMapping.quantity ? csvHeaders.indexOf(fieldMapping.quantity) : -1;
 
     const handleFileChange = (event) => {
         const file = event.target.files[0];
@@ -140,6 +150,7 @@ const ImportCsvModal = ({ dataType, data, db, appId, userId, onClose, humidors,
                     }
                 }
             });
+            if (dataType === 'cigar') newItem.quantity = getRowQuantity(row, quantityIndex);
 
             // Ensure required fields are present before adding
             const isValidItem = currentAppFields.every(field => {
@@ -190,6 +201,19 @@ const ImportCsvModal = ({ dataType, data, db, appId, userId, onClose, humidors,
         return requiredFields.every(f => fieldMapping[f.key] && fieldMapping[f.key] !== 'none');
     }, [fieldMapping, currentAppFields]);
 
+    // Capacity check for cigar imports, counting quantities the same way handleImport reads them
+    const capacityCheck = useMemo(() => {
+        if (dataType !== 'cigar') return null;
+        const humidor = humidors.find(h => h.id === selectedHumidor);
+        if (!humidor) return null;
+
+        const incoming = csvRows.reduce((sum, row) => sum + getRowQuantity(row, quantityIndex), 0);
+        const after = getHumidorUtilization(humidor, cigars, incoming);
+        if (after.status !== 'over') return null;
+        const suggestion = suggestHumidorWithRoom(humidors, cigars, incoming, { excludeIds: [humidor.id] });
+        return { humidor, incoming, after, suggestion };
+    }, [dataType, humidors, selectedHumidor, csvRows, quantityIndex, cigars]);
+
     const renderContent = () => {
         switch (step) {
             case 'selectFile':
@@ -242,8 +266,22 @@ const ImportCsvModal = ({ dataType, data, db, appId, userId, onClose, humidors,
                             <div className="p-2 bg-blue-900/20 border border-blue-800 rounded-lg">
                                 <p className="text-blue-300 text-sm">
                                     📄 <span className="font-semibold">{fileName}</span> - Ready to import <span className="font-semibold">{rowCount}</span> {dataType}{rowCount !== 1 ? 's' : ''}
+                                    {dataType === 'cigar' && humidors.find(h => h.id === selectedHumidor) && <> into <span className="font-semibold">{humidors.find(h => h.id === selectedHumidor).name}</span></>}
                                 </p>
                             </div>
+                            {capacityCheck && (
+                                <div className="flex items-start gap-2 mt-2 p-2 bg-red-900/20 border border-red-800 rounded-lg text-red-300 text-sm">
+                                    <AlertTriangle className="w-4 h-4 mt-0.5 flex-shrink-0" />
+                                    <div>
+                                        <p>These {capacityCheck.incoming} cigars would put {capacityCheck.humidor.name} at {capacityCheck.after.count} of {capacityCheck.after.capacity}.</p>
+                                        {capacityCheck.suggestion && (
+                                            <button onClick={() => setSelectedHumidor(capacityCheck.suggestion.humidor.id)} className="underline mt-1">
+                                                Import into {capacityCheck.suggestion.humidor.name} instead ({capacityCheck.suggestion.utilization.remaining} left after)
+                                            </button>
+                                        )}
+                                    </div>
+                                </div>
+                            )}
                         </div>
 
                         <div className="space-y-3 max-h-80 overflow-y-auto pr-2">
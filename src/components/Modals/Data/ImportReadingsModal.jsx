@@ -0,0 +1,293 @@
+/**
+ *
+ * @file ImportReadingsModal.jsx
+ * @path src/components/Modals/Data/ImportReadingsModal.jsx
+ * @project Humidor Hub
+ * @author Shawn Miller (hereiamnow@gmail.com)
+ * @date August 17, 2025
+ *
+ * Import Readings Modal Component
+ *
+ * Imports historical temperature and humidity readings from a hygrometer app's CSV export
+ * into a humidor's reading history. Steps: pick the humidor and file, map the timestamp,
+ * temperature and humidity columns (with the temperature unit and timezone detected from
+ * the file), import in batches, and a summary of what was imported and skipped.
+ *
+ * @param {Object} props - Component props
+ * @param {Object} props.db - Firestore database instance
+ * @param {string} props.appId - Application ID for Firestore collection
+ * @param {string} props.userId - Current user ID
+ * @param {Array} props.humidors - Humidors the readings can be imported into
+ * @param {Function} props.onClose - Function to call when the modal should be closed
+ * @param {Function} props.navigate - Navigation function
+ *
+ */
+
+import React, { useState, useRef, useMemo } from 'react';
+import { X, UploadCloud, Upload, LoaderCircle, Wind } from 'lucide-react';
+import Papa from 'papaparse';
+import { importHumidorReadings } from '../../../services/readingService';
+import {
+    buildReadingsFromRows,
+    detectReadingColumns,
+    detectTemperatureUnit,
+    getLocalTimeZone,
+    getSupportedTimeZones,
+    timestampsIncludeZone
+} from '../../../utils/readingImportUtils';
+
+const READING_FIELDS = [
+    { key: 'timestamp', label: 'Timestamp' },
+    { key: 'temp', label: 'Temperature' },
+    { key: 'humidity', label: 'Humidity' }
+];
+
+// Enough rows to detect units and timestamp formats without scanning huge files
+const SAMPLE_SIZE = 50;
+
+const ImportReadingsModal = ({ db, appId, userId, humidors, onClose, navigate }) => {
+    const [step, setStep] = useState('selectFile');
+    const [selectedHumidor, setSelectedHumidor] = useState(humidors[0]?.id || '');
+    const [fileName, setFileName] = useState('');
+    const [csvHeaders, setCsvHeaders] = useState([]);
+    const [csvRows, setCsvRows] = useState([]);
+    const [fieldMapping, setFieldMapping] = useState({});
+    const [unit, setUnit] = useState('F');
+    const [timeZone, setTimeZone] = useState(getLocalTimeZone());
+    const [isProcessing, setIsProcessing] = useState(false);
+    const [progress, setProgress] = useState({ written: 0, total: 0 });
+    const [result, setResult] = useState(null);
+    const fileInputRef = useRef(null);
+
+    const timeZones = useMemo(() => getSupportedTimeZones(), []);
+
+    const getSample = (header) => csvRows.slice(0, SAMPLE_SIZE).map(row => row[header]);
+
+    const handleFileChange = (event) => {
+        const file = event.target.files[0];
+        if (!file) return;
+
+        setFileName(file.name);
+        setIsProcessing(true);
+
+        Papa.parse(file, {
+            header: true,
+            skipEmptyLines: true,
+            complete: (results) => {
+                if (!results.data.length || !results.meta.fields) {
+                    alert("CSV file appears to be empty or invalid.");
+                    setIsProcessing(false);
+                    return;
+                }
+
+                const headers = results.meta.fields;
+                const mapping = detectReadingColumns(headers);
+                const tempSample = results.data.slice(0, SAMPLE_SIZE).map(row => row[mapping.temp]);
+
+                setCsvHeaders(headers);
+                setCsvRows(results.data);
+                setFieldMapping(mapping);
+                setUnit(detectTemperatureUnit(mapping.temp === 'none' ? '' : mapping.temp, tempSample));
+                setStep('mapFields');
+                setIsProcessing(false);
+            },
+            error: (error) => {
+                alert(`Error parsing CSV file: ${error.message}`);
+                setIsProcessing(false);
+            }
+        });
+    };
+
+    const handleMappingChange = (fieldKey, csvHeader) => {
+        setFieldMapping(prev => ({ ...prev, [fieldKey]: csvHeader }));
+        if (fieldKey === 'temp' && csvHeader !== 'none') {
+            setUnit(detectTemperatureUnit(csvHeader, getSample(csvHeader)));
+        }
+    };
+
+    const isMappingValid = READING_FIELDS.every(f => fieldMapping[f.key] && fieldMapping[f.key] !== 'none');
+    const zoneIncluded = isMappingValid && timestampsIncludeZone(getSample(fieldMapping.timestamp));
+
+    // Parsed readings follow the mapping, unit and timezone choices so the preview stays current
+    const parsed = useMemo(
+        () => (isMappingValid ? buildReadingsFromRows(csvRows, fieldMapping, { unit, timeZone }) : null),
+        [isMappingValid, csvRows, fieldMapping, unit, timeZone]
+    );
+
+    const handleImport = async () => {
+        const humidor = humidors.find(h => h.id === selectedHumidor);
+        if (!humidor || !parsed?.readings.length) return;
+
+        setStep('importing');
+        setProgress({ written: 0, total: parsed.readings.length });
+        try {
+            const { imported, skipped } = await importHumidorReadings(db, appId, userId, humidor, parsed.readings,
+                written => setProgress(prev => ({ ...prev, written })));
+            setResult({ imported, skipped: skipped + parsed.duplicateCount, invalid: parsed.invalidCount });
+            setStep('complete');
+        } catch (error) {
+            console.error("Error during readings import:", error);
+            alert(`Import failed: ${error.message}. Readings written before the error were kept; importing the file again skips them.`);
+            setStep('mapFields');
+        }
+    };
+
+    const handleReset = () => {
+        setStep('selectFile');
+        setCsvHeaders([]);
+        setCsvRows([]);
+        setFileName('');
+        setFieldMapping({});
+        setResult(null);
+        if (fileInputRef.current) fileInputRef.current.value = "";
+    };
+
+    const renderContent = () => {
+        switch (step) {
+            case 'selectFile':
+                return (
+                    <>
+                        <div className="flex justify-between items-center mb-4">
+                            <h3 className="text-xl font-bold text-amber-400 flex items-center"><UploadCloud className="w-5 h-5 mr-2" /> Import Environment Readings</h3>
+                            <button onClick={onClose} className="text-gray-400 hover:text-white"><X /></button>
+                        </div>
+                        <p className="text-sm text-gray-400 mb-4">Backfill a humidor's history from your hygrometer app's CSV export (timestamp, temperature and humidity columns).</p>
+                        <div className="space-y-4">
+                            <div>
+                                <label className="text-sm font-medium text-gray-300 mb-1 block">1. Select Humidor</label>
+                                <select
+                                    value={selectedHumidor} onChange={(e) => setSelectedHumidor(e.target.value)}
+                                    className="select select-primary select-bordered w-full rounded-md py-2 px-3">
+                                    {humidors.map(h => <option key={h.id} value={h.id}>{h.name}</option>)}
+                                </select>
+                            </div>
+                            <div>
+                                <label className="text-sm font-medium text-gray-300 mb-1 block">2. Choose CSV File</label>
+                                <input type="file" ref={fileInputRef} onChange={handleFileChange} style={{ display: 'none' }} accept=".csv" />
+                                <button
+                                    onClick={() => fileInputRef.current.click()}
+                                    disabled={!selectedHumidor}
+                                    className="btn btn-primary w-full flex items-center justify-center gap-2 font-bold py-3 rounded-md hover:btn-primary/10 transition-colors">
+                                    {isProcessing ? <LoaderCircle className="w-5 h-5 animate-spin" /> : <Upload className="w-5 h-5" />}
+                                    {fileName || 'Choose CSV File'}
+                                </button>
+                                {humidors.length === 0 && (<p className="text-xs text-error mt-1">Add a humidor before importing readings.</p>)}
+                            </div>
+                        </div>
+                    </>
+                );
+            case 'mapFields':
+                return (
+                    <>
+                        <div className="flex justify-between items-center mb-4">
+                            <h3 className="text-xl font-bold text-amber-400">Map CSV Columns</h3>
+                            <button onClick={onClose} className="text-gray-400 hover:text-white"><X /></button>
+                        </div>
+                        <div className="mb-4 p-2 bg-blue-900/20 border border-blue-800 rounded-lg">
+                            <p className="text-blue-300 text-sm">
+                                📄 <span className="font-semibold">{fileName}</span> - {csvRows.length} row{csvRows.length !== 1 ? 's' : ''}
+                            </p>
+                        </div>
+
+                        <div className="space-y-3 max-h-80 overflow-y-auto pr-2">
+                            {READING_FIELDS.map(field => (
+                                <div key={field.key} className="grid grid-cols-2 gap-4 items-center">
+                                    <label className="text-sm font-medium text-gray-200 text-right">{field.label}*</label>
+                                    <select
+                                        value={fieldMapping[field.key] || 'none'} onChange={(e) => handleMappingChange(field.key, e.target.value)}
+                                        className="select select-primary select-md w-full rounded-md py-2 px-3">
+                                        <option value="none">-- Select column --</option>
+                                        {csvHeaders.map(header => <option key={header} value={header}>{header}</option>)}
+                                    </select>
+                                </div>
+                            ))}
+                            <div className="grid grid-cols-2 gap-4 items-center">
+                                <label className="text-sm font-medium text-gray-200 text-right">Temperature Unit</label>
+                                <select value={unit} onChange={(e) => setUnit(e.target.value)} className="select select-primary select-md w-full rounded-md py-2 px-3">
+                                    <option value="F">°F</option>
+                                    <option value="C">°C</option>
+                                </select>
+                            </div>
+                            <div className="grid grid-cols-2 gap-4 items-center">
+                                <label className="text-sm font-medium text-gray-200 text-right">Timezone</label>
+                                {zoneIncluded ? (
+                                    <p className="text-sm text-gray-400">Included in timestamps</p>
+                                ) : (
+                                    <select value={timeZone} onChange={(e) => setTimeZone(e.target.value)} className="select select-primary select-md w-full rounded-md py-2 px-3">
+                                        {timeZones.map(zone => <option key={zone} value={zone}>{zone}</option>)}
+                                    </select>
+                                )}
+                            </div>
+                        </div>
+
+                        {parsed && (
+                            <div className="mt-4 text-sm text-gray-300 space-y-1">
+                                <p>{parsed.readings.length} reading{parsed.readings.length !== 1 ? 's' : ''} ready to import
+                                    {parsed.readings.length > 0 && ` (${new Date(parsed.readings[0].timestamp).toLocaleString()} – ${new Date(parsed.readings[parsed.readings.length - 1].timestamp).toLocaleString()})`}.</p>
+                                {parsed.duplicateCount > 0 && (<p className="text-gray-400">{parsed.duplicateCount} repeated timestamp{parsed.duplicateCount !== 1 ? 's' : ''} will be skipped.</p>)}
+                                {parsed.invalidCount > 0 && (<p className="text-warning">{parsed.invalidCount} row{parsed.invalidCount !== 1 ? 's' : ''} couldn't be read and will be skipped.</p>)}
+                            </div>
+                        )}
+
+                        <div className="flex justify-between gap-3 pt-4 mt-4 border-t border-gray-700">
+                            <button
+                                onClick={handleReset}
+                                className="btn btn-primary font-bold py-2 px-4 rounded-md  w-1/2 hover:bg-gray-500 transition-colors">Back</button>
+                            <button
+                                onClick={handleImport}
+                                disabled={!parsed?.readings.length}
+                                className="btn btn-secondary font-bold py-2 px-4 rounded-md  w-1/2 hover:bg-amber-600 transition-colors disabled:bg-gray-500 disabled:cursor-not-allowed">Import</button>
+                        </div>
+                    </>
+                );
+            case 'importing':
+                return (
+                    <div className="flex flex-col items-center justify-center h-48">
+                        <LoaderCircle className="w-12 h-12 text-amber-500 animate-spin" />
+                        <p className="mt-4 text-gray-300">Importing readings... {progress.written > 0 && `${progress.written} written`}</p>
+                    </div>
+                );
+            case 'complete':
+                return (
+                    <div className="bg-amber-900/20 border border-amber-800 rounded-md p-6 text-center">
+                        <h3 className="font-bold text-amber-300 text-xl flex items-center justify-center mb-3">
+                            <Wind className="w-5 h-5 mr-2" /> Import Complete!
+                        </h3>
+                        <p className="text-amber-200 text-sm mb-6">
+                            Imported {result.imported} reading{result.imported !== 1 ? 's' : ''}.
+                            {result.skipped > 0 && <><br />{result.skipped} duplicate{result.skipped !== 1 ? 's' : ''} skipped.</>}
+                            {result.invalid > 0 && <><br />{result.invalid} unreadable row{result.invalid !== 1 ? 's' : ''} skipped.</>}
+                        </p>
+                        <div className="space-y-3">
+                            <button
+                                onClick={handleReset}
+                                className="w-full flex items-center justify-center gap-2 bg-blue-600/80 text-white font-bold py-3 rounded-lg hover:bg-blue-700 transition-colors"
+                            >
+                                <UploadCloud className="w-5 h-5" /> Import Another File
+                            </button>
+                            <button
+                                onClick={() => {
+                                    navigate('MyHumidor', { humidorId: selectedHumidor });
+                                    onClose();
+                                }}
+                                className="w-full bg-amber-500 text-white font-bold py-3 rounded-lg hover:bg-amber-600 transition-colors"
+                            >
+                                Finish & Close
+                            </button>
+                        </div>
+                    </div>
+                );
+            default: return null;
+        }
+    };
+
+    return (
+        <div className="fixed inset-0 bg-black/60 flex items-center justify-center p-4 z-[100]" onClick={step !== 'importing' ? onClose : undefined}>
+            <div className="bg-gray-800 rounded-2xl p-6 w-full max-w-lg flex flex-col" onClick={e => e.stopPropagation()}>
+                {renderContent()}
+            </div>
+        </div>
+    );
+};
+
+export default ImportReadingsModal;
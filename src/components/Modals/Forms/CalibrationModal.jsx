@@ -0,0 +1,233 @@
+/**
+ * CalibrationModal - Records hygrometer calibrations for a humidor and manages the active offset
+ *
+ * A salt test or Boveda 75% kit holds the hygrometer at a known 75% RH; the difference between that and what
+ * the hygrometer shows becomes the offset added to every later reading. Past calibrations are listed so an
+ * earlier one can be made active again, or correction turned off.
+ *
+ * @param {Object} props - Component props
+ * @param {Object} props.humidor - Humidor whose hygrometer is calibrated
+ * @param {Object} props.db - Firebase Firestore database instance
+ * @param {string} props.appId - Application identifier for Firestore paths
+ * @param {string} props.userId - Current user's unique identifier
+ * @param {Function} props.onClose - Function to call when the modal should be closed
+ */
+import React, { useState } from 'react';
+import { X, Droplets, LoaderCircle, Target } from 'lucide-react';
+import { useHumidorCalibrations } from '../../../hooks/useHumidorCalibrations';
+import {
+    CALIBRATION_METHODS,
+    computeHumidityOffset,
+    getCalibrationMethod,
+    recordCalibration,
+    setActiveCalibration
+} from '../../../services/calibrationService';
+import { getSensorProvider } from '../../../services/sensors';
+import { getHumidorSensor } from '../../../utils/sensorUtils';
+
+const METHOD_INSTRUCTIONS = {
+    salt: 'Seal the hygrometer in a bag with a damp table-salt slurry for 8–12 hours, then note the reading.',
+    boveda75: 'Seal the hygrometer in the bag with the Boveda 75% pack for 24 hours, then note the reading.'
+};
+
+const formatOffset = (offset) => `${offset > 0 ? '+' : ''}${Number(offset).toFixed(1)}%`;
+
+const getDefaultInstrument = (humidor) => {
+    const sensor = getHumidorSensor(humidor);
+    return sensor ? `${getSensorProvider(sensor.provider)?.name || sensor.provider} sensor` : 'Manual hygrometer';
+};
+
+const CalibrationModal = ({ humidor, db, appId, userId, onClose }) => {
+    const { calibrations, isLoading } = useHumidorCalibrations(db, appId, userId, humidor.id);
+    const [method, setMethod] = useState(CALIBRATION_METHODS.SALT.id);
+    const [measuredHumidity, setMeasuredHumidity] = useState('');
+    const [performedOn, setPerformedOn] = useState(new Date().toISOString().slice(0, 10));
+    const [instrument, setInstrument] = useState(() => getDefaultInstrument(humidor));
+    const [notes, setNotes] = useState('');
+    const [activate, setActivate] = useState(true);
+    const [isSaving, setIsSaving] = useState(false);
+    const [error, setError] = useState('');
+
+    const activeCalibration = humidor.calibration || null;
+    const calibrationMethod = getCalibrationMethod(method);
+    const measured = parseFloat(measuredHumidity);
+    const isMeasuredValid = !isNaN(measured) && measured > 0 && measured <= 100;
+    const offsetPreview = isMeasuredValid ? computeHumidityOffset(calibrationMethod.referenceHumidity, measured) : null;
+
+    const handleSave = async () => {
+        if (!isMeasuredValid) return;
+        setIsSaving(true);
+        setError('');
+        try {
+            // A date-only entry is taken as noon local time so it never shifts a day in other timezones
+            await recordCalibration(db, appId, userId, humidor.id, {
+                method,
+                measuredHumidity: measured,
+                performedAt: new Date(`${performedOn}T12:00:00`).toISOString(),
+                instrument: instrument.trim(),
+                notes: notes.trim(),
+                activate
+            });
+            setMeasuredHumidity('');
+            setNotes('');
+        } catch (err) {
+            console.error('CalibrationModal: Failed to record calibration:', err);
+            setError(err.message);
+        } finally {
+            setIsSaving(false);
+        }
+    };
+
+    const handleSetActive = async (calibration) => {
+        try {
+            await setActiveCalibration(db, appId, userId, humidor.id, calibration);
+        } catch (err) {
+            console.error('CalibrationModal: Failed to update active calibration:', err);
+            setError(err.message);
+        }
+    };
+
+    return (
+        <div className="fixed inset-0 bg-black/60 flex items-center justify-center p-4 z-[100]" onClick={onClose}>
+            <div className="bg-gray-800 rounded-2xl p-6 w-full max-w-md max-h-[90vh] overflow-y-auto" onClick={e => e.stopPropagation()}>
+                <div className="flex justify-between items-center mb-4">
+                    <h3 className="text-xl font-bold text-amber-400 flex items-center"><Target className="w-5 h-5 mr-2" /> Calibrate Hygrometer</h3>
+                    <button onClick={onClose} className="text-gray-400 hover:text-white">
+                        <X className="w-6 h-6" />
+                    </button>
+                </div>
+
+                <div className="p-3 rounded-lg bg-gray-700/50 mb-4 text-sm">
+                    {activeCalibration ? (
+                        <div className="flex justify-between items-center gap-2">
+                            <p className="text-gray-200">
+                                Active offset <span className="font-bold text-amber-300">{formatOffset(activeCalibration.humidityOffset)}</span>
+                                <span className="text-gray-400"> · {getCalibrationMethod(activeCalibration.method)?.label}, {new Date(activeCalibration.performedAt).toLocaleDateString()}</span>
+                            </p>
+                            <button onClick={() => handleSetActive(null)} className="btn btn-ghost btn-xs text-gray-300">Turn off</button>
+                        </div>
+                    ) : (
+                        <p className="text-gray-400">No active calibration. Readings are stored as measured.</p>
+                    )}
+                </div>
+
+                <div className="space-y-4">
+                    <div>
+                        <label className="block text-gray-300 text-sm font-medium mb-2">Method</label>
+                        <select value={method} onChange={(e) => setMethod(e.target.value)} className="select select-bordered w-full">
+                            {Object.values(CALIBRATION_METHODS).map(m => <option key={m.id} value={m.id}>{m.label} ({m.referenceHumidity}%)</option>)}
+                        </select>
+                        <p className="text-xs text-gray-400 mt-1">{METHOD_INSTRUCTIONS[method]}</p>
+                    </div>
+
+                    <div className="grid grid-cols-2 gap-3">
+                        <div>
+                            <label className="block text-gray-300 text-sm font-medium mb-2">
+                                <Droplets className="w-4 h-4 inline mr-2" />
+                                Hygrometer Read (%)
+                            </label>
+                            <input
+                                type="number"
+                                value={measuredHumidity}
+                                onChange={(e) => setMeasuredHumidity(e.target.value)}
+                                className="w-full bg-gray-700 border border-gray-600 rounded-lg py-2 px-3 text-white focus:outline-none focus:border-amber-500"
+                                placeholder="e.g. 72"
+                                min="0"
+                                max="100"
+                                step="0.1"
+                            />
+                        </div>
+                        <div>
+                            <label className="block text-gray-300 text-sm font-medium mb-2">Date</label>
+                            <input
+                                type="date"
+                                value={performedOn}
+                                max={new Date().toISOString().slice(0, 10)}
+                                onChange={(e) => setPerformedOn(e.target.value)}
+                                className="w-full bg-gray-700 border border-gray-600 rounded-lg py-2 px-3 text-white focus:outline-none focus:border-amber-500"
+                            />
+                        </div>
+                    </div>
+
+                    <div>
+                        <label className="block text-gray-300 text-sm font-medium mb-2">Hygrometer</label>
+                        <input
+                            type="text"
+                            value={instrument}
+                            onChange={(e) => setInstrument(e.target.value)}
+                            className="w-full bg-gray-700 border border-gray-600 rounded-lg py-2 px-3 text-white focus:outline-none focus:border-amber-500"
+                        />
+                    </div>
+
+                    <div>
+                        <label className="block text-gray-300 text-sm font-medium mb-2">Notes</label>
+                        <input
+                            type="text"
+                            value={notes}
+                            onChange={(e) => setNotes(e.target.value)}
+                            className="w-full bg-gray-700 border border-gray-600 rounded-lg py-2 px-3 text-white focus:outline-none focus:border-amber-500"
+                            placeholder="Optional"
+                        />
+                    </div>
+
+                    {offsetPreview !== null && (
+                        <p className="text-sm text-gray-200">
+                            Offset: <span className="font-bold text-amber-300">{formatOffset(offsetPreview)}</span>
+                            {offsetPreview === 0 && <span className="text-gray-400"> (hygrometer is accurate)</span>}
+                        </p>
+                    )}
+
+                    <label className="flex items-center gap-2 text-sm text-gray-300">
+                        <input type="checkbox" checked={activate} onChange={() => setActivate(!activate)} className="checkbox checkbox-primary checkbox-sm" />
+                        Apply this offset to new readings
+                    </label>
+
+                    {error && (<p className="text-sm text-error">{error}</p>)}
+
+                    <button
+                        onClick={handleSave}
+                        disabled={!isMeasuredValid || isSaving}
+                        className="w-full bg-amber-500 text-white font-bold py-2 px-4 rounded-lg hover:bg-amber-600 transition-colors disabled:bg-gray-500 disabled:cursor-not-allowed flex items-center justify-center gap-2"
+                    >
+                        {isSaving && <LoaderCircle className="w-4 h-4 animate-spin" />}
+                        Save Calibration
+                    </button>
+                </div>
+
+                <div className="mt-6">
+                    <h4 className="text-sm font-semibold text-gray-300 mb-2">History</h4>
+                    {isLoading ? (
+                        <p className="text-xs text-gray-400">Loading...</p>
+                    ) : calibrations.length === 0 ? (
+                        <p className="text-xs text-gray-400">No calibrations recorded yet.</p>
+                    ) : (
+                        <ul className="space-y-2">
+                            {calibrations.map(c => (
+                                <li key={c.id} className="flex justify-between items-center gap-2 text-xs text-gray-300 border-b border-gray-700 pb-2">
+                                    <div>
+                                        <p>
+                                            <span className="font-semibold">{new Date(c.performedAt).toLocaleDateString()}</span>
+                                            {' · '}{getCalibrationMethod(c.method)?.label || c.method}
+                                        </p>
+                                        <p className="text-gray-400">
+                                            Read {c.measuredHumidity}% vs {c.referenceHumidity}% → {formatOffset(c.humidityOffset)}
+                                            {c.instrument && ` · ${c.instrument}`}
+                                        </p>
+                                        {c.notes && <p className="text-gray-400 italic">{c.notes}</p>}
+                                    </div>
+                                    {activeCalibration?.id === c.id ? (
+                                        <span className="badge badge-success badge-sm">Active</span>
+                                    ) : (
+                                        <button onClick={() => handleSetActive(c)} className="btn btn-ghost btn-xs">Use</button>
+                                    )}
+                                </li>
+                            ))}
+                        </ul>
+                    )}
+                </div>
+            </div>
+        </div>
+    );
+};
+
+export default CalibrationModal;
@@ -0,0 +1,109 @@
+/**
+ * FreezeProtocolModal - Starts the beetle-prevention freeze protocol for selected cigars
+ *
+ * Lists the cigars going in, lets the time spent in each stage be adjusted, and starts the batch. Cigars that
+ * are already part of an active freeze are left out.
+ *
+ * @param {Object} props - Component props
+ * @param {Array} props.cigars - Selected cigars
+ * @param {string} props.humidorId - Humidor the cigars come from
+ * @param {Object} props.db - Firebase Firestore database instance
+ * @param {string} props.appId - Application identifier for Firestore paths
+ * @param {string} props.userId - Current user's unique identifier
+ * @param {Function} props.onClose - Function to call when the modal should be closed
+ * @param {Function} props.onStarted - Function to call once the batch has started
+ */
+import React, { useState } from 'react';
+import { X, Snowflake, LoaderCircle } from 'lucide-react';
+import { FREEZE_STAGES, FREEZE_STAGE_HOURS_RANGE } from '../../../constants/freezeProtocol';
+import { startFreezeBatch } from '../../../services/freezeService';
+
+const FreezeProtocolModal = ({ cigars, humidorId, db, appId, userId, onClose, onStarted }) => {
+    const [stageHours, setStageHours] = useState(() => Object.fromEntries(FREEZE_STAGES.map(s => [s.id, String(s.defaultHours)])));
+    const [notes, setNotes] = useState('');
+    const [isSaving, setIsSaving] = useState(false);
+    const [error, setError] = useState('');
+
+    const available = cigars.filter(c => !c.freezeStatus);
+    const alreadyFreezing = cigars.length - available.length;
+
+    const handleStart = async () => {
+        setIsSaving(true);
+        setError('');
+        try {
+            await startFreezeBatch(db, appId, userId, { cigars: available, humidorId, stageHours, notes: notes.trim() });
+            onStarted();
+        } catch (err) {
+            console.error('FreezeProtocolModal: Failed to start freeze:', err);
+            setError(err.message);
+            setIsSaving(false);
+        }
+    };
+
+    return (
+        <div className="fixed inset-0 bg-black/60 flex items-center justify-center p-4 z-[100]" onClick={!isSaving ? onClose : undefined}>
+            <div className="bg-gray-800 rounded-2xl p-6 w-full max-w-md max-h-[90vh] overflow-y-auto" onClick={e => e.stopPropagation()}>
+                <div className="flex justify-between items-center mb-4">
+                    <h3 className="text-xl font-bold text-amber-400 flex items-center"><Snowflake className="w-5 h-5 mr-2" /> Freeze Protocol</h3>
+                    <button onClick={onClose} className="text-gray-400 hover:text-white">
+                        <X className="w-6 h-6" />
+                    </button>
+                </div>
+
+                <p className="text-sm text-gray-300 mb-2">Going into the freezer ({available.length}):</p>
+                <ul className="text-sm text-gray-200 mb-2 max-h-32 overflow-y-auto list-disc list-inside">
+                    {available.map(c => <li key={c.id}>{c.brand} {c.name}{c.quantity > 1 ? ` ×${c.quantity}` : ''}</li>)}
+                </ul>
+                {alreadyFreezing > 0 && (
+                    <p className="text-xs text-warning mb-2">{alreadyFreezing} selected cigar{alreadyFreezing === 1 ? ' is' : 's are'} already being frozen and will be left out.</p>
+                )}
+
+                <div className="space-y-2 my-4">
+                    {FREEZE_STAGES.map((stage, i) => (
+                        <div key={stage.id} className="flex items-center justify-between gap-3">
+                            <label htmlFor={`freezeStage_${stage.id}`} className="text-sm text-gray-300">{i + 1}. {stage.label}</label>
+                            <div className="flex items-center gap-2">
+                                <input
+                                    id={`freezeStage_${stage.id}`}
+                                    type="number"
+                                    min={FREEZE_STAGE_HOURS_RANGE.min}
+                                    max={FREEZE_STAGE_HOURS_RANGE.max}
+                                    value={stageHours[stage.id]}
+                                    onChange={(e) => setStageHours(prev => ({ ...prev, [stage.id]: e.target.value }))}
+                                    className="w-20 bg-gray-700 border border-gray-600 rounded-lg py-1 px-2 text-white text-sm focus:outline-none focus:border-amber-500"
+                                />
+                                <span className="text-xs text-gray-400">hours</span>
+                            </div>
+                        </div>
+                    ))}
+                </div>
+
+                <input
+                    type="text"
+                    value={notes}
+                    onChange={(e) => setNotes(e.target.value)}
+                    className="w-full bg-gray-700 border border-gray-600 rounded-lg py-2 px-3 text-white text-sm focus:outline-none focus:border-amber-500 mb-2"
+                    placeholder="Notes, e.g. box code (optional)"
+                />
+                <p className="text-xs text-gray-400 mb-4">{FREEZE_STAGES[0].instruction} You'll get a reminder when it's time for each next stage.</p>
+                {error && (<p className="text-sm text-error mb-2">{error}</p>)}
+
+                <div className="flex gap-3">
+                    <button onClick={onClose} disabled={isSaving} className="flex-1 bg-gray-600 text-white font-bold py-2 px-4 rounded-lg hover:bg-gray-500 transition-colors">
+                        Cancel
+                    </button>
+                    <button
+                        onClick={handleStart}
+                        disabled={isSaving || available.length === 0}
+                        className="flex-1 flex items-center justify-center gap-2 bg-amber-500 text-white font-bold py-2 px-4 rounded-lg hover:bg-amber-600 disabled:opacity-50 disabled:cursor-not-allowed transition-colors"
+                    >
+                        {isSaving && <LoaderCircle className="w-4 h-4 animate-spin" />}
+                        Start
+                    </button>
+                </div>
+            </div>
+        </div>
+    );
+};
+
+export default FreezeProtocolModal;
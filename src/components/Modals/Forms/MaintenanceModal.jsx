@@ -0,0 +1,124 @@
+/**
+ * MaintenanceModal - Shows a humidor's humidification devices and logs their maintenance
+ *
+ * Each device shows when it is next due for a replacement or refill; logging one restarts its interval and
+ * clears the reminder. The maintenance history is listed below, newest first.
+ *
+ * @param {Object} props - Component props
+ * @param {Object} props.humidor - Humidor whose humidification is maintained
+ * @param {Object} props.db - Firebase Firestore database instance
+ * @param {string} props.appId - Application identifier for Firestore paths
+ * @param {string} props.userId - Current user's unique identifier
+ * @param {Function} props.onClose - Function to call when the modal should be closed
+ * @param {Function} props.onManageDevices - Function to open the humidor editor to add or remove devices
+ */
+import React, { useState } from 'react';
+import { X, Droplets, LoaderCircle } from 'lucide-react';
+import { useMaintenanceEvents } from '../../../hooks/useMaintenanceEvents';
+import { MAINTENANCE_EVENT_TYPES } from '../../../constants/humidificationTypes';
+import { getDaysUntilDue, getHumidificationType, logMaintenanceEvent } from '../../../services/humidificationService';
+
+const getEventLabel = (type) => Object.values(MAINTENANCE_EVENT_TYPES).find(t => t.id === type)?.label || type;
+
+const getDueLabel = (days) => {
+    if (days < 0) return { text: `Overdue by ${-days} day${days === -1 ? '' : 's'}`, className: 'text-error' };
+    if (days === 0) return { text: 'Due today', className: 'text-warning' };
+    if (days <= 7) return { text: `Due in ${days} day${days === 1 ? '' : 's'}`, className: 'text-warning' };
+    return { text: `Due in ${days} days`, className: 'text-gray-400' };
+};
+
+const MaintenanceModal = ({ humidor, db, appId, userId, onClose, onManageDevices }) => {
+    const { events, isLoading } = useMaintenanceEvents(db, appId, userId, humidor.id);
+    const [notes, setNotes] = useState('');
+    const [savingDeviceId, setSavingDeviceId] = useState(null);
+    const [error, setError] = useState('');
+
+    const devices = humidor.humidification || [];
+
+    const handleLog = async (device) => {
+        const type = getHumidificationType(device.type)?.serviceAction || MAINTENANCE_EVENT_TYPES.REFILL.id;
+        setSavingDeviceId(device.id);
+        setError('');
+        try {
+            await logMaintenanceEvent(db, appId, userId, humidor, { deviceId: device.id, type, notes: notes.trim() });
+            setNotes('');
+        } catch (err) {
+            console.error('MaintenanceModal: Failed to log maintenance:', err);
+            setError(err.message);
+        } finally {
+            setSavingDeviceId(null);
+        }
+    };
+
+    return (
+        <div className="fixed inset-0 bg-black/60 flex items-center justify-center p-4 z-[100]" onClick={onClose}>
+            <div className="bg-gray-800 rounded-2xl p-6 w-full max-w-md max-h-[90vh] overflow-y-auto" onClick={e => e.stopPropagation()}>
+                <div className="flex justify-between items-center mb-4">
+                    <h3 className="text-xl font-bold text-amber-400 flex items-center"><Droplets className="w-5 h-5 mr-2" /> Humidification</h3>
+                    <button onClick={onClose} className="text-gray-400 hover:text-white">
+                        <X className="w-6 h-6" />
+                    </button>
+                </div>
+
+                {devices.length === 0 ? (
+                    <p className="text-sm text-gray-400 mb-4">No humidification devices recorded for this humidor yet.</p>
+                ) : (
+                    <>
+                        <ul className="space-y-2 mb-3">
+                            {devices.map(device => {
+                                const due = getDueLabel(getDaysUntilDue(device));
+                                const isReplace = getHumidificationType(device.type)?.serviceAction === 'replace';
+                                return (
+                                    <li key={device.id} className="flex justify-between items-center gap-2 p-3 rounded-lg bg-gray-700/50 text-sm">
+                                        <div>
+                                            <p className="font-semibold text-gray-200">
+                                                {device.name}{device.count > 1 ? ` ×${device.count}` : ''}{device.rh ? ` · ${device.rh}%` : ''}
+                                            </p>
+                                            <p className={`text-xs ${due.className}`}>{due.text}</p>
+                                        </div>
+                                        <button onClick={() => handleLog(device)} disabled={!!savingDeviceId} className="btn btn-primary btn-xs">
+                                            {savingDeviceId === device.id && <LoaderCircle className="w-3 h-3 animate-spin" />}
+                                            {isReplace ? 'Replaced' : 'Refilled'}
+                                        </button>
+                                    </li>
+                                );
+                            })}
+                        </ul>
+                        <input
+                            type="text"
+                            value={notes}
+                            onChange={(e) => setNotes(e.target.value)}
+                            className="w-full bg-gray-700 border border-gray-600 rounded-lg py-2 px-3 text-white text-sm focus:outline-none focus:border-amber-500 mb-2"
+                            placeholder="Notes for the next entry (optional)"
+                        />
+                    </>
+                )}
+                {error && (<p className="text-sm text-error mb-2">{error}</p>)}
+                <button onClick={onManageDevices} className="btn btn-ghost btn-sm w-full text-gray-300">Add or remove devices</button>
+
+                <div className="mt-6">
+                    <h4 className="text-sm font-semibold text-gray-300 mb-2">History</h4>
+                    {isLoading ? (
+                        <p className="text-xs text-gray-400">Loading...</p>
+                    ) : events.length === 0 ? (
+                        <p className="text-xs text-gray-400">No maintenance logged yet.</p>
+                    ) : (
+                        <ul className="space-y-2">
+                            {[...events].reverse().map(event => (
+                                <li key={event.id} className="text-xs text-gray-300 border-b border-gray-700 pb-2">
+                                    <p>
+                                        <span className="font-semibold">{new Date(event.performedAt).toLocaleDateString()}</span>
+                                        {' · '}{event.deviceName} {getEventLabel(event.type).toLowerCase()}
+                                    </p>
+                                    {event.notes && <p className="text-gray-400 italic">{event.notes}</p>}
+                                </li>
+                            ))}
+                        </ul>
+                    )}
+                </div>
+            </div>
+        </div>
+    );
+};
+
+export default MaintenanceModal;
@@ -6,11 +6,12 @@
  * @param {Function} props.onSave - Function to call when saving the reading with (temp, humidity) parameters
  * @param {number} props.initialTemp - Initial temperature value
  * @param {number} props.initialHumidity - Initial humidity value
+ * @param {number} [props.humidityOffset] - Active calibration offset, applied when the reading is saved
  */
 import React, { useState } from 'react';
 import { X, Thermometer, Droplets } from 'lucide-react';
 
-const ManualReadingModal = ({ isOpen, onClose, onSave, initialTemp, initialHumidity }) => {
+const ManualReadingModal = ({ isOpen, onClose, onSave, initialTemp, initialHumidity, humidityOffset }) => {
     const [temp, setTemp] = useState(initialTemp);
     const [humidity, setHumidity] = useState(initialHumidity);
 
@@ -62,6 +63,11 @@ const ManualReadingModal = ({ isOpen, onClose, onSave, initialTemp, initialHumid
                             min="0"
                             max="100"
                         />
+                        {humidityOffset ? (
+                            <p className="text-xs text-gray-400 mt-1">
+                                Enter what your hygrometer shows; its calibration offset ({humidityOffset > 0 ? '+' : ''}{humidityOffset}%) is applied when saved.
+                            </p>
+                        ) : null}
                     </div>
                 </div>
                 
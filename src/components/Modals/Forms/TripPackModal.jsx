@@ -0,0 +1,132 @@
+/**
+ * TripPackModal - Packs a travel humidor for a trip
+ *
+ * Names the trip, sets its dates and checks cigars out of the home humidors into the travel humidor. Each packed
+ * cigar remembers the humidor and section it came from so it can go straight back when the trip ends. Cigars
+ * that are being frozen or are already on a trip can't be packed.
+ *
+ * @param {Object} props - Component props
+ * @param {Object} props.travelHumidor - Travel humidor being packed
+ * @param {Array} props.humidors - All humidors
+ * @param {Array} props.cigars - All cigars
+ * @param {Object} props.db - Firebase Firestore database instance
+ * @param {string} props.appId - Application identifier for Firestore paths
+ * @param {string} props.userId - Current user's unique identifier
+ * @param {Function} props.onClose - Function to call when the modal should be closed
+ */
+import React, { useState } from 'react';
+import { X, Luggage, LoaderCircle, AlertTriangle } from 'lucide-react';
+import { isTravelHumidor, startTrip } from '../../../services/tripService';
+import { getHumidorUtilization } from '../../../utils/capacityUtils';
+
+const TripPackModal = ({ travelHumidor, humidors, cigars, db, appId, userId, onClose }) => {
+    const [name, setName] = useState('');
+    const [startDate, setStartDate] = useState(new Date().toISOString().slice(0, 10));
+    const [endDate, setEndDate] = useState('');
+    const [selectedIds, setSelectedIds] = useState([]);
+    const [isSaving, setIsSaving] = useState(false);
+    const [error, setError] = useState('');
+
+    const homeHumidors = humidors
+        .filter(h => !isTravelHumidor(h))
+        .map(humidor => ({
+            humidor,
+            cigars: cigars.filter(c => c.humidorId === humidor.id && c.quantity > 0 && !c.freezeStatus && !c.trip)
+        }))
+        .filter(group => group.cigars.length > 0);
+
+    const selected = cigars.filter(c => selectedIds.includes(c.id));
+    const packedCount = selected.reduce((sum, c) => sum + (c.quantity || 0), 0);
+    const after = getHumidorUtilization(travelHumidor, cigars, packedCount);
+
+    const toggle = (cigarId) => setSelectedIds(prev => prev.includes(cigarId) ? prev.filter(id => id !== cigarId) : [...prev, cigarId]);
+
+    const handleStart = async () => {
+        setIsSaving(true);
+        setError('');
+        try {
+            await startTrip(db, appId, userId, { travelHumidorId: travelHumidor.id, name, startDate, endDate, cigars: selected, humidors });
+            onClose();
+        } catch (err) {
+            console.error('TripPackModal: Failed to start trip:', err);
+            setError(err.message);
+            setIsSaving(false);
+        }
+    };
+
+    return (
+        <div className="fixed inset-0 bg-black/60 flex items-center justify-center p-4 z-[100]" onClick={!isSaving ? onClose : undefined}>
+            <div className="bg-gray-800 rounded-2xl p-6 w-full max-w-md max-h-[90vh] overflow-y-auto" onClick={e => e.stopPropagation()}>
+                <div className="flex justify-between items-center mb-4">
+                    <h3 className="text-xl font-bold text-amber-400 flex items-center"><Luggage className="w-5 h-5 mr-2" /> Pack for a Trip</h3>
+                    <button onClick={onClose} className="text-gray-400 hover:text-white">
+                        <X className="w-6 h-6" />
+                    </button>
+                </div>
+
+                <input
+                    type="text"
+                    value={name}
+                    onChange={(e) => setName(e.target.value)}
+                    className="w-full bg-gray-700 border border-gray-600 rounded-lg py-2 px-3 text-white focus:outline-none focus:border-amber-500 mb-3"
+                    placeholder="Trip name, e.g. Vegas weekend"
+                />
+                <div className="grid grid-cols-2 gap-3 mb-4">
+                    <label className="text-sm text-gray-300">
+                        Leaving
+                        <input type="date" value={startDate} onChange={(e) => setStartDate(e.target.value)} className="w-full mt-1 bg-gray-700 border border-gray-600 rounded-lg py-2 px-3 text-white focus:outline-none focus:border-amber-500" />
+                    </label>
+                    <label className="text-sm text-gray-300">
+                        Back
+                        <input type="date" value={endDate} min={startDate} onChange={(e) => setEndDate(e.target.value)} className="w-full mt-1 bg-gray-700 border border-gray-600 rounded-lg py-2 px-3 text-white focus:outline-none focus:border-amber-500" />
+                    </label>
+                </div>
+
+                <p className="text-sm text-gray-300 mb-2">Cigars to pack into {travelHumidor.name}:</p>
+                {homeHumidors.length === 0 ? (
+                    <p className="text-sm text-gray-400 mb-4">No cigars available in your other humidors.</p>
+                ) : (
+                    <div className="space-y-3 mb-4 max-h-64 overflow-y-auto">
+                        {homeHumidors.map(({ humidor, cigars: humidorCigars }) => (
+                            <div key={humidor.id}>
+                                <p className="text-xs uppercase text-gray-400 mb-1">{humidor.name}</p>
+                                {humidorCigars.map(cigar => (
+                                    <label key={cigar.id} className="flex items-center gap-2 py-1 text-sm text-gray-200 cursor-pointer">
+                                        <input type="checkbox" className="checkbox checkbox-sm checkbox-primary" checked={selectedIds.includes(cigar.id)} onChange={() => toggle(cigar.id)} />
+                                        <span className="flex-1">{cigar.brand} {cigar.name}</span>
+                                        <span className="text-gray-400">×{cigar.quantity}</span>
+                                    </label>
+                                ))}
+                            </div>
+                        ))}
+                    </div>
+                )}
+
+                {after.status === 'over' && (
+                    <p className="flex items-start gap-2 text-xs text-warning mb-2">
+                        <AlertTriangle className="w-4 h-4 flex-shrink-0" />
+                        {travelHumidor.name} holds {after.capacity}; this would put {after.count} in it.
+                    </p>
+                )}
+                <p className="text-xs text-gray-400 mb-4">Whole records are packed ({packedCount} cigar{packedCount === 1 ? '' : 's'}). Ending the trip sends what's left back to its humidor and shelf.</p>
+                {error && (<p className="text-sm text-error mb-2">{error}</p>)}
+
+                <div className="flex gap-3">
+                    <button onClick={onClose} disabled={isSaving} className="flex-1 bg-gray-600 text-white font-bold py-2 px-4 rounded-lg hover:bg-gray-500 transition-colors">
+                        Cancel
+                    </button>
+                    <button
+                        onClick={handleStart}
+                        disabled={isSaving || selected.length === 0 || !name.trim()}
+                        className="flex-1 flex items-center justify-center gap-2 bg-amber-500 text-white font-bold py-2 px-4 rounded-lg hover:bg-amber-600 disabled:opacity-50 disabled:cursor-not-allowed transition-colors"
+                    >
+                        {isSaving && <LoaderCircle className="w-4 h-4 animate-spin" />}
+                        Start Trip
+                    </button>
+                </div>
+            </div>
+        </div>
+    );
+};
+
+export default TripPackModal;
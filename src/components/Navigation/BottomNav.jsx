@@ -10,18 +10,20 @@
  *
  * Provides a fixed, theme-aware bottom navigation bar for the main app screens. 
  * Features tab-based navigation between Dashboard, Humidors, Journal, Alerts, and 
- * Settings, with active state highlighting and icon support.
+ * Settings, with active state highlighting and icon support. The Alerts tab carries
+ * a badge with the number of unread notifications.
  *
  * @param {Object} props - Component props
  * @param {string} props.activeScreen - Currently active screen name
  * @param {Function} props.navigate - Function to handle navigation
+ * @param {number} props.unreadCount - Number of unread notifications
  * @param {Object} props.theme - Theme object for styling
  *
  */
 import React from 'react';
 import { BarChart2, Box, BookText, Bell, Settings as SettingsIcon } from 'lucide-react';
 
-const BottomNav = ({ activeScreen, navigate }) => {
+const BottomNav = ({ activeScreen, navigate, unreadCount = 0 }) => {
     const navItems = [
         { name: 'Dashboard', icon: BarChart2 },
         { name: 'HumidorsScreen', icon: Box },
@@ -36,12 +38,17 @@ const BottomNav = ({ activeScreen, navigate }) => {
                 <button
                     key={name}
                     onClick={() => navigate(name)}
-                    className="flex flex-col items-center py-2 px-3 transition-colors text-gray-400 hover:text-white}"
+                    className="relative flex flex-col items-center py-2 px-3 transition-colors text-gray-400 hover:text-white}"
                 >
                     <Icon className={`w-6 h-6 mb-1 transition-colors ${activeScreen === name
                         ? "bg-amber-500"
                         : ''
                         }`} />
+                    {name === 'Alerts' && unreadCount > 0 && (
+                        <span className="badge badge-error badge-xs absolute top-1 right-1 px-1">
+                            {unreadCount > 99 ? '99+' : unreadCount}
+                        </span>
+                    )}
                     <span className="text-xs font-medium">
                         {name === 'HumidorsScreen' ? 'Humidors' :
                             name === 'CigarJournal' ? 'Journal' : name}
@@ -0,0 +1,153 @@
+/**
+ *
+ * @file EnvironmentTrendsPanel.jsx
+ * @path src/components/Panels/EnvironmentTrendsPanel.jsx
+ * @project Humidor Hub
+ * @author Shawn Miller (hereiamnow@gmail.com)
+ * @date August 10, 2025
+ *
+ * Environment Trends Panel Component
+ *
+ * Charts a humidor's stored temperature and humidity readings over a selectable window (24h, 7d, 30d, 1y).
+ * Shades the humidor's target band and annotates each chart with the min, max and average for the window,
+ * so a drifting humidor can be told apart from a single bad reading. Humidification maintenance (pack
+ * replacements, refills) is marked on the humidity chart so its effect on the readings is visible.
+ *
+ * @param {Object} props - Component props
+ * @param {Object} props.humidor - Humidor whose readings are charted
+ * @param {Object} props.db - Firebase Firestore database instance
+ * @param {string} props.appId - Application identifier for Firestore paths
+ * @param {string} props.userId - Current user's unique identifier
+ *
+ */
+import React, { useState, useMemo } from 'react';
+import { LineChart as LineChartIcon } from 'lucide-react';
+import { LineChart, Line, XAxis, YAxis, Tooltip, ReferenceArea, ReferenceLine, ResponsiveContainer } from 'recharts';
+import ChartCard from '../UI/ChartCard';
+import CollapsiblePanel from '../UI/CollapsiblePanel';
+import { useHumidorReadings } from '../../hooks/useHumidorReadings';
+import { useMaintenanceEvents } from '../../hooks/useMaintenanceEvents';
+import { MAINTENANCE_EVENT_TYPES } from '../../constants/humidificationTypes';
+import { READING_WINDOWS } from '../../constants/environmentTargets';
+import { downsampleReadings, getHumidorTargets, getReadingWindowStart, summarizeReadings } from '../../utils/environmentUtils';
+
+const getEventLabel = (type) => Object.values(MAINTENANCE_EVENT_TYPES).find(t => t.id === type)?.label || type;
+
+const EnvironmentTrendsPanel = ({ humidor, db, appId, userId }) => {
+    const [windowKey, setWindowKey] = useState('7d');
+
+    // Only recompute the window start when the selection changes, otherwise the subscription would restart every render
+    const since = useMemo(() => getReadingWindowStart(windowKey), [windowKey]);
+    const { live } = READING_WINDOWS.find(w => w.key === windowKey) || READING_WINDOWS[0];
+    const { readings, isLoading, error } = useHumidorReadings(db, appId, userId, humidor.id, since, { live });
+    const { events: maintenanceEvents } = useMaintenanceEvents(db, appId, userId, humidor.id, since);
+
+    const targets = getHumidorTargets(humidor);
+
+    const { chartData, humidityStats, tempStats } = useMemo(() => ({
+        chartData: downsampleReadings(readings).map(r => ({ ...r, time: new Date(r.timestamp).getTime() })),
+        humidityStats: summarizeReadings(readings, 'humidity'),
+        tempStats: summarizeReadings(readings, 'temp')
+    }), [readings]);
+
+    const formatTick = (time) => {
+        const date = new Date(time);
+        return windowKey === '24h'
+            ? date.toLocaleTimeString('en-US', { hour: 'numeric', minute: '2-digit' })
+            : date.toLocaleDateString('en-US', { month: 'short', day: 'numeric' });
+    };
+
+    const renderChart = (dataKey, stats, target, unit, color) => {
+        const domainMin = Math.floor(Math.min(stats.min, target.min) - 2);
+        const domainMax = Math.ceil(Math.max(stats.max, target.max) + 2);
+
+        return (
+            <ResponsiveContainer width="100%" height="100%">
+                <LineChart data={chartData} margin={{ top: 5, right: 20, left: -20, bottom: 5 }}>
+                    <XAxis dataKey="time" type="number" scale="time" domain={['dataMin', 'dataMax']} tickFormatter={formatTick} tick={{ fill: 'hsl(var(--bc))', fontSize: 11 }} tickLine={false} axisLine={false} />
+                    <YAxis domain={[domainMin, domainMax]} tick={{ fill: 'hsl(var(--bc))', fontSize: 11 }} tickLine={false} axisLine={false} />
+                    <Tooltip
+                        labelFormatter={(time) => new Date(time).toLocaleString()}
+                        formatter={(value) => [`${value}${unit}`, dataKey === 'humidity' ? 'Humidity' : 'Temperature']}
+                        contentStyle={{ backgroundColor: 'hsl(var(--b1))', border: '1px solid hsl(var(--b3))' }}
+                    />
+                    {/* Target band */}
+                    <ReferenceArea y1={target.min} y2={target.max} fill="hsl(var(--su))" fillOpacity={0.15} stroke="none" />
+                    {/* Window average */}
+                    <ReferenceLine y={Number(stats.avg.toFixed(1))} stroke="hsl(var(--bc) / 0.5)" strokeDasharray="4 4" label={{ value: 'avg', position: 'insideTopRight', fill: 'hsl(var(--bc))', fontSize: 10 }} />
+                    {/* Humidification maintenance */}
+                    {dataKey === 'humidity' && maintenanceEvents.map(event => (
+                        <ReferenceLine key={event.id} x={new Date(event.performedAt).getTime()} stroke="hsl(var(--wa))" strokeDasharray="2 2" />
+                    ))}
+                    <Line type="monotone" dataKey={dataKey} stroke={color} strokeWidth={2} dot={chartData.length < 30} connectNulls />
+                </LineChart>
+            </ResponsiveContainer>
+        );
+    };
+
+    const StatsRow = ({ stats, unit }) => (
+        <div className="grid grid-cols-3 gap-2 text-center text-xs mt-2">
+            <div><p className="text-base-content/70">Min</p><p className="font-bold">{stats.min.toFixed(1)}{unit}</p></div>
+            <div><p className="text-base-content/70">Avg</p><p className="font-bold">{stats.avg.toFixed(1)}{unit}</p></div>
+            <div><p className="text-base-content/70">Max</p><p className="font-bold">{stats.max.toFixed(1)}{unit}</p></div>
+        </div>
+    );
+
+    return (
+        <CollapsiblePanel title="Environment Trends" description="Temperature and humidity history against your target range." icon={LineChartIcon}>
+            <div className="join mb-4">
+                {READING_WINDOWS.map(w => (
+                    <button
+                        key={w.key}
+                        onClick={() => setWindowKey(w.key)}
+                        className={`btn btn-xs join-item ${windowKey === w.key ? 'btn-primary' : 'btn-outline'}`}
+                    >
+                        {w.label}
+                    </button>
+                ))}
+            </div>
+
+            {error && <p className="text-error text-sm">Failed to load readings: {error}</p>}
+
+            {!error && isLoading && <p className="text-base-content/70 text-center py-4">Loading readings...</p>}
+
+            {!error && !isLoading && readings.length === 0 && (
+                <p className="text-base-content/70 text-center py-4">No readings recorded in this window. Take a reading to start building history.</p>
+            )}
+
+            {!error && !isLoading && readings.length > 0 && (
+                <>
+                    {humidityStats && (
+                        <>
+                            <ChartCard title={`Humidity (target ${targets.humidity.min}-${targets.humidity.max}%)`}>
+                                {renderChart('humidity', humidityStats, targets.humidity, '%', 'hsl(var(--in))')}
+                            </ChartCard>
+                            <StatsRow stats={humidityStats} unit="%" />
+                            {maintenanceEvents.length > 0 && (
+                                <ul className="mt-2 space-y-1 text-xs text-base-content/70">
+                                    {maintenanceEvents.map(event => (
+                                        <li key={event.id} className="flex items-center gap-2">
+                                            <span className="inline-block w-3 border-t-2 border-dashed border-warning" />
+                                            {new Date(event.performedAt).toLocaleDateString()} · {event.deviceName} {getEventLabel(event.type).toLowerCase()}
+                                        </li>
+                                    ))}
+                                </ul>
+                            )}
+                        </>
+                    )}
+
+                    {tempStats && (
+                        <div className="mt-4">
+                            <ChartCard title={`Temperature (target ${targets.temp.min}-${targets.temp.max}°F)`}>
+                                {renderChart('temp', tempStats, targets.temp, '°F', 'hsl(var(--er))')}
+                            </ChartCard>
+                            <StatsRow stats={tempStats} unit="°F" />
+                        </div>
+                    )}
+                </>
+            )}
+        </CollapsiblePanel>
+    );
+};
+
+export default EnvironmentTrendsPanel;
@@ -0,0 +1,116 @@
+/**
+ *
+ * @file FreezeTrackerPanel.jsx
+ * @path src/components/Panels/FreezeTrackerPanel.jsx
+ * @project Humidor Hub
+ * @author Shawn Miller (hereiamnow@gmail.com)
+ * @date August 22, 2025
+ *
+ * Freeze Tracker Panel Component
+ *
+ * Shows the freeze protocol batches in progress for a humidor: which stage each is in, a countdown to the
+ * next move, and a button to confirm the cigars were moved on. Finishing the last stage records the freeze
+ * on each cigar's history.
+ *
+ * @param {Object} props - Component props
+ * @param {Array} props.freezeBatches - Active freeze batches to show
+ * @param {Array} props.cigars - All cigars, used to skip any deleted since the batch started
+ * @param {Object} props.db - Firebase Firestore database instance
+ * @param {string} props.appId - Application identifier for Firestore paths
+ * @param {string} props.userId - Current user's unique identifier
+ *
+ */
+import React, { useState, useEffect } from 'react';
+import { Snowflake, LoaderCircle } from 'lucide-react';
+import { FREEZE_STAGES } from '../../constants/freezeProtocol';
+import { advanceFreezeBatch, cancelFreezeBatch, getStageDueAt } from '../../services/freezeService';
+
+const MINUTE_MS = 60 * 1000;
+
+const formatRemaining = (ms) => {
+    const minutes = Math.ceil(ms / MINUTE_MS);
+    if (minutes < 60) return `${minutes}m`;
+    const hours = Math.floor(minutes / 60);
+    if (hours < 48) return `${hours}h ${minutes % 60}m`;
+    return `${Math.floor(hours / 24)}d ${hours % 24}h`;
+};
+
+const FreezeTrackerPanel = ({ freezeBatches, cigars, db, appId, userId }) => {
+    const [now, setNow] = useState(Date.now());
+    const [savingBatchId, setSavingBatchId] = useState(null);
+    const [error, setError] = useState('');
+
+    // Keep the countdowns current
+    useEffect(() => {
+        const interval = setInterval(() => setNow(Date.now()), MINUTE_MS);
+        return () => clearInterval(interval);
+    }, []);
+
+    if (freezeBatches.length === 0) return null;
+
+    const cigarIds = cigars.map(c => c.id);
+
+    const run = async (batchId, action) => {
+        setSavingBatchId(batchId);
+        setError('');
+        try {
+            await action();
+        } catch (err) {
+            console.error('FreezeTrackerPanel: Update failed:', err);
+            setError(err.message);
+        } finally {
+            setSavingBatchId(null);
+        }
+    };
+
+    return (
+        <div id="pnlFreezeTracker" className="card bg-base-200 border border-info/40 p-4 rounded-md mb-4">
+            <h3 className="font-bold text-lg flex items-center mb-3"><Snowflake className="w-5 h-5 mr-2 text-info" /> Freeze Protocol</h3>
+            <div className="space-y-4">
+                {freezeBatches.map(batch => {
+                    const stage = batch.stages[batch.stageIndex];
+                    const next = batch.stages[batch.stageIndex + 1];
+                    const remainingMs = new Date(getStageDueAt(batch)).getTime() - now;
+                    const isDue = remainingMs <= 0;
+
+                    return (
+                        <div key={batch.id} className="text-sm">
+                            <p className="font-semibold">{batch.cigarNames.join(', ')}</p>
+                            {batch.notes && <p className="text-xs text-base-content/70 italic">{batch.notes}</p>}
+                            <ul className="steps steps-horizontal w-full text-xs my-2">
+                                {batch.stages.map((s, i) => (
+                                    <li key={s.id} className={`step ${i <= batch.stageIndex ? 'step-info' : ''}`}>{s.label}</li>
+                                ))}
+                            </ul>
+                            <p className={isDue ? 'text-warning font-semibold' : 'text-base-content/70'}>
+                                {isDue
+                                    ? (next ? `Ready to move: ${FREEZE_STAGES.find(s => s.id === next.id)?.instruction}` : 'Done. The cigars can go back in the humidor.')
+                                    : `${stage.label} for another ${formatRemaining(remainingMs)}`}
+                            </p>
+                            <div className="flex gap-2 mt-2">
+                                <button
+                                    onClick={() => window.confirm('Stop tracking this freeze? It will not be recorded on the cigars.') && run(batch.id, () => cancelFreezeBatch(db, appId, userId, batch, cigarIds))}
+                                    disabled={!!savingBatchId}
+                                    className="btn btn-ghost btn-xs"
+                                >
+                                    Cancel
+                                </button>
+                                <button
+                                    onClick={() => run(batch.id, () => advanceFreezeBatch(db, appId, userId, batch, cigarIds))}
+                                    disabled={!!savingBatchId}
+                                    className={`btn btn-xs flex-1 ${isDue ? 'btn-primary' : 'btn-outline'}`}
+                                >
+                                    {savingBatchId === batch.id && <LoaderCircle className="w-3 h-3 animate-spin" />}
+                                    {next ? `Moved to ${next.label}` : 'Finish'}
+                                </button>
+                            </div>
+                        </div>
+                    );
+                })}
+            </div>
+            {error && (<p className="text-sm text-error mt-2">{error}</p>)}
+        </div>
+    );
+};
+
+export default FreezeTrackerPanel;
@@ -8,58 +8,133 @@
  *
  * Live Environment Panel Component
  *
- * Displays real-time temperature and humidity readings for the user's primary humidor. Features a collapsible panel with gauge visualizations and theme-aware styling for mobile-friendly monitoring.
+ * Lists every humidor with its latest temperature and humidity reading, how old that reading is, whether each
+ * value is inside the humidor's target band, and a 24-hour humidity sparkline. Humidors without any recorded
+ * reading say "No data" rather than showing placeholder values.
+ * Readings from a linked sensor are kept current by the sensor polling hook; when that sensor is offline the row says so.
  *
  * @param {Object} props - Component props
  * @param {Array} props.humidors - Array of humidor objects
+ * @param {Object} props.db - Firebase Firestore database instance
+ * @param {string} props.appId - Application identifier for Firestore paths
+ * @param {string} props.userId - Current user's unique identifier
+ * @param {Function} props.navigate - Navigation function for humidor details
  *
  */
-import React, { useState } from 'react';
-import { Thermometer, Droplets } from 'lucide-react';
-import Gauge from '../UI/Gauge';
+import React, { useMemo } from 'react';
+import { Thermometer, Droplets, WifiOff } from 'lucide-react';
+import { LineChart, Line, YAxis, ResponsiveContainer } from 'recharts';
+import CollapsiblePanel from '../UI/CollapsiblePanel';
+import { useHumidorReadings } from '../../hooks/useHumidorReadings';
+import {
+    downsampleReadings,
+    formatReadingAge,
+    getHumidorTargets,
+    getLatestReading,
+    getRangeStatus,
+    getReadingWindowStart,
+    isSensorOffline
+} from '../../utils/environmentUtils';
 
-const LiveEnvironmentPanel = ({ humidors }) => {
-    const [isLiveEnvironmentPanelCollapsed, setIsLiveEnvironmentPanelCollapsed] = useState(true);
-    const firstHumidor = humidors && humidors.length > 0 ? humidors[0] : null;
+const STATUS_STYLES = {
+    ok: 'text-success',
+    low: 'text-warning',
+    high: 'text-error'
+};
 
-    if (!firstHumidor) {
-        return (
-            <div className="collapse collapse-plus border bg-neutral border-base-300 rounded-md shadow-sm mb-4">
-                <input type="checkbox" />
-                <div className="collapse collapse-plus border bg-neutral border-base-300 rounded-md shadow-sm mb-4">
-                    <Thermometer className="w-5 h-5 mr-2 text-primary" /> Live Environment
-                </div>
-                <div className="collapse-content">
-                    <p className="text-base-content/70 text-center py-4">No humidor data available.</p>
-                </div>
-            </div>
-        );
-    }
+const STATUS_LABELS = {
+    ok: 'In range',
+    low: 'Low',
+    high: 'High'
+};
+
+const ReadingValue = ({ icon: Icon, value, unit, status }) => (
+    <div className="flex items-center gap-1">
+        <Icon className="w-4 h-4 text-base-content/70" />
+        {value === null ? (
+            <span className="text-base-content/50">--</span>
+        ) : (
+            <span className={`font-bold ${STATUS_STYLES[status] || ''}`} title={STATUS_LABELS[status]}>{value}{unit}</span>
+        )}
+    </div>
+);
+
+const HumidorEnvironmentRow = ({ humidor, db, appId, userId, since, navigate }) => {
+    const { readings } = useHumidorReadings(db, appId, userId, humidor.id, since);
+    const latest = getLatestReading(humidor);
+    const targets = getHumidorTargets(humidor);
+    const humidityStatus = getRangeStatus(latest?.humidity, targets.humidity);
+    const tempStatus = getRangeStatus(latest?.temp, targets.temp);
+    const isOutOfRange = [humidityStatus, tempStatus].some(status => status === 'low' || status === 'high');
+    const sparklineData = useMemo(() => downsampleReadings(readings, 48), [readings]);
 
     return (
-        <div id="pnlLiveEnvironment" tabIndex={0} className="collapse collapse-plus border bg-neutral border-base-300 rounded-md shadow-sm mb-4">
-            <input type="checkbox" className="peer" checked={!isLiveEnvironmentPanelCollapsed} onChange={() => setIsLiveEnvironmentPanelCollapsed(!isLiveEnvironmentPanelCollapsed)} />
-            <div className="collapse-title font-semibold flex items-center">
-                <Thermometer className="w-5 h-5 mr-2 text-primary" /> Live Environment
+        <button
+            onClick={() => navigate('MyHumidor', { humidorId: humidor.id })}
+            className="w-full text-left p-3 rounded-md bg-base-100 border border-base-300 hover:bg-base-200 transition-colors"
+        >
+            <div className="flex justify-between items-center gap-2">
+                <h4 className="font-semibold text-sm truncate">{humidor.name}</h4>
+                {!latest ? (
+                    <span className="badge badge-ghost badge-sm">No data</span>
+                ) : isSensorOffline(humidor) ? (
+                    <span className="badge badge-warning badge-sm gap-1"><WifiOff className="w-3 h-3" /> Offline</span>
+                ) : (
+                    <span className={`badge badge-sm ${isOutOfRange ? 'badge-error' : 'badge-success'}`}>{isOutOfRange ? 'Out of range' : 'In range'}</span>
+                )}
             </div>
-            <div className="collapse-content">
-                <div className="grid grid-cols-2 gap-4">
-                    <div className="text-center">
-                        <Gauge value={firstHumidor.humidity || 70} max={100} color="hsl(var(--in))" />
-                        <p className="text-sm text-base-content/70 mt-2 flex items-center justify-center">
-                            <Droplets className="w-4 h-4 mr-1" /> Humidity
-                        </p>
-                    </div>
-                    <div className="text-center">
-                        <Gauge value={firstHumidor.temperature || 68} max={100} color="hsl(var(--er))" />
-                        <p className="text-sm text-base-content/70 mt-2 flex items-center justify-center">
-                            <Thermometer className="w-4 h-4 mr-1" /> Temperature
-                        </p>
+            {latest ? (
+                <div className="flex items-center gap-4 mt-2 text-sm">
+                    <ReadingValue icon={Droplets} value={latest.humidity} unit="%" status={humidityStatus} />
+                    <ReadingValue icon={Thermometer} value={latest.temp} unit="°F" status={tempStatus} />
+                    <div className="flex-1 h-8 min-w-0">
+                        {sparklineData.length > 1 && (
+                            <ResponsiveContainer width="100%" height="100%">
+                                <LineChart data={sparklineData}>
+                                    <YAxis hide domain={['dataMin - 1', 'dataMax + 1']} />
+                                    <Line type="monotone" dataKey="humidity" stroke="hsl(var(--in))" strokeWidth={1.5} dot={false} isAnimationActive={false} connectNulls />
+                                </LineChart>
+                            </ResponsiveContainer>
+                        )}
                     </div>
                 </div>
+            ) : (
+                <p className="text-xs text-base-content/70 mt-2">No readings recorded yet.</p>
+            )}
+            {latest && (
+                <p className="text-xs text-base-content/70 mt-1">
+                    Updated {formatReadingAge(latest.timestamp)} · target {targets.humidity.min}–{targets.humidity.max}%, {targets.temp.min}–{targets.temp.max}°F
+                </p>
+            )}
+        </button>
+    );
+};
+
+const LiveEnvironmentPanel = ({ humidors = [], db, appId, userId, navigate }) => {
+    // Sparklines cover the last day; fixed at mount so the reading subscriptions don't restart every render
+    const since = useMemo(() => getReadingWindowStart('24h'), []);
+
+    return (
+        <CollapsiblePanel title="Live Environment" icon={Thermometer}>
+            <div className="space-y-2 mt-4">
+                {humidors.length > 0 ? (
+                    humidors.map(humidor => (
+                        <HumidorEnvironmentRow
+                            key={humidor.id}
+                            humidor={humidor}
+                            db={db}
+                            appId={appId}
+                            userId={userId}
+                            since={since}
+                            navigate={navigate}
+                        />
+                    ))
+                ) : (
+                    <p className="text-base-content/70 text-center py-4">No humidor data available.</p>
+                )}
             </div>
-        </div>
+        </CollapsiblePanel>
     );
 };
 
-export default LiveEnvironmentPanel;
\ No newline at end of file
+export default LiveEnvironmentPanel;
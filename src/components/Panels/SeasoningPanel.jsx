@@ -0,0 +1,147 @@
+/**
+ *
+ * @file SeasoningPanel.jsx
+ * @path src/components/Panels/SeasoningPanel.jsx
+ * @project Humidor Hub
+ * @author Shawn Miller (hereiamnow@gmail.com)
+ * @date August 20, 2025
+ *
+ * Seasoning Panel Component
+ *
+ * Guides a new humidor through seasoning: the wipe/humidify/wait/check checklist for the current round,
+ * a prompt for today's reading, and a day-by-day view of how long humidity has held in range. The humidor
+ * can only be marked ready for cigars once it has been stable for the required number of days.
+ *
+ * @param {Object} props - Component props
+ * @param {Object} props.humidor - Humidor being seasoned
+ * @param {Object} props.db - Firebase Firestore database instance
+ * @param {string} props.appId - Application identifier for Firestore paths
+ * @param {string} props.userId - Current user's unique identifier
+ * @param {Function} props.onTakeReading - Opens the manual reading modal
+ *
+ */
+import React, { useState, useMemo } from 'react';
+import { Sprout, ClipboardPenLine, RotateCcw, CheckCircle2, LoaderCircle } from 'lucide-react';
+import { useHumidorReadings } from '../../hooks/useHumidorReadings';
+import { SEASONING_STEPS, STABLE_DAYS_RANGE } from '../../constants/seasoningSteps';
+import {
+    completeSeasoning,
+    getSeasoningProgress,
+    setSeasoningStep,
+    setStableDaysRequired,
+    startSeasoningRound
+} from '../../services/seasoningService';
+import { getHumidorTargets } from '../../utils/environmentUtils';
+
+const SeasoningPanel = ({ humidor, db, appId, userId, onTakeReading }) => {
+    const { seasoning } = humidor;
+    const { readings, isLoading } = useHumidorReadings(db, appId, userId, humidor.id, seasoning.startedAt);
+    const [isSaving, setIsSaving] = useState(false);
+    const [error, setError] = useState('');
+
+    const progress = useMemo(() => getSeasoningProgress(humidor, readings), [humidor, readings]);
+    const band = getHumidorTargets(humidor).humidity;
+    const checklist = seasoning.checklist || {};
+
+    const run = async (action) => {
+        setIsSaving(true);
+        setError('');
+        try {
+            await action();
+        } catch (err) {
+            console.error('SeasoningPanel: Update failed:', err);
+            setError(err.message);
+        } finally {
+            setIsSaving(false);
+        }
+    };
+
+    return (
+        <div id="pnlSeasoning" className="card bg-base-200 border border-warning/40 p-4 rounded-md mb-4">
+            <div className="flex justify-between items-start mb-2">
+                <h3 className="font-bold text-lg flex items-center"><Sprout className="w-5 h-5 mr-2 text-warning" /> Seasoning · Round {seasoning.round || 1}</h3>
+                <span className={`badge ${progress.isReady ? 'badge-success' : 'badge-warning'}`}>{progress.isReady ? 'Ready' : 'Not ready'}</span>
+            </div>
+            <p className="text-sm text-base-content/70 mb-4">
+                Don't add cigars yet. Humidity needs to hold between {band.min}% and {band.max}% for {progress.requiredDays} days in a row.
+            </p>
+
+            <ul className="space-y-2 mb-4">
+                {SEASONING_STEPS.map(step => (
+                    <li key={step.id}>
+                        <label className="flex items-start gap-3 cursor-pointer">
+                            <input
+                                type="checkbox"
+                                className="checkbox checkbox-primary checkbox-sm mt-0.5"
+                                checked={!!checklist[step.id]}
+                                disabled={isSaving}
+                                onChange={(e) => run(() => setSeasoningStep(db, appId, userId, humidor, step.id, e.target.checked))}
+                            />
+                            <span>
+                                <span className={`font-semibold text-sm ${checklist[step.id] ? 'line-through text-base-content/50' : ''}`}>{step.label}</span>
+                                <span className="block text-xs text-base-content/70">{step.description}</span>
+                            </span>
+                        </label>
+                    </li>
+                ))}
+            </ul>
+
+            {!progress.hasReadingToday && (
+                <div className="alert alert-info text-sm mb-4">
+                    <span>No reading yet today.</span>
+                    <button onClick={onTakeReading} className="btn btn-sm btn-primary"><ClipboardPenLine className="w-4 h-4" /> Take Reading</button>
+                </div>
+            )}
+
+            <div className="mb-4">
+                <div className="flex justify-between text-sm mb-1">
+                    <span>Stable days</span>
+                    <span className="font-bold">{Math.min(progress.stableDays, progress.requiredDays)} / {progress.requiredDays}</span>
+                </div>
+                <progress className="progress progress-success w-full" value={Math.min(progress.stableDays, progress.requiredDays)} max={progress.requiredDays}></progress>
+                {isLoading ? (
+                    <p className="text-xs text-base-content/70 mt-2">Loading readings...</p>
+                ) : progress.days.length > 0 && (
+                    <div className="flex flex-wrap gap-1 mt-2">
+                        {progress.days.slice(-14).map(day => (
+                            <span
+                                key={day.date}
+                                title={`${day.date}: ${day.min}–${day.max}%`}
+                                className={`badge badge-sm ${day.inRange ? 'badge-success' : 'badge-error'}`}
+                            >
+                                {new Date(`${day.date}T12:00:00`).toLocaleDateString('en-US', { month: 'short', day: 'numeric' })}
+                            </span>
+                        ))}
+                    </div>
+                )}
+            </div>
+
+            <div className="flex items-center gap-2 mb-4 text-sm">
+                <label htmlFor="seasoningStableDays">Days required</label>
+                <input
+                    id="seasoningStableDays"
+                    type="number"
+                    min={STABLE_DAYS_RANGE.min}
+                    max={STABLE_DAYS_RANGE.max}
+                    defaultValue={progress.requiredDays}
+                    disabled={isSaving}
+                    onBlur={(e) => Number(e.target.value) !== progress.requiredDays && run(() => setStableDaysRequired(db, appId, userId, humidor, e.target.value))}
+                    className="input input-bordered input-sm w-20"
+                />
+            </div>
+
+            {error && (<p className="text-sm text-error mb-2">{error}</p>)}
+
+            <div className="flex gap-2">
+                <button onClick={() => run(() => startSeasoningRound(db, appId, userId, humidor))} disabled={isSaving} className="btn btn-outline btn-sm flex-1">
+                    <RotateCcw className="w-4 h-4" /> Another Round
+                </button>
+                <button onClick={() => run(() => completeSeasoning(db, appId, userId, humidor, readings))} disabled={isSaving || !progress.isReady} className="btn btn-success btn-sm flex-1">
+                    {isSaving ? <LoaderCircle className="w-4 h-4 animate-spin" /> : <CheckCircle2 className="w-4 h-4" />} Ready for Cigars
+                </button>
+            </div>
+        </div>
+    );
+};
+
+export default SeasoningPanel;
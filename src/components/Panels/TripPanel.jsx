@@ -0,0 +1,130 @@
+/**
+ *
+ * @file TripPanel.jsx
+ * @path src/components/Panels/TripPanel.jsx
+ * @project Humidor Hub
+ * @author Shawn Miller (hereiamnow@gmail.com)
+ * @date August 23, 2025
+ *
+ * Trip Panel Component
+ *
+ * Trip mode for a travel humidor. With no trip in progress it offers to pack for one and recaps the last trip.
+ * During a trip it lists the packed cigars with where each came from, logs smokes on the road, and ends the trip
+ * by sending every unsmoked cigar back to its original humidor and shelf in one go.
+ *
+ * @param {Object} props - Component props
+ * @param {Object} props.humidor - The travel humidor
+ * @param {Object|null} props.activeTrip - Trip in progress, if any
+ * @param {Object|null} props.lastTrip - Most recent finished trip, if any
+ * @param {Array} props.cigars - All cigars
+ * @param {Array} props.humidors - All humidors
+ * @param {Object} props.db - Firebase Firestore database instance
+ * @param {string} props.appId - Application identifier for Firestore paths
+ * @param {string} props.userId - Current user's unique identifier
+ * @param {Function} props.onPack - Opens the packing dialog
+ *
+ */
+import React, { useState } from 'react';
+import { Luggage, Cigarette, LoaderCircle } from 'lucide-react';
+import { endTrip } from '../../services/tripService';
+import { logSmoke } from '../../services/smokeLogService';
+import { formatDate } from '../../utils/formatUtils';
+
+const formatTripDates = (trip) => [trip.startDate, trip.endDate]
+    .filter(Boolean)
+    .map(formatDate)
+    .join(' – ');
+
+const TripPanel = ({ humidor, activeTrip, lastTrip, cigars, humidors, db, appId, userId, onPack }) => {
+    const [savingId, setSavingId] = useState(null);
+    const [message, setMessage] = useState('');
+    const [error, setError] = useState('');
+
+    const run = async (id, action) => {
+        setSavingId(id);
+        setError('');
+        setMessage('');
+        try {
+            await action();
+        } catch (err) {
+            console.error('TripPanel: Update failed:', err);
+            setError(err.message);
+        } finally {
+            setSavingId(null);
+        }
+    };
+
+    if (!activeTrip) {
+        return (
+            <div id="pnlTrip" className="card bg-base-200 border border-primary/40 p-4 rounded-md mb-4">
+                <h3 className="font-bold text-lg flex items-center mb-2"><Luggage className="w-5 h-5 mr-2 text-primary" /> Trip Mode</h3>
+                {lastTrip ? (
+                    <p className="text-sm text-base-content/70 mb-3">
+                        Last trip: <span className="font-semibold">{lastTrip.name}</span>{formatTripDates(lastTrip) && ` (${formatTripDates(lastTrip)})`}, {lastTrip.smokes.length} smoked.
+                    </p>
+                ) : (
+                    <p className="text-sm text-base-content/70 mb-3">Check cigars out of your humidors for a trip, then send the rest home when you're back.</p>
+                )}
+                {message && (<p className="text-sm text-success mb-2">{message}</p>)}
+                <button onClick={onPack} className="btn btn-primary btn-sm w-full">Pack for a Trip</button>
+            </div>
+        );
+    }
+
+    const packed = cigars.filter(c => c.trip?.tripId === activeTrip.id);
+    const humidorName = (humidorId) => humidors.find(h => h.id === humidorId)?.name || 'a deleted humidor';
+
+    const handleEndTrip = () => {
+        if (!window.confirm(`End "${activeTrip.name}" and send the packed cigars back to their humidors?`)) return;
+        run('end', async () => {
+            const { returned, kept } = await endTrip(db, appId, userId, activeTrip, cigars, humidors);
+            setMessage(`${returned} cigar record${returned === 1 ? '' : 's'} returned home${kept ? `; ${kept} stayed in ${humidor.name} because their humidor is gone` : ''}.`);
+        });
+    };
+
+    return (
+        <div id="pnlTrip" className="card bg-base-200 border border-primary/40 p-4 rounded-md mb-4">
+            <h3 className="font-bold text-lg flex items-center"><Luggage className="w-5 h-5 mr-2 text-primary" /> {activeTrip.name}</h3>
+            {formatTripDates(activeTrip) && <p className="text-sm text-base-content/70">{formatTripDates(activeTrip)}</p>}
+
+            <ul className="space-y-2 my-3">
+                {packed.map(cigar => (
+                    <li key={cigar.id} className="flex items-center justify-between gap-2 p-2 rounded-md bg-base-100 text-sm">
+                        <div className="min-w-0">
+                            <p className="font-semibold truncate">{cigar.brand} {cigar.name} <span className="font-normal text-base-content/70">×{cigar.quantity}</span></p>
+                            <p className="text-xs text-base-content/70">From {humidorName(cigar.trip.originHumidorId)}</p>
+                        </div>
+                        <button
+                            onClick={() => run(cigar.id, () => logSmoke(db, appId, userId, cigar))}
+                            disabled={!!savingId || cigar.quantity === 0}
+                            className="btn btn-outline btn-xs"
+                        >
+                            {savingId === cigar.id ? <LoaderCircle className="w-3 h-3 animate-spin" /> : <Cigarette className="w-3 h-3" />}
+                            Smoked
+                        </button>
+                    </li>
+                ))}
+                {packed.length === 0 && <li className="text-sm text-base-content/70">Nothing left in the case.</li>}
+            </ul>
+
+            {activeTrip.smokes.length > 0 && (
+                <div className="mb-3">
+                    <p className="text-xs font-semibold text-base-content/70 mb-1">Smoked on the road ({activeTrip.smokes.length})</p>
+                    <ul className="text-xs text-base-content/70 space-y-0.5">
+                        {[...activeTrip.smokes].reverse().map(smoke => (
+                            <li key={`${smoke.cigarId}_${smoke.at}`}>{new Date(smoke.at).toLocaleString()} · {smoke.name}</li>
+                        ))}
+                    </ul>
+                </div>
+            )}
+
+            {error && (<p className="text-sm text-error mb-2">{error}</p>)}
+            <button onClick={handleEndTrip} disabled={!!savingId} className="btn btn-primary btn-sm w-full">
+                {savingId === 'end' && <LoaderCircle className="w-4 h-4 animate-spin" />}
+                End Trip & Return Cigars
+            </button>
+        </div>
+    );
+};
+
+export default TripPanel;
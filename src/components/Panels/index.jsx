@@ -13,6 +13,7 @@
  */
 export { default as LiveEnvironmentPanel } from './LiveEnvironmentPanel';
 export { default as InventoryAnalysisPanel } from './InventoryAnalysisPanel';
+export { default as EnvironmentTrendsPanel } from './EnvironmentTrendsPanel';
 export { default as AgingWellPanel } from './AgingWellPanel';
 export { default as BrowseByWrapper } from './BrowseByWrapper';
 export { default as BrowseByStrength } from './BrowseByStrength';
@@ -1,22 +1,80 @@
 import React from "react";
+import { WifiOff, Target, AlertTriangle } from "lucide-react";
+import { formatReadingAge, isSensorOffline } from "../../utils/environmentUtils";
+import RiskBadge from "./RiskBadge";
 
-const HumidorStatsCards = ({ stats = [], className = "" }) => (
-    <div
-        className={`flex justify-around items-center bg-gray-800/50 p-3 rounded-md mb-6 text-center ${className}`}
-        id="pnlStatCards"
-    >
-        {stats.map((stat, idx) => (
-            <React.Fragment key={stat.label}>
-                <div className="flex flex-col items-center">
-                    <p className="text-sm text-gray-400">{stat.label}</p>
-                    <p className="font-bold text-white text-base">{stat.value}</p>
+/**
+ * Row of headline stats for a humidor. When the humidor's linked sensor is
+ * offline, a notice under the stats explains that the values are stale; when a
+ * calibration offset is active, a note says the humidity is corrected. With a
+ * `risk` score, a risk badge is shown, and a high risk is spelled out with advice.
+ * With a `utilization` whose capacity is known, a capacity bar shows how full the
+ * humidor is and warns once it is full or over.
+ */
+const HumidorStatsCards = ({ stats = [], humidor = null, risk = null, utilization = null, className = "" }) => (
+    <div className={`bg-gray-800/50 p-3 rounded-md mb-6 ${className}`} id="pnlStatCards">
+        <div className="flex justify-around items-center text-center">
+            {stats.map((stat, idx) => (
+                <React.Fragment key={stat.label}>
+                    <div className="flex flex-col items-center">
+                        <p className="text-sm text-gray-400">{stat.label}</p>
+                        <p className="font-bold text-white text-base">{stat.value}</p>
+                    </div>
+                    {idx < stats.length - 1 && (
+                        <div className="h-10 w-px bg-gray-700"></div>
+                    )}
+                </React.Fragment>
+            ))}
+        </div>
+        {utilization?.capacity > 0 && (
+            <div className="mt-3">
+                <div className="flex justify-between text-xs text-gray-400">
+                    <span>Capacity</span>
+                    <span className={utilization.status === 'over' ? 'text-error font-semibold' : ''}>
+                        {utilization.count} / {utilization.capacity} ({utilization.percent}%)
+                    </span>
                 </div>
-                {idx < stats.length - 1 && (
-                    <div className="h-10 w-px bg-gray-700"></div>
+                <progress
+                    className={`progress ${utilization.status === 'ok' ? 'progress-primary' : utilization.status === 'near' ? 'progress-warning' : 'progress-error'} w-full`}
+                    value={Math.min(utilization.percent, 100)}
+                    max="100"
+                ></progress>
+                {(utilization.status === 'full' || utilization.status === 'over') && (
+                    <p className="flex items-center justify-center gap-1 text-xs text-error mt-1">
+                        <AlertTriangle className="w-3 h-3" />
+                        {utilization.status === 'over' ? `Over capacity by ${-utilization.remaining} cigars` : 'Full. Move cigars elsewhere before adding more.'}
+                    </p>
                 )}
-            </React.Fragment>
-        ))}
+            </div>
+        )}
+        {risk?.hasData && (
+            <div className="flex justify-center mt-2">
+                <RiskBadge risk={risk} />
+            </div>
+        )}
+        {risk?.level === 'high' && (
+            <div role="alert" className="alert alert-error mt-3 text-sm items-start">
+                <AlertTriangle className="w-5 h-5 flex-shrink-0" />
+                <div>
+                    <p className="font-bold">{risk.primary.label} risk is high</p>
+                    <p>{risk.primary.explanation}</p>
+                    <p className="mt-1">{risk.primary.advice}</p>
+                </div>
+            </div>
+        )}
+        {isSensorOffline(humidor) && (
+            <p className="flex items-center justify-center gap-1 text-xs text-warning mt-2">
+                <WifiOff className="w-3 h-3" />
+                Sensor offline{humidor.lastReadingAt ? ` · last reading ${formatReadingAge(humidor.lastReadingAt)}` : ''}
+            </p>
+        )}
+        {humidor?.calibration && (
+            <p className="flex items-center justify-center gap-1 text-xs text-gray-400 mt-2">
+                <Target className="w-3 h-3" />
+                Humidity calibrated ({humidor.calibration.humidityOffset > 0 ? '+' : ''}{humidor.calibration.humidityOffset}%)
+            </p>
+        )}
     </div>
 );
 
-export default HumidorStatsCards;
\ No newline at end of file
+export default HumidorStatsCards;
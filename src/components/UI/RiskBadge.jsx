@@ -0,0 +1,61 @@
+import React, { useState } from 'react';
+import { Bug, ShieldCheck, AlertTriangle } from 'lucide-react';
+
+const LEVEL_STYLES = {
+    none: 'badge-success badge-outline',
+    elevated: 'badge-warning',
+    high: 'badge-error'
+};
+
+/**
+ * Badge summarizing a humidor's environment risk. Tapping it shows which readings drove
+ * each risk. Renders nothing until the humidor has readings to score.
+ */
+const RiskBadge = ({ risk }) => {
+    const [showDetails, setShowDetails] = useState(false);
+    if (!risk?.hasData) return null;
+
+    const { level, primary } = risk;
+    const Icon = level === 'none' ? ShieldCheck : level === 'high' ? AlertTriangle : Bug;
+    const text = level === 'none' ? 'Low risk' : `${primary.label} risk${level === 'high' ? ': high' : ''}`;
+    const explained = risk.risks.filter(r => r.explanation);
+
+    return (
+        <span className="relative inline-block">
+            <button
+                type="button"
+                onClick={(e) => {
+                    // Cards around the badge navigate on click
+                    e.stopPropagation();
+                    setShowDetails(prev => !prev);
+                }}
+                className={`badge badge-sm gap-1 ${LEVEL_STYLES[level]}`}
+                title="Environment risk from the last 7 days of readings"
+            >
+                <Icon className="w-3 h-3" />
+                {text}
+            </button>
+            {showDetails && (
+                <div
+                    onClick={(e) => e.stopPropagation()}
+                    className="absolute z-30 left-0 mt-1 w-64 p-3 rounded-md shadow-lg bg-base-100 border border-base-300 text-xs text-left text-base-content"
+                >
+                    <p className="font-semibold mb-1">Last 7 days</p>
+                    {explained.length === 0 ? (
+                        <p className="text-base-content/70">No risky conditions recorded.</p>
+                    ) : (
+                        <ul className="space-y-1">
+                            {explained.map(r => (
+                                <li key={r.id}>
+                                    <span className={`font-semibold ${r.level === 'high' ? 'text-error' : r.level === 'elevated' ? 'text-warning' : ''}`}>{r.label}:</span> {r.explanation}
+                                </li>
+                            ))}
+                        </ul>
+                    )}
+                </div>
+            )}
+        </span>
+    );
+};
+
+export default RiskBadge;
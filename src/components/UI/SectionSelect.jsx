@@ -0,0 +1,29 @@
+import React from 'react';
+import { getHumidorSections } from '../../utils/sectionUtils';
+
+/**
+ * Picker for where a cigar sits inside its humidor (shelf, tray, drawer or box).
+ * Renders nothing when the humidor has no layout defined.
+ */
+const SectionSelect = ({ humidor, value, onChange }) => {
+    const sections = getHumidorSections(humidor);
+    if (sections.length === 0) return null;
+
+    return (
+        <div className="form-control w-full">
+            <label className="label">
+                <span className="label-text">Spot in {humidor.name}</span>
+            </label>
+            <select
+                value={sections.some(s => s.id === value) ? value : ''}
+                onChange={(e) => onChange(e.target.value || null)}
+                className="select select-bordered w-full"
+            >
+                <option value="">Not assigned</option>
+                {sections.map(section => <option key={section.id} value={section.id}>{section.name}</option>)}
+            </select>
+        </div>
+    );
+};
+
+export default SectionSelect;
@@ -9,35 +9,102 @@
 // AlertsScreen component provides environmental monitoring alert configuration for humidors in the
 // Humidor Hub application. Features include customizable temperature and humidity alert thresholds
 // for each humidor, toggle switches to enable/disable alerts, and input fields for setting minimum
-// and maximum values. The component displays a personalized interface for each humidor with separate
-// controls for humidity alerts (with percentage thresholds) and temperature alerts (with Fahrenheit
-// thresholds). When no humidors are present, it shows a helpful "Roxy's Corner" message encouraging
-// users to add their first humidor. The interface includes visual feedback with toggle switches
-// and organized layout with collapsible alert settings.
-
-import React, { useState } from 'react';
-import { Wind, Plus, Bell } from 'lucide-react';
+// and maximum values. Rules are persisted per humidor in the `alertRules` Firestore collection and
+// evaluated by the alert rules engine whenever a new reading is stored; the hysteresis and minimum
+// duration settings keep a single out-of-range blip from raising an alert. Each humidor card shows
+// whether one of its rules is currently alerting, and a link at the top opens the notification inbox
+// with the unread count. When no humidors are present, it shows a helpful
+// "Roxy's Corner" message encouraging users to add their first humidor.
+
+import React, { useState, useEffect } from 'react';
+import { onSnapshot } from 'firebase/firestore';
+import { Plus, Bell, BellRing, Save, Inbox, ChevronRight } from 'lucide-react';
 import PageHeader from '../UI/PageHeader';
 import RoxysCorner from '../Panels/RoxysCorner';
-const AlertsScreen = ({ navigate, humidors }) => {
+import { getAlertRulesCollectionRef, saveAlertRule } from '../../services/alertService';
+import { isNotificationSnoozed } from '../../services/notificationService';
+import { DEFAULT_ALERT_RULE, ALERT_METRICS } from '../../utils/alertRulesEngine';
+
+const AlertsScreen = ({ navigate, humidors, notifications = [], db, appId, userId }) => {
     // Debug: Log component props on render
     console.log('AlertsScreen: Component rendered with props:', {
         hasNavigate: typeof navigate === 'function',
         humidorsCount: humidors?.length || 0,
     });
 
-    const [alertSettings, setAlertSettings] = useState(
-        (humidors || []).map(h => ({ humidorId: h.id, name: h.name, humidityAlert: false, minHumidity: 68, maxHumidity: 72, tempAlert: false, minTemp: 65, maxTemp: 70 }))
-    );
+    // Rules as stored in Firestore, keyed by humidor id
+    const [savedRules, setSavedRules] = useState({});
+    // Unsaved edits, keyed by humidor id
+    const [draftRules, setDraftRules] = useState({});
+    const [savingId, setSavingId] = useState(null);
+    const [saveMessage, setSaveMessage] = useState({});
+
+    useEffect(() => {
+        if (!db || !appId || !userId) return;
+
+        const unsubscribe = onSnapshot(
+            getAlertRulesCollectionRef(db, appId, userId),
+            (snapshot) => {
+                const rules = {};
+                snapshot.docs.forEach(d => { rules[d.id] = d.data(); });
+                console.log('AlertsScreen: Alert rules updated:', Object.keys(rules).length);
+                setSavedRules(rules);
+            },
+            (error) => console.error('AlertsScreen: Error loading alert rules:', error)
+        );
+        return () => unsubscribe();
+    }, [db, appId, userId]);
+
+    const alertSettings = (humidors || []).map(h => ({
+        ...DEFAULT_ALERT_RULE,
+        ...savedRules[h.id],
+        ...draftRules[h.id],
+        humidorId: h.id,
+        name: h.name,
+        isDirty: !!draftRules[h.id]
+    }));
+
+    const updateDraft = (humidorId, changes) => {
+        setDraftRules(prev => ({ ...prev, [humidorId]: { ...prev[humidorId], ...changes } }));
+        setSaveMessage(prev => ({ ...prev, [humidorId]: '' }));
+    };
 
     const handleToggle = (humidorId, type) => {
-        setAlertSettings(prev => prev.map(s => s.humidorId === humidorId ? { ...s, [type]: !s[type] } : s));
+        const current = alertSettings.find(s => s.humidorId === humidorId);
+        updateDraft(humidorId, { [type]: !current[type] });
     };
 
     const handleValueChange = (humidorId, type, value) => {
-        setAlertSettings(prev => prev.map(s => s.humidorId === humidorId ? { ...s, [type]: value } : s));
+        updateDraft(humidorId, { [type]: value });
+    };
+
+    const handleSave = async (setting) => {
+        setSavingId(setting.humidorId);
+        try {
+            await saveAlertRule(db, appId, userId, setting.humidorId, setting);
+            setDraftRules(prev => {
+                const { [setting.humidorId]: _saved, ...rest } = prev;
+                return rest;
+            });
+            setSaveMessage(prev => ({ ...prev, [setting.humidorId]: 'Alert settings saved.' }));
+        } catch (error) {
+            console.error('AlertsScreen: Error saving alert rule:', error);
+            setSaveMessage(prev => ({ ...prev, [setting.humidorId]: `Failed to save: ${error.message}` }));
+        } finally {
+            setSavingId(null);
+        }
+    };
+
+    // Lists the metrics that are currently alerting for a humidor
+    const getActiveAlerts = (humidorId) => {
+        const state = savedRules[humidorId]?.state || {};
+        return Object.keys(ALERT_METRICS)
+            .filter(metric => state[metric]?.status === 'alerting')
+            .map(metric => `${ALERT_METRICS[metric].label} ${state[metric].condition}`);
     };
 
+    const unreadCount = notifications.filter(n => !n.read && !isNotificationSnoozed(n)).length;
+
     return (
         <div
             id="pnlContentWrapper_AlertsScreen"
@@ -49,11 +116,29 @@ const AlertsScreen = ({ navigate, humidors }) => {
                 subtitle="Configure temperature and humidity notifications"
             />
 
+            <button
+                onClick={() => navigate('Notifications', { returnTo: 'Alerts' })}
+                className="w-full flex items-center gap-4 p-4 mb-6 bg-base-200 rounded-lg hover:bg-base-300 transition-colors text-left"
+            >
+                <div className="p-2 bg-base-100 rounded-full"><Inbox className="w-6 h-6 text-primary" /></div>
+                <div className="flex-grow">
+                    <p className="font-bold text-base-content">Notification Inbox</p>
+                    <p className="text-xs text-base-content/70">Alert history, reminders and notices</p>
+                </div>
+                {unreadCount > 0 && <span className="badge badge-error">{unreadCount} unread</span>}
+                <ChevronRight className="w-5 h-5 text-base-content/50" />
+            </button>
+
             <div className="space-y-6">
                 {humidors && humidors.length > 0 ? (
                     alertSettings.map(setting => (
                         <div key={setting.humidorId} className="card bg-base-200 p-4">
-                            <h3 className="card-title text-primary mb-4">{setting.name}</h3>
+                            <div className="flex justify-between items-start mb-4">
+                                <h3 className="card-title text-primary">{setting.name}</h3>
+                                {getActiveAlerts(setting.humidorId).length > 0 && (
+                                    <span className="badge badge-error gap-1"><BellRing className="w-3 h-3" />{getActiveAlerts(setting.humidorId).join(', ')}</span>
+                                )}
+                            </div>
                             <div className="space-y-4">
                                 <div className="form-control">
                                     <label className="label cursor-pointer">
@@ -80,6 +165,29 @@ const AlertsScreen = ({ navigate, humidors }) => {
                                         <div className="form-control"><label className="label"><span className="label-text">Max:</span></label><div className="input-group"><span>°F</span><input type="number" value={setting.maxTemp} onChange={(e) => handleValueChange(setting.humidorId, 'maxTemp', e.target.value)} className="input input-bordered w-full" /></div></div>
                                     </div>
                                 )}
+                                {(setting.humidityAlert || setting.tempAlert) && (
+                                    <>
+                                        <div className="divider"></div>
+                                        <div className="grid grid-cols-3 gap-2">
+                                            <div className="form-control"><label className="label"><span className="label-text text-xs">Min duration (min)</span></label><input type="number" min="0" value={setting.minDurationMinutes} onChange={(e) => handleValueChange(setting.humidorId, 'minDurationMinutes', e.target.value)} className="input input-bordered input-sm w-full" /></div>
+                                            <div className="form-control"><label className="label"><span className="label-text text-xs">RH hysteresis (%)</span></label><input type="number" min="0" step="0.5" value={setting.humidityHysteresis} onChange={(e) => handleValueChange(setting.humidorId, 'humidityHysteresis', e.target.value)} className="input input-bordered input-sm w-full" /></div>
+                                            <div className="form-control"><label className="label"><span className="label-text text-xs">Temp hysteresis (°F)</span></label><input type="number" min="0" step="0.5" value={setting.tempHysteresis} onChange={(e) => handleValueChange(setting.humidorId, 'tempHysteresis', e.target.value)} className="input input-bordered input-sm w-full" /></div>
+                                        </div>
+                                        <p className="text-xs text-base-content/70">
+                                            An alert fires only after readings stay out of range for the minimum duration, and clears once they are back inside the range by the hysteresis margin.
+                                        </p>
+                                    </>
+                                )}
+                                <div className="flex justify-between items-center pt-2">
+                                    <span className="text-xs text-base-content/70">{saveMessage[setting.humidorId]}</span>
+                                    <button
+                                        onClick={() => handleSave(setting)}
+                                        disabled={!setting.isDirty || savingId === setting.humidorId}
+                                        className="btn btn-primary btn-sm"
+                                    >
+                                        <Save className="w-4 h-4" /> {savingId === setting.humidorId ? 'Saving...' : 'Save'}
+                                    </button>
+                                </div>
                             </div>
                         </div>
                     ))
@@ -47,6 +47,7 @@ import GeminiModal from '../Modals/Content/GeminiModal';
 // Components - Panels
 import {
     InventoryAnalysisPanel,
+    LiveEnvironmentPanel,
     MyCollectionStatsCards,
     AgingWellPanel,
     BrowseByWrapper,
@@ -67,6 +68,9 @@ import { strengthCategories } from '../../constants/strengthCategories';
 
 const Dashboard = ({
     navigate,
+    db,
+    appId,
+    userId,
     cigars,
     humidors,
     showWrapperPanel,
@@ -510,6 +514,17 @@ const Dashboard = ({
                     </RoxysCorner>
                 )}
 
+                {/* Live Environment Panel */}
+                {hasHumidors && dashboardPanelVisibility.showLiveEnvironment && (
+                    <LiveEnvironmentPanel
+                        humidors={humidors}
+                        db={db}
+                        appId={appId}
+                        userId={userId}
+                        navigate={navigate}
+                    />
+                )}
+
                 {/* --- Achievements Panel --- */}
                 {hasCigars && dashboardPanelVisibility.showAchievements && (
                     <AchievementsPanel cigars={cigars} humidors={humidors} showTitleIcon={false} />
@@ -20,7 +20,16 @@ import PageHeader from '../UI/PageHeader';
 import { BrowseByPanel } from '../Panels';
 import RoxysCorner from '../Panels/RoxysCorner';
 
-import { parseHumidorSize } from '../../utils/formatUtils';
+import { getHumidorUtilization } from '../../utils/capacityUtils';
+import { isHumidorSeasoning } from '../../services/seasoningService';
+import { useHumidorRisk } from '../../hooks/useHumidorRisk';
+import RiskBadge from '../UI/RiskBadge';
+
+// Each card scores its own humidor's recent readings once, rather than holding a live listener per card
+const HumidorRiskBadge = ({ humidor, db, appId, userId }) => {
+    const { risk } = useHumidorRisk(db, appId, userId, humidor.id, { live: false });
+    return <RiskBadge risk={risk} />;
+};
 
 const HumidorsScreen = ({ navigate, cigars, humidors, db, appId, userId, preFilterWrapper, preFilterStrength, preFilterCountry }) => { // July 5, 2025 - 2:00:00 AM CDT: Added preFilterCountry prop
     console.log('HumidorsScreen: Component initialized', { cigars: cigars?.length, humidors: humidors?.length });
@@ -648,9 +657,8 @@ const HumidorsScreen = ({ navigate, cigars, humidors, db, appId, userId, preFilt
                             const cigarsInHumidor = cigars.filter(c => c.humidorId === humidor.id);
                             const cigarCount = cigarsInHumidor.reduce((sum, c) => sum + c.quantity, 0);
                             const humidorValue = cigarsInHumidor.reduce((sum, c) => sum + (c.quantity * (c.price || 0)), 0);
-                            const humidorCapacity = parseHumidorSize(humidor.size);
-                            const percentageFull = humidorCapacity > 0 ? Math.min(Math.round((cigarCount / humidorCapacity) * 100), 100) : 0;
-                            const capacityColor = percentageFull > 90 ? 'bg-error' : 'bg-primary';
+                            const utilization = getHumidorUtilization(humidor, cigars);
+                            const percentageFull = Math.min(utilization.percent ?? 0, 100);
 
                             console.log('HumidorsScreen: Rendering humidor card', {
                                 humidorId: humidor.id,
@@ -658,8 +666,8 @@ const HumidorsScreen = ({ navigate, cigars, humidors, db, appId, userId, preFilt
                                 cigarsInHumidor: cigarsInHumidor.length,
                                 cigarCount,
                                 humidorValue: humidorValue.toFixed(2),
-                                humidorCapacity,
-                                percentageFull
+                                humidorCapacity: utilization.capacity,
+                                percentageFull: utilization.percent
                             });
 
                             return (
@@ -684,6 +692,8 @@ const HumidorsScreen = ({ navigate, cigars, humidors, db, appId, userId, preFilt
                                         <div className="card-title flex items-start">
                                             <h2 className="text-lg font-bold">{humidor.name}</h2>
                                             <span className="text-xs font-medium">{humidor.type}</span>
+                                            {isHumidorSeasoning(humidor) && <span className="badge badge-warning badge-sm">Seasoning</span>}
+                                            <HumidorRiskBadge humidor={humidor} db={db} appId={appId} userId={userId} />
                                         </div>
 
 
@@ -701,8 +711,18 @@ const HumidorsScreen = ({ navigate, cigars, humidors, db, appId, userId, preFilt
 
                                             <div className="flex-grow flex flex-col justify-center pl-2">
                                                 <div>
-                                                    <label className="text-xs text-base-content/70">Capacity</label>
+                                                    <div className="flex justify-between text-xs text-base-content/70">
+                                                        <label>Capacity</label>
+                                                        {utilization.capacity > 0 && (
+                                                            <span className={utilization.status === 'over' ? 'text-error font-semibold' : ''}>
+                                                                {cigarCount} / {utilization.capacity} ({utilization.percent}%)
+                                                            </span>
+                                                        )}
+                                                    </div>
                                                     <progress className={`progress ${percentageFull > 90 ? 'progress-error' : 'progress-primary'} w-full`} value={percentageFull} max="100"></progress>
+                                                    {utilization.status === 'over' && (
+                                                        <p className="text-xs text-error">Over capacity by {-utilization.remaining}</p>
+                                                    )}
                                                 </div>
                                                 <div className="flex justify-between mt-1">
                                                     <div className="text-xs text-base-content/70">
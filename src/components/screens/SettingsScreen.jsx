@@ -23,6 +23,8 @@ import {
     Info,
     BarChart2,
     Crown,
+    Bell,
+    Zap,
     Settings as SettingsIcon
 } from 'lucide-react';
 
@@ -87,8 +89,8 @@ const SettingsScreen = ({ navigate, dashboardPanelVisibility, setDashboardPanelV
                 <SettingItem icon={Crown} title="Subscription" subtitle="Manage your plan and billing" onClick={() => navigate('Subscription')} />
                 <SettingItem icon={Database} title="Data & Sync" subtitle="Export or import your collection" onClick={() => navigate('DataSync')} />
                 <SettingItem icon={LayoutGrid} title="Dashboard Components" subtitle="Customize what appears on your dashboard" onClick={() => navigate('DashboardSettings')} />
-                {/* <SettingItem icon={Bell} title="Notifications" subtitle="Set up alerts for humidity and temp" onClick={() => navigate('Notifications')} /> */}
-                {/* <SettingItem icon={Zap} title="Integrations" subtitle="Connect to Govee and other services" onClick={() => navigate('Integrations')} /> */}
+                <SettingItem icon={Bell} title="Notifications" subtitle="Review alerts, reminders and notices" onClick={() => navigate('Notifications')} />
+                <SettingItem icon={Zap} title="Integrations" subtitle="Connect to Govee and other services" onClick={() => navigate('Integrations')} />
                 <SettingItem icon={Palette} title="Theme" subtitle="Customize the look and feel" onClick={() => {
                     console.log('SettingsScreen: Opening theme modal');
                     setIsThemeModalOpen(true);
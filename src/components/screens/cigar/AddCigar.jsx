@@ -60,6 +60,7 @@
  * @param {string} props.appId - Application identifier for Firestore document path
  * @param {string} props.userId - Current user's unique identifier
  * @param {string} props.humidorId - Target humidor ID where cigar will be added
+ * @param {Array} props.humidors - All humidors, used to warn when the target humidor is still seasoning
  * @param {Object} props.theme - Theme object containing styling classes and colors
  * 
  * @returns {JSX.Element} Rendered AddCigar form component
@@ -79,7 +80,7 @@
 
 import React, { useState, useRef, useEffect } from 'react';
 import { collection, addDoc } from 'firebase/firestore';
-import { ChevronLeft, LoaderCircle, Sparkles, Tag, Edit, Award } from 'lucide-react';
+import { ChevronLeft, LoaderCircle, Sparkles, Tag, Edit, Award, Sprout, AlertTriangle } from 'lucide-react';
 import { useSubscription } from '../../../contexts/SubscriptionContext';
 import { useCigarLimits } from '../../../hooks/useCigarLimits';
 import CigarLimitWarning from '../../Subscription/CigarLimitWarning';
@@ -88,11 +89,15 @@ import InputField from '../../UI/InputField';
 import TextAreaField from '../../UI/TextAreaField';
 import AutoCompleteInputField from '../../UI/AutoCompleteInputField';
 import QuantityControl from '../../UI/QuantityControl';
+import SectionSelect from '../../UI/SectionSelect';
 import SmartImageModal from '../../Modals/Composite/SmartImageModal';
 import GeminiModal from '../../Modals/Content/GeminiModal';
 import FlavorNotesModal from '../../Modals/Forms/FlavorNotesModal';
 import { getFlavorTagColor } from '../../../utils/colorUtils';
 import { callGeminiAPI } from '../../../services/geminiService';
+import { isHumidorSeasoning } from '../../../services/seasoningService';
+import { getHumidorUtilization, suggestHumidorWithRoom } from '../../../utils/capacityUtils';
+import { createCigarLot } from '../../../utils/lotUtils';
 import StarRating from '../../UI/StarRating';
 
 // Comprehensive tobacco country mapping for puro detection
@@ -180,15 +185,27 @@ const detectPuro = (wrapper, binder, filler) => {
     return { isPuro: false, country: null };
 };
 
-const AddCigar = ({ navigate, db, appId, userId, humidorId, cigars = [] }) => {
+const AddCigar = ({ navigate, db, appId, userId, humidorId, humidors = [], cigars = [] }) => {
     console.log('AddCigar component initialized with props:', { appId, userId, humidorId });
 
     const { subscriptionService } = useSubscription();
     const { canAddCigar, isAtLimit, remainingSlots } = useCigarLimits(cigars);
+    // Starts as the humidor the user came from; switches if they take a capacity suggestion
+    const [targetHumidorId, setTargetHumidorId] = useState(humidorId);
+    const targetHumidor = humidors.find(h => h.id === targetHumidorId);
+    const isTargetSeasoning = isHumidorSeasoning(targetHumidor);
 
     // Initialize formData with new fields length_inches, ring_gauge, and isPuro
-    const [formData, setFormData] = useState({ brand: '', name: '', shape: '', size: '', wrapper: '', binder: '', filler: '', country: '', strength: '', price: '', rating: '', quantity: 1, image: '', shortDescription: '', description: '', flavorNotes: [], dateAdded: new Date().toISOString().split('T')[0], length_inches: '', ring_gauge: '', isPuro: false });
+    const [formData, setFormData] = useState({ brand: '', name: '', shape: '', size: '', wrapper: '', binder: '', filler: '', country: '', strength: '', price: '', rating: '', quantity: 1, image: '', shortDescription: '', description: '', flavorNotes: [], dateAdded: new Date().toISOString().split('T')[0], length_inches: '', ring_gauge: '', isPuro: false, sectionId: null, vendor: '', boxCode: '' });
     console.log('Initial formData state:', formData);
+
+    // Warn when this cigar would overfill the humidor, and point to one with room
+    const addingCount = Number(formData.quantity) || 1;
+    const targetAfter = targetHumidor ? getHumidorUtilization(targetHumidor, cigars, addingCount) : null;
+    const wouldOverfill = targetAfter?.status === 'over';
+    const roomSuggestion = wouldOverfill
+        ? suggestHumidorWithRoom(humidors, cigars, addingCount, { excludeIds: [targetHumidorId], isAvailable: h => !isHumidorSeasoning(h) })
+        : null;
     const [setStrengthSuggestions] = useState([]);
     const [isAutofilling, setIsAutofilling] = useState(false);
     const [modalState, setModalState] = useState({ isOpen: false, content: '', isLoading: false });
@@ -330,14 +347,31 @@ const AddCigar = ({ navigate, db, appId, userId, humidorId, cigars = [] }) => {
             return;
         }
 
+        // Cigars put into an unseasoned humidor give up their moisture to the dry cedar
+        if (isTargetSeasoning && !window.confirm(`${targetHumidor.name} is still seasoning and isn't ready for cigars. Add this cigar anyway?`)) {
+            return;
+        }
+        if (wouldOverfill && !window.confirm(`${targetHumidor.name} holds ${targetAfter.capacity} cigars and would have ${targetAfter.count}. Add anyway?`)) {
+            return;
+        }
+
+        // Vendor and box code belong to the purchase, so they're kept on the first lot
+        const { vendor, boxCode, ...cigarFields } = formData;
+        const dateAdded = new Date(formData.dateAdded).toISOString();
+        const price = Number(formData.price) || 0;
+        const quantity = Number(formData.quantity) || 1;
+
         const newCigar = {
-            ...formData,
-            humidorId: humidorId,
-            dateAdded: new Date(formData.dateAdded).toISOString(),
+            ...cigarFields,
+            humidorId: targetHumidorId,
+            // Sections belong to a humidor, so a pick from another humidor doesn't carry over
+            sectionId: targetHumidor?.sections?.some(sec => sec.id === formData.sectionId) ? formData.sectionId : null,
+            dateAdded,
             flavorNotes: Array.isArray(formData.flavorNotes) ? formData.flavorNotes : [],
             rating: Number(formData.rating) || 0,
-            price: Number(formData.price) || 0,
-            quantity: Number(formData.quantity) || 1,
+            price,
+            quantity,
+            lots: [createCigarLot({ acquiredAt: dateAdded, quantity, unitPrice: price, vendor, boxCode })],
             length_inches: Number(formData.length_inches) || 0, // Ensure number type
             ring_gauge: Number(formData.ring_gauge) || 0,     // Ensure number type
             userRating: validateUserRating(Number(formData.userRating) || 0), // Validate user rating
@@ -350,7 +384,7 @@ const AddCigar = ({ navigate, db, appId, userId, humidorId, cigars = [] }) => {
             const cigarsCollectionRef = collection(db, 'artifacts', appId, 'users', userId, 'cigars');
             const docRef = await addDoc(cigarsCollectionRef, newCigar);
             console.log('handleSave: Successfully saved cigar with ID:', docRef.id);
-            navigate('MyHumidor', { humidorId: humidorId });
+            navigate('MyHumidor', { humidorId: targetHumidorId });
         } catch (error) {
             console.error('handleSave: Error saving cigar:', error);
         }
@@ -527,6 +561,12 @@ const AddCigar = ({ navigate, db, appId, userId, humidorId, cigars = [] }) => {
 
             {/* Cigar Name and Details */}
             <div id="pnlCigarNameAndDetails" className="p-4 space-y-4">
+                {isTargetSeasoning && (
+                    <div role="alert" className="alert alert-warning">
+                        <Sprout className="w-5 h-5" />
+                        <span>{targetHumidor.name} is still seasoning. Cigars added now can dry out while the cedar absorbs moisture.</span>
+                    </div>
+                )}
 
                 {/* Subscription Limit Warning */}
                 <CigarLimitWarning
@@ -697,6 +737,12 @@ const AddCigar = ({ navigate, db, appId, userId, humidorId, cigars = [] }) => {
                     <InputField name="price" label="Price" placeholder="e.g., 23.50" type="number" value={formData.price} onChange={handleInputChange} />
                 </div>
 
+                {/* Vendor and Box Code */}
+                <div id="pnlPurchase" className="grid grid-cols-2 gap-3">
+                    <InputField name="vendor" label="Vendor" placeholder="e.g., Local shop" value={formData.vendor} onChange={handleInputChange} />
+                    <InputField name="boxCode" label="Box Code" placeholder="e.g., TAA MAR 24" value={formData.boxCode} onChange={handleInputChange} />
+                </div>
+
                 {/* Rating and Date Added */}
                 <div id="pnlRatingAndDate" className="grid grid-cols-2 gap-3">
                     <InputField name="rating" label="Rating" placeholder="e.g., 94" type="number" value={formData.rating} onChange={handleInputChange} />
@@ -728,11 +774,28 @@ const AddCigar = ({ navigate, db, appId, userId, humidorId, cigars = [] }) => {
                         )}
                     </div>
                 </div>
+                <SectionSelect humidor={targetHumidor} value={formData.sectionId} onChange={(sectionId) => setFormData(prev => ({ ...prev, sectionId }))} />
                 <div id="pnlQuantity" className="flex flex-col items-center py-4">
                     <label className="label">
                         <span className="label-text">Quantity</span>
                     </label>
                     <QuantityControl quantity={formData.quantity} onChange={handleQuantityChange} />
+                    {targetHumidor && targetHumidorId !== humidorId && (
+                        <p className="text-sm text-base-content/70 mt-2">Adding to {targetHumidor.name}</p>
+                    )}
+                    {wouldOverfill && (
+                        <div role="alert" className="alert alert-warning mt-3 text-sm">
+                            <AlertTriangle className="w-5 h-5" />
+                            <div>
+                                <p>{targetHumidor.name} would be over capacity ({targetAfter.count} of {targetAfter.capacity}).</p>
+                                {roomSuggestion && (
+                                    <button type="button" onClick={() => setTargetHumidorId(roomSuggestion.humidor.id)} className="btn btn-xs btn-outline mt-1">
+                                        Use {roomSuggestion.humidor.name} ({roomSuggestion.utilization.remaining} left after)
+                                    </button>
+                                )}
+                            </div>
+                        </div>
+                    )}
                 </div>
             </div>
             <div id="pnlSaveCancelButtons" className="pt-4 flex space-x-4">
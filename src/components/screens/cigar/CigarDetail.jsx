@@ -11,10 +11,15 @@
 // smoking session logging, and interactive "Roxy's Corner" with pairing suggestions, tasting notes,
 // similar cigar recommendations, and aging potential analysis. The component integrates with Firebase
 // Firestore for data operations and includes modal dialogs for various actions like editing, deleting,
-// and exporting cigar data.
+// and exporting cigar data. A history panel lists recorded events such as completed freezes, and the
+// purchase panel shows which humidor (and shelf, tray, drawer or box) the cigar is stored in. Purchase
+// lots list each time the cigar was bought, and restocks are recorded there. Each smoke is logged
+// to the smoke log, can be undone for a few seconds, and offers to start a journal entry. Stock
+// changed for other reasons (gifted, traded, damaged, lost) is adjusted from the action menu and
+// shows in the history panel. A cigar with none left is archived, and can be restocked from here.
 
 import React, { useState, useMemo, useEffect } from 'react';
-import { doc, updateDoc, deleteDoc } from 'firebase/firestore';
+import { doc, deleteDoc } from 'firebase/firestore';
 import { useAuthState } from 'react-firebase-hooks/auth';
 import { auth } from '../../../firebase';
 import {
@@ -27,6 +32,9 @@ import {
     Wind,
     ChevronDown,
     Sparkles,
+    Snowflake,
+    Luggage,
+    Archive,
     Calendar as CalendarIcon
 } from 'lucide-react';
 
@@ -35,19 +43,28 @@ import { getRatingColor } from '../../utils/getRatingColor';
 import { calculateAge } from '../../utils/calculateAge';
 import { getFlavorTagColor } from '../../../utils/colorUtils';
 import { formatDate } from '../../utils/formatUtils';
+import { getCigarSection } from '../../../utils/sectionUtils';
 
 // Import modal components for dialogs
 import GeminiModal from '../../Modals/Content/GeminiModal';
 import FlavorNotesModal from '../../Modals/Forms/FlavorNotesModal';
 import DeleteCigarsModal from '../../Modals/Actions/DeleteCigarsModal';
 import ExportModal from '../../Modals/Data/ExportModal';
+import AdjustInventoryModal from '../../Modals/Actions/AdjustInventoryModal';
 
 // Import menu and journal components
 import CigarActionMenu from '../../Menus/CigarActionMenu';
 import JournalEntryCard from '../../Journal/JournalEntryCard';
+import CigarHistoryPanel from '../../Cigar/CigarHistoryPanel';
+import CigarLotsPanel from '../../Cigar/CigarLotsPanel';
 
 // Import Gemini API service
 import { callGeminiAPI } from '../../../services/geminiService';
+import { SMOKE_UNDO_WINDOW_MS, logSmoke, undoSmoke } from '../../../services/smokeLogService';
+import { useSmokeLog } from '../../../hooks/useSmokeLog';
+import { recordInventoryAdjustment } from '../../../services/adjustmentService';
+import { restockCigar } from '../../../services/lotService';
+import { isCigarArchived } from '../../../utils/archiveUtils';
 
 // Import StarRating UI component
 import StarRating from '../../UI/StarRating';
@@ -65,7 +82,7 @@ import RoxysCorner from '../../Panels/RoxysCorner';
 
 
 // Main CigarDetail component
-const CigarDetail = ({ cigar, navigate, db, appId, userId, journalEntries }) => {
+const CigarDetail = ({ cigar, humidor, navigate, db, appId, userId, journalEntries }) => {
     // Auth state
     const [user] = useAuthState(auth);
 
@@ -74,8 +91,12 @@ const CigarDetail = ({ cigar, navigate, db, appId, userId, journalEntries }) =>
     const [isFlavorModalOpen, setIsFlavorModalOpen] = useState(false);
     const [isDeleteModalOpen, setIsDeleteModalOpen] = useState(false);
     const [isExportModalOpen, setIsExportModalOpen] = useState(false);
+    const [isAdjustModalOpen, setIsAdjustModalOpen] = useState(false);
     const [isRoxyOpen, setIsRoxyOpen] = useState(false);
-    const [showSmokeConfirmation, setShowSmokeConfirmation] = useState(false);
+    const [lastSmoke, setLastSmoke] = useState(null);
+    const [smokeError, setSmokeError] = useState('');
+
+    const { smokes } = useSmokeLog(db, appId, userId, cigar.id);
 
     // Gemini API key state
     const [hasGeminiKey, setHasGeminiKey] = useState(false);
@@ -108,16 +129,49 @@ const CigarDetail = ({ cigar, navigate, db, appId, userId, journalEntries }) =>
             .sort((a, b) => new Date(b.dateSmoked) - new Date(a.dateSmoked));
     }, [journalEntries, cigar.id]);
 
-    // Handler: Smoke a cigar (decrement quantity)
+    // Logged smokes nobody has written about yet, newest first
+    const unjournaledSmokes = useMemo(() => smokes.filter(smoke => !smoke.journalEntryId), [smokes]);
+
+    // The smoke confirmation (with its undo button) closes when the undo window does
+    useEffect(() => {
+        if (!lastSmoke) return;
+        const timer = setTimeout(() => setLastSmoke(null), SMOKE_UNDO_WINDOW_MS);
+        return () => clearTimeout(timer);
+    }, [lastSmoke]);
+
+    // Handler: Smoke a cigar (log it and decrement quantity)
     const handleSmokeCigar = async () => {
         if (cigar.quantity > 0) {
-            const newQuantity = cigar.quantity - 1;
-            const cigarRef = doc(db, 'artifacts', appId, 'users', userId, 'cigars', cigar.id);
-            await updateDoc(cigarRef, { quantity: newQuantity });
-            setShowSmokeConfirmation(true);
-            setTimeout(() => setShowSmokeConfirmation(false), 1500); // Hide after 1.5 seconds
-            // Optionally navigate to journal entry screen
-            // navigate('AddEditJournalEntry', { cigarId: cigar.id });
+            setSmokeError('');
+            try {
+                setLastSmoke(await logSmoke(db, appId, userId, cigar));
+            } catch (error) {
+                console.error('Error logging smoke:', error);
+                setSmokeError(error.message);
+            }
+        }
+    };
+
+    // Handler: Undo a smoke logged by mistake
+    const handleUndoSmoke = async () => {
+        const smoke = lastSmoke;
+        setLastSmoke(null);
+        try {
+            await undoSmoke(db, appId, userId, smoke, cigar);
+        } catch (error) {
+            console.error('Error undoing smoke:', error);
+            setSmokeError(error.message);
+        }
+    };
+
+    // Handler: Restock an archived cigar by repeating its last purchase
+    const handleRestock = async () => {
+        setSmokeError('');
+        try {
+            await restockCigar(db, appId, userId, cigar);
+        } catch (error) {
+            console.error('Error restocking cigar:', error);
+            setSmokeError(error.message);
         }
     };
 
@@ -212,6 +266,7 @@ Provide a brief, encouraging, and slightly personalized note about this cigar's
             {isFlavorModalOpen && <FlavorNotesModal cigar={cigar} db={db} appId={appId} userId={userId} onClose={() => setIsFlavorModalOpen(false)} />}
             <DeleteCigarsModal isOpen={isDeleteModalOpen} onClose={() => setIsDeleteModalOpen(false)} onConfirm={handleDeleteCigar} count={1} />
             {isExportModalOpen && <ExportModal data={[cigar]} dataType="cigar" onClose={() => setIsExportModalOpen(false)} />}
+            {isAdjustModalOpen && <AdjustInventoryModal cigars={[cigar]} onClose={() => setIsAdjustModalOpen(false)} onSave={(adjustment) => recordInventoryAdjustment(db, appId, userId, [cigar], adjustment)} />}
 
             {/* Cigar image and header */}
             <div className="relative">
@@ -233,6 +288,7 @@ Provide a brief, encouraging, and slightly personalized note about this cigar's
                         onExport={() => setIsExportModalOpen(true)}
                         onDelete={() => setIsDeleteModalOpen(true)}
                         onAddJournal={() => navigate('AddEditJournalEntry', { cigarId: cigar.id })}
+                        onAdjustStock={() => setIsAdjustModalOpen(true)}
                     />
                 </div>
 
@@ -263,15 +319,49 @@ Provide a brief, encouraging, and slightly personalized note about this cigar's
                     className="btn btn-primary w-full">
                     <Cigarette className="w-5 h-5" /> Smoke This! ({cigar.quantity} in stock)
                 </button>
-                {/* Smoke confirmation toast */}
-                {showSmokeConfirmation && (
-                    <div className="toast toast-center">
+                {/* Smoke confirmation toast, with undo while the window is open */}
+                {lastSmoke && (
+                    <div className="toast toast-center z-50">
                         <div className="alert alert-success">
                             <Check className="w-5 h-5" />
                             <span>Enjoy your smoke!</span>
+                            <div className="flex gap-2">
+                                <button onClick={handleUndoSmoke} className="btn btn-ghost btn-sm">Undo</button>
+                                <button onClick={() => navigate('AddEditJournalEntry', { cigarId: cigar.id, smoke: lastSmoke })} className="btn btn-sm">
+                                    <BookText className="w-4 h-4" /> Journal It
+                                </button>
+                            </div>
                         </div>
                     </div>
                 )}
+                {smokeError && (<p className="text-sm text-error">{smokeError}</p>)}
+
+                {/* Out of stock: archived, with its history and journal kept */}
+                {isCigarArchived(cigar) && (
+                    <div role="alert" className="alert">
+                        <Archive className="w-5 h-5" />
+                        <span>None left, so this cigar is in the archive. Its history and journal entries stay with it.</span>
+                        <button onClick={handleRestock} className="btn btn-sm btn-primary">Restock</button>
+                    </div>
+                )}
+
+                {/* Freeze protocol in progress */}
+                {cigar.freezeStatus && (
+                    <div role="alert" className="alert alert-info">
+                        <Snowflake className="w-5 h-5" />
+                        <span>
+                            In the freeze protocol: {cigar.freezeStatus.stageLabel} stage until {new Date(cigar.freezeStatus.dueAt).toLocaleString('en-US', { month: 'short', day: 'numeric', hour: 'numeric', minute: '2-digit' })}.
+                        </span>
+                    </div>
+                )}
+
+                {/* Packed for a trip */}
+                {cigar.trip && (
+                    <div role="alert" className="alert">
+                        <Luggage className="w-5 h-5" />
+                        <span>Packed for a trip. Smokes are logged on the trip, and it goes back to its home humidor when the trip ends.</span>
+                    </div>
+                )}
 
                 {/* Cigar Profile Panel */}
                 <div className="card bg-base-200 p-4 space-y-4">
@@ -320,7 +410,8 @@ Provide a brief, encouraging, and slightly personalized note about this cigar's
                     <div className="grid grid-cols-2 gap-x-4 gap-y-3">
                         <DetailItem label="Date Added" value={formatDate(cigar.dateAdded)} />
                         <DetailItem label="Time in Humidor" value={calculateAge(cigar.dateAdded)} />
-                        <DetailItem label="Price Paid" value={cigar.price ? `${Number(cigar.price).toFixed(2)}` : 'N/A'} />
+                        <DetailItem label={cigar.lots?.length > 1 ? 'Avg. Price Paid' : 'Price Paid'} value={cigar.price ? `${Number(cigar.price).toFixed(2)}` : 'N/A'} />
+                        <DetailItem label="Smoked" value={smokes.length > 0 ? `${smokes.length} · last ${formatDate(smokes[0].smokedAt)}` : 'Not yet'} />
                         <div>
                             <p className="text-xs text-base-content/70">My Rating</p>
                             <StarRating
@@ -329,12 +420,34 @@ Provide a brief, encouraging, and slightly personalized note about this cigar's
                                 size="w-4 h-4"
                             />
                         </div>
+                        {humidor && (
+                            <DetailItem label="Stored In" value={[humidor.name, getCigarSection(cigar, humidor)?.name].filter(Boolean).join(' · ')} />
+                        )}
                     </div>
                 </div>
 
+                {/* Purchase Lots Panel */}
+                <CigarLotsPanel cigar={cigar} db={db} appId={appId} userId={userId} />
+
                 {/* Journal History Panel */}
                 <div className="card bg-base-200 p-4 space-y-4">
                     <h3 className="card-title text-primary">Journal History</h3>
+                    {unjournaledSmokes.length > 0 && (
+                        <div className="space-y-2">
+                            <p className="text-xs text-base-content/70">Smoked without notes</p>
+                            {unjournaledSmokes.slice(0, 3).map(smoke => (
+                                <div key={smoke.id} className="flex items-center justify-between p-2 rounded-md bg-base-100">
+                                    <span className="text-sm">{formatDate(smoke.smokedAt)}</span>
+                                    <button onClick={() => navigate('AddEditJournalEntry', { cigarId: cigar.id, smoke })} className="btn btn-ghost btn-xs">
+                                        <BookText className="w-4 h-4" /> Journal It
+                                    </button>
+                                </div>
+                            ))}
+                            {unjournaledSmokes.length > 3 && (
+                                <p className="text-xs text-base-content/70">and {unjournaledSmokes.length - 3} more</p>
+                            )}
+                        </div>
+                    )}
                     {journalEntriesForCigar.length > 0 ? (
                         <div className="space-y-4">
                             {journalEntriesForCigar.map(entry => (
@@ -356,6 +469,9 @@ Provide a brief, encouraging, and slightly personalized note about this cigar's
                     )}
                 </div>
 
+                {/* Freezes and other recorded events */}
+                <CigarHistoryPanel cigar={cigar} />
+
                 {/* Roxy's Corner Collapsible Panel */}
                 {hasGeminiKey && !keyCheckLoading && (
                     <RoxysCorner
@@ -34,6 +34,7 @@ import {
 
 // Import UI components
 import QuantityControl from '../../UI/QuantityControl';
+import SectionSelect from '../../UI/SectionSelect';
 import InputField from '../../UI/InputField';
 import TextAreaField from '../../UI/TextAreaField';
 import AutoCompleteInputField from '../../UI/AutoCompleteInputField';
@@ -53,8 +54,19 @@ import StarRating from '../../UI/StarRating';
 
 // Utils
 import { hasValidGeminiKey } from '../../../utils/geminiKeyUtils';
-
-const EditCigar = ({ navigate, db, appId, userId, cigar }) => {
+import { deriveCigarTotals } from '../../../utils/lotUtils';
+
+// Shown in place of an input for a value derived from elsewhere
+const ReadOnlyField = ({ label, value }) => (
+    <div className="form-control w-full">
+        <label className="label">
+            <span className="label-text">{label}</span>
+        </label>
+        <div className="input input-bordered w-full flex items-center bg-base-200 text-base-content/70">{value}</div>
+    </div>
+);
+
+const EditCigar = ({ navigate, db, appId, userId, cigar, humidor }) => {
     // Firebase auth state
     const [user, authLoading] = useAuthState(auth);
 
@@ -67,6 +79,7 @@ const EditCigar = ({ navigate, db, appId, userId, cigar }) => {
         length_inches: cigar.length_inches || '',
         ring_gauge: cigar.ring_gauge || ''
     });
+    const hasLots = formData.lots?.length > 0;
     const [strengthSuggestions, setStrengthSuggestions] = useState([]);
     const [isFlavorModalOpen, setIsFlavorModalOpen] = useState(false);
     const [isAutofilling, setIsAutofilling] = useState(false);
@@ -178,6 +191,9 @@ const EditCigar = ({ navigate, db, appId, userId, cigar }) => {
         dataToSave.length_inches = Number(formData.length_inches) || 0;
         dataToSave.ring_gauge = Number(formData.ring_gauge) || 0;
         dataToSave.userRating = validateUserRating(Number(formData.userRating) || 0); // Validate user rating
+        dataToSave.sectionId = formData.sectionId || null;
+        // With purchase lots, price and date added follow the lots and the quantity on hand
+        Object.assign(dataToSave, deriveCigarTotals(formData.lots, Number(formData.quantity) || 0));
         await updateDoc(cigarRef, dataToSave);
         navigate('CigarDetail', { cigarId: cigar.id });
     };
@@ -453,7 +469,11 @@ Do not include any text or markdown formatting outside of the JSON object.`;
                             </ul>
                         )}
                     </div>
-                    <InputField name="price" label="Price Paid" placeholder="e.g., 15.50" type="number" value={formData.price} onChange={handleInputChange} onBlur={handlePriceBlur} className={flashingFields.price ? 'ring-2 ring-primary animate-pulse' : ''} />
+                    {hasLots ? (
+                        <ReadOnlyField label="Avg. Price Paid" value={`$${Number(formData.price || 0).toFixed(2)}`} />
+                    ) : (
+                        <InputField name="price" label="Price Paid" placeholder="e.g., 15.50" type="number" value={formData.price} onChange={handleInputChange} onBlur={handlePriceBlur} className={flashingFields.price ? 'ring-2 ring-primary animate-pulse' : ''} />
+                    )}
                 </div>
                 {/* Rating and Date Added */}
                 <div id="pnlRatingAndDate" className="grid grid-cols-2 gap-3">
@@ -466,14 +486,21 @@ Do not include any text or markdown formatting outside of the JSON object.`;
                         onChange={handleInputChange}
                         className={flashingFields.rating ? 'ring-2 ring-primary animate-pulse' : ''}
                     />
-                    <InputField
-                        name="dateAdded"
-                        label="Date Added"
-                        type="date"
-                        value={formData.dateAdded}
-                        onChange={handleInputChange}
-                    />
+                    {hasLots ? (
+                        <ReadOnlyField label="Date Added" value={formData.dateAdded} />
+                    ) : (
+                        <InputField
+                            name="dateAdded"
+                            label="Date Added"
+                            type="date"
+                            value={formData.dateAdded}
+                            onChange={handleInputChange}
+                        />
+                    )}
                 </div>
+                {hasLots && (
+                    <p className="text-xs text-base-content/70 -mt-2">Price and date added come from this cigar's purchases. Record a restock from its detail page.</p>
+                )}
                 {/* User Rating */}
                 <div id="pnlUserRating" className="form-control">
                     <label className="label">
@@ -490,6 +517,8 @@ Do not include any text or markdown formatting outside of the JSON object.`;
                     flavorNotes={formData.flavorNotes}
                     onEditClick={() => setIsFlavorModalOpen(true)}
                 />
+                {/* Where the cigar sits inside its humidor */}
+                <SectionSelect humidor={humidor} value={formData.sectionId} onChange={(sectionId) => setFormData(prev => ({ ...prev, sectionId }))} />
                 {/* QuantityControl Component */}
                 <div id="pnlQuantity" className="flex flex-col items-center py-4">
                     <label className="label">
@@ -14,6 +14,7 @@
 // - Dynamic form with controlled inputs for humidor details (name, description, size, location, type)
 // - SmartImageModal integration for custom humidor images with positioning
 // - Environment tracking toggle with temperature and humidity controls
+// - Optional seasoning mode that walks a new humidor through seasoning before cigars go in
 // - Firebase Firestore integration for data persistence
 // - Responsive design with mobile-first approach
 // - Theme-aware styling and accessibility considerations
@@ -21,10 +22,15 @@
 
 import React, { useState } from 'react';
 import { collection, addDoc } from 'firebase/firestore';
-import { ChevronLeft, Thermometer } from 'lucide-react';
+import { ChevronLeft, Thermometer, Sprout } from 'lucide-react';
 import InputField from '../../UI/InputField';
 import TextAreaField from '../../UI/TextAreaField';
 import SmartImageModal from '../../Modals/Composite/SmartImageModal';
+import { addHumidorReading, READING_SOURCES } from '../../../services/readingService';
+import { buildHumidorSensorFields } from '../../../utils/sensorUtils';
+import { createSeasoning } from '../../../services/seasoningService';
+import { DEFAULT_STABLE_DAYS, STABLE_DAYS_RANGE } from '../../../constants/seasoningSteps';
+import { resolveCapacityInput } from '../../../utils/capacityUtils';
 
 const AddHumidor = ({ navigate, db, appId, userId }) => {
     const humidorTypes = ["Desktop Humidor", "Cabinet Humidor", "Glass Top Humidor", "Travel Humidor", "Cigar Cooler", "Walk-In Humidor", "Personalized Humidor"];
@@ -33,6 +39,7 @@ const AddHumidor = ({ navigate, db, appId, userId }) => {
         shortDescription: '',
         longDescription: '',
         size: '',
+        capacity: '',
         location: '',
         image: '',
         type: humidorTypes[0],
@@ -40,6 +47,8 @@ const AddHumidor = ({ navigate, db, appId, userId }) => {
         humidity: 70,
     });
     const [trackEnvironment, setTrackEnvironment] = useState(false);
+    const [seasonHumidor, setSeasonHumidor] = useState(true);
+    const [stableDaysRequired, setStableDaysRequired] = useState(DEFAULT_STABLE_DAYS);
 
     const handleInputChange = (e) => {
         const { name, value } = e.target;
@@ -55,14 +64,28 @@ const AddHumidor = ({ navigate, db, appId, userId }) => {
             const newHumidorData = {
                 ...formData,
                 image: formData.image || `https://placehold.co/600x400/3a2d27/ffffff?font=playfair-display&text=${formData.name.replace(/\s/g, '+') || 'New+Humidor'}`,
-                goveeDeviceId: null,
-                goveeDeviceModel: null,
+                capacity: resolveCapacityInput(formData.capacity, formData.size),
+                ...buildHumidorSensorFields(null, null),
                 humidity: trackEnvironment ? Number(formData.humidity) : 70,
                 temp: trackEnvironment ? Number(formData.temp) : 68,
+                seasoning: seasonHumidor ? createSeasoning({ stableDaysRequired }) : null,
             };
             const humidorsCollectionRef = collection(db, 'artifacts', appId, 'users', userId, 'humidors');
-            await addDoc(humidorsCollectionRef, newHumidorData);
-            navigate('HumidorsScreen');
+            const humidorRef = await addDoc(humidorsCollectionRef, newHumidorData);
+            // Entered values are the humidor's first reading; untracked humidors start without one
+            if (trackEnvironment) {
+                await addHumidorReading(db, appId, userId, humidorRef.id, {
+                    temp: newHumidorData.temp,
+                    humidity: newHumidorData.humidity,
+                    source: READING_SOURCES.MANUAL
+                });
+            }
+            // A seasoning humidor opens straight to its checklist
+            if (seasonHumidor) {
+                navigate('MyHumidor', { humidorId: humidorRef.id });
+            } else {
+                navigate('HumidorsScreen');
+            }
         } catch (error) {
             alert(`Failed to save humidor: ${error.message}`);
         }
@@ -117,8 +140,9 @@ const AddHumidor = ({ navigate, db, appId, userId }) => {
 
                 <div className="grid grid-cols-2 gap-4">
                     <InputField name="size" label="Size" placeholder="e.g., 150-count" value={formData.size} onChange={handleInputChange} />
-                    <InputField name="location" label="Location" placeholder="e.g., Office" value={formData.location} onChange={handleInputChange} />
+                    <InputField name="capacity" label="Capacity (cigars)" type="number" placeholder={String(resolveCapacityInput(null, formData.size) || 'e.g., 150')} value={formData.capacity} onChange={handleInputChange} />
                 </div>
+                <InputField name="location" label="Location" placeholder="e.g., Office" value={formData.location} onChange={handleInputChange} />
 
                 <div className="card bg-base-200 p-4">
                     <div className="form-control">
@@ -135,6 +159,24 @@ const AddHumidor = ({ navigate, db, appId, userId }) => {
                     )}
                 </div>
 
+                <div className="card bg-base-200 p-4">
+                    <div className="form-control">
+                        <label className="label cursor-pointer">
+                            <h3 className="label-text font-bold text-lg flex items-center"><Sprout className="w-5 h-5 mr-2" /> Season This Humidor</h3>
+                            <input type="checkbox" className="toggle toggle-primary" checked={seasonHumidor} onChange={() => setSeasonHumidor(!seasonHumidor)} />
+                        </label>
+                        <p className="text-sm text-base-content/70 px-1">
+                            New cedar soaks up moisture from cigars. Seasoning walks you through wiping, waiting and checking the RH each day, and flags the humidor as not ready until humidity holds steady.
+                        </p>
+                    </div>
+                    {seasonHumidor && (
+                        <div className="mt-4 pt-4 border-t border-base-300">
+                            <InputField name="stableDaysRequired" label="Stable days before ready" type="number" value={stableDaysRequired} onChange={(e) => setStableDaysRequired(e.target.value)} />
+                            <p className="text-xs text-base-content/70 mt-1">Between {STABLE_DAYS_RANGE.min} and {STABLE_DAYS_RANGE.max} days.</p>
+                        </div>
+                    )}
+                </div>
+
                 <div className="pt-4 flex space-x-4">
                     <button
                         onClick={() => navigate('HumidorsScreen')}
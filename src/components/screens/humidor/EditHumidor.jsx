@@ -7,14 +7,14 @@
 
 // Description:
 // EditHumidor is a React component that provides a comprehensive form interface for users to edit existing humidors in their collection.
-// The component features advanced environment tracking options including Govee sensor integration, smart image modal for visual customization,
+// The component features advanced environment tracking options including sensor integrations, smart image modal for visual customization,
 // and form validation with Firebase Firestore persistence. It supports both manual and automated environment monitoring.
 //
 // Key Features:
 // - Pre-populated form with existing humidor data and backward compatibility for legacy fields
 // - SmartImageModal integration for custom humidor images with positioning controls
-// - Dual environment tracking modes: manual input and Govee sensor integration
-// - Govee API integration with device selection and real-time sensor data display
+// - Dual environment tracking modes: manual input and a sensor from any connected provider
+// - Sensor provider and device selection with real-time sensor data display
 // - Firebase Firestore integration for data persistence and updates
 // - Responsive design optimized for mobile devices with touch-friendly controls
 // - Theme-aware styling throughout the interface with accessibility considerations
@@ -23,47 +23,132 @@
 //
 // Environment Tracking:
 // - Manual mode: Users can input temperature and humidity values directly
-// - Govee mode: Integration with Govee sensors for automated readings with device selection
-// - Real-time display of current sensor readings when Govee devices are connected
-// - Fallback handling for missing API keys or unavailable sensors
+// - Sensor mode: Pick a connected provider (Govee, SensorPush, Inkbird, HTTP/JSON) and one of its sensors
+// - Real-time display of current sensor readings when a sensor is chosen; choosing a sensor
+//   fetches its current state, and saving stores that state as the humidor's first sensor reading
+// - Fallback handling for missing integrations or unavailable sensors
+//
+// Humidification:
+// - Records the devices keeping the humidor humidified (Boveda packs, beads, crystal gel, active units)
+// - Devices added or removed here are logged as install/remove events in the maintenance history
+//
+// Layout:
+// - Shelves, trays, drawers and boxes inside the humidor that cigars can be assigned to
 
 import React, { useState } from 'react';
 import { doc, updateDoc } from 'firebase/firestore';
-import { ChevronLeft, MapPin } from 'lucide-react';
+import { ChevronLeft, MapPin, LoaderCircle } from 'lucide-react';
 import InputField from '../../UI/InputField';
 import TextAreaField from '../../UI/TextAreaField';
 import SmartImageModal from '../../Modals/Composite/SmartImageModal';
+import HumidificationEditor from '../../Humidor/HumidificationEditor';
+import SectionsEditor from '../../Humidor/SectionsEditor';
+import { addHumidorReading, READING_SOURCES } from '../../../services/readingService';
+import { logDeviceChanges } from '../../../services/humidificationService';
+import { SENSOR_PROVIDERS, getSensorProvider } from '../../../services/sensors';
+import { buildHumidorSensorFields, getHumidorSensor } from '../../../utils/sensorUtils';
+import { resolveCapacityInput } from '../../../utils/capacityUtils';
 
-const EditHumidor = ({ navigate, db, appId, userId, humidor, goveeApiKey, goveeDevices }) => {
+const EditHumidor = ({ navigate, db, appId, userId, humidor, sensorIntegrations = {} }) => {
     const humidorTypes = ["Desktop Humidor", "Cabinet Humidor", "Glass Top Humidor", "Travel Humidor", "Cigar Cooler", "Walk-In Humidor", "Personalized Humidor"];
     const [formData, setFormData] = useState({
         ...humidor,
         shortDescription: humidor.shortDescription || '',
+        capacity: humidor.capacity || '',
         longDescription: humidor.longDescription || humidor.description || '', // Migrate old description
-        trackingMethod: humidor.goveeDeviceId ? 'govee' : 'manual'
+        trackingMethod: getHumidorSensor(humidor) ? 'sensor' : 'manual',
+        sensorProvider: getHumidorSensor(humidor)?.provider || '',
+        sensorDeviceId: getHumidorSensor(humidor)?.deviceId || null,
+        sensorDeviceModel: getHumidorSensor(humidor)?.model || null,
+        humidification: humidor.humidification || [],
+        sections: humidor.sections || []
     });
+    const originalSensor = getHumidorSensor(humidor);
+    const connectedProviders = SENSOR_PROVIDERS.filter(p => sensorIntegrations[p.id]);
+    const providerDevices = sensorIntegrations[formData.sensorProvider]?.devices || [];
 
     const handleInputChange = (e) => {
         const { name, value } = e.target;
         setFormData(prev => ({ ...prev, [name]: value }));
     };
 
-    const handleGoveeDeviceChange = (e) => {
+    // Current state of the selected sensor, fetched when a sensor is picked
+    const [sensorState, setSensorState] = useState(null);
+    const [sensorStatus, setSensorStatus] = useState({ isLoading: false, error: '' });
+
+    const handleSensorProviderChange = (e) => {
+        setFormData(prev => ({ ...prev, sensorProvider: e.target.value, sensorDeviceId: null, sensorDeviceModel: null }));
+        setSensorState(null);
+        setSensorStatus({ isLoading: false, error: '' });
+    };
+
+    const handleSensorDeviceChange = async (e) => {
         const selectedDeviceId = e.target.value;
-        const selectedDevice = goveeDevices.find(d => d.device === selectedDeviceId);
-        setFormData(prev => ({ ...prev, goveeDeviceId: selectedDevice?.device || null, goveeDeviceModel: selectedDevice?.model || null }));
+        const selectedDevice = providerDevices.find(d => d.device === selectedDeviceId);
+        setFormData(prev => ({ ...prev, sensorDeviceId: selectedDevice?.device || null, sensorDeviceModel: selectedDevice?.model || null }));
+        setSensorState(null);
+
+        if (!selectedDevice) return;
+        const provider = getSensorProvider(formData.sensorProvider);
+        setSensorStatus({ isLoading: true, error: '' });
+        try {
+            const state = await provider.readDevice(sensorIntegrations[provider.id], { deviceId: selectedDevice.device, model: selectedDevice.model });
+            setSensorState(state);
+            setSensorStatus({ isLoading: false, error: state.online ? '' : `This sensor is offline in ${provider.name}.` });
+        } catch (error) {
+            console.error('EditHumidor: Failed to read sensor:', error);
+            setSensorStatus({ isLoading: false, error: error.message });
+        }
     };
 
     const handleSave = async () => {
         const humidorRef = doc(db, 'artifacts', appId, 'users', userId, 'humidors', humidor.id);
-        const { id, description, ...dataToSave } = formData; // Exclude id and old description field
+        const { id, description, trackingMethod, ...dataToSave } = formData; // Exclude id, form-only and old description fields
+        const sensorFields = trackingMethod === 'manual'
+            ? buildHumidorSensorFields(null, null)
+            : buildHumidorSensorFields(formData.sensorProvider, formData.sensorDeviceId, formData.sensorDeviceModel);
+        const sensorUnchanged = !!originalSensor && sensorFields.sensorProvider === originalSensor.provider && sensorFields.sensorDeviceId === originalSensor.deviceId;
+        // A calibration belongs to the hygrometer it was done on, so switching instruments drops it
+        const instrumentChanged = !sensorUnchanged && (!!originalSensor || !!sensorFields.sensorDeviceId);
+        const calibration = instrumentChanged ? null : (humidor.calibration || null);
         const updatedHumidor = {
             ...dataToSave,
-            goveeDeviceId: formData.trackingMethod === 'manual' ? null : formData.goveeDeviceId,
-            goveeDeviceModel: formData.trackingMethod === 'manual' ? null : formData.goveeDeviceModel,
+            ...sensorFields,
+            calibration,
+            capacity: resolveCapacityInput(formData.capacity, formData.size),
+            // A different (or no) sensor starts with a clean status; polling sets it again
+            sensorStatus: sensorUnchanged ? (humidor.sensorStatus || null) : null,
             image: formData.image || `https://placehold.co/600x400/3a2d27/ffffff?font=playfair-display&text=${formData.name.replace(/\s/g, '+') || 'Humidor'}`,
         };
         await updateDoc(humidorRef, updatedHumidor);
+        await logDeviceChanges(db, appId, userId, humidor.id, humidor.humidification, formData.humidification);
+
+        // A manually edited temp/humidity is a new reading, so keep it in the humidor's history
+        const humidityChanged = Number(formData.humidity) !== Number(humidor.humidity);
+        const manualReadingChanged = formData.trackingMethod === 'manual' &&
+            (Number(formData.temp) !== Number(humidor.temp) || humidityChanged);
+        if (manualReadingChanged) {
+            // An unchanged humidity is already corrected; re-apply the offset to its measured value instead
+            const measuredHumidity = humidityChanged ? formData.humidity : (humidor.rawHumidity ?? formData.humidity);
+            const useCalibration = humidityChanged || humidor.rawHumidity != null;
+            await addHumidorReading(db, appId, userId, humidor.id, {
+                temp: formData.temp,
+                humidity: measuredHumidity,
+                source: READING_SOURCES.MANUAL
+            }, { calibration: useCalibration ? calibration : null });
+        }
+
+        // Start the history of a newly bound sensor with the state fetched when it was picked
+        const sensorBound = !!sensorFields.sensorDeviceId && !sensorUnchanged;
+        if (sensorBound && sensorState?.online && sensorState.temp !== null && sensorState.humidity !== null) {
+            await addHumidorReading(db, appId, userId, humidor.id, {
+                temp: sensorState.temp,
+                humidity: sensorState.humidity,
+                source: READING_SOURCES.SENSOR,
+                timestamp: sensorState.timestamp,
+                deviceId: sensorFields.sensorDeviceId
+            }, { calibration });
+        }
         navigate('MyHumidor', { humidorId: humidor.id });
     };
 
@@ -119,8 +204,9 @@ const EditHumidor = ({ navigate, db, appId, userId, humidor, goveeApiKey, goveeD
                 {/* Size and location */}
                 <div id="pnlSizeAndLocation" className="grid grid-cols-2 gap-4">
                     <InputField name="size" label="Size" placeholder="e.g., 150-count" value={formData.size} onChange={handleInputChange} />
-                    <InputField name="location" label="Location" placeholder="e.g., Office" value={formData.location} onChange={handleInputChange} />
+                    <InputField name="capacity" label="Capacity (cigars)" type="number" placeholder={String(resolveCapacityInput(null, formData.size) || 'e.g., 150')} value={formData.capacity} onChange={handleInputChange} />
                 </div>
+                <InputField name="location" label="Location" placeholder="e.g., Office" value={formData.location} onChange={handleInputChange} />
                 {/* Environment Tracking */}
                 <div pnl="pnlEnvironmentTracking" className="card bg-base-200 p-4 rounded-md">
                     <h3 className="font-bold text-xl text-primary mb-4 flex items-center"><MapPin className="w-5 h-5 mr-2" /> Environment Tracking</h3>
@@ -129,31 +215,55 @@ const EditHumidor = ({ navigate, db, appId, userId, humidor, goveeApiKey, goveeD
                             <label className="label-text mb-2 block">Tracking Method</label>
                             <div className="flex space-x-4">
                                 <label className="inline-flex items-center"><input type="radio" name="trackingMethod" value="manual" checked={formData.trackingMethod === 'manual'} onChange={handleInputChange} className="radio radio-primary" /><span className="ml-2">Manual Input</span></label>
-                                <label className="inline-flex items-center"><input type="radio" name="trackingMethod" value="govee" checked={formData.trackingMethod === 'govee'} onChange={handleInputChange} className="radio radio-primary" /><span className="ml-2">Govee Sensor</span></label>
+                                <label className="inline-flex items-center"><input type="radio" name="trackingMethod" value="sensor" checked={formData.trackingMethod === 'sensor'} onChange={handleInputChange} className="radio radio-primary" /><span className="ml-2">Sensor</span></label>
                             </div>
                         </div>
                         {formData.trackingMethod === 'manual' ? (
                             <div className="grid grid-cols-2 gap-4">
                                 <InputField name="temp" label="Temperature (°F)" placeholder="e.g., 68" type="number" value={formData.temp} onChange={handleInputChange} />
                                 <InputField name="humidity" label="Humidity (%)" placeholder="e.g., 70" type="number" value={formData.humidity} onChange={handleInputChange} />
+                                {humidor.calibration && (
+                                    <p className="col-span-2 text-xs text-base-content/70">A calibration offset of {humidor.calibration.humidityOffset > 0 ? '+' : ''}{humidor.calibration.humidityOffset}% is applied to a new humidity value.</p>
+                                )}
                             </div>
                         ) : (
                             <div>
-                                <label className="label-text mb-1 block">Govee Sensor</label>
-                                <select value={formData.goveeDeviceId || ''} onChange={handleGoveeDeviceChange} disabled={!goveeApiKey || goveeDevices.length === 0} className="select select-bordered w-full">
-                                    <option value="">{!goveeApiKey ? "Connect Govee first" : (goveeDevices.length === 0 ? "No sensors found" : "Select a sensor")}</option>
-                                    {goveeDevices.map(device => (<option key={device.device} value={device.device}>{device.deviceName} ({device.model})</option>))}
+                                <label className="label-text mb-1 block">Sensor Provider</label>
+                                <select value={formData.sensorProvider} onChange={handleSensorProviderChange} disabled={connectedProviders.length === 0} className="select select-bordered w-full">
+                                    <option value="">{connectedProviders.length === 0 ? "Connect a provider first" : "Select a provider"}</option>
+                                    {connectedProviders.map(provider => (<option key={provider.id} value={provider.id}>{provider.name}</option>))}
                                 </select>
-                                {!goveeApiKey && (<p className="text-xs text-error mt-1">Please connect your Govee API key in Integrations settings.</p>)}
-                                {goveeApiKey && goveeDevices.length === 0 && (<p className="text-xs text-warning mt-1">No Govee sensors found. Check your key and Govee app.</p>)}
+                                {connectedProviders.length === 0 && (<p className="text-xs text-error mt-1">Please connect a sensor provider in Integrations settings.</p>)}
+                                {formData.sensorProvider && (
+                                    <>
+                                        <label className="label-text mb-1 mt-4 block">Sensor</label>
+                                        <select value={formData.sensorDeviceId || ''} onChange={handleSensorDeviceChange} disabled={providerDevices.length === 0} className="select select-bordered w-full">
+                                            <option value="">{providerDevices.length === 0 ? "No sensors found" : "Select a sensor"}</option>
+                                            {providerDevices.map(device => (<option key={device.device} value={device.device}>{device.deviceName} ({device.model})</option>))}
+                                        </select>
+                                        {providerDevices.length === 0 && (<p className="text-xs text-warning mt-1">No sensors found. Refresh the provider in Integrations settings.</p>)}
+                                    </>
+                                )}
+                                {sensorStatus.isLoading && (<p className="text-xs text-base-content/70 mt-1 flex items-center gap-1"><LoaderCircle className="w-3 h-3 animate-spin" /> Reading sensor...</p>)}
+                                {sensorStatus.error && (<p className="text-xs text-error mt-1">{sensorStatus.error}</p>)}
                                 <div className="grid grid-cols-2 gap-4 mt-4">
-                                    <InputField name="temp" label="Current Temp (°F)" value={humidor.temp} type="number" onChange={() => { }} disabled={true} />
-                                    <InputField name="humidity" label="Current Humidity (%)" value={humidor.humidity} type="number" onChange={() => { }} disabled={true} />
+                                    <InputField name="temp" label="Current Temp (°F)" value={sensorState?.temp ?? humidor.temp} type="number" onChange={() => { }} disabled={true} />
+                                    <InputField name="humidity" label="Current Humidity (%)" value={sensorState?.humidity ?? humidor.humidity} type="number" onChange={() => { }} disabled={true} />
                                 </div>
                             </div>
                         )}
                     </div>
                 </div>
+                {/* Humidification devices */}
+                <HumidificationEditor
+                    devices={formData.humidification}
+                    onChange={(devices) => setFormData(prev => ({ ...prev, humidification: devices }))}
+                />
+                {/* Shelves, trays, drawers and boxes */}
+                <SectionsEditor
+                    sections={formData.sections}
+                    onChange={(sections) => setFormData(prev => ({ ...prev, sections }))}
+                />
                 {/* Save and Cancel buttons */}
                 <div pnl="pnlSaveCancelButtons" className="pt-4 flex space-x-4">
 
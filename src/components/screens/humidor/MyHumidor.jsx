@@ -16,8 +16,11 @@
  * Key Features:
  * - Environmental data display (temperature, humidity, estimated value)
  * - Advanced search and filtering with real-time suggestions
- * - Multiple view modes (grid/list) with responsive design
- * - Bulk operations (move, delete) with select mode
+ * - Multiple view modes (grid/list/layout) with responsive design
+ * - Layout view of the humidor's shelves, trays, drawers and boxes, filterable by section
+ * - Bulk operations (move, assign to a section, adjust stock, freeze, delete) with select mode
+ * - Finished (out of stock) cigars kept in an archive view instead of the inventory, with one-tap restock
+ * - Trip mode for travel humidors: pack cigars for a trip, log smokes, send the rest home
  * - AI-powered auto-fill for missing cigar details via Roxy's Corner
  * - Comprehensive sorting options (name, brand, rating, quantity, price, date)
  * - Export functionality for data management
@@ -35,12 +38,11 @@
  * @param {Function} props.navigate - Navigation function for screen transitions
  * @param {Array} props.cigars - Array of all cigars in the collection
  * @param {Array} props.humidors - Array of all humidors for move operations
+ * @param {Array} props.journalEntries - Journal entries, counted on archived cigars
  * @param {Object} props.db - Firebase Firestore database instance
  * @param {string} props.appId - Application identifier for Firestore paths
  * @param {string} props.userId - Current user's unique identifier
  * @param {Object} props.theme - Theme configuration object for styling
- * @param {Function} props.setCigars - Function to update the cigars state
- * @param {Function} props.setHumidors - Function to update the humidors state
  */
 
 // React and core imports
@@ -54,7 +56,7 @@ import { auth } from '../../../firebase.js';
 import {
     Wind, ChevronLeft, ChevronDown, Plus, Search, Filter, LayoutGrid, List,
     Thermometer, Droplets, Move, Trash2,
-    CheckSquare, ArrowUp, ArrowDown, X
+    CheckSquare, ArrowUp, ArrowDown, X, Snowflake, Layers, ClipboardList, Archive
 } from 'lucide-react';
 
 // Firebase imports
@@ -62,12 +64,30 @@ import { doc, updateDoc, writeBatch } from 'firebase/firestore';
 
 // Service imports
 import { callGeminiAPI } from '../../../services/geminiService.js';
+import { addHumidorReading, deleteHumidorReadings, READING_SOURCES } from '../../../services/readingService.js';
+import { deleteHumidorCalibrations } from '../../../services/calibrationService.js';
+import { deleteHumidorMaintenance } from '../../../services/humidificationService.js';
+import { isHumidorSeasoning } from '../../../services/seasoningService.js';
+import { recordInventoryAdjustment } from '../../../services/adjustmentService.js';
+import { moveCigars } from '../../../services/cigarMoveService.js';
+import { TRIP_STATUS, isTravelHumidor } from '../../../services/tripService.js';
+
+// Hooks
+import { useHumidorRisk } from '../../../hooks/useHumidorRisk.js';
+import { useFreezeBatches } from '../../../hooks/useFreezeBatches.js';
+import { useTrips } from '../../../hooks/useTrips.js';
+import { getAlertRuleRef } from '../../../services/alertService.js';
 
 // Utils
 import { hasValidGeminiKey } from '../../../utils/geminiKeyUtils.js';
+import { getHumidorUtilization } from '../../../utils/capacityUtils.js';
+import { getHumidorSections, matchesSectionFilter } from '../../../utils/sectionUtils.js';
+import { isCigarArchived } from '../../../utils/archiveUtils.js';
+import { createChunkedBatch } from '../../../utils/firestoreUtils.js';
 
 // Constants imports
 import { strengthOptions } from '../../../constants/cigarOptions.js';
+import { UNASSIGNED_SECTION } from '../../../constants/humidorSections.js';
 
 // UI Component imports
 import FilterSortModal from '../../UI/FilterSortModal.jsx';
@@ -75,18 +95,30 @@ import GridCigarCard from '../../Cigar/GridCigarCard.jsx';
 import ListCigarCard from '../../Cigar/ListCigarCard.jsx';
 import BottomDrawer from '../../UI/BottomDrawer.jsx';
 import RoxysCorner from '../../Panels/RoxysCorner.jsx';
+import EnvironmentTrendsPanel from '../../Panels/EnvironmentTrendsPanel.jsx';
+import SeasoningPanel from '../../Panels/SeasoningPanel.jsx';
+import FreezeTrackerPanel from '../../Panels/FreezeTrackerPanel.jsx';
+import TripPanel from '../../Panels/TripPanel.jsx';
+import HumidorLayoutView from '../../Humidor/HumidorLayoutView.jsx';
 
 // Menu Component imports
 import HumidorActionMenu from '../../Menus/HumidorActionMenu.jsx';
 
 // Modal Component imports
 import ManualReadingModal from '../../Modals/Forms/ManualReadingModal.jsx';
+import CalibrationModal from '../../Modals/Forms/CalibrationModal.jsx';
+import MaintenanceModal from '../../Modals/Forms/MaintenanceModal.jsx';
+import FreezeProtocolModal from '../../Modals/Forms/FreezeProtocolModal.jsx';
+import TripPackModal from '../../Modals/Forms/TripPackModal.jsx';
 import MoveCigarsModal from '../../Modals/Actions/MoveCigarsModal.jsx';
+import AssignSectionModal from '../../Modals/Actions/AssignSectionModal.jsx';
+import AdjustInventoryModal from '../../Modals/Actions/AdjustInventoryModal.jsx';
+import ArchivedCigarList from '../../Cigar/ArchivedCigarList.jsx';
 import DeleteHumidorModal from '../../Modals/Actions/DeleteHumidorModal.jsx';
 import DeleteCigarsModal from '../../Modals/Actions/DeleteCigarsModal.jsx';
 import ExportModal from '../../Modals/Data/ExportModal.jsx';
 import HumidorStatsCards from "../../UI/HumidorStatsCards.jsx";
-const MyHumidor = ({ humidor, navigate, cigars, humidors, db, appId, userId, setCigars, setHumidors }) => {
+const MyHumidor = ({ humidor, navigate, cigars, humidors, journalEntries = [], db, appId, userId }) => {
 
     const [isRoxyPanel1Collapsed, setIsRoxyPanel1Collapsed] = useState(true);
     const [isRoxyPanel2Collapsed, setIsRoxyPanel2Collapsed] = useState(true);
@@ -105,6 +137,17 @@ const MyHumidor = ({ humidor, navigate, cigars, humidors, db, appId, userId, set
     console.log('MyHumidor: All cigars:', cigars);
     console.log('MyHumidor: All humidors:', humidors);
 
+    // Beetle, mold and over-dry risk from the last week of readings
+    const { risk } = useHumidorRisk(db, appId, userId, humidor.id);
+
+    // Freeze protocol batches in progress for cigars from this humidor
+    const { freezeBatches } = useFreezeBatches(db, appId, userId);
+    const humidorFreezeBatches = freezeBatches.filter(b => b.humidorId === humidor.id);
+
+    // Trips packed into this humidor, when it is a travel humidor
+    const { trips, activeTrip } = useTrips(db, appId, userId, isTravelHumidor(humidor) ? humidor.id : null);
+    const lastTrip = trips.find(t => t.status === TRIP_STATUS.COMPLETE) || null;
+
     // === STATE MANAGEMENT ===
 
     // Search and UI state
@@ -124,10 +167,17 @@ const MyHumidor = ({ humidor, navigate, cigars, humidors, db, appId, userId, set
 
     // Modal visibility state
     const [isMoveModalOpen, setIsMoveModalOpen] = useState(false);
+    const [isAssignSectionModalOpen, setIsAssignSectionModalOpen] = useState(false);
+    const [isAdjustModalOpen, setIsAdjustModalOpen] = useState(false);
+    const [showArchive, setShowArchive] = useState(false);
     const [isDeleteHumidorModalOpen, setIsDeleteHumidorModalOpen] = useState(false);
     const [isDeleteCigarsModalOpen, setIsDeleteCigarsModalOpen] = useState(false);
     const [isExportModalOpen, setIsExportModalOpen] = useState(false);
     const [isManualReadingModalOpen, setIsManualReadingModalOpen] = useState(false);
+    const [isCalibrationModalOpen, setIsCalibrationModalOpen] = useState(false);
+    const [isMaintenanceModalOpen, setIsMaintenanceModalOpen] = useState(false);
+    const [isFreezeModalOpen, setIsFreezeModalOpen] = useState(false);
+    const [isTripPackModalOpen, setIsTripPackModalOpen] = useState(false);
     const [isFilterSortModalOpen, setIsFilterSortModalOpen] = useState(false);
     const [isFilterPanelOpen, setIsFilterPanelOpen] = useState(false);
 
@@ -136,7 +186,8 @@ const MyHumidor = ({ humidor, navigate, cigars, humidors, db, appId, userId, set
         brand: '',
         country: '',
         strength: '',
-        flavorNotes: []
+        flavorNotes: [],
+        sectionId: ''
     });
     const [sortBy, setSortBy] = useState('name');
     const [sortOrder, setSortOrder] = useState('asc');
@@ -214,8 +265,8 @@ const MyHumidor = ({ humidor, navigate, cigars, humidors, db, appId, userId, set
     const filteredAndSortedCigars = useMemo(() => {
         console.log('MyHumidor: Recalculating filtered and sorted cigars');
 
-        // Start with cigars from this humidor only
-        let currentCigars = cigars.filter(c => c.humidorId === humidor.id);
+        // Start with cigars from this humidor only, leaving out archived (out of stock) ones
+        let currentCigars = cigars.filter(c => c.humidorId === humidor.id && !isCigarArchived(c));
         console.log('MyHumidor: Initial cigars in humidor:', currentCigars.length);
 
         // Apply search query filter
@@ -258,6 +309,13 @@ const MyHumidor = ({ humidor, navigate, cigars, humidors, db, appId, userId, set
             console.log('MyHumidor: After flavor notes filter:', currentCigars.length, 'from', beforeFlavor);
         }
 
+        // Apply section filter
+        if (filters.sectionId) {
+            const beforeSection = currentCigars.length;
+            currentCigars = currentCigars.filter(cigar => matchesSectionFilter(cigar, humidor, filters.sectionId));
+            console.log('MyHumidor: After section filter:', currentCigars.length, 'from', beforeSection);
+        }
+
         // Apply sorting
         currentCigars.sort((a, b) => {
             let valA, valB;
@@ -277,7 +335,7 @@ const MyHumidor = ({ humidor, navigate, cigars, humidors, db, appId, userId, set
 
         console.log('MyHumidor: Final filtered and sorted cigars:', currentCigars.length, 'sorted by', sortBy, sortOrder);
         return currentCigars;
-    }, [cigars, humidor.id, searchQuery, filters, sortBy, sortOrder]);
+    }, [cigars, humidor, searchQuery, filters, sortBy, sortOrder]);
 
     /**
      * Identifies cigars with missing details that can be auto-filled by AI
@@ -295,11 +353,16 @@ const MyHumidor = ({ humidor, navigate, cigars, humidors, db, appId, userId, set
         return missingDetailsCigars;
     }, [filteredAndSortedCigars, FIELDS_TO_AUTOFILL]);
 
+    // Out-of-stock cigars from this humidor, shown in the archive view
+    const archivedCigars = useMemo(() => cigars
+        .filter(c => c.humidorId === humidor.id && isCigarArchived(c))
+        .sort((a, b) => `${a.brand} ${a.name}`.localeCompare(`${b.brand} ${b.name}`)), [cigars, humidor.id]);
+
     /**
      * Determines if any filters are currently active
      */
     const isFilterActive = useMemo(() => {
-        const active = filters.brand || filters.country || filters.strength || filters.flavorNotes.length > 0;
+        const active = filters.brand || filters.country || filters.strength || filters.flavorNotes.length > 0 || filters.sectionId;
         console.log('MyHumidor: Filters active:', active, filters);
         return active;
     }, [filters]);
@@ -333,6 +396,9 @@ const MyHumidor = ({ humidor, navigate, cigars, humidors, db, appId, userId, set
 
     console.log('MyHumidor: Collection stats - Total quantity:', totalQuantity, 'Estimated value: $', humidorValue.toFixed(2));
 
+    // Fill level counts every cigar in the humidor, not just the filtered ones
+    const utilization = getHumidorUtilization(humidor, cigars);
+
     const handleSearchChange = (e) => {
         const query = e.target.value;
         console.log('MyHumidor: Search query changed to:', query);
@@ -372,19 +438,11 @@ const MyHumidor = ({ humidor, navigate, cigars, humidors, db, appId, userId, set
         });
     };
 
-    // Function to handle the Move Cigars action
-    const handleMoveCigars = async (destinationHumidorId) => {
-        // Get a new write batch
-        const batch = writeBatch(db);
-        // Iterate over each selected cigar ID
-        selectedCigarIds.forEach(cigarId => {
-            // Correctly reference the cigar document using the cigarId from the loop
-            const cigarRef = doc(db, 'artifacts', appId, 'users', userId, 'cigars', cigarId);
-            // Update the humidorId and reset the dateAdded for the moved cigar
-            batch.update(cigarRef, { humidorId: destinationHumidorId, dateAdded: new Date().toISOString() });
-        });
-        // Commit the batch update
-        await batch.commit();
+    // Function to handle the Move Cigars action; the cigars keep their date added (and so their age),
+    // each move is recorded in the cigar's history, and moving part of a cigar's stock splits its record
+    const handleMoveCigars = async (destinationHumidorId, reason, quantities) => {
+        const destination = humidors.find(h => h.id === destinationHumidorId);
+        await moveCigars(db, appId, userId, cigars.filter(c => selectedCigarIds.includes(c.id)), destination, { humidors, allCigars: cigars, quantities, reason });
         // Reset state and navigate to the destination humidor
         setIsMoveModalOpen(false);
         setIsSelectMode(false);
@@ -392,19 +450,40 @@ const MyHumidor = ({ humidor, navigate, cigars, humidors, db, appId, userId, set
         navigate('MyHumidor', { humidorId: destinationHumidorId });
     };
 
-    const handleConfirmDeleteHumidor = async ({ action, destinationHumidorId }) => {
+    // Puts the selected cigars on a shelf, tray, drawer or box (or takes them off, for null)
+    const handleAssignSection = async (sectionId) => {
         const batch = writeBatch(db);
+        selectedCigarIds.forEach(cigarId => {
+            batch.update(doc(db, 'artifacts', appId, 'users', userId, 'cigars', cigarId), { sectionId });
+        });
+        await batch.commit();
+        setIsSelectMode(false);
+        setSelectedCigarIds([]);
+    };
+
+    // Changes the stock of the selected cigars for a reason (smoked, gifted, damaged, ...)
+    const handleAdjustInventory = async (adjustment) => {
+        const selectedCigars = cigars.filter(c => selectedCigarIds.includes(c.id));
+        await recordInventoryAdjustment(db, appId, userId, selectedCigars, adjustment);
+        setIsSelectMode(false);
+        setSelectedCigarIds([]);
+    };
+
+    const handleConfirmDeleteHumidor = async (action, destinationHumidorId) => {
+        // Large humidors can hold more cigars than one Firestore batch takes
+        const batch = createChunkedBatch(db);
         const cigarsToDelete = cigars.filter(c => c.humidorId === humidor.id);
 
         switch (action) {
-            case 'move':
-                cigarsToDelete.forEach(cigar => {
-                    const cigarRef = doc(db, 'artifacts', appId, 'users', userId, 'cigars', cigar.id);
-                    batch.update(cigarRef, { humidorId: destinationHumidorId });
-                });
+            case 'move': {
+                // Moved like any other move, merging into records the destination already has,
+                // and saved before the humidor goes so no cigar is left pointing at it
+                const destination = humidors.find(h => h.id === destinationHumidorId);
+                if (!destination) throw new Error('Pick a humidor to move the cigars to');
+                await moveCigars(db, appId, userId, cigarsToDelete, destination, { humidors, allCigars: cigars, reason: `${humidor.name} was deleted` });
                 break;
-            case 'export':
-            case 'deleteAll':
+            }
+            case 'delete':
                 cigarsToDelete.forEach(cigar => {
                     const cigarRef = doc(db, 'artifacts', appId, 'users', userId, 'cigars', cigar.id);
                     batch.delete(cigarRef);
@@ -415,16 +494,17 @@ const MyHumidor = ({ humidor, navigate, cigars, humidors, db, appId, userId, set
 
         const humidorRef = doc(db, 'artifacts', appId, 'users', userId, 'humidors', humidor.id);
         batch.delete(humidorRef);
+        batch.delete(getAlertRuleRef(db, appId, userId, humidor.id));
 
         await batch.commit();
 
-        // Update local state to reflect deletion
-        const updatedCigars = cigars.filter(c => c.humidorId !== humidor.id);
-        const updatedHumidors = humidors.filter(h => h.id !== humidor.id);
-
-        setCigars(updatedCigars);
-        setHumidors(updatedHumidors);
+        // Readings, calibrations and maintenance events live in subcollections that Firestore won't remove with the humidor.
+        // They go once the humidor is gone, so a failed delete never leaves a humidor with its history wiped.
+        await deleteHumidorReadings(db, appId, userId, humidor.id);
+        await deleteHumidorCalibrations(db, appId, userId, humidor.id);
+        await deleteHumidorMaintenance(db, appId, userId, humidor.id);
 
+        // The Firestore listeners drop the humidor and its cigars from app state
         setIsDeleteHumidorModalOpen(false);
         navigate('HumidorsScreen');
     };
@@ -510,8 +590,12 @@ If you cannot determine a value, use "" or [] or 0. Only return the JSON object.
     };
 
     const handleSaveManualReading = async (newTemp, newHumidity) => {
-        const humidorRef = doc(db, 'artifacts', appId, 'users', userId, 'humidors', humidor.id);
-        await updateDoc(humidorRef, { temp: newTemp, humidity: newHumidity });
+        // Store the reading in the humidor's history; the latest value is mirrored onto the humidor doc
+        await addHumidorReading(db, appId, userId, humidor.id, {
+            temp: newTemp,
+            humidity: newHumidity,
+            source: READING_SOURCES.MANUAL
+        }, { calibration: humidor.calibration || null });
         setIsManualReadingModalOpen(false);
     };
 
@@ -531,14 +615,34 @@ If you cannot determine a value, use "" or [] or 0. Only return the JSON object.
     };
 
     const handleClearFilters = () => {
-        setFilters({ brand: '', country: '', strength: '', flavorNotes: [] });
+        setFilters({ brand: '', country: '', strength: '', flavorNotes: [], sectionId: '' });
     };
 
     return (
         <div id="pnlContainerWrapper" className="bg-base-100 min-h-screen pb-24">
-            {isManualReadingModalOpen && <ManualReadingModal humidor={humidor} onClose={() => setIsManualReadingModalOpen(false)} onSave={handleSaveManualReading} />}
-            {isMoveModalOpen && <MoveCigarsModal onClose={() => setIsMoveModalOpen(false)} onMove={handleMoveCigars} destinationHumidors={humidors.filter(h => h.id !== humidor.id)} />}
-            <DeleteHumidorModal isOpen={isDeleteHumidorModalOpen} onClose={() => setIsDeleteHumidorModalOpen(false)} onConfirm={handleConfirmDeleteHumidor} humidor={humidor} cigarsInHumidor={filteredAndSortedCigars} otherHumidors={humidors.filter(h => h.id !== humidor.id)} />
+            {isManualReadingModalOpen && <ManualReadingModal isOpen={isManualReadingModalOpen} initialTemp={humidor.temp} initialHumidity={humidor.rawHumidity ?? humidor.humidity} humidityOffset={humidor.calibration?.humidityOffset} onClose={() => setIsManualReadingModalOpen(false)} onSave={handleSaveManualReading} />}
+            {isCalibrationModalOpen && <CalibrationModal humidor={humidor} db={db} appId={appId} userId={userId} onClose={() => setIsCalibrationModalOpen(false)} />}
+            {isMaintenanceModalOpen && <MaintenanceModal humidor={humidor} db={db} appId={appId} userId={userId} onClose={() => setIsMaintenanceModalOpen(false)} onManageDevices={() => navigate('EditHumidor', { humidorId: humidor.id })} />}
+            {isFreezeModalOpen && (
+                <FreezeProtocolModal
+                    cigars={cigars.filter(c => selectedCigarIds.includes(c.id))}
+                    humidorId={humidor.id}
+                    db={db}
+                    appId={appId}
+                    userId={userId}
+                    onClose={() => setIsFreezeModalOpen(false)}
+                    onStarted={() => {
+                        setIsFreezeModalOpen(false);
+                        setIsSelectMode(false);
+                        setSelectedCigarIds([]);
+                    }}
+                />
+            )}
+            {isTripPackModalOpen && <TripPackModal travelHumidor={humidor} humidors={humidors} cigars={cigars} db={db} appId={appId} userId={userId} onClose={() => setIsTripPackModalOpen(false)} />}
+            {isAssignSectionModalOpen && <AssignSectionModal humidor={humidor} count={selectedCigarIds.length} onClose={() => setIsAssignSectionModalOpen(false)} onAssign={handleAssignSection} />}
+            {isAdjustModalOpen && <AdjustInventoryModal cigars={cigars.filter(c => selectedCigarIds.includes(c.id))} onClose={() => setIsAdjustModalOpen(false)} onSave={handleAdjustInventory} />}
+            {isMoveModalOpen && <MoveCigarsModal onClose={() => setIsMoveModalOpen(false)} onMove={handleMoveCigars} destinationHumidors={humidors.filter(h => h.id !== humidor.id)} cigars={cigars} movingCigars={cigars.filter(c => selectedCigarIds.includes(c.id))} />}
+            <DeleteHumidorModal isOpen={isDeleteHumidorModalOpen} onClose={() => setIsDeleteHumidorModalOpen(false)} onConfirm={handleConfirmDeleteHumidor} humidor={humidor} cigarsInHumidor={cigars.filter(c => c.humidorId === humidor.id)} otherHumidors={humidors.filter(h => h.id !== humidor.id)} />
             <DeleteCigarsModal isOpen={isDeleteCigarsModalOpen} onClose={() => setIsDeleteCigarsModalOpen(false)} onConfirm={handleConfirmDeleteCigars} count={selectedCigarIds.length} />
             {isExportModalOpen && <ExportModal data={filteredAndSortedCigars} dataType="cigar" onClose={() => setIsExportModalOpen(false)} />}
 
@@ -561,6 +665,8 @@ If you cannot determine a value, use "" or [] or 0. Only return the JSON object.
                         onAddCigar={() => navigate('AddCigar', { humidorId: humidor.id })}
                         onEdit={() => navigate('EditHumidor', { humidorId: humidor.id })}
                         onTakeReading={() => setIsManualReadingModalOpen(true)}
+                        onCalibrate={() => setIsCalibrationModalOpen(true)}
+                        onMaintenance={() => setIsMaintenanceModalOpen(true)}
                         onExport={() => setIsExportModalOpen(true)}
                         onDelete={() => setIsDeleteHumidorModalOpen(true)}
                         onImport={() => navigate('DataSync')} // Navigate to DataSync for import options
@@ -584,8 +690,27 @@ If you cannot determine a value, use "" or [] or 0. Only return the JSON object.
                         { label: "Temperature", value: `${humidor.temp}°F` },
                         { label: "Est. Value", value: `$${humidorValue.toFixed(2)}` }
                     ]}
+                    humidor={humidor}
+                    risk={risk}
+                    utilization={utilization}
                 />
 
+                {/* New humidors are walked through seasoning before cigars go in */}
+                {isHumidorSeasoning(humidor) && (
+                    <SeasoningPanel humidor={humidor} db={db} appId={appId} userId={userId} onTakeReading={() => setIsManualReadingModalOpen(true)} />
+                )}
+
+                {/* Travel humidors pack for, and unpack from, trips */}
+                {isTravelHumidor(humidor) && (
+                    <TripPanel humidor={humidor} activeTrip={activeTrip} lastTrip={lastTrip} cigars={cigars} humidors={humidors} db={db} appId={appId} userId={userId} onPack={() => setIsTripPackModalOpen(true)} />
+                )}
+
+                {/* Cigars from this humidor going through the freeze protocol */}
+                <FreezeTrackerPanel freezeBatches={humidorFreezeBatches} cigars={cigars} db={db} appId={appId} userId={userId} />
+
+                {/* Temperature and humidity history for this humidor */}
+                <EnvironmentTrendsPanel humidor={humidor} db={db} appId={appId} userId={userId} />
+
                 {/* Search Bar */}
                 <div id="pnlSearchBar" className="relative mb-4">
                     <Search className="absolute left-4 top-1/2 -translate-y-1/2 text-gray-400 w-5 h-5" />
@@ -675,6 +800,19 @@ If you cannot determine a value, use "" or [] or 0. Only return the JSON object.
                             </div>
                         </div>
 
+                        <div className="relative group">
+                            <button
+                                onClick={() => setViewMode('layout')}
+                                className={`btn btn-ghost btn-circle ${viewMode === 'layout' ? 'btn-active' : ''}`}
+                            >
+                                <Layers className="w-5 h-5" />
+                            </button>
+                            <div className="absolute bottom-full left-1/2 transform -translate-x-1/2 mb-2 px-2 py-1 bg-base-300 text-base-content text-xs rounded shadow-lg opacity-0 group-hover:opacity-100 transition-opacity duration-200 pointer-events-none whitespace-nowrap z-30">
+                                Layout View
+                                <div className="absolute top-full left-1/2 transform -translate-x-1/2 w-0 h-0 border-l-2 border-r-2 border-t-2 border-transparent border-t-base-300"></div>
+                            </div>
+                        </div>
+
                         <div className="relative group">
                             <button
                                 onClick={handleToggleSelectMode}
@@ -768,6 +906,11 @@ If you cannot determine a value, use "" or [] or 0. Only return the JSON object.
                                 {filters.country && <span className="badge badge-sm rounded-sm badge-primary">{filters.country}</span>}
                                 {filters.strength && <span className="badge badge-sm rounded-sm badge-primary">{filters.strength}</span>}
                                 {filters.flavorNotes.map(note => <span key={note} className="badge badge-sm rounded-sm badge-accent">{note}</span>)}
+                                {filters.sectionId && (
+                                    <span className="badge badge-sm rounded-sm badge-secondary">
+                                        {filters.sectionId === UNASSIGNED_SECTION ? 'Not assigned' : getHumidorSections(humidor).find(s => s.id === filters.sectionId)?.name}
+                                    </span>
+                                )}
                             </div>
                         </div>
                         <button onClick={handleClearFilters} className="btn btn-accent btn-xs">
@@ -776,15 +919,44 @@ If you cannot determine a value, use "" or [] or 0. Only return the JSON object.
                     </div>
                 )}
 
-                {/* Change the grid layout columns via toggle */}
-                <div className={viewMode === 'grid' ? "grid grid-cols-1 gap-4" : "flex flex-col gap-4"}>
-                    {filteredAndSortedCigars.map(cigar => (viewMode === 'grid' ? <GridCigarCard key={cigar.id} cigar={cigar} navigate={navigate} isSelectMode={isSelectMode} isSelected={selectedCigarIds.includes(cigar.id)} onSelect={handleSelectCigar} /> : <ListCigarCard key={cigar.id} cigar={cigar} navigate={navigate} isSelectMode={isSelectMode} isSelected={selectedCigarIds.includes(cigar.id)} onSelect={handleSelectCigar} />))}
-                    {filteredAndSortedCigars.length === 0 && (
-                        <div className="col-span-full text-center py-10">
-                            <p className="text-base-content/70">No cigars match your search.</p>
+                {/* Archived cigars replace the inventory in the archive view */}
+                {showArchive ? (
+                    <div id="pnlArchive">
+                        <div className="flex justify-between items-center mb-4">
+                            <h3 className="font-bold text-lg flex items-center"><Archive className="w-5 h-5 mr-2 text-primary" /> Archive</h3>
+                            <button onClick={() => setShowArchive(false)} className="btn btn-ghost btn-sm">Back to Inventory</button>
                         </div>
-                    )}
-                </div>
+                        <ArchivedCigarList cigars={archivedCigars} journalEntries={journalEntries} navigate={navigate} db={db} appId={appId} userId={userId} />
+                    </div>
+                ) : (
+                    /* Change the grid layout columns via toggle; the layout view groups cigars by section */
+                    viewMode === 'layout' ? (
+                        <HumidorLayoutView
+                            humidor={humidor}
+                            cigars={filteredAndSortedCigars}
+                            navigate={navigate}
+                            sectionFilter={filters.sectionId}
+                            onFilterSection={(sectionId) => handleFilterChange('sectionId', sectionId)}
+                            isSelectMode={isSelectMode}
+                            selectedCigarIds={selectedCigarIds}
+                            onSelect={handleSelectCigar}
+                        />
+                    ) : (
+                        <div className={viewMode === 'grid' ? "grid grid-cols-1 gap-4" : "flex flex-col gap-4"}>
+                            {filteredAndSortedCigars.map(cigar => (viewMode === 'grid' ? <GridCigarCard key={cigar.id} cigar={cigar} navigate={navigate} isSelectMode={isSelectMode} isSelected={selectedCigarIds.includes(cigar.id)} onSelect={handleSelectCigar} /> : <ListCigarCard key={cigar.id} cigar={cigar} navigate={navigate} isSelectMode={isSelectMode} isSelected={selectedCigarIds.includes(cigar.id)} onSelect={handleSelectCigar} />))}
+                            {filteredAndSortedCigars.length === 0 && (
+                                <div className="col-span-full text-center py-10">
+                                    <p className="text-base-content/70">No cigars match your search.</p>
+                                </div>
+                            )}
+                        </div>
+                    )
+                )}
+                {!showArchive && archivedCigars.length > 0 && (
+                    <button onClick={() => setShowArchive(true)} className="btn btn-ghost btn-sm w-full mt-4">
+                        <Archive className="w-4 h-4" /> {archivedCigars.length} finished cigar{archivedCigars.length === 1 ? '' : 's'} in the archive
+                    </button>
+                )}
 
                 {/* Bottom Drawer for Select Mode */}
                 {isSelectMode && (
@@ -793,6 +965,11 @@ If you cannot determine a value, use "" or [] or 0. Only return the JSON object.
                         onClose={handleToggleSelectMode}
                         actions={selectedCigarIds.length > 0 ? [
                             <button key="move" onClick={() => setIsMoveModalOpen(true)} className="btn btn-primary flex-1"><Move className="w-5 h-5" />Move</button>,
+                            ...(getHumidorSections(humidor).length > 0 ? [
+                                <button key="assign" onClick={() => setIsAssignSectionModalOpen(true)} className="btn btn-secondary flex-1"><Layers className="w-5 h-5" />Spot</button>
+                            ] : []),
+                            <button key="adjust" onClick={() => setIsAdjustModalOpen(true)} className="btn btn-accent flex-1"><ClipboardList className="w-5 h-5" />Adjust</button>,
+                            <button key="freeze" onClick={() => setIsFreezeModalOpen(true)} className="btn btn-info flex-1"><Snowflake className="w-5 h-5" />Freeze</button>,
                             <button key="delete" onClick={() => setIsDeleteCigarsModalOpen(true)} className="btn btn-error flex-1"><Trash2 className="w-5 h-5" />Delete</button>
                         ] : null}
                         className=""
@@ -857,6 +1034,17 @@ If you cannot determine a value, use "" or [] or 0. Only return the JSON object.
                                         {strengthOptions.map(strength => <option key={strength} value={strength}>{strength}</option>)}
                                     </select>
                                 </div>
+                                {/* Section Filter */}
+                                {getHumidorSections(humidor).length > 0 && (
+                                    <div className="col-span-2">
+                                        <label className="label-text text-sm mb-1 block">Section</label>
+                                        <select value={filters.sectionId} onChange={e => handleFilterChange("sectionId", e.target.value)} className="select select-accent text-sm w-full">
+                                            <option value="">All Sections</option>
+                                            {getHumidorSections(humidor).map(section => <option key={section.id} value={section.id}>{section.name}</option>)}
+                                            <option value={UNASSIGNED_SECTION}>Not assigned</option>
+                                        </select>
+                                    </div>
+                                )}
                             </div>
                             {/* Flavor Notes Filter */}
                             <div className="mt-4">
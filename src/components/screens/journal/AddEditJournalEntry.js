@@ -10,6 +10,7 @@
  *
  * Provides a form for users to log or edit a cigar smoking experience, including ratings, notes, and flavor wheel integration.
  * Supports both creation and editing of journal entries, with Firebase integration for persistence and deletion.
+ * An entry started from a logged smoke takes its date and is linked back to the smoke in the smoke log.
  *
  * @param {Object} props - Component props
  * @param {Function} props.navigate - Navigation function
@@ -18,6 +19,7 @@
  * @param {string} props.userId - User ID
  * @param {Object} props.cigar - The cigar object being journaled
  * @param {Object} [props.existingEntry] - Existing journal entry for editing
+ * @param {Object} [props.smoke] - Smoke log entry a new journal entry is written for
  *
  */
 import React, { useState } from 'react';
@@ -26,16 +28,17 @@ import { ChevronLeft, Star, MapPin, GlassWater, Calendar as CalendarIcon, Save,
 import InputField from '../../UI/InputField';
 import TextAreaField from '../../UI/TextAreaField';
 import FlavorWheel from '../../Journal/FlavorWheel';
+import { linkSmokeToJournalEntry } from '../../../services/smokeLogService';
 
 
 
-const AddEditJournalEntry = ({ navigate, db, appId, userId, cigar, existingEntry }) => {
+const AddEditJournalEntry = ({ navigate, db, appId, userId, cigar, existingEntry, smoke }) => {
     const isEditing = !!existingEntry;
     const [isFlavorWheelOpen, setIsFlavorWheelOpen] = useState(false);
     const [isDeleteModalOpen, setIsDeleteModalOpen] = useState(false);
 
     const [formData, setFormData] = useState({
-        dateSmoked: new Date().toISOString(),
+        dateSmoked: smoke?.smokedAt || new Date().toISOString(),
         location: '',
         pairing: '',
         experienceRating: 0,
@@ -46,6 +49,7 @@ const AddEditJournalEntry = ({ navigate, db, appId, userId, cigar, existingEntry
         secondThirdNotes: '',
         finalThirdNotes: '',
         burnTimeMinutes: '',
+        smokeId: smoke?.id || null,
         ...existingEntry,
     });
 
@@ -76,7 +80,10 @@ const AddEditJournalEntry = ({ navigate, db, appId, userId, cigar, existingEntry
             const docRef = doc(db, 'artifacts', appId, 'users', userId, 'journalEntries', existingEntry.id);
             await updateDoc(docRef, dataToSave);
         } else {
-            await addDoc(collectionRef, dataToSave);
+            const entryRef = await addDoc(collectionRef, dataToSave);
+            if (dataToSave.smokeId) {
+                await linkSmokeToJournalEntry(db, appId, userId, dataToSave.smokeId, entryRef.id);
+            }
         }
         navigate('CigarJournal');
     };
@@ -54,6 +54,12 @@ const DashboardSettingsScreen = ({ navigate, dashboardPanelVisibility, setDashbo
                     isChecked={dashboardPanelVisibility.showAchievements}
                     onToggle={() => setDashboardPanelVisibility(prev => ({ ...prev, showAchievements: !prev.showAchievements }))}
                 />
+                <ToggleSwitch
+                    id="tsLiveEnvironment"
+                    label="Live Environment"
+                    isChecked={dashboardPanelVisibility.showLiveEnvironment}
+                    onToggle={() => setDashboardPanelVisibility(prev => ({ ...prev, showLiveEnvironment: !prev.showLiveEnvironment }))}
+                />
                 <ToggleSwitch
                     id="tsAgingWell"
                     label="Aging Well / From the Cellar"
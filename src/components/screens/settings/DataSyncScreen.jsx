@@ -8,7 +8,7 @@
 // Description:
 // DataSyncScreen component provides comprehensive data import and export functionality for the Humidor Hub application.
 // Features include CSV import/export for cigars and humidors, environment data export with historical temperature
-// and humidity readings, and modal-based interfaces for data management. The component is organized into collapsible
+// and humidity readings (CSV or JSON, by humidor and date range), import of historical readings from hygrometer-app CSV exports, and modal-based interfaces for data management. The component is organized into collapsible
 // panels for different data types (Cigar Collection, Humidor Management, Environment Data) and integrates with
 // Firebase Firestore for data persistence. It supports bulk operations and provides user-friendly interfaces
 // for data migration and backup scenarios.
@@ -22,9 +22,8 @@ import CollapsiblePanel from '../../UI/CollapsiblePanel';
 // Import modal components
 import ImportCsvModal from '../../Modals/Data/ImportCsvModal';
 import ExportModal from '../../Modals/Data/ExportModal';
-
-// Import utilities
-import { downloadFile } from '../../../utils/fileUtils';
+import ImportReadingsModal from '../../Modals/Data/ImportReadingsModal';
+import ExportReadingsModal from '../../Modals/Data/ExportReadingsModal';
 
 // Import subscription components
 import SubscriptionGuard from '../../Subscription/SubscriptionGuard';
@@ -33,19 +32,11 @@ import { useSubscription } from '../../../contexts/SubscriptionContext';
 const DataSyncScreen = ({ navigate, db, appId, userId, cigars, humidors }) => {
     const [isImportModalOpen, setIsImportModalOpen] = useState(false);
     const [isExportModalOpen, setIsExportModalOpen] = useState(false);
+    const [isImportReadingsModalOpen, setIsImportReadingsModalOpen] = useState(false);
+    const [isExportReadingsModalOpen, setIsExportReadingsModalOpen] = useState(false);
     const [modalDataType, setModalDataType] = useState(null); // 'cigar' or 'humidor'
     const { subscriptionService } = useSubscription();
 
-    const exportEnvironmentData = () => {
-        let headers = ['humidorId,name,humidity,temp'];
-        let envCsv = humidors.reduce((acc, humidor) => {
-            const { id, name, humidity, temp } = humidor;
-            acc.push([id, name, humidity, temp].join(','));
-            return acc;
-        }, []);
-        downloadFile({ data: [...headers, ...envCsv].join('\n'), fileName: 'humidor_environment_export.csv', fileType: 'text/csv' });
-    };
-
     const handleOpenExportModal = (type) => {
         setModalDataType(type);
         setIsExportModalOpen(true);
@@ -60,7 +51,9 @@ const DataSyncScreen = ({ navigate, db, appId, userId, cigars, humidors }) => {
         <div
             id="pnlContentWrapper_DataSyncScreen"
             className="p-4 pb-24">
-            {isImportModalOpen && <ImportCsvModal dataType={modalDataType} data={modalDataType === 'cigar' ? cigars : humidors} db={db} appId={appId} userId={userId} onClose={() => setIsImportModalOpen(false)} humidors={humidors} navigate={navigate} />}
+            {isImportModalOpen && <ImportCsvModal dataType={modalDataType} data={modalDataType === 'cigar' ? cigars : humidors} db={db} appId={appId} userId={userId} onClose={() => setIsImportModalOpen(false)} humidors={humidors} cigars={cigars} navigate={navigate} />}
+            {isImportReadingsModalOpen && <ImportReadingsModal db={db} appId={appId} userId={userId} humidors={humidors} onClose={() => setIsImportReadingsModalOpen(false)} navigate={navigate} />}
+            {isExportReadingsModalOpen && <ExportReadingsModal db={db} appId={appId} userId={userId} humidors={humidors} onClose={() => setIsExportReadingsModalOpen(false)} />}
             {isExportModalOpen && <ExportModal dataType={modalDataType} data={modalDataType === 'cigar' ? cigars : humidors} onClose={() => setIsExportModalOpen(false)} />}
 
             <div className="flex items-center mb-6">
@@ -120,13 +113,25 @@ const DataSyncScreen = ({ navigate, db, appId, userId, cigars, humidors }) => {
                     </div>
                 </CollapsiblePanel>
 
-                <CollapsiblePanel title="Environment Data" description="Download historical temperature and humidity data for all humidors." icon={Thermometer}>
+                <CollapsiblePanel title="Environment Data" description="Import or download historical temperature and humidity data for your humidors." icon={Thermometer}>
                     <div className="grid grid-cols-1 gap-4">
+                        <SubscriptionGuard
+                            feature="csvImport"
+                            customMessage="CSV import is available with Premium subscription. Free users can export their data."
+                        >
+                            <button
+                                onClick={() => setIsImportReadingsModalOpen(true)}
+                                className="btn btn-primary w-full font-bold py-3 rounded-md flex items-center justify-center gap-2 hover:btn-primary/10 transition-colors">
+                                <UploadCloud className="w-5 h-5" />
+                                Import Readings from CSV
+                            </button>
+                        </SubscriptionGuard>
+
                         <button
-                            onClick={exportEnvironmentData}
+                            onClick={() => setIsExportReadingsModalOpen(true)}
                             className="btn btn-accent w-full font-bold py-3 rounded-md flex items-center justify-center gap-2 hover:btn-accent/10 transition-colors">
                             <Download className="w-5 h-5" />
-                            Export Environment CSV
+                            Export Readings
                         </button>
                     </div>
                 </CollapsiblePanel>
@@ -4,31 +4,205 @@
  * Project: Humidor Hub
  * Author: Shawn Miller (hereiamnow@gmail.com)
  * Date: July 20, 2025
- * 
+ *
  * Description:
- * This component renders the Notifications settings screen for the Humidor Hub app.
- * It allows users to view and (in the future) configure notification preferences for
- * in-app, email, and push notifications related to their humidor collection.
- * The screen also displays a history of recent alerts for humidity and temperature.
- * 
+ * This component renders the Notifications screen for the Humidor Hub app.
+ * It shows the notification inbox (alert events, reminders and system notices) with
+ * read/unread state, a per-humidor filter, and acknowledge/snooze actions, so it's
+ * clear what went wrong with which humidor and when. Snoozed notifications are hidden
+ * until their snooze runs out. It also lets users view (and in the future configure)
+ * notification preferences for in-app, email, and push notifications.
+ *
  * Props:
  * - navigate: function to change screens
- * - humidors: array of user's humidors (for future notification targeting)
+ * - humidors: array of user's humidors (for the humidor filter and labels)
+ * - notifications: notifications from useNotifications, newest first
+ * - db, appId, userId: Firestore access for updating notifications
+ * - returnTo: screen to go back to (defaults to Settings)
  */
 
-import React from 'react';
-import { ChevronLeft } from 'lucide-react';
+import React, { useState } from 'react';
+import { ChevronLeft, AlertTriangle, AlarmClock, Info, Check, CheckCheck, BellOff, Bell, Mail, MailOpen } from 'lucide-react';
+import {
+    NOTIFICATION_TYPES,
+    acknowledgeNotification,
+    isNotificationSnoozed,
+    markNotificationsRead,
+    setNotificationRead,
+    snoozeNotification,
+    unsnoozeNotification
+} from '../../../services/notificationService';
+
+const SNOOZE_OPTIONS = [
+    { label: '1 hour', durationMs: 60 * 60 * 1000 },
+    { label: '1 day', durationMs: 24 * 60 * 60 * 1000 },
+    { label: '1 week', durationMs: 7 * 24 * 60 * 60 * 1000 }
+];
+
+const TYPE_ICONS = {
+    [NOTIFICATION_TYPES.ALERT]: AlertTriangle,
+    [NOTIFICATION_TYPES.REMINDER]: AlarmClock,
+    [NOTIFICATION_TYPES.SYSTEM]: Info
+};
+
+const NotificationsScreen = ({ navigate, humidors = [], notifications = [], db, appId, userId, returnTo = 'Settings' }) => {
+    const [humidorFilter, setHumidorFilter] = useState('all');
+    const [unreadOnly, setUnreadOnly] = useState(false);
+    const [showSnoozed, setShowSnoozed] = useState(false);
+    const [snoozeMenuId, setSnoozeMenuId] = useState(null);
+
+    const getHumidorName = (humidorId) => humidors.find(h => h.id === humidorId)?.name || 'Deleted humidor';
+
+    const filtered = notifications.filter(n => humidorFilter === 'all' || n.humidorId === humidorFilter);
+    const snoozed = filtered.filter(n => isNotificationSnoozed(n));
+    const visible = (showSnoozed ? snoozed : filtered.filter(n => !isNotificationSnoozed(n)))
+        .filter(n => !unreadOnly || !n.read);
+    const unreadIds = filtered.filter(n => !n.read && !isNotificationSnoozed(n)).map(n => n.id);
+
+    // Every action is a single Firestore write; failures are logged and the list stays as-is
+    const runAction = async (label, action) => {
+        try {
+            await action();
+        } catch (error) {
+            console.error(`NotificationsScreen: Failed to ${label}:`, error);
+        }
+    };
+
+    const handleSnooze = (notification, durationMs) => {
+        setSnoozeMenuId(null);
+        runAction('snooze notification', () => snoozeNotification(db, appId, userId, notification.id, durationMs));
+    };
+
+    const formatDate = (iso) => new Date(iso).toLocaleString('en-US', { month: 'short', day: 'numeric', year: 'numeric', hour: 'numeric', minute: '2-digit' });
 
-const NotificationsScreen = ({ navigate, humidors }) => {
     return (
         <div className="p-4 pb-24">
             <div className="flex items-center mb-6">
-                <button onClick={() => navigate('Settings')} className="p-2 -ml-2 mr-2">
+                <button onClick={() => navigate(returnTo)} className="p-2 -ml-2 mr-2">
                     <ChevronLeft className="w-7 h-7 text-white" />
                 </button>
                 <h1 className="text-3xl font-bold text-white">Notifications</h1>
             </div>
             <div className="space-y-6">
+                <div className="bg-gray-800/50 p-4 rounded-md">
+                    <div className="flex justify-between items-center mb-2">
+                        <h3 className="font-bold text-xl text-amber-300">Inbox</h3>
+                        <button
+                            onClick={() => runAction('mark all read', () => markNotificationsRead(db, appId, userId, unreadIds))}
+                            disabled={unreadIds.length === 0}
+                            className="flex items-center gap-1 text-sm text-amber-400 disabled:text-gray-500"
+                        >
+                            <CheckCheck className="w-4 h-4" /> Mark all read
+                        </button>
+                    </div>
+                    <p className="text-gray-400 text-sm mb-4">
+                        Alerts from your humidors, maintenance reminders and app notices.
+                    </p>
+
+                    <div className="flex flex-wrap gap-2 mb-4">
+                        <select
+                            value={humidorFilter}
+                            onChange={(e) => setHumidorFilter(e.target.value)}
+                            className="bg-gray-700 border border-gray-600 rounded-md py-1 px-2 text-sm text-white"
+                        >
+                            <option value="all">All humidors</option>
+                            {humidors.map(h => <option key={h.id} value={h.id}>{h.name}</option>)}
+                        </select>
+                        <button
+                            onClick={() => setUnreadOnly(prev => !prev)}
+                            className={`text-sm px-3 py-1 rounded-full ${unreadOnly ? 'bg-amber-500 text-white' : 'bg-gray-700 text-gray-300'}`}
+                        >
+                            Unread only
+                        </button>
+                        <button
+                            onClick={() => setShowSnoozed(prev => !prev)}
+                            className={`text-sm px-3 py-1 rounded-full ${showSnoozed ? 'bg-amber-500 text-white' : 'bg-gray-700 text-gray-300'}`}
+                        >
+                            Snoozed ({snoozed.length})
+                        </button>
+                    </div>
+
+                    {visible.length === 0 ? (
+                        <p className="text-sm text-gray-300">
+                            {showSnoozed ? 'Nothing is snoozed.' : 'No notifications. All your humidors are in the safe zone!'}
+                        </p>
+                    ) : (
+                        <ul className="space-y-3">
+                            {visible.map(n => {
+                                const Icon = TYPE_ICONS[n.type] || Info;
+                                const isActiveAlert = n.type === NOTIFICATION_TYPES.ALERT && !n.resolvedAt;
+                                return (
+                                    <li key={n.id} className={`p-3 rounded-md border ${n.read ? 'border-gray-700 bg-gray-800/30' : 'border-amber-500/50 bg-gray-800'}`}>
+                                        <div className="flex items-start gap-3">
+                                            <Icon className={`w-5 h-5 mt-0.5 flex-shrink-0 ${isActiveAlert ? 'text-red-400' : 'text-amber-400'}`} />
+                                            <div className="flex-grow min-w-0">
+                                                <div className="flex justify-between gap-2">
+                                                    <p className={`text-sm ${n.read ? 'text-gray-300' : 'font-bold text-white'}`}>{n.title}</p>
+                                                    {!n.read && <span className="w-2 h-2 mt-1.5 rounded-full bg-amber-400 flex-shrink-0" />}
+                                                </div>
+                                                {n.humidorId && <p className="text-xs text-amber-300">{getHumidorName(n.humidorId)}</p>}
+                                                {n.message && <p className="text-sm text-gray-400">{n.message}</p>}
+                                                <p className="text-xs text-gray-500 mt-1">
+                                                    {formatDate(n.createdAt)}
+                                                    {n.resolvedAt && ` · Resolved ${formatDate(n.resolvedAt)}`}
+                                                    {n.acknowledgedAt && ` · Acknowledged`}
+                                                    {isNotificationSnoozed(n) && ` · Snoozed until ${formatDate(n.snoozedUntil)}`}
+                                                </p>
+
+                                                <div className="flex flex-wrap gap-3 mt-2 text-xs">
+                                                    <button
+                                                        onClick={() => runAction('update read state', () => setNotificationRead(db, appId, userId, n.id, !n.read))}
+                                                        className="flex items-center gap-1 text-gray-300 hover:text-white"
+                                                    >
+                                                        {n.read ? <><Mail className="w-3 h-3" /> Mark unread</> : <><MailOpen className="w-3 h-3" /> Mark read</>}
+                                                    </button>
+                                                    {n.type === NOTIFICATION_TYPES.ALERT && !n.acknowledgedAt && (
+                                                        <button
+                                                            onClick={() => runAction('acknowledge notification', () => acknowledgeNotification(db, appId, userId, n))}
+                                                            className="flex items-center gap-1 text-gray-300 hover:text-white"
+                                                        >
+                                                            <Check className="w-3 h-3" /> Acknowledge
+                                                        </button>
+                                                    )}
+                                                    {isNotificationSnoozed(n) ? (
+                                                        <button
+                                                            onClick={() => runAction('unsnooze notification', () => unsnoozeNotification(db, appId, userId, n.id))}
+                                                            className="flex items-center gap-1 text-gray-300 hover:text-white"
+                                                        >
+                                                            <Bell className="w-3 h-3" /> Unsnooze
+                                                        </button>
+                                                    ) : (
+                                                        <div className="relative">
+                                                            <button
+                                                                onClick={() => setSnoozeMenuId(snoozeMenuId === n.id ? null : n.id)}
+                                                                className="flex items-center gap-1 text-gray-300 hover:text-white"
+                                                            >
+                                                                <BellOff className="w-3 h-3" /> Snooze
+                                                            </button>
+                                                            {snoozeMenuId === n.id && (
+                                                                <div className="absolute z-10 mt-1 bg-gray-700 border border-gray-600 rounded-md shadow-lg">
+                                                                    {SNOOZE_OPTIONS.map(option => (
+                                                                        <button
+                                                                            key={option.label}
+                                                                            onClick={() => handleSnooze(n, option.durationMs)}
+                                                                            className="block w-full text-left px-3 py-1 whitespace-nowrap text-gray-200 hover:bg-gray-600"
+                                                                        >
+                                                                            {option.label}
+                                                                        </button>
+                                                                    ))}
+                                                                </div>
+                                                            )}
+                                                        </div>
+                                                    )}
+                                                </div>
+                                            </div>
+                                        </div>
+                                    </li>
+                                );
+                            })}
+                        </ul>
+                    )}
+                </div>
                 <div className="bg-gray-800/50 p-4 rounded-md">
                     <h3 className="font-bold text-xl text-amber-300 mb-2">Notification Preferences</h3>
                     <p className="text-gray-400 text-sm mb-4">
@@ -49,16 +223,6 @@ const NotificationsScreen = ({ navigate, humidors }) => {
                         </div>
                     </div>
                 </div>
-                <div className="bg-gray-800/50 p-4 rounded-md">
-                    <h3 className="font-bold text-xl text-amber-300 mb-2">Recent Alerts</h3>
-                    <p className="text-gray-400 text-sm mb-4">
-                        Here you’ll see a history of recent humidity and temperature alerts for your humidors.
-                    </p>
-                    <ul className="text-sm text-gray-300 space-y-2">
-                        <li>No recent alerts. All your humidors are in the safe zone!</li>
-                        {/* Example: <li>Humidity dropped below 68% in "Office Humidor" (July 7, 2025)</li> */}
-                    </ul>
-                </div>
             </div>
         </div>
     );
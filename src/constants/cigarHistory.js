@@ -0,0 +1,16 @@
+/**
+ * @file cigarHistory.js
+ * @path src/constants/cigarHistory.js
+ * @author Shawn Miller
+ * @date August 22, 2025
+ *
+ * Cigar History Event Types
+ *
+ * Kinds of events recorded in a cigar's `history`, shown on the cigar's detail screen.
+ */
+
+export const CIGAR_HISTORY_TYPES = {
+    FREEZE: { id: 'freeze', label: 'Frozen' },
+    ADJUSTMENT: { id: 'adjustment', label: 'Stock adjusted' },
+    MOVE: { id: 'move', label: 'Moved' }
+};
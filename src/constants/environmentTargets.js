@@ -0,0 +1,32 @@
+/**
+ * @file environmentTargets.js
+ * @path src/constants/environmentTargets.js
+ * @author Shawn Miller
+ * @date August 10, 2025
+ *
+ * Environment Targets and Reading Windows
+ *
+ * Default target bands for humidor temperature and humidity, and the time windows
+ * available when charting a humidor's reading history.
+ */
+
+/**
+ * Default target band used when a humidor doesn't define its own.
+ * Matches the optimal ranges used by the Gauge component.
+ */
+export const DEFAULT_ENVIRONMENT_TARGETS = {
+    humidity: { min: 68, max: 72 },
+    temp: { min: 65, max: 70 }
+};
+
+/**
+ * Selectable chart windows for reading history.
+ * @type {Array<{key: string, label: string, durationMs: number}>}
+ */
+export const READING_WINDOWS = [
+    { key: '24h', label: '24h', durationMs: 24 * 60 * 60 * 1000, live: true },
+    { key: '7d', label: '7d', durationMs: 7 * 24 * 60 * 60 * 1000, live: true },
+    // Long windows hold tens of thousands of readings, so they're loaded once rather than watched
+    { key: '30d', label: '30d', durationMs: 30 * 24 * 60 * 60 * 1000, live: false },
+    { key: '1y', label: '1y', durationMs: 365 * 24 * 60 * 60 * 1000, live: false }
+];
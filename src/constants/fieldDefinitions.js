@@ -35,6 +35,7 @@ export const APP_HUMIDOR_FIELDS = [
 
     // Physical characteristics
     { key: 'size', label: 'Size', required: false },
+    { key: 'capacity', label: 'Capacity', required: false, type: 'number' },
     { key: 'location', label: 'Location', required: false },
     { key: 'type', label: 'Type', required: false },
 
@@ -45,9 +46,10 @@ export const APP_HUMIDOR_FIELDS = [
     { key: 'temp', label: 'Temperature', required: false, type: 'number' },
     { key: 'humidity', label: 'Humidity', required: false, type: 'number' },
 
-    // Smart device integration (Govee sensors)
-    { key: 'goveeDeviceId', label: 'Govee Device ID', required: false },
-    { key: 'goveeDeviceModel', label: 'Govee Device Model', required: false },
+    // Smart device integration (sensor provider and device)
+    { key: 'sensorProvider', label: 'Sensor Provider', required: false },
+    { key: 'sensorDeviceId', label: 'Sensor Device ID', required: false },
+    { key: 'sensorDeviceModel', label: 'Sensor Device Model', required: false },
 ];
 
 /**
@@ -0,0 +1,26 @@
+/**
+ * @file freezeProtocol.js
+ * @path src/constants/freezeProtocol.js
+ * @author Shawn Miller
+ * @date August 22, 2025
+ *
+ * Freeze Protocol Stages
+ *
+ * The stages cigars go through when frozen to kill tobacco beetle eggs. Easing them
+ * through the fridge on the way in and out keeps the wrappers from cracking or
+ * sweating with condensation.
+ */
+
+/**
+ * Freeze protocol stages, in order, with how long cigars usually stay in each.
+ * @type {Array<{id: string, label: string, instruction: string, defaultHours: number}>}
+ */
+export const FREEZE_STAGES = [
+    { id: 'fridge', label: 'Fridge', instruction: 'Seal the cigars in a zip bag and put them in the fridge.', defaultHours: 24 },
+    { id: 'freezer', label: 'Freezer', instruction: 'Move the sealed bag to the freezer.', defaultHours: 72 },
+    { id: 'thaw', label: 'Fridge (thaw)', instruction: 'Move the bag back to the fridge to thaw slowly.', defaultHours: 24 },
+    { id: 'room', label: 'Room temperature', instruction: 'Leave the bag sealed at room temperature until it reaches room temperature.', defaultHours: 24 }
+];
+
+/** Allowed range for a stage's duration, in hours. */
+export const FREEZE_STAGE_HOURS_RANGE = { min: 1, max: 24 * 14 };
@@ -0,0 +1,34 @@
+/**
+ * @file humidificationTypes.js
+ * @path src/constants/humidificationTypes.js
+ * @author Shawn Miller
+ * @date August 19, 2025
+ *
+ * Humidification Device Types and Maintenance Events
+ *
+ * The kinds of humidification a humidor can use, how often each typically needs
+ * servicing, and the maintenance events that can be logged against them.
+ */
+
+/**
+ * Humidification device types.
+ * `hasRh` types are rated for (or set to) a target humidity; `serviceAction` is the
+ * maintenance event that resets the device's service interval.
+ * @type {Array<{id: string, label: string, hasRh: boolean, defaultIntervalDays: number, serviceAction: string}>}
+ */
+export const HUMIDIFICATION_TYPES = [
+    { id: 'boveda', label: 'Boveda pack', hasRh: true, defaultIntervalDays: 90, serviceAction: 'replace' },
+    { id: 'beads', label: 'Humidity beads', hasRh: true, defaultIntervalDays: 30, serviceAction: 'refill' },
+    { id: 'gel', label: 'Crystal gel', hasRh: false, defaultIntervalDays: 30, serviceAction: 'refill' },
+    { id: 'active', label: 'Active humidifier', hasRh: true, defaultIntervalDays: 14, serviceAction: 'refill' }
+];
+
+/**
+ * Maintenance events that can be logged for a humidification device.
+ */
+export const MAINTENANCE_EVENT_TYPES = {
+    INSTALL: { id: 'install', label: 'Installed' },
+    REPLACE: { id: 'replace', label: 'Replaced' },
+    REFILL: { id: 'refill', label: 'Refilled with distilled water' },
+    REMOVE: { id: 'remove', label: 'Removed' }
+};
@@ -0,0 +1,25 @@
+/**
+ * @file humidorSections.js
+ * @path src/constants/humidorSections.js
+ * @author Shawn Miller
+ * @date August 23, 2025
+ *
+ * Humidor Section Types
+ *
+ * The kinds of places inside a humidor that cigars can be kept in, used to
+ * describe a humidor's physical layout (cabinet shelves, trays, drawers, boxes).
+ */
+
+/**
+ * Section types, in the order they are offered.
+ * @type {Array<{id: string, label: string}>}
+ */
+export const HUMIDOR_SECTION_TYPES = [
+    { id: 'shelf', label: 'Shelf' },
+    { id: 'tray', label: 'Tray' },
+    { id: 'drawer', label: 'Drawer' },
+    { id: 'box', label: 'Box' }
+];
+
+/** Filter value for cigars not assigned to any section. */
+export const UNASSIGNED_SECTION = '__unassigned';
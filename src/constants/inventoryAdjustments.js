@@ -0,0 +1,24 @@
+/**
+ * @file inventoryAdjustments.js
+ * @path src/constants/inventoryAdjustments.js
+ * @author Shawn Miller
+ * @date August 25, 2025
+ *
+ * Inventory Adjustment Reasons
+ *
+ * Why a cigar's stock changed, recorded with each adjustment. `direction` is -1 for
+ * reasons that only take cigars out and 0 for corrections, which can go either way.
+ * `detail` names the extra field a reason asks for, if any.
+ */
+
+export const ADJUSTMENT_REASONS = {
+    SMOKED: { id: 'smoked', label: 'Smoked', direction: -1 },
+    GIFTED: { id: 'gifted', label: 'Gifted', direction: -1, detail: { name: 'recipient', label: 'Gifted to' } },
+    TRADED: { id: 'traded', label: 'Traded', direction: -1, detail: { name: 'recipient', label: 'Traded with' } },
+    DAMAGED: { id: 'damaged', label: 'Damaged', direction: -1, detail: { name: 'damage', label: 'Damage', options: ['Cracked wrapper', 'Mold', 'Beetle holes', 'Dried out', 'Other'] } },
+    LOST: { id: 'lost', label: 'Lost', direction: -1 },
+    CORRECTION: { id: 'correction', label: 'Correction', direction: 0 }
+};
+
+export const getAdjustmentReason = (id) =>
+    Object.values(ADJUSTMENT_REASONS).find(reason => reason.id === id) || null;
@@ -0,0 +1,35 @@
+/**
+ * @file riskThresholds.js
+ * @path src/constants/riskThresholds.js
+ * @author Shawn Miller
+ * @date August 21, 2025
+ *
+ * Environment Risk Thresholds
+ *
+ * Conditions that put cigars at risk and how long each has to last before it is
+ * flagged. Risk is about duration: a brief spike is harmless, days above the line are not.
+ */
+
+/** How far back readings are considered when scoring risk. */
+export const RISK_WINDOW_MS = 7 * 24 * 60 * 60 * 1000;
+
+/**
+ * Longest a single reading is assumed to hold before the next one. Keeps a gap in
+ * manual readings from being counted as days in (or out of) a risky condition.
+ */
+export const MAX_READING_HOLD_HOURS = 12;
+
+/** Risk levels from lowest to highest. */
+export const RISK_LEVELS = ['none', 'elevated', 'high'];
+
+/**
+ * Risk indicators. A condition has to hold continuously for `elevatedHours` to raise
+ * the risk, and for `highHours` before it is treated as an active threat. `advice` is
+ * shown alongside a high risk.
+ * @type {Array<{id: string, label: string, tempAbove?: number, humidityAbove?: number, humidityBelow?: number, elevatedHours: number, highHours: number, advice: string}>}
+ */
+export const RISK_TYPES = [
+    { id: 'beetle', label: 'Beetle', tempAbove: 72, elevatedHours: 12, highHours: 48, advice: 'Cool the humidor down and check cigars for pinholes. Freezing them kills any eggs.' },
+    { id: 'mold', label: 'Mold', humidityAbove: 75, tempAbove: 70, elevatedHours: 24, highHours: 72, advice: 'Air the humidor out and check cigars for fuzzy growth. Plume wipes off dry; mold smears.' },
+    { id: 'overDry', label: 'Over-dry', humidityBelow: 62, elevatedHours: 24, highHours: 96, advice: 'Recharge the humidification and bring humidity up slowly so wrappers don\'t crack.' }
+];
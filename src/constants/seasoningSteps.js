@@ -0,0 +1,29 @@
+/**
+ * @file seasoningSteps.js
+ * @path src/constants/seasoningSteps.js
+ * @author Shawn Miller
+ * @date August 20, 2025
+ *
+ * Humidor Seasoning Steps
+ *
+ * The checklist a new humidor is walked through before it is ready for cigars, and
+ * how many days humidity has to hold in range before seasoning is considered done.
+ */
+
+/**
+ * Checklist for one seasoning round. If the RH check comes up short, the round is
+ * repeated: wipe again, wait, and check again.
+ * @type {Array<{id: string, label: string, description: string}>}
+ */
+export const SEASONING_STEPS = [
+    { id: 'wipe', label: 'Wipe the cedar', description: 'Lightly wipe the Spanish cedar interior with distilled water. Damp, never wet.' },
+    { id: 'humidify', label: 'Add humidification', description: 'Put the humidification device (or a dish of distilled water) inside.' },
+    { id: 'wait', label: 'Close and wait 24 hours', description: 'Keep the lid closed so the wood can absorb the moisture.' },
+    { id: 'check', label: 'Check the RH', description: 'Take a reading. If humidity is still below range, start another round.' }
+];
+
+/** Days humidity has to hold in range before the humidor is ready, by default. */
+export const DEFAULT_STABLE_DAYS = 3;
+
+/** Allowed range for the stable-days setting. */
+export const STABLE_DAYS_RANGE = { min: 1, max: 14 };
@@ -0,0 +1,57 @@
+/**
+ * @file useFreezeBatches.js
+ * @path src/hooks/useFreezeBatches.js
+ * @project Humidor Hub
+ * @author Shawn Miller (hereiamnow@gmail.com)
+ * @date August 22, 2025
+ *
+ * Freeze Batches Hook
+ *
+ * Custom hook that subscribes to the user's active freeze protocol batches in real
+ * time, oldest first.
+ */
+
+import { useState, useEffect } from 'react';
+import { onSnapshot, query, where } from "firebase/firestore";
+import { FREEZE_BATCH_STATUS, getFreezeBatchesCollectionRef } from '../services/freezeService';
+
+const DEBUG = process.env.NODE_ENV === 'development';
+const log = DEBUG ? console.log : () => {};
+
+export const useFreezeBatches = (db, appId, userId) => {
+    const [freezeBatches, setFreezeBatches] = useState([]);
+    const [isLoading, setIsLoading] = useState(true);
+    const [error, setError] = useState(null);
+
+    useEffect(() => {
+        if (!db || !appId || !userId) {
+            log('⏳ Waiting for database and user ID...', { db: !!db, userId });
+            return;
+        }
+
+        const batchesQuery = query(
+            getFreezeBatchesCollectionRef(db, appId, userId),
+            where('status', '==', FREEZE_BATCH_STATUS.ACTIVE)
+        );
+
+        const unsubscribe = onSnapshot(
+            batchesQuery,
+            (snapshot) => {
+                log('❄️ Freeze batches updated:', snapshot.docs.length, 'items');
+                setFreezeBatches(snapshot.docs
+                    .map(doc => ({ id: doc.id, ...doc.data() }))
+                    .sort((a, b) => a.startedAt.localeCompare(b.startedAt)));
+                setIsLoading(false);
+            },
+            (err) => {
+                console.error("Error fetching freeze batches:", err);
+                setError(err.message);
+                setIsLoading(false);
+            }
+        );
+
+        return () => unsubscribe();
+    }, [db, appId, userId]);
+
+    return { freezeBatches, isLoading, error };
+};
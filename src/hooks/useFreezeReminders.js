@@ -0,0 +1,32 @@
+/**
+ * @file useFreezeReminders.js
+ * @path src/hooks/useFreezeReminders.js
+ * @project Humidor Hub
+ * @author Shawn Miller (hereiamnow@gmail.com)
+ * @date August 22, 2025
+ *
+ * Freeze Reminders Hook
+ *
+ * Custom hook that raises an inbox reminder when a freeze protocol stage's timer runs
+ * out. It checks whenever a batch changes stage and every few minutes while the app
+ * is open, so the reminder appears close to when the cigars need moving.
+ */
+
+import { useReminderSync } from './useReminderSync';
+import { useFreezeBatches } from './useFreezeBatches';
+import { getStageDueAt, syncFreezeReminders } from '../services/freezeService';
+
+const CHECK_INTERVAL_MS = 5 * 60 * 1000;
+
+export const useFreezeReminders = (db, appId, userId) => {
+    const { freezeBatches } = useFreezeBatches(db, appId, userId);
+    const dueKey = freezeBatches.map(b => `${b.id}:${getStageDueAt(b)}`).join('|');
+
+    useReminderSync(db, appId, userId, {
+        name: 'freeze',
+        key: dueKey,
+        items: freezeBatches,
+        sync: syncFreezeReminders,
+        intervalMs: CHECK_INTERVAL_MS
+    });
+};
@@ -0,0 +1,55 @@
+/**
+ * @file useHumidorCalibrations.js
+ * @path src/hooks/useHumidorCalibrations.js
+ * @project Humidor Hub
+ * @author Shawn Miller (hereiamnow@gmail.com)
+ * @date August 18, 2025
+ *
+ * Humidor Calibrations Hook
+ *
+ * Custom hook that subscribes to a humidor's hygrometer calibration history in
+ * real time, newest first.
+ */
+
+import { useState, useEffect } from 'react';
+import { onSnapshot, orderBy, query } from "firebase/firestore";
+import { getCalibrationsCollectionRef } from '../services/calibrationService';
+
+const DEBUG = process.env.NODE_ENV === 'development';
+const log = DEBUG ? console.log : () => {};
+
+export const useHumidorCalibrations = (db, appId, userId, humidorId) => {
+    const [calibrations, setCalibrations] = useState([]);
+    const [isLoading, setIsLoading] = useState(true);
+    const [error, setError] = useState(null);
+
+    useEffect(() => {
+        if (!db || !appId || !userId || !humidorId) {
+            log('⏳ Waiting for database, user ID, and humidor ID...', { db: !!db, userId, humidorId });
+            return;
+        }
+
+        const calibrationsQuery = query(
+            getCalibrationsCollectionRef(db, appId, userId, humidorId),
+            orderBy('performedAt', 'desc')
+        );
+
+        const unsubscribe = onSnapshot(
+            calibrationsQuery,
+            (snapshot) => {
+                log('🎯 Calibrations updated:', snapshot.docs.length, 'items');
+                setCalibrations(snapshot.docs.map(doc => ({ id: doc.id, ...doc.data() })));
+                setIsLoading(false);
+            },
+            (err) => {
+                console.error("Error fetching humidor calibrations:", err);
+                setError(err.message);
+                setIsLoading(false);
+            }
+        );
+
+        return () => unsubscribe();
+    }, [db, appId, userId, humidorId]);
+
+    return { calibrations, isLoading, error };
+};
@@ -0,0 +1,80 @@
+/**
+ * @file useHumidorReadings.js
+ * @path src/hooks/useHumidorReadings.js
+ * @project Humidor Hub
+ * @author Shawn Miller (hereiamnow@gmail.com)
+ * @date August 10, 2025
+ *
+ * Humidor Readings Hook
+ *
+ * Custom hook that subscribes to a humidor's reading history in real time,
+ * optionally limited to readings taken after a given timestamp. Long histories can
+ * be loaded once instead, so a year of readings isn't kept under a live listener.
+ */
+
+import { useState, useEffect } from 'react';
+import { onSnapshot, orderBy, query, where } from "firebase/firestore";
+import { fetchHumidorReadings, getReadingsCollectionRef } from '../services/readingService';
+
+const DEBUG = process.env.NODE_ENV === 'development';
+const log = DEBUG ? console.log : () => {};
+
+export const useHumidorReadings = (db, appId, userId, humidorId, since = null, { live = true } = {}) => {
+    const [readings, setReadings] = useState([]);
+    const [isLoading, setIsLoading] = useState(true);
+    const [error, setError] = useState(null);
+
+    useEffect(() => {
+        if (!db || !appId || !userId || !humidorId) {
+            log('⏳ Waiting for database, user ID, and humidor ID...', { db: !!db, userId, humidorId });
+            return;
+        }
+
+        setIsLoading(true);
+
+        if (!live) {
+            log('📈 Loading readings once for humidor:', humidorId, 'since:', since);
+            let isCurrent = true;
+            fetchHumidorReadings(db, appId, userId, humidorId, { since })
+                .then(data => {
+                    if (!isCurrent) return;
+                    setReadings(data);
+                    setIsLoading(false);
+                })
+                .catch(err => {
+                    if (!isCurrent) return;
+                    console.error("Error fetching humidor readings:", err);
+                    setError(err.message);
+                    setIsLoading(false);
+                });
+            return () => { isCurrent = false; };
+        }
+
+        log('📈 Subscribing to readings for humidor:', humidorId, 'since:', since);
+
+        const constraints = since ? [where('timestamp', '>=', since)] : [];
+        const readingsQuery = query(
+            getReadingsCollectionRef(db, appId, userId, humidorId),
+            ...constraints,
+            orderBy('timestamp', 'asc')
+        );
+
+        const unsubscribe = onSnapshot(
+            readingsQuery,
+            (snapshot) => {
+                log('📈 Readings updated:', snapshot.docs.length, 'items');
+                setReadings(snapshot.docs.map(doc => ({ id: doc.id, ...doc.data() })));
+                setIsLoading(false);
+            },
+            (err) => {
+                console.error("Error fetching humidor readings:", err);
+                setError(err.message);
+                setIsLoading(false);
+            }
+        );
+
+        return () => unsubscribe();
+    }, [db, appId, userId, humidorId, since, live]);
+
+    return { readings, isLoading, error };
+};
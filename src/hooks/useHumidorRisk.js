@@ -0,0 +1,28 @@
+/**
+ * @file useHumidorRisk.js
+ * @path src/hooks/useHumidorRisk.js
+ * @project Humidor Hub
+ * @author Shawn Miller (hereiamnow@gmail.com)
+ * @date August 21, 2025
+ *
+ * Humidor Risk Hook
+ *
+ * Custom hook that scores a humidor's beetle, mold and over-dry risk from the last
+ * week of readings, re-scoring whenever a new reading arrives. Screens showing many
+ * humidors score each once instead of keeping a listener per humidor.
+ */
+
+import { useMemo, useState } from 'react';
+import { useHumidorReadings } from './useHumidorReadings';
+import { RISK_WINDOW_MS } from '../constants/riskThresholds';
+import { computeEnvironmentRisk } from '../utils/riskUtils';
+
+export const useHumidorRisk = (db, appId, userId, humidorId, { live = true } = {}) => {
+    // Fixed when the humidor is shown so the subscription isn't restarted on every render
+    const [since] = useState(() => new Date(Date.now() - RISK_WINDOW_MS).toISOString());
+    const { readings, isLoading, error } = useHumidorReadings(db, appId, userId, humidorId, since, { live });
+
+    const risk = useMemo(() => computeEnvironmentRisk(readings), [readings]);
+
+    return { risk, isLoading, error };
+};
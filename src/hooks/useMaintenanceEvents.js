@@ -0,0 +1,57 @@
+/**
+ * @file useMaintenanceEvents.js
+ * @path src/hooks/useMaintenanceEvents.js
+ * @project Humidor Hub
+ * @author Shawn Miller (hereiamnow@gmail.com)
+ * @date August 19, 2025
+ *
+ * Maintenance Events Hook
+ *
+ * Custom hook that subscribes to a humidor's humidification maintenance events in
+ * real time, oldest first, optionally limited to events after a given timestamp.
+ */
+
+import { useState, useEffect } from 'react';
+import { onSnapshot, orderBy, query, where } from "firebase/firestore";
+import { getMaintenanceCollectionRef } from '../services/humidificationService';
+
+const DEBUG = process.env.NODE_ENV === 'development';
+const log = DEBUG ? console.log : () => {};
+
+export const useMaintenanceEvents = (db, appId, userId, humidorId, since = null) => {
+    const [events, setEvents] = useState([]);
+    const [isLoading, setIsLoading] = useState(true);
+    const [error, setError] = useState(null);
+
+    useEffect(() => {
+        if (!db || !appId || !userId || !humidorId) {
+            log('⏳ Waiting for database, user ID, and humidor ID...', { db: !!db, userId, humidorId });
+            return;
+        }
+
+        const constraints = since ? [where('performedAt', '>=', since)] : [];
+        const eventsQuery = query(
+            getMaintenanceCollectionRef(db, appId, userId, humidorId),
+            ...constraints,
+            orderBy('performedAt', 'asc')
+        );
+
+        const unsubscribe = onSnapshot(
+            eventsQuery,
+            (snapshot) => {
+                log('💧 Maintenance events updated:', snapshot.docs.length, 'items');
+                setEvents(snapshot.docs.map(doc => ({ id: doc.id, ...doc.data() })));
+                setIsLoading(false);
+            },
+            (err) => {
+                console.error("Error fetching maintenance events:", err);
+                setError(err.message);
+                setIsLoading(false);
+            }
+        );
+
+        return () => unsubscribe();
+    }, [db, appId, userId, humidorId, since]);
+
+    return { events, isLoading, error };
+};
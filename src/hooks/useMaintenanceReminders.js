@@ -0,0 +1,34 @@
+/**
+ * @file useMaintenanceReminders.js
+ * @path src/hooks/useMaintenanceReminders.js
+ * @project Humidor Hub
+ * @author Shawn Miller (hereiamnow@gmail.com)
+ * @date August 19, 2025
+ *
+ * Maintenance Reminders Hook
+ *
+ * Custom hook that raises inbox reminders for humidification devices that are due
+ * for a replacement or refill. It checks when the app opens, whenever a device's
+ * service date changes, and hourly while the app stays open.
+ */
+
+import { useReminderSync } from './useReminderSync';
+import { getDeviceDueDate, syncMaintenanceReminders } from '../services/humidificationService';
+
+const CHECK_INTERVAL_MS = 60 * 60 * 1000;
+
+export const useMaintenanceReminders = (db, appId, userId, humidors) => {
+    // Only re-check when a device or its due date changes, not on every stored reading
+    const dueKey = (humidors || [])
+        .flatMap(h => (h.humidification || []).map(d => `${h.id}:${d.id}:${getDeviceDueDate(d)}`))
+        .sort()
+        .join('|');
+
+    useReminderSync(db, appId, userId, {
+        name: 'maintenance',
+        key: dueKey,
+        items: humidors,
+        sync: syncMaintenanceReminders,
+        intervalMs: CHECK_INTERVAL_MS
+    });
+};
@@ -0,0 +1,59 @@
+/**
+ * @file useNotifications.js
+ * @path src/hooks/useNotifications.js
+ * @project Humidor Hub
+ * @author Shawn Miller (hereiamnow@gmail.com)
+ * @date August 12, 2025
+ *
+ * Notifications Hook
+ *
+ * Custom hook that subscribes to the user's notification inbox in real time,
+ * newest first, and derives the unread count shown on the bottom navigation.
+ * Snoozed notifications don't count as unread until their snooze runs out.
+ */
+
+import { useState, useEffect } from 'react';
+import { onSnapshot, orderBy, query } from "firebase/firestore";
+import { getNotificationsCollectionRef, isNotificationSnoozed } from '../services/notificationService';
+
+const DEBUG = process.env.NODE_ENV === 'development';
+const log = DEBUG ? console.log : () => {};
+
+export const useNotifications = (db, appId, userId) => {
+    const [notifications, setNotifications] = useState([]);
+    const [isLoading, setIsLoading] = useState(true);
+    const [error, setError] = useState(null);
+
+    useEffect(() => {
+        if (!db || !appId || !userId) {
+            log('⏳ Waiting for database and user ID...', { db: !!db, userId });
+            return;
+        }
+
+        log('🔔 Subscribing to notifications for user:', userId);
+        const notificationsQuery = query(
+            getNotificationsCollectionRef(db, appId, userId),
+            orderBy('createdAt', 'desc')
+        );
+
+        const unsubscribe = onSnapshot(
+            notificationsQuery,
+            (snapshot) => {
+                log('🔔 Notifications updated:', snapshot.docs.length, 'items');
+                setNotifications(snapshot.docs.map(doc => ({ id: doc.id, ...doc.data() })));
+                setIsLoading(false);
+            },
+            (err) => {
+                console.error("Error fetching notifications:", err);
+                setError(err.message);
+                setIsLoading(false);
+            }
+        );
+
+        return () => unsubscribe();
+    }, [db, appId, userId]);
+
+    const unreadCount = notifications.filter(n => !n.read && !isNotificationSnoozed(n)).length;
+
+    return { notifications, unreadCount, isLoading, error };
+};
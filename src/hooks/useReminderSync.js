@@ -0,0 +1,53 @@
+/**
+ * @file useReminderSync.js
+ * @path src/hooks/useReminderSync.js
+ * @project Humidor Hub
+ * @author Shawn Miller (hereiamnow@gmail.com)
+ * @date August 22, 2025
+ *
+ * Reminder Sync Hook
+ *
+ * Shared plumbing for the reminder hooks. It runs a sync function when the app opens,
+ * whenever the key describing what's due changes, and on an interval while the app
+ * stays open. Each reminder hook only decides what goes into its key.
+ */
+
+import { useEffect, useRef } from 'react';
+
+const DEBUG = process.env.NODE_ENV === 'development';
+const log = DEBUG ? console.log : () => {};
+
+/**
+ * @param {Object} db - Firestore database instance
+ * @param {string} appId - Application identifier for Firestore paths
+ * @param {string} userId - Current user's unique identifier
+ * @param {Object} options
+ * @param {string} options.name - Reminder kind, for logs and errors, e.g. "freeze"
+ * @param {string} options.key - Changes whenever a reminder may have come due; empty when there is nothing to watch
+ * @param {*} options.items - Latest data handed to the sync function
+ * @param {Function} options.sync - Async (db, appId, userId, items) that creates any reminders now due
+ * @param {number} options.intervalMs - How often to re-check while the app is open
+ */
+export const useReminderSync = (db, appId, userId, { name, key, items, sync, intervalMs }) => {
+    // Refs so the interval always syncs the latest data without restarting on every render
+    const itemsRef = useRef(items);
+    itemsRef.current = items;
+    const syncRef = useRef(sync);
+    syncRef.current = sync;
+
+    useEffect(() => {
+        if (!db || !appId || !userId || !key) {
+            log(`⏸️ ${name} reminders idle`, { db: !!db, userId, key: !!key });
+            return;
+        }
+
+        const check = () => {
+            syncRef.current(db, appId, userId, itemsRef.current)
+                .catch(error => console.error(`Error syncing ${name} reminders:`, error));
+        };
+
+        check();
+        const interval = setInterval(check, intervalMs);
+        return () => clearInterval(interval);
+    }, [db, appId, userId, key, name, intervalMs]);
+};
@@ -0,0 +1,34 @@
+/**
+ * @file useSeasoningReminders.js
+ * @path src/hooks/useSeasoningReminders.js
+ * @project Humidor Hub
+ * @author Shawn Miller (hereiamnow@gmail.com)
+ * @date August 20, 2025
+ *
+ * Seasoning Reminders Hook
+ *
+ * Custom hook that prompts for a daily reading while a humidor is seasoning. It checks
+ * when the app opens, when a seasoning humidor gets a reading, and hourly so the
+ * prompt for a new day appears without reopening the app.
+ */
+
+import { useReminderSync } from './useReminderSync';
+import { isHumidorSeasoning, syncSeasoningReminders } from '../services/seasoningService';
+
+const CHECK_INTERVAL_MS = 60 * 60 * 1000;
+
+export const useSeasoningReminders = (db, appId, userId, humidors) => {
+    const seasoningKey = (humidors || [])
+        .filter(isHumidorSeasoning)
+        .map(h => `${h.id}:${h.lastReadingAt || ''}`)
+        .sort()
+        .join('|');
+
+    useReminderSync(db, appId, userId, {
+        name: 'seasoning',
+        key: seasoningKey,
+        items: humidors,
+        sync: syncSeasoningReminders,
+        intervalMs: CHECK_INTERVAL_MS
+    });
+};
@@ -0,0 +1,50 @@
+/**
+ * @file useSensorIntegrations.js
+ * @path src/hooks/useSensorIntegrations.js
+ * @project Humidor Hub
+ * @author Shawn Miller (hereiamnow@gmail.com)
+ * @date August 15, 2025
+ *
+ * Sensor Integrations Hook
+ *
+ * Custom hook that subscribes to the user's settings document and exposes the
+ * connected sensor providers (credentials and device inventory) keyed by provider
+ * id, so connections survive reloads.
+ */
+
+import { useState, useEffect } from 'react';
+import { onSnapshot } from "firebase/firestore";
+import { getSensorIntegrations, getUserSettingsRef } from '../services/integrationSettingsService';
+
+const DEBUG = process.env.NODE_ENV === 'development';
+const log = DEBUG ? console.log : () => {};
+
+export const useSensorIntegrations = (db, userId) => {
+    const [sensorIntegrations, setSensorIntegrations] = useState({});
+    const [isLoading, setIsLoading] = useState(true);
+
+    useEffect(() => {
+        if (!db || !userId) {
+            log('⏳ Waiting for database and user ID...', { db: !!db, userId });
+            return;
+        }
+
+        const unsubscribe = onSnapshot(
+            getUserSettingsRef(db, userId),
+            (snapshot) => {
+                const integrations = getSensorIntegrations(snapshot.exists() ? snapshot.data() : {});
+                log('🔌 Sensor integrations updated:', Object.keys(integrations));
+                setSensorIntegrations(integrations);
+                setIsLoading(false);
+            },
+            (error) => {
+                console.error("Error fetching sensor integrations:", error);
+                setIsLoading(false);
+            }
+        );
+
+        return () => unsubscribe();
+    }, [db, userId]);
+
+    return { sensorIntegrations, isLoading };
+};
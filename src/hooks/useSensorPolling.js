@@ -0,0 +1,82 @@
+/**
+ * @file useSensorPolling.js
+ * @path src/hooks/useSensorPolling.js
+ * @project Humidor Hub
+ * @author Shawn Miller (hereiamnow@gmail.com)
+ * @date August 14, 2025
+ *
+ * Sensor Polling Hook
+ *
+ * Custom hook that runs the sensor polling schedule while the app is open. Each
+ * humidor linked to a connected sensor provider gets its own timer; a failed poll
+ * backs off before retrying, and rejected credentials stop polling until the
+ * provider's integration changes.
+ */
+
+import { useEffect, useRef } from 'react';
+import { getLinkedHumidors, getNextPollDelay, pollHumidorSensor } from '../services/sensorPollingService';
+import { getHumidorSensor } from '../utils/sensorUtils';
+
+const DEBUG = process.env.NODE_ENV === 'development';
+const log = DEBUG ? console.log : () => {};
+
+// Spread the first polls out so a large collection doesn't burst the API
+const INITIAL_STAGGER_MS = 2000;
+
+export const useSensorPolling = (db, appId, userId, humidors, sensorIntegrations) => {
+    // Humidor docs change on every stored reading, so timers read the latest copies from here
+    const humidorsRef = useRef(humidors);
+    humidorsRef.current = humidors;
+    const integrationsRef = useRef(sensorIntegrations);
+    integrationsRef.current = sensorIntegrations;
+
+    // Only restart the schedule when the linked sensors or the credentials behind them change
+    const linkedKey = getLinkedHumidors(humidors, sensorIntegrations)
+        .map(h => {
+            const sensor = getHumidorSensor(h);
+            return `${h.id}:${sensor.provider}:${sensor.deviceId}:${JSON.stringify(sensorIntegrations[sensor.provider].credentials)}`;
+        })
+        .sort()
+        .join('\n');
+
+    useEffect(() => {
+        if (!db || !appId || !userId || !linkedKey) {
+            log('⏸️ Sensor polling idle', { db: !!db, userId, linkedKey: !!linkedKey });
+            return;
+        }
+
+        const humidorIds = linkedKey.split('\n').map(entry => entry.split(':')[0]);
+        const timers = {};
+        let cancelled = false;
+
+        log('📡 Starting sensor polling for humidors:', humidorIds);
+
+        const poll = async (humidorId, consecutiveFailures) => {
+            const humidor = getLinkedHumidors(humidorsRef.current, integrationsRef.current).find(h => h.id === humidorId);
+            if (cancelled || !humidor) return;
+
+            const integration = integrationsRef.current[getHumidorSensor(humidor).provider];
+            const result = await pollHumidorSensor(db, appId, userId, humidor, integration, consecutiveFailures);
+            if (cancelled) return;
+
+            if (result.stop) {
+                log('🛑 Sensor polling stopped for humidor:', humidorId);
+                return;
+            }
+
+            const delay = getNextPollDelay(result.consecutiveFailures, result.retryAfterMs);
+            log('⏱️ Next poll for humidor', humidorId, 'in', Math.round(delay / 1000), 's');
+            timers[humidorId] = setTimeout(() => poll(humidorId, result.consecutiveFailures), delay);
+        };
+
+        humidorIds.forEach((humidorId, index) => {
+            timers[humidorId] = setTimeout(() => poll(humidorId, 0), index * INITIAL_STAGGER_MS);
+        });
+
+        return () => {
+            log('🧹 Stopping sensor polling');
+            cancelled = true;
+            Object.values(timers).forEach(clearTimeout);
+        };
+    }, [db, appId, userId, linkedKey]);
+};
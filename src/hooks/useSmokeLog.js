@@ -0,0 +1,55 @@
+/**
+ * @file useSmokeLog.js
+ * @path src/hooks/useSmokeLog.js
+ * @project Humidor Hub
+ * @author Shawn Miller (hereiamnow@gmail.com)
+ * @date August 25, 2025
+ *
+ * Smoke Log Hook
+ *
+ * Custom hook that subscribes to the smoke log in real time, newest first. Pass a
+ * cigar ID to get only that cigar's smokes.
+ */
+
+import { useState, useEffect } from 'react';
+import { onSnapshot, query, where } from "firebase/firestore";
+import { getSmokeLogCollectionRef } from '../services/smokeLogService';
+
+const DEBUG = process.env.NODE_ENV === 'development';
+const log = DEBUG ? console.log : () => {};
+
+export const useSmokeLog = (db, appId, userId, cigarId = null) => {
+    const [smokes, setSmokes] = useState([]);
+    const [isLoading, setIsLoading] = useState(true);
+    const [error, setError] = useState(null);
+
+    useEffect(() => {
+        if (!db || !appId || !userId) {
+            log('⏳ Waiting for database and user ID...', { db: !!db, userId });
+            return;
+        }
+
+        const collectionRef = getSmokeLogCollectionRef(db, appId, userId);
+        const smokesQuery = cigarId ? query(collectionRef, where('cigarId', '==', cigarId)) : collectionRef;
+
+        const unsubscribe = onSnapshot(
+            smokesQuery,
+            (snapshot) => {
+                log('🚬 Smoke log updated:', snapshot.docs.length, 'items');
+                setSmokes(snapshot.docs
+                    .map(doc => ({ id: doc.id, ...doc.data() }))
+                    .sort((a, b) => b.smokedAt.localeCompare(a.smokedAt)));
+                setIsLoading(false);
+            },
+            (err) => {
+                console.error("Error fetching smoke log:", err);
+                setError(err.message);
+                setIsLoading(false);
+            }
+        );
+
+        return () => unsubscribe();
+    }, [db, appId, userId, cigarId]);
+
+    return { smokes, isLoading, error };
+};
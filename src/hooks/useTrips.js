@@ -0,0 +1,59 @@
+/**
+ * @file useTrips.js
+ * @path src/hooks/useTrips.js
+ * @project Humidor Hub
+ * @author Shawn Miller (hereiamnow@gmail.com)
+ * @date August 23, 2025
+ *
+ * Trips Hook
+ *
+ * Custom hook that subscribes to a travel humidor's trips in real time, newest
+ * first, and picks out the one in progress.
+ */
+
+import { useState, useEffect } from 'react';
+import { onSnapshot, query, where } from "firebase/firestore";
+import { TRIP_STATUS, getTripsCollectionRef } from '../services/tripService';
+
+const DEBUG = process.env.NODE_ENV === 'development';
+const log = DEBUG ? console.log : () => {};
+
+export const useTrips = (db, appId, userId, travelHumidorId) => {
+    const [trips, setTrips] = useState([]);
+    const [isLoading, setIsLoading] = useState(true);
+    const [error, setError] = useState(null);
+
+    useEffect(() => {
+        if (!db || !appId || !userId || !travelHumidorId) {
+            log('⏳ Waiting for database, user ID and travel humidor...', { db: !!db, userId, travelHumidorId });
+            return;
+        }
+
+        const tripsQuery = query(
+            getTripsCollectionRef(db, appId, userId),
+            where('travelHumidorId', '==', travelHumidorId)
+        );
+
+        const unsubscribe = onSnapshot(
+            tripsQuery,
+            (snapshot) => {
+                log('🧳 Trips updated:', snapshot.docs.length, 'items');
+                setTrips(snapshot.docs
+                    .map(doc => ({ id: doc.id, ...doc.data() }))
+                    .sort((a, b) => b.startedAt.localeCompare(a.startedAt)));
+                setIsLoading(false);
+            },
+            (err) => {
+                console.error("Error fetching trips:", err);
+                setError(err.message);
+                setIsLoading(false);
+            }
+        );
+
+        return () => unsubscribe();
+    }, [db, appId, userId, travelHumidorId]);
+
+    const activeTrip = trips.find(t => t.status === TRIP_STATUS.ACTIVE) || null;
+
+    return { trips, activeTrip, isLoading, error };
+};
@@ -37,7 +37,7 @@
 
 import React, { useState, useEffect } from 'react';
 import { Eye, EyeOff } from 'lucide-react';
-import { doc, setDoc, getDoc, deleteDoc } from 'firebase/firestore';
+import { doc, setDoc, getDoc, deleteField } from 'firebase/firestore';
 import { useAuthState } from 'react-firebase-hooks/auth';
 import { db, auth } from '../firebase';
 
@@ -169,7 +169,11 @@ export default function GeminiKeySection() {
         try {
             setLoading(true);
             const userDocRef = doc(db, API_KEY_COLLECTION, user.uid);
-            await deleteDoc(userDocRef);
+            // Only remove the Gemini key; the settings document also holds other integrations
+            await setDoc(userDocRef, {
+                geminiApiKey: deleteField(),
+                updatedAt: new Date().toISOString()
+            }, { merge: true });
             console.log('GeminiKeySection: API key removed from Firebase');
 
             // Reset all component state
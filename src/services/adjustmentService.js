@@ -0,0 +1,89 @@
+/**
+ *
+ * @file adjustmentService.js
+ * @path src/services/adjustmentService.js
+ * @project Humidor Hub
+ * @author Shawn Miller (hereiamnow@gmail.com)
+ * @date Aug 25, 2025
+ *
+ * Description
+ * Service functions for inventory adjustments: changing a cigar's stock with a reason
+ * attached (smoked, gifted, traded, damaged, lost or a correction). Each adjustment is
+ * recorded in the cigar's history so losses show up on its detail screen, and cigars
+ * adjusted out as smoked are written to the smoke log as well.
+ *
+ */
+import { doc } from 'firebase/firestore';
+import { CIGAR_HISTORY_TYPES } from '../constants/cigarHistory';
+import { ADJUSTMENT_REASONS, getAdjustmentReason } from '../constants/inventoryAdjustments';
+import { FIRESTORE_BATCH_LIMIT, createChunkedBatch } from '../utils/firestoreUtils';
+import { buildQuantityUpdate } from '../utils/lotUtils';
+import { appendCigarHistory, buildCigarHistoryEvent } from './cigarHistoryService';
+import { queueSmokes } from './smokeLogService';
+
+const getCigarRef = (db, appId, userId, cigarId) =>
+  doc(db, 'artifacts', appId, 'users', userId, 'cigars', cigarId);
+
+/**
+ * Changes the stock of one or more cigars for a reason. Cigars taken out are capped at
+ * what each has on hand; cigars with none to take are left alone. Large adjustments are
+ * saved over several batches, each cigar's change together with its smoke log entries.
+ * @param {Object} db - Firestore database instance
+ * @param {string} appId - Application identifier for Firestore paths
+ * @param {string} userId - Current user's unique identifier
+ * @param {Array<Object>} cigars - Cigars to adjust
+ * @param {Object} adjustment
+ * @param {string} adjustment.reason - One of the ADJUSTMENT_REASONS ids
+ * @param {number} adjustment.count - How many of each cigar
+ * @param {number} [adjustment.direction] - 1 to add or -1 to take out; only corrections can add
+ * @param {string} [adjustment.recipient] - Who they were gifted to or traded with
+ * @param {string} [adjustment.damage] - What was wrong with damaged cigars
+ * @param {string} [adjustment.notes] - Free-form notes
+ * @returns {Promise<number>} Net change in cigars across all records
+ */
+export const recordInventoryAdjustment = async (db, appId, userId, cigars, { reason, count, direction = -1, recipient = '', damage = '', notes = '' }) => {
+  const reasonDef = getAdjustmentReason(reason);
+  if (!reasonDef) throw new Error('Pick a reason for the change');
+  const amount = Math.round(Number(count) || 0);
+  if (amount < 1) throw new Error('Adjust by at least one cigar');
+  const sign = reasonDef.direction || (direction > 0 ? 1 : -1);
+
+  const isSmoked = reason === ADJUSTMENT_REASONS.SMOKED.id;
+  const batch = createChunkedBatch(db);
+  let netChange = 0;
+
+  cigars.forEach(cigar => {
+    const quantity = Number(cigar.quantity) || 0;
+    const change = sign > 0 ? amount : -Math.min(amount, quantity);
+    if (change === 0) return;
+    // The cigar's update, plus a smoke log entry per cigar smoked and the trip's log if it's packed
+    const tripWrites = cigar.trip?.tripId ? 1 : 0;
+    const writes = 1 + (isSmoked ? -change + tripWrites : 0);
+    if (writes > FIRESTORE_BATCH_LIMIT) {
+      const maxSmokes = FIRESTORE_BATCH_LIMIT - 1 - tripWrites;
+      throw new Error(`That's more than ${maxSmokes} ${cigar.brand} ${cigar.name} to log as smoked at once; adjust fewer at a time`);
+    }
+    batch.reserve(writes);
+
+    const event = buildCigarHistoryEvent(CIGAR_HISTORY_TYPES.ADJUSTMENT.id, {
+      reason,
+      change,
+      quantityAfter: quantity + change,
+      ...(recipient.trim() && { recipient: recipient.trim() }),
+      ...(damage && { damage }),
+      ...(notes.trim() && { notes: notes.trim() })
+    });
+    if (isSmoked) queueSmokes(batch, db, appId, userId, cigar, -change);
+    batch.update(getCigarRef(db, appId, userId, cigar.id), {
+      ...buildQuantityUpdate(cigar, quantity + change),
+      ...appendCigarHistory(event)
+    });
+    netChange += change;
+  });
+
+  if (netChange === 0) throw new Error('None of these cigars are left to take out');
+  await batch.commit();
+
+  console.log('[adjustmentService] Adjusted', cigars.length, 'cigars for', reason, '- net change', netChange);
+  return netChange;
+};
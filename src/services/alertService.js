@@ -0,0 +1,124 @@
+/**
+ *
+ * @file alertService.js
+ * @path src/services/alertService.js
+ * @project Humidor Hub
+ * @author Shawn Miller (hereiamnow@gmail.com)
+ * @date Aug 11, 2025
+ *
+ * Description
+ * Service functions for humidor environment alerts. Persists one alert rule per
+ * humidor in the `alertRules` collection (keyed by humidor id, with the engine's
+ * evaluation state stored alongside), evaluates new readings with the alert rules
+ * engine, and records triggered/resolved alerts in the `alerts` collection. Each
+ * triggered alert also lands in the notification inbox under the same document id.
+ *
+ */
+import { collection, doc, getDoc, setDoc, writeBatch } from 'firebase/firestore';
+import { ALERT_METRICS, DEFAULT_ALERT_RULE, evaluateReading, formatAlertMessage } from '../utils/alertRulesEngine';
+import { NOTIFICATION_TYPES, buildNotification, getNotificationsCollectionRef } from './notificationService';
+
+export const getAlertRulesCollectionRef = (db, appId, userId) =>
+  collection(db, 'artifacts', appId, 'users', userId, 'alertRules');
+
+export const getAlertRuleRef = (db, appId, userId, humidorId) =>
+  doc(db, 'artifacts', appId, 'users', userId, 'alertRules', humidorId);
+
+export const getAlertsCollectionRef = (db, appId, userId) =>
+  collection(db, 'artifacts', appId, 'users', userId, 'alerts');
+
+/**
+ * Saves the alert rule for a humidor. Evaluation state is left untouched.
+ * @param {Object} db - Firestore database instance
+ * @param {string} appId - Application identifier for Firestore paths
+ * @param {string} userId - Current user's unique identifier
+ * @param {string} humidorId - Humidor the rule applies to
+ * @param {Object} rule - Rule values (see DEFAULT_ALERT_RULE)
+ */
+export const saveAlertRule = async (db, appId, userId, humidorId, rule) => {
+  console.log('[alertService] Saving alert rule for humidor:', humidorId, rule);
+  const ruleData = Object.keys(DEFAULT_ALERT_RULE).reduce((acc, key) => {
+    const value = rule[key] ?? DEFAULT_ALERT_RULE[key];
+    acc[key] = typeof DEFAULT_ALERT_RULE[key] === 'number' ? Number(value) : value;
+    return acc;
+  }, {});
+
+  await setDoc(getAlertRuleRef(db, appId, userId, humidorId), {
+    ...ruleData,
+    humidorId,
+    updatedAt: new Date().toISOString()
+  }, { merge: true });
+};
+
+/**
+ * Evaluates a new reading against the humidor's alert rule and records any alerts.
+ * Readings older than the last evaluated one are ignored so backfilled history
+ * can't rewind the engine's state.
+ * @param {Object} db - Firestore database instance
+ * @param {string} appId - Application identifier for Firestore paths
+ * @param {string} userId - Current user's unique identifier
+ * @param {string} humidorId - Humidor the reading belongs to
+ * @param {Object} reading - Reading with `timestamp`, `temp` and `humidity`
+ * @returns {Promise<Array>} Events produced by the evaluation
+ */
+export const evaluateReadingAlerts = async (db, appId, userId, humidorId, reading) => {
+  const ruleRef = getAlertRuleRef(db, appId, userId, humidorId);
+  const ruleDoc = await getDoc(ruleRef);
+  if (!ruleDoc.exists()) {
+    console.log('[alertService] No alert rule for humidor:', humidorId);
+    return [];
+  }
+
+  const { state: ruleState = {}, lastEvaluatedAt, ...rule } = ruleDoc.data();
+  if (lastEvaluatedAt && reading.timestamp < lastEvaluatedAt) {
+    console.log('[alertService] Skipping out-of-order reading:', reading.timestamp, '<', lastEvaluatedAt);
+    return [];
+  }
+
+  const { state, events } = evaluateReading(rule, ruleState, reading);
+  const batch = writeBatch(db);
+
+  const notificationsRef = getNotificationsCollectionRef(db, appId, userId);
+
+  events.forEach(event => {
+    if (event.type === 'triggered') {
+      const alertRef = doc(getAlertsCollectionRef(db, appId, userId));
+      const message = formatAlertMessage(event.metric, event.condition, event.value, event.threshold);
+      batch.set(alertRef, {
+        humidorId,
+        metric: event.metric,
+        condition: event.condition,
+        value: event.value,
+        threshold: event.threshold,
+        message,
+        outOfRangeSince: event.since,
+        triggeredAt: event.timestamp,
+        status: 'active',
+        resolvedAt: null
+      });
+      batch.set(doc(notificationsRef, alertRef.id), buildNotification({
+        type: NOTIFICATION_TYPES.ALERT,
+        title: `${ALERT_METRICS[event.metric].label} ${event.condition}`,
+        message,
+        humidorId,
+        alertId: alertRef.id,
+        createdAt: event.timestamp
+      }));
+      state[event.metric] = { ...state[event.metric], alertId: alertRef.id };
+    } else if (event.type === 'resolved' && event.alertId) {
+      batch.update(doc(getAlertsCollectionRef(db, appId, userId), event.alertId), {
+        status: 'resolved',
+        resolvedAt: event.timestamp,
+        resolvedValue: event.value
+      });
+      // set+merge so alerts raised before the inbox existed don't fail the batch
+      batch.set(doc(notificationsRef, event.alertId), { resolvedAt: event.timestamp }, { merge: true });
+    }
+  });
+
+  batch.set(ruleRef, { state, lastEvaluatedAt: reading.timestamp }, { merge: true });
+  await batch.commit();
+
+  console.log('[alertService] Evaluated reading for humidor:', humidorId, 'events:', events);
+  return events;
+};
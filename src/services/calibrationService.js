@@ -0,0 +1,150 @@
+/**
+ *
+ * @file calibrationService.js
+ * @path src/services/calibrationService.js
+ * @project Humidor Hub
+ * @author Shawn Miller (hereiamnow@gmail.com)
+ * @date Aug 18, 2025
+ *
+ * Description
+ * Service functions for hygrometer calibration. Each calibration (a salt test or a
+ * Boveda 75% kit) is stored in a `calibrations` subcollection under its humidor, and
+ * the active one is mirrored onto the humidor document as `calibration`. The readings
+ * service applies that offset to every new manual or sensor reading and keeps the
+ * uncorrected value alongside it.
+ *
+ */
+import { doc, collection, updateDoc, writeBatch } from 'firebase/firestore';
+import { deleteCollectionDocs } from '../utils/firestoreUtils';
+
+export const CALIBRATION_METHODS = {
+  SALT: { id: 'salt', label: 'Salt test', referenceHumidity: 75 },
+  BOVEDA_75: { id: 'boveda75', label: 'Boveda 75% calibration kit', referenceHumidity: 75 }
+};
+
+/**
+ * Looks up a calibration method by id.
+ * @param {string} methodId - Calibration method id
+ * @returns {Object|undefined}
+ */
+export const getCalibrationMethod = (methodId) =>
+  Object.values(CALIBRATION_METHODS).find(m => m.id === methodId);
+
+/**
+ * Returns the Firestore collection reference for a humidor's calibrations.
+ * @param {Object} db - Firestore database instance
+ * @param {string} appId - Application identifier for Firestore paths
+ * @param {string} userId - Current user's unique identifier
+ * @param {string} humidorId - Humidor the calibrations belong to
+ * @returns {Object} Firestore collection reference
+ */
+export const getCalibrationsCollectionRef = (db, appId, userId, humidorId) =>
+  collection(db, 'artifacts', appId, 'users', userId, 'humidors', humidorId, 'calibrations');
+
+/**
+ * Works out the offset to add to the hygrometer's readings.
+ * @param {number} referenceHumidity - Humidity the calibration environment holds
+ * @param {number} measuredHumidity - Humidity the hygrometer showed
+ * @returns {number} Offset in percentage points, rounded to one decimal
+ */
+export const computeHumidityOffset = (referenceHumidity, measuredHumidity) =>
+  Number((Number(referenceHumidity) - Number(measuredHumidity)).toFixed(1));
+
+/**
+ * Corrects a raw humidity value with a humidor's active calibration.
+ * @param {number} rawHumidity - Humidity as measured
+ * @param {Object|null} calibration - The humidor's active calibration
+ * @returns {number} Corrected humidity, kept within 0-100
+ */
+export const applyHumidityCalibration = (rawHumidity, calibration) => {
+  const offset = Number(calibration?.humidityOffset) || 0;
+  return Math.min(100, Math.max(0, Number((Number(rawHumidity) + offset).toFixed(1))));
+};
+
+const toActiveCalibration = (calibrationId, calibration) => ({
+  id: calibrationId,
+  humidityOffset: calibration.humidityOffset,
+  method: calibration.method,
+  performedAt: calibration.performedAt
+});
+
+/**
+ * Stores a calibration result and, unless told otherwise, makes it the active one.
+ * @param {Object} db - Firestore database instance
+ * @param {string} appId - Application identifier for Firestore paths
+ * @param {string} userId - Current user's unique identifier
+ * @param {string} humidorId - Humidor whose hygrometer was calibrated
+ * @param {Object} result - Calibration result
+ * @param {string} result.method - One of the CALIBRATION_METHODS ids
+ * @param {number} result.measuredHumidity - Humidity the hygrometer showed at the end of the test
+ * @param {string} [result.performedAt] - ISO timestamp, defaults to now
+ * @param {string} [result.instrument] - What was calibrated (sensor name or "Manual hygrometer")
+ * @param {string} [result.notes] - Free-form notes
+ * @param {boolean} [result.activate] - Apply the offset to future readings (default true)
+ * @returns {Promise<Object>} The stored calibration including its id
+ */
+export const recordCalibration = async (db, appId, userId, humidorId, {
+  method,
+  measuredHumidity,
+  performedAt = new Date().toISOString(),
+  instrument = '',
+  notes = '',
+  activate = true
+}) => {
+  const calibrationMethod = getCalibrationMethod(method);
+  if (!calibrationMethod) throw new Error(`Unknown calibration method: ${method}`);
+
+  const calibration = {
+    method,
+    referenceHumidity: calibrationMethod.referenceHumidity,
+    measuredHumidity: Number(measuredHumidity),
+    humidityOffset: computeHumidityOffset(calibrationMethod.referenceHumidity, measuredHumidity),
+    performedAt,
+    instrument,
+    notes,
+    createdAt: new Date().toISOString()
+  };
+  console.log('[calibrationService] Recording calibration for humidor:', humidorId, calibration);
+
+  const batch = writeBatch(db);
+  const calibrationRef = doc(getCalibrationsCollectionRef(db, appId, userId, humidorId));
+  batch.set(calibrationRef, calibration);
+  if (activate) {
+    batch.update(doc(db, 'artifacts', appId, 'users', userId, 'humidors', humidorId), {
+      calibration: toActiveCalibration(calibrationRef.id, calibration)
+    });
+  }
+  await batch.commit();
+
+  return { id: calibrationRef.id, ...calibration };
+};
+
+/**
+ * Makes a stored calibration the active one, or clears the active offset.
+ * @param {Object} db - Firestore database instance
+ * @param {string} appId - Application identifier for Firestore paths
+ * @param {string} userId - Current user's unique identifier
+ * @param {string} humidorId - Humidor to update
+ * @param {Object|null} calibration - Stored calibration (with id), or null to stop correcting readings
+ * @returns {Promise<void>}
+ */
+export const setActiveCalibration = async (db, appId, userId, humidorId, calibration) => {
+  console.log('[calibrationService] Active calibration for humidor', humidorId, '->', calibration?.id || 'none');
+  await updateDoc(doc(db, 'artifacts', appId, 'users', userId, 'humidors', humidorId), {
+    calibration: calibration ? toActiveCalibration(calibration.id, calibration) : null
+  });
+};
+
+/**
+ * Deletes every calibration stored for a humidor, when the humidor itself is deleted.
+ * @param {Object} db - Firestore database instance
+ * @param {string} appId - Application identifier for Firestore paths
+ * @param {string} userId - Current user's unique identifier
+ * @param {string} humidorId - Humidor whose calibrations should be removed
+ * @returns {Promise<number>} Number of calibrations deleted
+ */
+export const deleteHumidorCalibrations = async (db, appId, userId, humidorId) => {
+  const deleted = await deleteCollectionDocs(db, getCalibrationsCollectionRef(db, appId, userId, humidorId));
+  console.log('[calibrationService] Deleted', deleted, 'calibrations for humidor:', humidorId);
+  return deleted;
+};
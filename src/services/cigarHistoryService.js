@@ -0,0 +1,66 @@
+/**
+ *
+ * @file cigarHistoryService.js
+ * @path src/services/cigarHistoryService.js
+ * @project Humidor Hub
+ * @author Shawn Miller (hereiamnow@gmail.com)
+ * @date Aug 22, 2025
+ *
+ * Description
+ * Helpers for a cigar's event history. Events are appended to the cigar document's
+ * `history` array so they move, export and delete together with the cigar. Each event
+ * has an id, a CIGAR_HISTORY_TYPES type and an ISO `at` timestamp, plus type-specific details.
+ *
+ */
+import { arrayUnion } from 'firebase/firestore';
+import { CIGAR_HISTORY_TYPES } from '../constants/cigarHistory';
+import { createLocalId } from '../utils/idUtils';
+
+/**
+ * Builds a history event.
+ * @param {string} type - One of the CIGAR_HISTORY_TYPES ids
+ * @param {Object} [details] - Type-specific fields
+ * @param {string} [at] - ISO timestamp, defaults to now
+ * @returns {Object}
+ */
+export const buildCigarHistoryEvent = (type, details = {}, at = new Date().toISOString()) => ({
+  id: createLocalId(),
+  type,
+  at,
+  ...details
+});
+
+/**
+ * Builds the event recording a cigar's move between humidors. Humidor names are kept
+ * on the event so it still reads right after a humidor is renamed or deleted.
+ * @param {Object|null} fromHumidor - Humidor the cigar left, if known
+ * @param {Object} toHumidor - Humidor the cigar went to
+ * @param {string} [reason] - Why it was moved
+ * @param {number} [count] - How many moved, when only part of the cigar's stock did
+ * @returns {Object}
+ */
+export const buildCigarMoveEvent = (fromHumidor, toHumidor, reason = '', count = null) =>
+  buildCigarHistoryEvent(CIGAR_HISTORY_TYPES.MOVE.id, {
+    fromHumidorId: fromHumidor?.id || null,
+    fromHumidorName: fromHumidor?.name || '',
+    toHumidorId: toHumidor.id,
+    toHumidorName: toHumidor.name || '',
+    ...(reason.trim() && { reason: reason.trim() }),
+    ...(count && { count })
+  });
+
+/**
+ * Returns the document update that appends events to a cigar's history.
+ * Merge it into an updateDoc or batch.update payload.
+ * @param {...Object} events - Events from buildCigarHistoryEvent
+ * @returns {Object}
+ */
+export const appendCigarHistory = (...events) => ({ history: arrayUnion(...events) });
+
+/**
+ * Returns a cigar's history, newest first.
+ * @param {Object} cigar - Cigar object
+ * @returns {Array<Object>}
+ */
+export const getCigarHistory = (cigar) =>
+  [...(cigar?.history || [])].sort((a, b) => (b.at || '').localeCompare(a.at || ''));
@@ -0,0 +1,147 @@
+/**
+ *
+ * @file cigarMoveService.js
+ * @path src/services/cigarMoveService.js
+ * @project Humidor Hub
+ * @author Shawn Miller (hereiamnow@gmail.com)
+ * @date Aug 25, 2025
+ *
+ * Description
+ * Service functions for moving cigars between humidors. A move keeps the cigar's date
+ * added (and its purchase lots), so its age carries over, and records the move in the
+ * cigar's history with where from, where to and why. The cigar's section stays behind
+ * with its old humidor, and a cigar moved by hand is no longer sent home by a trip.
+ * Moving part of a cigar's stock splits its record into linked records, one per humidor.
+ *
+ */
+import { collection, doc } from 'firebase/firestore';
+import { createChunkedBatch } from '../utils/firestoreUtils';
+import { deriveCigarTotals, getOnHandLots, mergeLots, splitLots } from '../utils/lotUtils';
+import { appendCigarHistory, buildCigarMoveEvent } from './cigarHistoryService';
+
+const getCigarsCollectionRef = (db, appId, userId) =>
+  collection(db, 'artifacts', appId, 'users', userId, 'cigars');
+
+const getCigarRef = (db, appId, userId, cigarId) =>
+  doc(db, 'artifacts', appId, 'users', userId, 'cigars', cigarId);
+
+/**
+ * Adds the updates moving a cigar to another humidor to a write batch.
+ * @param {Object} batch - Firestore write batch
+ * @param {Object} db - Firestore database instance
+ * @param {string} appId - Application identifier for Firestore paths
+ * @param {string} userId - Current user's unique identifier
+ * @param {Object} cigar - Cigar being moved
+ * @param {Object|null} fromHumidor - Humidor it is leaving, if known
+ * @param {Object} toHumidor - Destination humidor
+ * @param {string} [reason] - Why it is being moved
+ */
+const queueCigarMove = (batch, db, appId, userId, cigar, fromHumidor, toHumidor, reason = '') => {
+  batch.update(getCigarRef(db, appId, userId, cigar.id), {
+    humidorId: toHumidor.id,
+    sectionId: null,
+    trip: null,
+    ...appendCigarHistory(buildCigarMoveEvent(fromHumidor, toHumidor, reason))
+  });
+};
+
+/**
+ * Records split from the same cigar share a lineage, named by the original record's ID.
+ * @param {Object} cigar - Cigar object
+ * @returns {string}
+ */
+export const getCigarLineageId = (cigar) => cigar.lineageId || cigar.id;
+
+// The cigar's own details, without the fields that belong to one record of it
+const getCigarIdentity = ({ id, humidorId, sectionId, trip, freezeStatus, lots, quantity, price, dateAdded, history, lineageId, ...identity }) => identity;
+
+/**
+ * Moves cigars, or some of each, to another humidor. Moving all of a cigar moves its
+ * record. Moving part of it splits the record: the cigars moved take their share of its
+ * purchase lots to a linked record in the destination. If the destination already has a
+ * record of the same cigar, the cigars merge into it instead, keeping only the lots it
+ * still has on hand so its past smokes aren't taken from the cigars arriving. A record
+ * emptied by the move stays behind at zero (archived) with its history and journal
+ * entries; an archived record being moved always moves as it is. A move too big for one
+ * Firestore batch is saved over several.
+ * @param {Object} db - Firestore database instance
+ * @param {string} appId - Application identifier for Firestore paths
+ * @param {string} userId - Current user's unique identifier
+ * @param {Array<Object>} cigars - Cigars to move
+ * @param {Object} toHumidor - Destination humidor
+ * @param {Object} [options]
+ * @param {Array<Object>} [options.humidors] - All humidors, to name where each cigar came from
+ * @param {Array<Object>} [options.allCigars] - All cigars, to find records to merge into
+ * @param {Object<string, number>} [options.quantities] - How many of each cigar to move, by ID; all of it when left out
+ * @param {string} [options.reason] - Why they are being moved, e.g. "Rotation"
+ * @returns {Promise<number>} Cigars moved
+ */
+export const moveCigars = async (db, appId, userId, cigars, toHumidor, { humidors = [], allCigars = [], quantities = {}, reason = '' } = {}) => {
+  const batch = createChunkedBatch(db);
+  // Destination records receiving cigars, by lineage, built up before they are written
+  const destinations = new Map();
+  let movedCount = 0;
+
+  const findDestination = (lineageId) => {
+    if (destinations.has(lineageId)) return destinations.get(lineageId);
+    const existing = allCigars.find(c => c.humidorId === toHumidor.id && getCigarLineageId(c) === lineageId);
+    return existing ? { id: existing.id, quantity: Number(existing.quantity) || 0, lots: getOnHandLots(existing), events: [] } : null;
+  };
+
+  cigars
+    .filter(cigar => cigar.humidorId !== toHumidor.id)
+    .forEach(cigar => {
+      const quantity = Number(cigar.quantity) || 0;
+      const count = Math.min(quantity, Math.max(0, Math.round(Number(quantities[cigar.id] ?? quantity) || 0)));
+      const lineageId = getCigarLineageId(cigar);
+      const fromHumidor = humidors.find(h => h.id === cigar.humidorId) || null;
+      let destination = findDestination(lineageId);
+      if (count === 0 && quantity > 0) return;
+
+      // An empty (archived) record always goes with the move, even when the destination has a
+      // record to merge into, so its history and journal entries aren't left in the old humidor
+      if (quantity === 0) {
+        queueCigarMove(batch, db, appId, userId, cigar, fromHumidor, toHumidor, reason);
+        if (!destination) destinations.set(lineageId, { id: cigar.id, quantity: 0, lots: [], events: [] });
+        return;
+      }
+
+      if (!destination && count === quantity) {
+        queueCigarMove(batch, db, appId, userId, cigar, fromHumidor, toHumidor, reason);
+        destinations.set(lineageId, { id: cigar.id, quantity, lots: getOnHandLots(cigar), events: [] });
+        movedCount += count;
+        return;
+      }
+
+      const { kept, moved } = splitLots(cigar, count);
+      batch.update(getCigarRef(db, appId, userId, cigar.id), {
+        lots: kept,
+        quantity: quantity - count,
+        ...deriveCigarTotals(kept, quantity - count),
+        ...appendCigarHistory(buildCigarMoveEvent(fromHumidor, toHumidor, reason, count))
+      });
+
+      if (!destination) {
+        destination = { id: doc(getCigarsCollectionRef(db, appId, userId)).id, quantity: 0, lots: [], events: [], newRecord: { ...getCigarIdentity(cigar), lineageId } };
+      }
+      destination.quantity += count;
+      destination.lots = mergeLots(destination.lots, moved);
+      destination.events.push(buildCigarMoveEvent(fromHumidor, toHumidor, reason, count));
+      destinations.set(lineageId, destination);
+      movedCount += count;
+    });
+
+  destinations.forEach(({ id, quantity, lots, events, newRecord }) => {
+    if (events.length === 0) return;
+    const totals = { lots, quantity, ...deriveCigarTotals(lots, quantity) };
+    if (newRecord) {
+      batch.set(getCigarRef(db, appId, userId, id), { ...newRecord, humidorId: toHumidor.id, sectionId: null, trip: null, ...totals, history: events });
+    } else {
+      batch.update(getCigarRef(db, appId, userId, id), { ...totals, ...appendCigarHistory(...events) });
+    }
+  });
+  await batch.commit();
+
+  console.log('[cigarMoveService] Moved', movedCount, 'cigars to humidor:', toHumidor.id);
+  return movedCount;
+};
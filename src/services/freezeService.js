@@ -0,0 +1,211 @@
+/**
+ *
+ * @file freezeService.js
+ * @path src/services/freezeService.js
+ * @project Humidor Hub
+ * @author Shawn Miller (hereiamnow@gmail.com)
+ * @date Aug 22, 2025
+ *
+ * Description
+ * Service functions for the beetle-prevention freeze protocol. A freeze batch tracks
+ * a group of cigars through the FREEZE_STAGES (fridge, freezer, fridge, room
+ * temperature) in the `freezeBatches` collection. Each cigar in an active batch carries
+ * a `freezeStatus` summary so its screens can show where it is. When the last stage is
+ * done the freeze is recorded in every cigar's history. A reminder is raised in the
+ * notification inbox each time a stage's timer runs out. A batch with more cigars than
+ * one Firestore write batch takes is saved over several, the batch document going in
+ * with as many of its cigars as fit.
+ *
+ */
+import { collection, doc, getDoc, setDoc } from 'firebase/firestore';
+import { FREEZE_STAGES, FREEZE_STAGE_HOURS_RANGE } from '../constants/freezeProtocol';
+import { CIGAR_HISTORY_TYPES } from '../constants/cigarHistory';
+import { FIRESTORE_BATCH_LIMIT, createChunkedBatch } from '../utils/firestoreUtils';
+import { appendCigarHistory, buildCigarHistoryEvent } from './cigarHistoryService';
+import { NOTIFICATION_TYPES, buildNotification, getNotificationsCollectionRef } from './notificationService';
+
+const HOUR_MS = 60 * 60 * 1000;
+
+export const FREEZE_BATCH_STATUS = {
+  ACTIVE: 'active',
+  COMPLETE: 'complete',
+  CANCELLED: 'cancelled'
+};
+
+export const getFreezeBatchesCollectionRef = (db, appId, userId) =>
+  collection(db, 'artifacts', appId, 'users', userId, 'freezeBatches');
+
+const getCigarRef = (db, appId, userId, cigarId) =>
+  doc(db, 'artifacts', appId, 'users', userId, 'cigars', cigarId);
+
+/**
+ * Works out when a batch's current stage is done.
+ * @param {Object} batch - Freeze batch
+ * @returns {string} ISO timestamp
+ */
+export const getStageDueAt = (batch) => {
+  const stage = batch.stages[batch.stageIndex];
+  return new Date(new Date(batch.stageStartedAt).getTime() + stage.hours * HOUR_MS).toISOString();
+};
+
+const buildFreezeStatus = (batchId, batch) => ({
+  batchId,
+  stageId: batch.stages[batch.stageIndex].id,
+  stageLabel: batch.stages[batch.stageIndex].label,
+  dueAt: getStageDueAt(batch)
+});
+
+/**
+ * Starts the freeze protocol for a group of cigars; they begin in the first stage.
+ * @param {Object} db - Firestore database instance
+ * @param {string} appId - Application identifier for Firestore paths
+ * @param {string} userId - Current user's unique identifier
+ * @param {Object} options
+ * @param {Array<Object>} options.cigars - Cigars going into the freezer
+ * @param {string} options.humidorId - Humidor the cigars came from
+ * @param {Object} [options.stageHours] - Hours per stage id, defaults per stage
+ * @param {string} [options.notes] - Free-form notes, e.g. the box code
+ * @returns {Promise<string>} ID of the new batch
+ */
+export const startFreezeBatch = async (db, appId, userId, { cigars, humidorId, stageHours = {}, notes = '' }) => {
+  if (!cigars?.length) throw new Error('Select at least one cigar to freeze');
+
+  const now = new Date().toISOString();
+  const batchRef = doc(getFreezeBatchesCollectionRef(db, appId, userId));
+  const freezeBatch = {
+    humidorId,
+    cigarIds: cigars.map(c => c.id),
+    cigarNames: cigars.map(c => [c.brand, c.name].filter(Boolean).join(' ')),
+    stages: FREEZE_STAGES.map(stage => ({
+      id: stage.id,
+      label: stage.label,
+      hours: Math.min(FREEZE_STAGE_HOURS_RANGE.max, Math.max(FREEZE_STAGE_HOURS_RANGE.min, Number(stageHours[stage.id]) || stage.defaultHours))
+    })),
+    stageIndex: 0,
+    stageStartedAt: now,
+    stageLog: [{ stageId: FREEZE_STAGES[0].id, startedAt: now }],
+    startedAt: now,
+    completedAt: null,
+    status: FREEZE_BATCH_STATUS.ACTIVE,
+    notes
+  };
+
+  const batch = createChunkedBatch(db);
+  batch.reserve(Math.min(freezeBatch.cigarIds.length + 1, FIRESTORE_BATCH_LIMIT));
+  batch.set(batchRef, freezeBatch);
+  const freezeStatus = buildFreezeStatus(batchRef.id, freezeBatch);
+  freezeBatch.cigarIds.forEach(cigarId => batch.update(getCigarRef(db, appId, userId, cigarId), { freezeStatus }));
+  await batch.commit();
+
+  console.log('[freezeService] Started freeze batch:', batchRef.id, 'for', cigars.length, 'cigars');
+  return batchRef.id;
+};
+
+/**
+ * Moves a batch on to its next stage. After the last stage the batch is completed and
+ * the freeze is added to each cigar's history.
+ * @param {Object} db - Firestore database instance
+ * @param {string} appId - Application identifier for Firestore paths
+ * @param {string} userId - Current user's unique identifier
+ * @param {Object} freezeBatch - Active batch, including its id
+ * @param {Array<string>} [existingCigarIds] - Ids of cigars that still exist; deleted cigars are skipped
+ * @returns {Promise<boolean>} True when the protocol is now complete
+ */
+export const advanceFreezeBatch = async (db, appId, userId, freezeBatch, existingCigarIds = freezeBatch.cigarIds) => {
+  const now = new Date().toISOString();
+  const batchRef = doc(getFreezeBatchesCollectionRef(db, appId, userId), freezeBatch.id);
+  const stageLog = freezeBatch.stageLog.map((entry, i) => i === freezeBatch.stageLog.length - 1 ? { ...entry, endedAt: now } : entry);
+  const isLastStage = freezeBatch.stageIndex >= freezeBatch.stages.length - 1;
+  const cigarIds = freezeBatch.cigarIds.filter(cigarId => existingCigarIds.includes(cigarId));
+  const batch = createChunkedBatch(db);
+  batch.reserve(Math.min(cigarIds.length + 1, FIRESTORE_BATCH_LIMIT));
+
+  if (isLastStage) {
+    batch.update(batchRef, { stageLog, status: FREEZE_BATCH_STATUS.COMPLETE, completedAt: now });
+    const event = buildCigarHistoryEvent(CIGAR_HISTORY_TYPES.FREEZE.id, {
+      batchId: freezeBatch.id,
+      startedAt: freezeBatch.startedAt,
+      completedAt: now,
+      stages: stageLog,
+      notes: freezeBatch.notes || ''
+    }, now);
+    cigarIds.forEach(cigarId => batch.update(getCigarRef(db, appId, userId, cigarId), {
+      freezeStatus: null,
+      ...appendCigarHistory(event)
+    }));
+  } else {
+    const stageIndex = freezeBatch.stageIndex + 1;
+    const next = { ...freezeBatch, stageIndex, stageStartedAt: now };
+    batch.update(batchRef, {
+      stageIndex,
+      stageStartedAt: now,
+      stageLog: [...stageLog, { stageId: freezeBatch.stages[stageIndex].id, startedAt: now }]
+    });
+    const freezeStatus = buildFreezeStatus(freezeBatch.id, next);
+    cigarIds.forEach(cigarId => batch.update(getCigarRef(db, appId, userId, cigarId), { freezeStatus }));
+  }
+
+  await batch.commit();
+  console.log('[freezeService] Advanced freeze batch:', freezeBatch.id, isLastStage ? '(complete)' : `to stage ${freezeBatch.stageIndex + 1}`);
+  return isLastStage;
+};
+
+/**
+ * Abandons a batch. Nothing is recorded in the cigars' history.
+ * @param {Object} db - Firestore database instance
+ * @param {string} appId - Application identifier for Firestore paths
+ * @param {string} userId - Current user's unique identifier
+ * @param {Object} freezeBatch - Active batch, including its id
+ * @param {Array<string>} [existingCigarIds] - Ids of cigars that still exist; deleted cigars are skipped
+ * @returns {Promise<void>}
+ */
+export const cancelFreezeBatch = async (db, appId, userId, freezeBatch, existingCigarIds = freezeBatch.cigarIds) => {
+  const cigarIds = freezeBatch.cigarIds.filter(cigarId => existingCigarIds.includes(cigarId));
+  const batch = createChunkedBatch(db);
+  batch.reserve(Math.min(cigarIds.length + 1, FIRESTORE_BATCH_LIMIT));
+  batch.update(doc(getFreezeBatchesCollectionRef(db, appId, userId), freezeBatch.id), {
+    status: FREEZE_BATCH_STATUS.CANCELLED,
+    completedAt: new Date().toISOString()
+  });
+  cigarIds.forEach(cigarId => batch.update(getCigarRef(db, appId, userId, cigarId), { freezeStatus: null }));
+  await batch.commit();
+  console.log('[freezeService] Cancelled freeze batch:', freezeBatch.id);
+};
+
+/**
+ * Raises a reminder for every active batch whose current stage is done, once per stage.
+ * @param {Object} db - Firestore database instance
+ * @param {string} appId - Application identifier for Firestore paths
+ * @param {string} userId - Current user's unique identifier
+ * @param {Array} freezeBatches - Active batches, including their ids
+ * @param {Date} [now] - Reference time, defaults to the current time
+ * @returns {Promise<number>} Number of reminders created
+ */
+export const syncFreezeReminders = async (db, appId, userId, freezeBatches = [], now = new Date()) => {
+  const notificationsRef = getNotificationsCollectionRef(db, appId, userId);
+  let created = 0;
+
+  for (const freezeBatch of freezeBatches) {
+    if (freezeBatch.status !== FREEZE_BATCH_STATUS.ACTIVE || new Date(getStageDueAt(freezeBatch)) > now) continue;
+
+    const reminderRef = doc(notificationsRef, `freeze_${freezeBatch.id}_${freezeBatch.stageIndex}`);
+    const existing = await getDoc(reminderRef);
+    if (existing.exists()) continue;
+
+    const next = freezeBatch.stages[freezeBatch.stageIndex + 1];
+    const count = freezeBatch.cigarIds.length;
+    const what = count === 1 ? freezeBatch.cigarNames[0] : `${count} cigars`;
+    await setDoc(reminderRef, buildNotification({
+      type: NOTIFICATION_TYPES.REMINDER,
+      title: next ? `Freeze protocol: ${next.label} stage` : 'Freeze protocol complete',
+      message: next
+        ? `${what} finished the ${freezeBatch.stages[freezeBatch.stageIndex].label} stage. ${FREEZE_STAGES.find(s => s.id === next.id)?.instruction || ''}`.trim()
+        : `${what} ${count === 1 ? 'is' : 'are'} back at room temperature and can return to the humidor.`,
+      humidorId: freezeBatch.humidorId
+    }));
+    created++;
+  }
+
+  if (created > 0) console.log('[freezeService] Created', created, 'freeze reminders');
+  return created;
+};
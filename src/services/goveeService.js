@@ -1,21 +1,219 @@
 /**
- * Simulates fetching a list of Govee devices.
+ *
+ * @file goveeService.js
+ * @path src/services/goveeService.js
+ * @project Humidor Hub
+ * @author Shawn Miller (hereiamnow@gmail.com)
+ * @date Aug 13, 2025
+ *
+ * Description
+ * Client for the Govee OpenAPI (https://developer.govee.com). Lists the devices on a
+ * Govee account and reads the current temperature and humidity of thermo-hygrometers
+ * such as the H5075, H5074 and H5100.
+ *
+ * Every request goes through a pluggable HTTP function, so the client can be pointed
+ * at a local mock server (set REACT_APP_GOVEE_API_BASE_URL, or pass `baseUrl` and
+ * `httpClient` to createGoveeClient). The client reads Govee's rate-limit headers and
+ * refuses to send requests it already knows would be rejected until the limit resets.
+ *
+ */
+
+import { SensorProviderError, fetchHttpClient, getResetAt, getRetryAfterMs, parseNumberHeader } from './sensors/sensorHttp';
+
+export const GOVEE_API_BASE_URL = process.env.REACT_APP_GOVEE_API_BASE_URL || 'https://openapi.api.govee.com/router/api/v1';
+
+// Thermo-hygrometer models we know report sensorTemperature/sensorHumidity
+export const GOVEE_THERMO_HYGROMETER_MODELS = ['H5074', 'H5075', 'H5100', 'H5101', 'H5102', 'H5103', 'H5104', 'H5105', 'H5177', 'H5179'];
+
+/**
+ * Error raised for failed Govee requests. See SensorProviderError for the fields.
+ */
+export class GoveeApiError extends SensorProviderError {
+    constructor(message, options) {
+        super(message, options);
+        this.name = 'GoveeApiError';
+    }
+}
+
+// Last rate-limit figures reported by Govee, per API key, shared by every client for that key
+const rateLimitsByKey = new Map();
+
+const getRateLimitState = (apiKey) => {
+    if (!rateLimitsByKey.has(apiKey)) {
+        rateLimitsByKey.set(apiKey, { remaining: null, resetAt: null });
+    }
+    return rateLimitsByKey.get(apiKey);
+};
+
+const createRequestId = () =>
+    (typeof crypto !== 'undefined' && crypto.randomUUID) ? crypto.randomUUID() : `${Date.now()}-${Math.random().toString(16).slice(2)}`;
+
+/**
+ * Normalizes a device from the device list to the shape used across the app.
+ * @param {Object} device - Device from the Govee API
+ * @returns {{device: string, model: string, deviceName: string, type: string, capabilities: Array}}
+ */
+export const normalizeGoveeDevice = (device) => ({
+    device: device.device,
+    model: device.sku,
+    deviceName: device.deviceName || device.sku,
+    type: device.type || null,
+    capabilities: device.capabilities || []
+});
+
+/**
+ * Returns true for devices that can report temperature and humidity.
+ * @param {Object} device - Normalized device
+ */
+export const isThermoHygrometer = (device) => {
+    if (GOVEE_THERMO_HYGROMETER_MODELS.includes(device.model)) return true;
+    if (device.type === 'devices.types.thermometer') return true;
+    return device.capabilities.some(c => c.instance === 'sensorTemperature' || c.instance === 'sensorHumidity');
+};
+
+// Humidity comes back either as a number or as `{ currentHumidity }` depending on the model
+const readCapabilityValue = (capability) => {
+    const value = capability?.state?.value;
+    if (value && typeof value === 'object') {
+        return value.currentHumidity ?? value.currentTemperature ?? null;
+    }
+    return value ?? null;
+};
+
+/**
+ * Turns a device state payload into a reading.
+ * @param {Object} payload - `payload` from the device state response
+ * @returns {{temp: number|null, humidity: number|null, online: boolean}} Temperature in °F
+ */
+export const parseGoveeDeviceState = (payload) => {
+    const capabilities = payload?.capabilities || [];
+    const find = (instance) => capabilities.find(c => c.instance === instance);
+
+    const temp = Number(readCapabilityValue(find('sensorTemperature')));
+    const humidity = Number(readCapabilityValue(find('sensorHumidity')));
+    const online = find('online');
+
+    return {
+        temp: Number.isFinite(temp) ? Number(temp.toFixed(1)) : null,
+        humidity: Number.isFinite(humidity) ? Number(humidity.toFixed(1)) : null,
+        online: online ? readCapabilityValue(online) !== false : true
+    };
+};
+
+/**
+ * Creates a Govee API client.
+ * @param {Object} options
+ * @param {string} options.apiKey - Govee API key
+ * @param {string} [options.baseUrl] - API base URL, override to use a mock server
+ * @param {Function} [options.httpClient] - HTTP layer, see sensorHttp.fetchHttpClient
+ * @returns {{listDevices: Function, getDeviceState: Function, getRateLimit: Function}}
+ */
+export function createGoveeClient({ apiKey, baseUrl = GOVEE_API_BASE_URL, httpClient = fetchHttpClient } = {}) {
+    if (!apiKey) {
+        throw new GoveeApiError('A Govee API key is required.', { status: 401 });
+    }
+
+    const rateLimit = getRateLimitState(apiKey);
+
+    const request = async (method, path, body) => {
+        const now = Date.now();
+        if (rateLimit.remaining === 0 && rateLimit.resetAt && rateLimit.resetAt > now) {
+            throw new GoveeApiError('Govee rate limit reached. Try again later.', { status: 429, retryAfterMs: rateLimit.resetAt - now });
+        }
+
+        let response;
+        try {
+            response = await httpClient(`${baseUrl}${path}`, {
+                method,
+                headers: { 'Content-Type': 'application/json', 'Govee-API-Key': apiKey },
+                body
+            });
+        } catch (networkError) {
+            console.error('[goveeService] Network error:', networkError);
+            throw new GoveeApiError(`Could not reach Govee: ${networkError.message}`);
+        }
+
+        const { status, headers = {}, body: responseBody } = response;
+
+        const remaining = parseNumberHeader(headers, ['x-ratelimit-remaining', 'api-ratelimit-remaining']);
+        const resetAt = getResetAt(headers);
+        if (remaining !== null) rateLimit.remaining = remaining;
+        if (resetAt !== null) rateLimit.resetAt = resetAt;
+
+        if (status === 429) {
+            const retryAfterMs = getRetryAfterMs(headers);
+            rateLimit.remaining = 0;
+            rateLimit.resetAt = Date.now() + retryAfterMs;
+            throw new GoveeApiError('Govee rate limit reached. Try again later.', { status, retryAfterMs });
+        }
+
+        if (status === 401 || status === 403) {
+            throw new GoveeApiError('Govee rejected the API key. Check the key and try again.', { status });
+        }
+
+        // Govee also reports failures in the body with a 200 status
+        const code = responseBody?.code ?? status;
+        if (status < 200 || status >= 300 || (code && code !== 200)) {
+            const message = responseBody?.message || responseBody?.msg || `Govee request failed (${status})`;
+            throw new GoveeApiError(message, { status, code });
+        }
+
+        return responseBody;
+    };
+
+    return {
+        /**
+         * Lists every device on the account.
+         * @returns {Promise<Array>} Normalized devices
+         */
+        async listDevices() {
+            const result = await request('GET', '/user/devices');
+            const devices = (result?.data || []).map(normalizeGoveeDevice);
+            console.log(`[goveeService] Found ${devices.length} device(s)`);
+            return devices;
+        },
+
+        /**
+         * Reads the current state of a device.
+         * @param {string} deviceId - Device MAC-style id
+         * @param {string} model - Device model (Govee "sku")
+         * @returns {Promise<{temp: number|null, humidity: number|null, online: boolean, timestamp: string}>}
+         */
+        async getDeviceState(deviceId, model) {
+            const result = await request('POST', '/device/state', {
+                requestId: createRequestId(),
+                payload: { sku: model, device: deviceId }
+            });
+            return { ...parseGoveeDeviceState(result?.payload), timestamp: new Date().toISOString() };
+        },
+
+        getRateLimit() {
+            return { ...rateLimit };
+        }
+    };
+}
+
+/**
+ * Fetches the thermo-hygrometers on a Govee account.
  * @param {string} apiKey - The API key for Govee service
+ * @param {Object} [options] - Passed through to createGoveeClient
  * @returns {Promise<Array>} A promise that resolves to an array of device objects
  */
-export async function fetchGoveeDevices(apiKey) {
-    console.log(`Simulating Govee device fetch with API Key: ${apiKey}`);
-    return new Promise(resolve => {
-        setTimeout(() => {
-            if (apiKey && apiKey.startsWith('TEST_KEY')) {
-                resolve([
-                    { device: 'AA:BB:CC:DD:EE:F1', model: 'H5075', deviceName: 'Office Humidor Sensor' },
-                    { device: 'AA:BB:CC:DD:EE:F2', model: 'H5074', deviceName: 'Travel Case Sensor' },
-                    { device: 'AA:BB:CC:DD:EE:F3', model: 'H5100', deviceName: 'Living Room Sensor' },
-                ]);
-            } else {
-                resolve([]);
-            }
-        }, 1500);
-    });
-}
\ No newline at end of file
+export async function fetchGoveeDevices(apiKey, options = {}) {
+    const client = createGoveeClient({ apiKey, ...options });
+    const devices = await client.listDevices();
+    return devices.filter(isThermoHygrometer);
+}
+
+/**
+ * Fetches the current reading of a single Govee sensor.
+ * @param {string} apiKey - The API key for Govee service
+ * @param {string} deviceId - Device id
+ * @param {string} model - Device model
+ * @param {Object} [options] - Passed through to createGoveeClient
+ * @returns {Promise<{temp: number|null, humidity: number|null, online: boolean, timestamp: string}>}
+ */
+export async function fetchGoveeDeviceState(apiKey, deviceId, model, options = {}) {
+    const client = createGoveeClient({ apiKey, ...options });
+    return client.getDeviceState(deviceId, model);
+}
@@ -0,0 +1,228 @@
+/**
+ *
+ * @file humidificationService.js
+ * @path src/services/humidificationService.js
+ * @project Humidor Hub
+ * @author Shawn Miller (hereiamnow@gmail.com)
+ * @date Aug 19, 2025
+ *
+ * Description
+ * Service functions for a humidor's humidification devices (Boveda packs, beads,
+ * crystal gel, active units) and their maintenance. Devices are kept on the humidor
+ * document as `humidification`; each maintenance event is stored in a `maintenance`
+ * subcollection under the humidor so it can be shown alongside the reading history.
+ * Devices that are due for a replacement or refill raise a reminder in the
+ * notification inbox, once per due date.
+ *
+ */
+import { collection, doc, getDoc, setDoc, writeBatch } from 'firebase/firestore';
+import { HUMIDIFICATION_TYPES, MAINTENANCE_EVENT_TYPES } from '../constants/humidificationTypes';
+import { deleteCollectionDocs } from '../utils/firestoreUtils';
+import { createLocalId } from '../utils/idUtils';
+import { NOTIFICATION_TYPES, buildNotification, getNotificationsCollectionRef } from './notificationService';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Looks up a humidification device type by id.
+ * @param {string} typeId - Device type id
+ * @returns {Object|undefined}
+ */
+export const getHumidificationType = (typeId) => HUMIDIFICATION_TYPES.find(t => t.id === typeId);
+
+/**
+ * Builds a new humidification device for a humidor.
+ * @param {Object} device - Device details
+ * @param {string} device.type - One of the HUMIDIFICATION_TYPES ids
+ * @param {string} [device.name] - Label, e.g. "Boveda 69% x4"
+ * @param {number|null} [device.rh] - RH rating or set point
+ * @param {number} [device.count] - Number of packs/units
+ * @param {string} [device.installedAt] - ISO timestamp, defaults to now
+ * @param {number} [device.intervalDays] - Days between replacements/refills, defaults per type
+ * @returns {Object} Device with a generated id
+ */
+export const createHumidificationDevice = ({ type, name = '', rh = null, count = 1, installedAt = new Date().toISOString(), intervalDays }) => {
+  const deviceType = getHumidificationType(type);
+  return {
+    id: createLocalId(),
+    type,
+    name: name || deviceType?.label || type,
+    rh: deviceType?.hasRh && rh !== null && rh !== '' ? Number(rh) : null,
+    count: Number(count) || 1,
+    installedAt,
+    lastServicedAt: installedAt,
+    intervalDays: Number(intervalDays) || deviceType?.defaultIntervalDays || 30
+  };
+};
+
+/**
+ * Works out when a device next needs replacing or refilling.
+ * @param {Object} device - Humidification device
+ * @returns {string} ISO timestamp the device is due
+ */
+export const getDeviceDueDate = (device) =>
+  new Date(new Date(device.lastServicedAt || device.installedAt).getTime() + device.intervalDays * DAY_MS).toISOString();
+
+/**
+ * Whole days until a device is due; negative once it is overdue.
+ * @param {Object} device - Humidification device
+ * @param {Date} [now] - Reference time, defaults to the current time
+ * @returns {number}
+ */
+export const getDaysUntilDue = (device, now = new Date()) =>
+  Math.floor((new Date(getDeviceDueDate(device)) - now) / DAY_MS);
+
+/**
+ * Returns a humidor's devices that are due or overdue, most overdue first.
+ * @param {Object} humidor - Humidor with `humidification` devices
+ * @param {Date} [now] - Reference time, defaults to the current time
+ * @returns {Array<Object>} Due devices with their `dueAt`
+ */
+export const getDueMaintenance = (humidor, now = new Date()) =>
+  (humidor?.humidification || [])
+    .map(device => ({ ...device, dueAt: getDeviceDueDate(device) }))
+    .filter(device => new Date(device.dueAt) <= now)
+    .sort((a, b) => a.dueAt.localeCompare(b.dueAt));
+
+/**
+ * Returns the Firestore collection reference for a humidor's maintenance events.
+ * @param {Object} db - Firestore database instance
+ * @param {string} appId - Application identifier for Firestore paths
+ * @param {string} userId - Current user's unique identifier
+ * @param {string} humidorId - Humidor the events belong to
+ * @returns {Object} Firestore collection reference
+ */
+export const getMaintenanceCollectionRef = (db, appId, userId, humidorId) =>
+  collection(db, 'artifacts', appId, 'users', userId, 'humidors', humidorId, 'maintenance');
+
+const buildMaintenanceEvent = (device, type, performedAt, notes = '') => ({
+  deviceId: device.id,
+  deviceType: device.type,
+  deviceName: device.name,
+  type,
+  performedAt,
+  notes
+});
+
+/**
+ * Logs a maintenance event. Replacing or refilling a device restarts its service interval.
+ * @param {Object} db - Firestore database instance
+ * @param {string} appId - Application identifier for Firestore paths
+ * @param {string} userId - Current user's unique identifier
+ * @param {Object} humidor - Humidor the device belongs to
+ * @param {Object} event - Event details
+ * @param {string} event.deviceId - Device the event is for
+ * @param {string} event.type - One of the MAINTENANCE_EVENT_TYPES ids
+ * @param {string} [event.performedAt] - ISO timestamp, defaults to now
+ * @param {string} [event.notes] - Free-form notes
+ * @returns {Promise<Object>} The stored event including its id
+ */
+export const logMaintenanceEvent = async (db, appId, userId, humidor, { deviceId, type, performedAt = new Date().toISOString(), notes = '' }) => {
+  const devices = humidor.humidification || [];
+  const device = devices.find(d => d.id === deviceId);
+  if (!device) throw new Error('Humidification device not found');
+
+  const event = buildMaintenanceEvent(device, type, performedAt, notes);
+  console.log('[humidificationService] Logging maintenance for humidor:', humidor.id, event);
+
+  const batch = writeBatch(db);
+  const eventRef = doc(getMaintenanceCollectionRef(db, appId, userId, humidor.id));
+  batch.set(eventRef, event);
+
+  let updatedDevices = devices;
+  if (type === MAINTENANCE_EVENT_TYPES.REMOVE.id) {
+    updatedDevices = devices.filter(d => d.id !== deviceId);
+  } else if (type === MAINTENANCE_EVENT_TYPES.REPLACE.id || type === MAINTENANCE_EVENT_TYPES.REFILL.id) {
+    updatedDevices = devices.map(d => d.id === deviceId ? {
+      ...d,
+      lastServicedAt: performedAt,
+      ...(type === MAINTENANCE_EVENT_TYPES.REPLACE.id && { installedAt: performedAt })
+    } : d);
+  }
+  if (updatedDevices !== devices) {
+    batch.update(doc(db, 'artifacts', appId, 'users', userId, 'humidors', humidor.id), { humidification: updatedDevices });
+  }
+
+  await batch.commit();
+  return { id: eventRef.id, ...event };
+};
+
+/**
+ * Logs install/remove events for devices added or removed while editing a humidor,
+ * so the maintenance history matches the saved device list.
+ * @param {Object} db - Firestore database instance
+ * @param {string} appId - Application identifier for Firestore paths
+ * @param {string} userId - Current user's unique identifier
+ * @param {string} humidorId - Humidor that was edited
+ * @param {Array} previousDevices - Devices before the edit
+ * @param {Array} devices - Devices after the edit
+ * @returns {Promise<number>} Number of events logged
+ */
+export const logDeviceChanges = async (db, appId, userId, humidorId, previousDevices = [], devices = []) => {
+  const previousIds = new Set(previousDevices.map(d => d.id));
+  const currentIds = new Set(devices.map(d => d.id));
+  const now = new Date().toISOString();
+  const events = [
+    ...devices.filter(d => !previousIds.has(d.id)).map(d => buildMaintenanceEvent(d, MAINTENANCE_EVENT_TYPES.INSTALL.id, d.installedAt)),
+    ...previousDevices.filter(d => !currentIds.has(d.id)).map(d => buildMaintenanceEvent(d, MAINTENANCE_EVENT_TYPES.REMOVE.id, now))
+  ];
+  if (events.length === 0) return 0;
+
+  const batch = writeBatch(db);
+  const eventsRef = getMaintenanceCollectionRef(db, appId, userId, humidorId);
+  events.forEach(event => batch.set(doc(eventsRef), event));
+  await batch.commit();
+  console.log('[humidificationService] Logged', events.length, 'device changes for humidor:', humidorId);
+  return events.length;
+};
+
+/**
+ * Raises an inbox reminder for every device that is due, once per device and due date.
+ * Reminder ids are derived from the device and due date, so running this again
+ * (e.g. on every app start) never duplicates a reminder or resets its read state.
+ * @param {Object} db - Firestore database instance
+ * @param {string} appId - Application identifier for Firestore paths
+ * @param {string} userId - Current user's unique identifier
+ * @param {Array} humidors - All humidors
+ * @param {Date} [now] - Reference time, defaults to the current time
+ * @returns {Promise<number>} Number of reminders created
+ */
+export const syncMaintenanceReminders = async (db, appId, userId, humidors = [], now = new Date()) => {
+  const notificationsRef = getNotificationsCollectionRef(db, appId, userId);
+  let created = 0;
+
+  for (const humidor of humidors) {
+    for (const device of getDueMaintenance(humidor, now)) {
+      const reminderRef = doc(notificationsRef, `maintenance_${humidor.id}_${device.id}_${device.dueAt.slice(0, 10)}`);
+      const existing = await getDoc(reminderRef);
+      if (existing.exists()) continue;
+
+      const action = getHumidificationType(device.type)?.serviceAction === 'replace' ? 'replacement' : 'a refill';
+      const overdueDays = Math.floor((now - new Date(device.dueAt)) / DAY_MS);
+      await setDoc(reminderRef, buildNotification({
+        type: NOTIFICATION_TYPES.REMINDER,
+        title: `${device.name} due for ${action}`,
+        message: `${device.name} in ${humidor.name} ${overdueDays > 0 ? `is ${overdueDays} day${overdueDays === 1 ? '' : 's'} overdue` : 'is due'} for ${action}.`,
+        humidorId: humidor.id
+      }));
+      created++;
+    }
+  }
+
+  if (created > 0) console.log('[humidificationService] Created', created, 'maintenance reminders');
+  return created;
+};
+
+/**
+ * Deletes every maintenance event stored for a humidor, when the humidor itself is deleted.
+ * @param {Object} db - Firestore database instance
+ * @param {string} appId - Application identifier for Firestore paths
+ * @param {string} userId - Current user's unique identifier
+ * @param {string} humidorId - Humidor whose maintenance events should be removed
+ * @returns {Promise<number>} Number of events deleted
+ */
+export const deleteHumidorMaintenance = async (db, appId, userId, humidorId) => {
+  const deleted = await deleteCollectionDocs(db, getMaintenanceCollectionRef(db, appId, userId, humidorId));
+  console.log('[humidificationService] Deleted', deleted, 'maintenance events for humidor:', humidorId);
+  return deleted;
+};
@@ -0,0 +1,161 @@
+/**
+ *
+ * @file integrationSettingsService.js
+ * @path src/services/integrationSettingsService.js
+ * @project Humidor Hub
+ * @author Shawn Miller (hereiamnow@gmail.com)
+ * @date Aug 15, 2025
+ *
+ * Description
+ * Persists sensor integrations in the user's `userSettings/{uid}` document, next to
+ * the Gemini API key. Each connected provider is stored under
+ * `sensorIntegrations.{providerId}` as its credentials, the device inventory found
+ * when connecting, and when the connection was made. Disconnecting removes the entry
+ * and unlinks every humidor that was bound to one of that provider's sensors.
+ *
+ * Govee connections saved before providers existed live in the top-level
+ * `goveeApiKey`/`goveeDevices` fields; they are still read, and are cleared the next
+ * time the Govee integration or its devices are saved, or it is disconnected.
+ *
+ */
+import { deleteField, doc, setDoc, writeBatch } from 'firebase/firestore';
+import { buildHumidorSensorFields, getHumidorSensor } from '../utils/sensorUtils';
+
+export const USER_SETTINGS_COLLECTION = 'userSettings';
+
+export const getUserSettingsRef = (db, userId) => doc(db, USER_SETTINGS_COLLECTION, userId);
+
+const LEGACY_GOVEE_FIELDS = { goveeApiKey: deleteField(), goveeDevices: deleteField(), goveeConnectedAt: deleteField() };
+
+/**
+ * Reads the sensor integrations out of a user settings document.
+ * @param {Object} settings - User settings document data
+ * @returns {Object} Integrations keyed by provider id
+ */
+export const getSensorIntegrations = (settings = {}) => {
+  const integrations = { ...(settings.sensorIntegrations || {}) };
+  if (!integrations.govee && settings.goveeApiKey) {
+    integrations.govee = {
+      credentials: { apiKey: settings.goveeApiKey },
+      devices: settings.goveeDevices || [],
+      connectedAt: settings.goveeConnectedAt || null
+    };
+  }
+  return integrations;
+};
+
+/**
+ * Saves a provider's integration.
+ * @param {Object} db - Firestore database instance
+ * @param {string} userId - Current user's unique identifier
+ * @param {string} providerId - Sensor provider id
+ * @param {{credentials: Object, devices: Array}} integration - Result of the provider's connect()
+ */
+export const saveSensorIntegration = async (db, userId, providerId, { credentials, devices }) => {
+  const now = new Date().toISOString();
+  await setDoc(getUserSettingsRef(db, userId), {
+    sensorIntegrations: {
+      [providerId]: { credentials, devices, connectedAt: now }
+    },
+    ...(providerId === 'govee' ? LEGACY_GOVEE_FIELDS : {}),
+    updatedAt: now
+  }, { merge: true });
+  console.log('[integrationSettingsService] Saved', providerId, 'integration with', devices.length, 'device(s)');
+};
+
+/**
+ * The settings update giving a provider a new device inventory. The credentials are written
+ * with it so a legacy Govee connection moves over whole before its old fields are cleared.
+ * @param {string} providerId - Sensor provider id
+ * @param {Object} integration - The provider's current integration, from getSensorIntegrations()
+ * @param {Array} devices - New device inventory
+ * @returns {Object}
+ */
+const buildDevicesUpdate = (providerId, integration, devices) => ({
+  sensorIntegrations: {
+    [providerId]: { credentials: integration.credentials, devices, connectedAt: integration.connectedAt || null }
+  },
+  ...(providerId === 'govee' ? LEGACY_GOVEE_FIELDS : {}),
+  updatedAt: new Date().toISOString()
+});
+
+/**
+ * Replaces a provider's device inventory, keeping its credentials.
+ * @param {Object} db - Firestore database instance
+ * @param {string} userId - Current user's unique identifier
+ * @param {string} providerId - Sensor provider id
+ * @param {Object} integration - The provider's current integration, from getSensorIntegrations()
+ * @param {Array} devices - New device inventory
+ */
+export const updateSensorDevices = async (db, userId, providerId, integration, devices) => {
+  await setDoc(getUserSettingsRef(db, userId), buildDevicesUpdate(providerId, integration, devices), { merge: true });
+};
+
+/**
+ * Unlinks a provider's sensors from humidors, optionally only one device.
+ * @param {Object} db - Firestore database instance
+ * @param {string} appId - Application identifier for Firestore paths
+ * @param {string} userId - Current user's unique identifier
+ * @param {Object} batch - Firestore write batch
+ * @param {Array} humidors - All of the user's humidors
+ * @param {string} providerId - Sensor provider id
+ * @param {string} [deviceId] - Only unlink humidors bound to this device
+ * @returns {number} Number of humidors unlinked
+ */
+const unlinkHumidors = (db, appId, userId, batch, humidors, providerId, deviceId = null) => {
+  const linked = humidors.filter(h => {
+    const sensor = getHumidorSensor(h);
+    return sensor?.provider === providerId && (!deviceId || sensor.deviceId === deviceId);
+  });
+  linked.forEach(h => {
+    batch.update(doc(db, 'artifacts', appId, 'users', userId, 'humidors', h.id), {
+      ...buildHumidorSensorFields(null, null),
+      sensorStatus: null
+    });
+  });
+  return linked.length;
+};
+
+/**
+ * Removes one device from a provider and unlinks the humidors that used it.
+ * @param {Object} db - Firestore database instance
+ * @param {string} appId - Application identifier for Firestore paths
+ * @param {string} userId - Current user's unique identifier
+ * @param {string} providerId - Sensor provider id
+ * @param {Object} integration - The provider's current integration, from getSensorIntegrations()
+ * @param {string} deviceId - Device to remove
+ * @param {Array} humidors - All of the user's humidors
+ * @returns {Promise<number>} Number of humidors that were unlinked
+ */
+export const removeSensorDevice = async (db, appId, userId, providerId, integration, deviceId, humidors = []) => {
+  const batch = writeBatch(db);
+  const devices = (integration.devices || []).filter(d => d.device !== deviceId);
+  batch.set(getUserSettingsRef(db, userId), buildDevicesUpdate(providerId, integration, devices), { merge: true });
+  const unlinked = unlinkHumidors(db, appId, userId, batch, humidors, providerId, deviceId);
+  await batch.commit();
+  console.log('[integrationSettingsService] Removed', providerId, 'device', deviceId, 'unlinked humidors:', unlinked);
+  return unlinked;
+};
+
+/**
+ * Removes a provider's integration and unlinks its sensors from humidors.
+ * @param {Object} db - Firestore database instance
+ * @param {string} appId - Application identifier for Firestore paths
+ * @param {string} userId - Current user's unique identifier
+ * @param {string} providerId - Sensor provider id
+ * @param {Array} humidors - All of the user's humidors
+ * @returns {Promise<number>} Number of humidors that were unlinked
+ */
+export const disconnectSensorIntegration = async (db, appId, userId, providerId, humidors = []) => {
+  const batch = writeBatch(db);
+  batch.set(getUserSettingsRef(db, userId), {
+    sensorIntegrations: { [providerId]: deleteField() },
+    ...(providerId === 'govee' ? LEGACY_GOVEE_FIELDS : {}),
+    updatedAt: new Date().toISOString()
+  }, { merge: true });
+
+  const unlinked = unlinkHumidors(db, appId, userId, batch, humidors, providerId);
+  await batch.commit();
+  console.log('[integrationSettingsService] Disconnected', providerId, 'unlinked humidors:', unlinked);
+  return unlinked;
+};
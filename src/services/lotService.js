@@ -0,0 +1,83 @@
+/**
+ *
+ * @file lotService.js
+ * @path src/services/lotService.js
+ * @project Humidor Hub
+ * @author Shawn Miller (hereiamnow@gmail.com)
+ * @date Aug 24, 2025
+ *
+ * Description
+ * Service functions for a cigar's purchase lots, stored in the cigar document's `lots`
+ * array. Adding or removing a lot changes the quantity on hand and re-derives the cigar's
+ * price and date added from its lots. A cigar saved before lots existed has its original
+ * purchase written out as a lot the first time a lot is added. Restocking repeats the
+ * last purchase, which is how archived cigars come back into stock.
+ *
+ */
+import { doc, updateDoc } from 'firebase/firestore';
+import { allocateRemaining, createCigarLot, deriveCigarTotals, getCigarLots, materializeLots } from '../utils/lotUtils';
+
+const getCigarRef = (db, appId, userId, cigarId) =>
+  doc(db, 'artifacts', appId, 'users', userId, 'cigars', cigarId);
+
+/**
+ * Records a purchase (restock) of a cigar.
+ * @param {Object} db - Firestore database instance
+ * @param {string} appId - Application identifier for Firestore paths
+ * @param {string} userId - Current user's unique identifier
+ * @param {Object} cigar - Cigar being restocked
+ * @param {Object} lotInput - Lot details, see createCigarLot
+ * @returns {Promise<Object>} The new lot
+ */
+export const addCigarLot = async (db, appId, userId, cigar, lotInput) => {
+  const lot = createCigarLot(lotInput);
+  if (lot.quantity < 1) throw new Error('A purchase needs at least one cigar');
+
+  const lots = [...materializeLots(cigar), lot];
+  const quantity = (Number(cigar.quantity) || 0) + lot.quantity;
+  await updateDoc(getCigarRef(db, appId, userId, cigar.id), { lots, quantity, ...deriveCigarTotals(lots, quantity) });
+
+  console.log('[lotService] Added lot to cigar:', cigar.id, lot.quantity, '@', lot.unitPrice);
+  return lot;
+};
+
+/**
+ * Removes a lot recorded by mistake, taking the cigars still on hand from it out of the quantity.
+ * @param {Object} db - Firestore database instance
+ * @param {string} appId - Application identifier for Firestore paths
+ * @param {string} userId - Current user's unique identifier
+ * @param {Object} cigar - Cigar the lot belongs to
+ * @param {string} lotId - Lot to remove
+ * @returns {Promise<void>}
+ */
+export const removeCigarLot = async (db, appId, userId, cigar, lotId) => {
+  const stored = cigar.lots || [];
+  const allocated = allocateRemaining(getCigarLots(cigar), cigar.quantity);
+  const removed = allocated.find(lot => lot.id === lotId);
+  if (!removed) throw new Error('That purchase is no longer recorded');
+
+  const lots = stored.filter(lot => lot.id !== lotId);
+  const quantity = Math.max(0, (Number(cigar.quantity) || 0) - removed.remaining);
+  await updateDoc(getCigarRef(db, appId, userId, cigar.id), { lots, quantity, ...deriveCigarTotals(lots, quantity) });
+
+  console.log('[lotService] Removed lot from cigar:', cigar.id, lotId);
+};
+
+/**
+ * Restocks an archived (or any) cigar in one go by repeating its last purchase today:
+ * same quantity, unit price and vendor.
+ * @param {Object} db - Firestore database instance
+ * @param {string} appId - Application identifier for Firestore paths
+ * @param {string} userId - Current user's unique identifier
+ * @param {Object} cigar - Cigar to restock
+ * @returns {Promise<Object>} The new lot
+ */
+export const restockCigar = async (db, appId, userId, cigar) => {
+  const lots = getCigarLots(cigar);
+  const last = lots[lots.length - 1];
+  return addCigarLot(db, appId, userId, cigar, {
+    quantity: last?.quantity || 1,
+    unitPrice: last?.unitPrice ?? cigar.price,
+    vendor: last?.vendor
+  });
+};
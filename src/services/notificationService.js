@@ -0,0 +1,116 @@
+/**
+ *
+ * @file notificationService.js
+ * @path src/services/notificationService.js
+ * @project Humidor Hub
+ * @author Shawn Miller (hereiamnow@gmail.com)
+ * @date Aug 12, 2025
+ *
+ * Description
+ * Service functions for the in-app notification inbox. Notifications live in the
+ * `notifications` collection and cover alert events, reminders and system notices.
+ * Each one tracks its read state, optional acknowledgement and an optional snooze,
+ * and may be tied to a humidor so the inbox can be filtered per humidor.
+ *
+ */
+import { collection, doc, setDoc, updateDoc, writeBatch } from 'firebase/firestore';
+import { createChunkedBatch } from '../utils/firestoreUtils';
+
+export const NOTIFICATION_TYPES = {
+  ALERT: 'alert',
+  REMINDER: 'reminder',
+  SYSTEM: 'system'
+};
+
+export const getNotificationsCollectionRef = (db, appId, userId) =>
+  collection(db, 'artifacts', appId, 'users', userId, 'notifications');
+
+/**
+ * Builds the document stored for a notification.
+ * @param {Object} notification - Notification fields
+ * @returns {Object} Firestore document data
+ */
+export const buildNotification = ({ type = NOTIFICATION_TYPES.SYSTEM, title, message = '', humidorId = null, alertId = null, createdAt }) => ({
+  type,
+  title,
+  message,
+  humidorId,
+  alertId,
+  createdAt: createdAt || new Date().toISOString(),
+  read: false,
+  acknowledgedAt: null,
+  snoozedUntil: null,
+  resolvedAt: null
+});
+
+/**
+ * Adds a notification to the user's inbox.
+ * @param {Object} db - Firestore database instance
+ * @param {string} appId - Application identifier for Firestore paths
+ * @param {string} userId - Current user's unique identifier
+ * @param {Object} notification - See buildNotification
+ * @returns {Promise<string>} ID of the new notification
+ */
+export const createNotification = async (db, appId, userId, notification) => {
+  const notificationRef = doc(getNotificationsCollectionRef(db, appId, userId));
+  await setDoc(notificationRef, buildNotification(notification));
+  console.log('[notificationService] Created notification:', notificationRef.id, notification.title);
+  return notificationRef.id;
+};
+
+/**
+ * Marks a notification as read or unread.
+ */
+export const setNotificationRead = async (db, appId, userId, notificationId, read = true) => {
+  await updateDoc(doc(getNotificationsCollectionRef(db, appId, userId), notificationId), { read });
+};
+
+/**
+ * Marks every given notification as read, a batch at a time.
+ * @param {Array<string>} notificationIds - Notifications to mark as read
+ */
+export const markNotificationsRead = async (db, appId, userId, notificationIds) => {
+  if (notificationIds.length === 0) return;
+  const batch = createChunkedBatch(db);
+  notificationIds.forEach(id => batch.update(doc(getNotificationsCollectionRef(db, appId, userId), id), { read: true }));
+  await batch.commit();
+  console.log('[notificationService] Marked notifications read:', notificationIds.length);
+};
+
+/**
+ * Acknowledges a notification. Alert notifications also acknowledge the
+ * underlying alert record so its history shows who saw it and when.
+ * @param {Object} notification - Notification with `id` and optional `alertId`
+ */
+export const acknowledgeNotification = async (db, appId, userId, notification) => {
+  const acknowledgedAt = new Date().toISOString();
+  const batch = writeBatch(db);
+  batch.update(doc(getNotificationsCollectionRef(db, appId, userId), notification.id), { acknowledgedAt, read: true, snoozedUntil: null });
+  if (notification.alertId) {
+    batch.update(doc(db, 'artifacts', appId, 'users', userId, 'alerts', notification.alertId), { acknowledgedAt });
+  }
+  await batch.commit();
+  console.log('[notificationService] Acknowledged notification:', notification.id);
+};
+
+/**
+ * Hides a notification until the snooze period is over, after which it shows as unread again.
+ * @param {number} durationMs - Snooze length in milliseconds
+ */
+export const snoozeNotification = async (db, appId, userId, notificationId, durationMs) => {
+  const snoozedUntil = new Date(Date.now() + durationMs).toISOString();
+  await updateDoc(doc(getNotificationsCollectionRef(db, appId, userId), notificationId), { snoozedUntil, read: false });
+  console.log('[notificationService] Snoozed notification:', notificationId, 'until', snoozedUntil);
+};
+
+export const unsnoozeNotification = async (db, appId, userId, notificationId) => {
+  await updateDoc(doc(getNotificationsCollectionRef(db, appId, userId), notificationId), { snoozedUntil: null });
+};
+
+/**
+ * Returns true while a notification's snooze period is running.
+ * @param {Object} notification - Notification data
+ * @param {number} [now] - Reference time in milliseconds
+ */
+export const isNotificationSnoozed = (notification, now = Date.now()) =>
+  !!notification.snoozedUntil && new Date(notification.snoozedUntil).getTime() > now;
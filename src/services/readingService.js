@@ -0,0 +1,198 @@
+/**
+ *
+ * @file readingService.js
+ * @path src/services/readingService.js
+ * @project Humidor Hub
+ * @author Shawn Miller (hereiamnow@gmail.com)
+ * @date Aug 10, 2025
+ *
+ * Description
+ * Service functions for storing humidor environment readings as a time series.
+ * Every reading (manual or sensor-sourced) is written to a `readings` subcollection
+ * under its humidor, and the latest value is mirrored onto the humidor document
+ * so existing cards and stats keep showing the current temperature and humidity.
+ * When the humidor has an active hygrometer calibration, new readings store the
+ * corrected humidity and keep the measured value as `rawHumidity`.
+ *
+ */
+import { collection, doc, getDocs, orderBy, query, updateDoc, where, writeBatch } from 'firebase/firestore';
+import { evaluateReadingAlerts } from './alertService';
+import { applyHumidityCalibration } from './calibrationService';
+import { FIRESTORE_BATCH_LIMIT, deleteCollectionDocs } from '../utils/firestoreUtils';
+
+export const READING_SOURCES = {
+  MANUAL: 'manual',
+  SENSOR: 'sensor',
+  IMPORT: 'import'
+};
+
+/**
+ * Returns the Firestore collection reference for a humidor's readings.
+ * @param {Object} db - Firestore database instance
+ * @param {string} appId - Application identifier for Firestore paths
+ * @param {string} userId - Current user's unique identifier
+ * @param {string} humidorId - Humidor the readings belong to
+ * @returns {Object} Firestore collection reference
+ */
+export const getReadingsCollectionRef = (db, appId, userId, humidorId) =>
+  collection(db, 'artifacts', appId, 'users', userId, 'humidors', humidorId, 'readings');
+
+/**
+ * Stores a reading in the humidor's history and mirrors it onto the humidor document.
+ * @param {Object} db - Firestore database instance
+ * @param {string} appId - Application identifier for Firestore paths
+ * @param {string} userId - Current user's unique identifier
+ * @param {string} humidorId - Humidor the reading belongs to
+ * @param {Object} reading - Reading values
+ * @param {number} reading.temp - Temperature in °F
+ * @param {number} reading.humidity - Relative humidity in %, as measured
+ * @param {string} [reading.source] - One of READING_SOURCES
+ * @param {string} [reading.timestamp] - ISO timestamp, defaults to now
+ * @param {string} [reading.deviceId] - Sensor device the reading came from
+ * @param {Object} [options] - Write options
+ * @param {boolean} [options.evaluateAlerts] - Run the alert rules for this reading (default true)
+ * @param {Object|null} [options.calibration] - The humidor's active calibration, applied to the humidity
+ * @returns {Promise<Object>} The stored reading including its id
+ */
+export const addHumidorReading = async (db, appId, userId, humidorId, {
+  temp,
+  humidity,
+  source = READING_SOURCES.MANUAL,
+  timestamp = new Date().toISOString(),
+  deviceId = null
+}, { evaluateAlerts = true, calibration = null } = {}) => {
+  console.log('[readingService] Adding reading for humidor:', humidorId, { temp, humidity, source, timestamp });
+
+  const reading = {
+    temp: Number(temp),
+    humidity: calibration ? applyHumidityCalibration(humidity, calibration) : Number(humidity),
+    source,
+    timestamp,
+    deviceId,
+    ...(calibration && {
+      rawHumidity: Number(humidity),
+      humidityOffset: Number(calibration.humidityOffset),
+      calibrationId: calibration.id
+    })
+  };
+
+  const batch = writeBatch(db);
+  const readingRef = doc(getReadingsCollectionRef(db, appId, userId, humidorId));
+  batch.set(readingRef, reading);
+
+  // Mirror the latest value onto the humidor so cards don't need to query the history
+  const humidorRef = doc(db, 'artifacts', appId, 'users', userId, 'humidors', humidorId);
+  batch.update(humidorRef, {
+    temp: reading.temp,
+    humidity: reading.humidity,
+    rawHumidity: reading.rawHumidity ?? null,
+    lastReadingAt: reading.timestamp,
+    lastReadingSource: reading.source
+  });
+
+  await batch.commit();
+  console.log('[readingService] Reading stored:', readingRef.id);
+
+  // Alert evaluation must never cause the reading itself to be reported as failed
+  if (evaluateAlerts) {
+    try {
+      await evaluateReadingAlerts(db, appId, userId, humidorId, reading);
+    } catch (error) {
+      console.error('[readingService] Error evaluating alerts for reading:', error);
+    }
+  }
+
+  return { id: readingRef.id, ...reading };
+};
+
+/**
+ * Fetches a humidor's readings ordered oldest to newest.
+ * @param {Object} db - Firestore database instance
+ * @param {string} appId - Application identifier for Firestore paths
+ * @param {string} userId - Current user's unique identifier
+ * @param {string} humidorId - Humidor to fetch readings for
+ * @param {Object} [range] - Optional time range
+ * @param {string} [range.since] - ISO timestamp, inclusive lower bound
+ * @param {string} [range.until] - ISO timestamp, inclusive upper bound
+ * @returns {Promise<Array>} Array of reading objects with ids
+ */
+export const fetchHumidorReadings = async (db, appId, userId, humidorId, { since, until } = {}) => {
+  const constraints = [];
+  if (since) constraints.push(where('timestamp', '>=', since));
+  if (until) constraints.push(where('timestamp', '<=', until));
+  constraints.push(orderBy('timestamp', 'asc'));
+
+  const readingsQuery = query(getReadingsCollectionRef(db, appId, userId, humidorId), ...constraints);
+  const snapshot = await getDocs(readingsQuery);
+  console.log('[readingService] Fetched', snapshot.docs.length, 'readings for humidor:', humidorId);
+  return snapshot.docs.map(d => ({ id: d.id, ...d.data() }));
+};
+
+/**
+ * Imports historical readings (e.g. from a hygrometer app's CSV export) in batches.
+ * Readings whose timestamp is already stored for the humidor are skipped, so an
+ * overlapping export can be imported again safely. Imported history does not run the
+ * alert rules; the humidor's current value is only updated when the import contains
+ * a newer reading than the one it shows.
+ * @param {Object} db - Firestore database instance
+ * @param {string} appId - Application identifier for Firestore paths
+ * @param {string} userId - Current user's unique identifier
+ * @param {Object} humidor - Humidor the readings belong to
+ * @param {Array<{timestamp: string, temp: number, humidity: number}>} readings - Readings sorted oldest to newest, temp in °F
+ * @param {Function} [onProgress] - Called with the number of readings written so far
+ * @returns {Promise<{imported: number, skipped: number}>}
+ */
+export const importHumidorReadings = async (db, appId, userId, humidor, readings, onProgress = () => {}) => {
+  if (readings.length === 0) return { imported: 0, skipped: 0 };
+
+  const existing = await fetchHumidorReadings(db, appId, userId, humidor.id, {
+    since: readings[0].timestamp,
+    until: readings[readings.length - 1].timestamp
+  });
+  const existingTimestamps = new Set(existing.map(r => r.timestamp));
+  const newReadings = readings.filter(r => !existingTimestamps.has(r.timestamp));
+  console.log('[readingService] Importing', newReadings.length, 'readings for humidor:', humidor.id, `(${readings.length - newReadings.length} already stored)`);
+
+  const readingsRef = getReadingsCollectionRef(db, appId, userId, humidor.id);
+  for (let i = 0; i < newReadings.length; i += FIRESTORE_BATCH_LIMIT) {
+    const batch = writeBatch(db);
+    newReadings.slice(i, i + FIRESTORE_BATCH_LIMIT).forEach(r => batch.set(doc(readingsRef), {
+      temp: Number(r.temp),
+      humidity: Number(r.humidity),
+      source: READING_SOURCES.IMPORT,
+      timestamp: r.timestamp,
+      deviceId: null
+    }));
+    await batch.commit();
+    onProgress(Math.min(i + FIRESTORE_BATCH_LIMIT, newReadings.length));
+  }
+
+  const latest = newReadings[newReadings.length - 1];
+  if (latest && (!humidor.lastReadingAt || latest.timestamp > humidor.lastReadingAt)) {
+    await updateDoc(doc(db, 'artifacts', appId, 'users', userId, 'humidors', humidor.id), {
+      temp: Number(latest.temp),
+      humidity: Number(latest.humidity),
+      // Imported readings aren't calibrated, so an older reading's raw value no longer applies
+      rawHumidity: null,
+      lastReadingAt: latest.timestamp,
+      lastReadingSource: READING_SOURCES.IMPORT
+    });
+  }
+
+  return { imported: newReadings.length, skipped: readings.length - newReadings.length };
+};
+
+/**
+ * Deletes every reading stored for a humidor. Firestore does not remove
+ * subcollections with their parent document, so this runs when a humidor is deleted.
+ * @param {Object} db - Firestore database instance
+ * @param {string} appId - Application identifier for Firestore paths
+ * @param {string} userId - Current user's unique identifier
+ * @param {string} humidorId - Humidor whose readings should be removed
+ * @returns {Promise<number>} Number of readings deleted
+ */
+export const deleteHumidorReadings = async (db, appId, userId, humidorId) => {
+  const deleted = await deleteCollectionDocs(db, getReadingsCollectionRef(db, appId, userId, humidorId));
+  console.log('[readingService] Deleted', deleted, 'readings for humidor:', humidorId);
+  return deleted;
+};
@@ -0,0 +1,207 @@
+/**
+ *
+ * @file seasoningService.js
+ * @path src/services/seasoningService.js
+ * @project Humidor Hub
+ * @author Shawn Miller (hereiamnow@gmail.com)
+ * @date Aug 20, 2025
+ *
+ * Description
+ * Service functions for seasoning a new humidor. Seasoning state is kept on the
+ * humidor document as `seasoning`: when it started, the checklist progress for the
+ * current round, how many rounds have been done and how many stable days are needed.
+ * A humidor is ready for cigars once humidity has stayed inside its target band for
+ * that many consecutive days, judged from the stored reading history. While seasoning,
+ * a daily reminder asks for a reading if none has been taken that day.
+ *
+ */
+import { doc, getDoc, setDoc, updateDoc } from 'firebase/firestore';
+import { DEFAULT_STABLE_DAYS, STABLE_DAYS_RANGE } from '../constants/seasoningSteps';
+import { getHumidorTargets } from '../utils/environmentUtils';
+import { NOTIFICATION_TYPES, buildNotification, getNotificationsCollectionRef } from './notificationService';
+
+/**
+ * Local calendar day of a timestamp as YYYY-MM-DD, so "a day" matches the user's day.
+ * @param {string|Date} value - Timestamp
+ * @returns {string}
+ */
+export const getLocalDateKey = (value) => {
+  const date = new Date(value);
+  return `${date.getFullYear()}-${String(date.getMonth() + 1).padStart(2, '0')}-${String(date.getDate()).padStart(2, '0')}`;
+};
+
+const getPreviousDateKey = (dateKey) => {
+  const date = new Date(`${dateKey}T12:00:00`);
+  date.setDate(date.getDate() - 1);
+  return getLocalDateKey(date);
+};
+
+/**
+ * Builds the seasoning state for a new humidor.
+ * @param {Object} [options]
+ * @param {number} [options.stableDaysRequired] - Consecutive in-range days needed
+ * @param {string} [options.startedAt] - ISO timestamp, defaults to now
+ * @returns {Object}
+ */
+export const createSeasoning = ({ stableDaysRequired = DEFAULT_STABLE_DAYS, startedAt = new Date().toISOString() } = {}) => ({
+  startedAt,
+  stableDaysRequired: Math.min(STABLE_DAYS_RANGE.max, Math.max(STABLE_DAYS_RANGE.min, Math.round(Number(stableDaysRequired)) || DEFAULT_STABLE_DAYS)),
+  round: 1,
+  checklist: {},
+  completedAt: null
+});
+
+/**
+ * Whether a humidor is still being seasoned and shouldn't have cigars put in it yet.
+ * @param {Object} humidor - Humidor object
+ * @returns {boolean}
+ */
+export const isHumidorSeasoning = (humidor) => !!humidor?.seasoning && !humidor.seasoning.completedAt;
+
+/**
+ * Works out seasoning progress from the readings taken since seasoning started.
+ * A day counts as stable when every reading that day is inside the humidity band;
+ * the streak runs back from today (or yesterday, if today has no reading yet) and
+ * stops at the first day that is out of range or has no reading.
+ * @param {Object} humidor - Humidor with `seasoning`
+ * @param {Array} readings - Readings ordered oldest to newest
+ * @param {Date} [now] - Reference time, defaults to the current time
+ * @returns {{days: Array, stableDays: number, requiredDays: number, isReady: boolean, hasReadingToday: boolean}}
+ */
+export const getSeasoningProgress = (humidor, readings = [], now = new Date()) => {
+  const band = getHumidorTargets(humidor).humidity;
+  const startedAt = humidor?.seasoning?.startedAt || '';
+  const requiredDays = humidor?.seasoning?.stableDaysRequired || DEFAULT_STABLE_DAYS;
+
+  const byDay = new Map();
+  readings
+    .filter(r => r.timestamp >= startedAt && Number.isFinite(Number(r.humidity)))
+    .forEach(r => {
+      const key = getLocalDateKey(r.timestamp);
+      const humidity = Number(r.humidity);
+      const day = byDay.get(key) || { date: key, min: humidity, max: humidity, count: 0 };
+      day.min = Math.min(day.min, humidity);
+      day.max = Math.max(day.max, humidity);
+      day.count++;
+      byDay.set(key, day);
+    });
+
+  const days = [...byDay.values()]
+    .map(day => ({ ...day, inRange: day.min >= band.min && day.max <= band.max }))
+    .sort((a, b) => a.date.localeCompare(b.date));
+
+  const dayMap = new Map(days.map(day => [day.date, day]));
+  const todayKey = getLocalDateKey(now);
+  const hasReadingToday = dayMap.has(todayKey);
+  let stableDays = 0;
+  let key = hasReadingToday ? todayKey : getPreviousDateKey(todayKey);
+  while (dayMap.get(key)?.inRange) {
+    stableDays++;
+    key = getPreviousDateKey(key);
+  }
+
+  return { days, stableDays, requiredDays, isReady: stableDays >= requiredDays, hasReadingToday };
+};
+
+const getHumidorRef = (db, appId, userId, humidorId) =>
+  doc(db, 'artifacts', appId, 'users', userId, 'humidors', humidorId);
+
+/**
+ * Ticks or unticks a checklist step for the current seasoning round.
+ * @param {Object} db - Firestore database instance
+ * @param {string} appId - Application identifier for Firestore paths
+ * @param {string} userId - Current user's unique identifier
+ * @param {Object} humidor - Humidor being seasoned
+ * @param {string} stepId - One of the SEASONING_STEPS ids
+ * @param {boolean} done - Whether the step is done
+ * @returns {Promise<void>}
+ */
+export const setSeasoningStep = async (db, appId, userId, humidor, stepId, done) => {
+  console.log('[seasoningService] Setting step', stepId, done, 'for humidor:', humidor.id);
+  await updateDoc(getHumidorRef(db, appId, userId, humidor.id), {
+    [`seasoning.checklist.${stepId}`]: done ? new Date().toISOString() : null
+  });
+};
+
+/**
+ * Starts another wipe/wait/check round, clearing the checklist.
+ * @param {Object} db - Firestore database instance
+ * @param {string} appId - Application identifier for Firestore paths
+ * @param {string} userId - Current user's unique identifier
+ * @param {Object} humidor - Humidor being seasoned
+ * @returns {Promise<void>}
+ */
+export const startSeasoningRound = async (db, appId, userId, humidor) => {
+  const round = (humidor.seasoning?.round || 1) + 1;
+  console.log('[seasoningService] Starting round', round, 'for humidor:', humidor.id);
+  await updateDoc(getHumidorRef(db, appId, userId, humidor.id), {
+    'seasoning.round': round,
+    'seasoning.checklist': {}
+  });
+};
+
+/**
+ * Changes how many stable days are needed before the humidor is ready.
+ * @param {Object} db - Firestore database instance
+ * @param {string} appId - Application identifier for Firestore paths
+ * @param {string} userId - Current user's unique identifier
+ * @param {Object} humidor - Humidor being seasoned
+ * @param {number} stableDaysRequired - Consecutive in-range days needed
+ * @returns {Promise<void>}
+ */
+export const setStableDaysRequired = async (db, appId, userId, humidor, stableDaysRequired) => {
+  const { stableDaysRequired: days } = createSeasoning({ stableDaysRequired });
+  await updateDoc(getHumidorRef(db, appId, userId, humidor.id), { 'seasoning.stableDaysRequired': days });
+};
+
+/**
+ * Marks seasoning complete. Refuses unless the readings show the humidor has held stable long enough.
+ * @param {Object} db - Firestore database instance
+ * @param {string} appId - Application identifier for Firestore paths
+ * @param {string} userId - Current user's unique identifier
+ * @param {Object} humidor - Humidor being seasoned
+ * @param {Array} readings - Readings since seasoning started, oldest first
+ * @returns {Promise<void>}
+ */
+export const completeSeasoning = async (db, appId, userId, humidor, readings) => {
+  const { isReady, stableDays, requiredDays } = getSeasoningProgress(humidor, readings);
+  if (!isReady) {
+    throw new Error(`Humidity has held in range for ${stableDays} of ${requiredDays} days`);
+  }
+  console.log('[seasoningService] Seasoning complete for humidor:', humidor.id);
+  await updateDoc(getHumidorRef(db, appId, userId, humidor.id), { 'seasoning.completedAt': new Date().toISOString() });
+};
+
+/**
+ * Raises a reminder for each seasoning humidor that hasn't had a reading today, once per humidor and day.
+ * @param {Object} db - Firestore database instance
+ * @param {string} appId - Application identifier for Firestore paths
+ * @param {string} userId - Current user's unique identifier
+ * @param {Array} humidors - All humidors
+ * @param {Date} [now] - Reference time, defaults to the current time
+ * @returns {Promise<number>} Number of reminders created
+ */
+export const syncSeasoningReminders = async (db, appId, userId, humidors = [], now = new Date()) => {
+  const notificationsRef = getNotificationsCollectionRef(db, appId, userId);
+  const todayKey = getLocalDateKey(now);
+  let created = 0;
+
+  for (const humidor of humidors.filter(isHumidorSeasoning)) {
+    if (humidor.lastReadingAt && getLocalDateKey(humidor.lastReadingAt) === todayKey) continue;
+
+    const reminderRef = doc(notificationsRef, `seasoning_${humidor.id}_${todayKey}`);
+    const existing = await getDoc(reminderRef);
+    if (existing.exists()) continue;
+
+    await setDoc(reminderRef, buildNotification({
+      type: NOTIFICATION_TYPES.REMINDER,
+      title: `Seasoning: take today's reading`,
+      message: `${humidor.name} is seasoning. Log today's humidity so it can count toward being ready for cigars.`,
+      humidorId: humidor.id
+    }));
+    created++;
+  }
+
+  if (created > 0) console.log('[seasoningService] Created', created, 'seasoning reminders');
+  return created;
+};
@@ -0,0 +1,113 @@
+/**
+ *
+ * @file sensorPollingService.js
+ * @path src/services/sensorPollingService.js
+ * @project Humidor Hub
+ * @author Shawn Miller (hereiamnow@gmail.com)
+ * @date Aug 14, 2025
+ *
+ * Description
+ * Polls the sensors linked to humidors, through whichever sensor provider each one
+ * is linked with, and stores what they report as readings.
+ * A humidor's `sensorStatus` field records whether its sensor is online; it is only
+ * written when the state changes, so a healthy sensor costs one write per reading.
+ * Failed polls are retried with exponential backoff, and a sensor is marked offline
+ * when the device says so or after several failures in a row.
+ *
+ */
+import { doc, updateDoc } from 'firebase/firestore';
+import { addHumidorReading, READING_SOURCES } from './readingService';
+import { getSensorProvider } from './sensors';
+import { getHumidorSensor } from '../utils/sensorUtils';
+
+export const SENSOR_POLL_INTERVAL_MS = 10 * 60 * 1000;
+export const SENSOR_RETRY_BASE_MS = 60 * 1000;
+export const SENSOR_MAX_BACKOFF_MS = 60 * 60 * 1000;
+export const SENSOR_OFFLINE_AFTER_FAILURES = 3;
+
+export const SENSOR_STATES = {
+  ONLINE: 'online',
+  OFFLINE: 'offline'
+};
+
+/**
+ * Returns the humidors whose sensor belongs to a connected provider.
+ * @param {Array} humidors - All humidors
+ * @param {Object} sensorIntegrations - Connected integrations keyed by provider id
+ * @returns {Array} Humidors that can be polled
+ */
+export const getLinkedHumidors = (humidors = [], sensorIntegrations = {}) =>
+  humidors.filter(h => {
+    const sensor = getHumidorSensor(h);
+    return sensor && sensorIntegrations[sensor.provider] && getSensorProvider(sensor.provider);
+  });
+
+/**
+ * Works out how long to wait before the next poll.
+ * @param {number} consecutiveFailures - Failures since the last successful poll
+ * @param {number|null} [retryAfterMs] - Wait requested by the API, if any
+ * @returns {number} Delay in milliseconds
+ */
+export const getNextPollDelay = (consecutiveFailures, retryAfterMs = null) => {
+  if (consecutiveFailures === 0) return SENSOR_POLL_INTERVAL_MS;
+  const backoff = Math.min(SENSOR_RETRY_BASE_MS * 2 ** (consecutiveFailures - 1), SENSOR_MAX_BACKOFF_MS);
+  return Math.max(backoff, retryAfterMs || 0);
+};
+
+const updateSensorStatus = async (db, appId, userId, humidor, state, lastError = null) => {
+  if (humidor.sensorStatus?.state === state && humidor.sensorStatus?.lastError === lastError) return;
+
+  console.log('[sensorPollingService] Sensor status for humidor', humidor.id, '->', state, lastError || '');
+  await updateDoc(doc(db, 'artifacts', appId, 'users', userId, 'humidors', humidor.id), {
+    sensorStatus: { state, lastError, since: new Date().toISOString() }
+  });
+};
+
+/**
+ * Polls a humidor's sensor once.
+ * @param {Object} db - Firestore database instance
+ * @param {string} appId - Application identifier for Firestore paths
+ * @param {string} userId - Current user's unique identifier
+ * @param {Object} humidor - Humidor with a linked sensor
+ * @param {Object} integration - The sensor provider's saved integration
+ * @param {number} [consecutiveFailures] - Failures before this poll
+ * @returns {Promise<{ok: boolean, consecutiveFailures: number, retryAfterMs: number|null, stop: boolean}>}
+ *   `stop` is set when polling can't succeed until the user changes something (e.g. a rejected key)
+ */
+export const pollHumidorSensor = async (db, appId, userId, humidor, integration, consecutiveFailures = 0) => {
+  const sensor = getHumidorSensor(humidor);
+  try {
+    const state = await getSensorProvider(sensor.provider).readDevice(integration, sensor);
+
+    if (!state.online || state.temp === null || state.humidity === null) {
+      await updateSensorStatus(db, appId, userId, humidor, SENSOR_STATES.OFFLINE,
+        state.online ? 'Sensor returned no temperature/humidity' : 'Sensor is offline');
+      return { ok: false, consecutiveFailures: consecutiveFailures + 1, retryAfterMs: null, stop: false };
+    }
+
+    // Cloud APIs that return the last uploaded sample can hand back the same one twice
+    if (state.timestamp === humidor.lastReadingAt) {
+      await updateSensorStatus(db, appId, userId, humidor, SENSOR_STATES.ONLINE);
+      return { ok: true, consecutiveFailures: 0, retryAfterMs: null, stop: false };
+    }
+
+    await addHumidorReading(db, appId, userId, humidor.id, {
+      temp: state.temp,
+      humidity: state.humidity,
+      source: READING_SOURCES.SENSOR,
+      timestamp: state.timestamp,
+      deviceId: sensor.deviceId
+    }, { calibration: humidor.calibration || null });
+    await updateSensorStatus(db, appId, userId, humidor, SENSOR_STATES.ONLINE);
+    return { ok: true, consecutiveFailures: 0, retryAfterMs: null, stop: false };
+  } catch (error) {
+    const failures = consecutiveFailures + 1;
+    console.error('[sensorPollingService] Poll failed for humidor', humidor.id, `(failure ${failures}):`, error);
+
+    if (error.isAuthError || failures >= SENSOR_OFFLINE_AFTER_FAILURES) {
+      await updateSensorStatus(db, appId, userId, humidor, SENSOR_STATES.OFFLINE, error.message)
+        .catch(statusError => console.error('[sensorPollingService] Failed to update sensor status:', statusError));
+    }
+    return { ok: false, consecutiveFailures: failures, retryAfterMs: error.retryAfterMs || null, stop: !!error.isAuthError };
+  }
+};
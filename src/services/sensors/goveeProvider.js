@@ -0,0 +1,44 @@
+/**
+ *
+ * @file goveeProvider.js
+ * @path src/services/sensors/goveeProvider.js
+ * @project Humidor Hub
+ * @author Shawn Miller (hereiamnow@gmail.com)
+ * @date Aug 16, 2025
+ *
+ * Description
+ * Sensor provider for Govee Wi-Fi thermo-hygrometers, backed by the Govee OpenAPI client.
+ *
+ */
+import { fetchGoveeDeviceState, fetchGoveeDevices, GOVEE_THERMO_HYGROMETER_MODELS } from '../goveeService';
+
+const goveeProvider = {
+    id: 'govee',
+    name: 'Govee',
+    description: `Govee Wi-Fi thermo-hygrometers such as the ${GOVEE_THERMO_HYGROMETER_MODELS.slice(0, 3).join(', ')}.`,
+    credentialFields: [
+        {
+            key: 'apiKey',
+            label: 'Govee API Key',
+            type: 'password',
+            placeholder: 'Enter your Govee API Key',
+            help: 'Get this from the Govee Home app under "About Us > Apply for API Key".'
+        }
+    ],
+
+    async connect({ apiKey }) {
+        const devices = await fetchGoveeDevices(apiKey);
+        return { credentials: { apiKey }, devices: devices.map(({ device, model, deviceName }) => ({ device, model, deviceName })) };
+    },
+
+    async listDevices(integration) {
+        const devices = await fetchGoveeDevices(integration.credentials.apiKey);
+        return devices.map(({ device, model, deviceName }) => ({ device, model, deviceName }));
+    },
+
+    async readDevice(integration, { deviceId, model }) {
+        return fetchGoveeDeviceState(integration.credentials.apiKey, deviceId, model);
+    }
+};
+
+export default goveeProvider;
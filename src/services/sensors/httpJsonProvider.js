@@ -0,0 +1,131 @@
+/**
+ *
+ * @file httpJsonProvider.js
+ * @path src/services/sensors/httpJsonProvider.js
+ * @project Humidor Hub
+ * @author Shawn Miller (hereiamnow@gmail.com)
+ * @date Aug 16, 2025
+ *
+ * Description
+ * Generic sensor provider for anything that serves its current reading as JSON over
+ * HTTP (Home Assistant, ESPHome, a Raspberry Pi script, ...). Each endpoint is saved
+ * as a device with its URL, an optional header, and dot paths to the temperature,
+ * humidity and (optionally) timestamp fields, e.g. `data.sensors.0.temp`.
+ *
+ */
+import { celsiusToFahrenheit } from '../../utils/environmentUtils';
+import { SensorProviderError, fetchHttpClient, sendJsonRequest } from './sensorHttp';
+
+const PROVIDER_NAME = 'HTTP endpoint';
+
+/**
+ * Reads a value from an object by dot path ("a.b.0.c").
+ * @param {Object} data - Parsed JSON
+ * @param {string} path - Dot-separated path; array indexes are numbers
+ * @returns {any} The value, or undefined when the path doesn't exist
+ */
+export const getValueAtPath = (data, path) =>
+    String(path || '').split('.').filter(Boolean).reduce((value, key) => (value == null ? undefined : value[key]), data);
+
+// "Authorization: Bearer abc" -> { Authorization: 'Bearer abc' }
+const parseHeader = (header) => {
+    if (!header || !header.includes(':')) return {};
+    const index = header.indexOf(':');
+    return { [header.slice(0, index).trim()]: header.slice(index + 1).trim() };
+};
+
+/**
+ * Fetches an endpoint and maps its fields to a reading.
+ * @param {Object} config - Endpoint config saved on the device
+ * @returns {Promise<{temp: number|null, humidity: number|null, online: boolean, timestamp: string}>}
+ */
+const readEndpoint = async (config) => {
+    const data = await sendJsonRequest(fetchHttpClient, PROVIDER_NAME, config.url, { headers: parseHeader(config.header) });
+
+    const rawTemp = Number(getValueAtPath(data, config.temperaturePath));
+    const humidity = Number(getValueAtPath(data, config.humidityPath));
+    const rawTimestamp = config.timestampPath ? getValueAtPath(data, config.timestampPath) : null;
+    // Numeric timestamps below 1e12 are epoch seconds
+    const timestampValue = typeof rawTimestamp === 'number' && rawTimestamp < 1e12 ? rawTimestamp * 1000 : rawTimestamp;
+    const timestamp = rawTimestamp != null && !Number.isNaN(new Date(timestampValue).getTime())
+        ? new Date(timestampValue).toISOString()
+        : new Date().toISOString();
+
+    let temp = null;
+    if (Number.isFinite(rawTemp)) {
+        temp = config.temperatureUnit === 'C' ? celsiusToFahrenheit(rawTemp) : Number(rawTemp.toFixed(1));
+    }
+
+    return {
+        temp,
+        humidity: Number.isFinite(humidity) ? Number(humidity.toFixed(1)) : null,
+        online: true,
+        timestamp
+    };
+};
+
+const httpJsonProvider = {
+    id: 'http-json',
+    name: 'HTTP / JSON',
+    description: 'Any sensor that serves its reading as JSON at a URL. Map the fields once and it is polled like any other sensor.',
+    // Each connect adds an endpoint instead of replacing the connection
+    addsDevices: true,
+    credentialFields: [
+        { key: 'name', label: 'Sensor Name', type: 'text', placeholder: 'e.g. Cabinet ESP32' },
+        { key: 'url', label: 'URL', type: 'url', placeholder: 'https://example.local/sensor.json' },
+        { key: 'temperaturePath', label: 'Temperature Field', type: 'text', placeholder: 'e.g. temperature or data.temp' },
+        { key: 'temperatureUnit', label: 'Temperature Unit', type: 'select', options: [{ value: 'F', label: '°F' }, { value: 'C', label: '°C' }], defaultValue: 'F' },
+        { key: 'humidityPath', label: 'Humidity Field', type: 'text', placeholder: 'e.g. humidity or data.rh' },
+        { key: 'timestampPath', label: 'Timestamp Field (optional)', type: 'text', placeholder: 'Leave blank to use the time of the request' },
+        {
+            key: 'header',
+            label: 'Request Header (optional)',
+            type: 'password',
+            placeholder: 'e.g. Authorization: Bearer <token>',
+            help: 'The endpoint must allow requests from this app (CORS).'
+        }
+    ],
+
+    async connect(input, existing) {
+        if (!input.url || !input.temperaturePath || !input.humidityPath) {
+            throw new SensorProviderError('Enter the URL and the temperature and humidity fields.');
+        }
+
+        const config = {
+            url: input.url.trim(),
+            header: input.header || '',
+            temperaturePath: input.temperaturePath.trim(),
+            temperatureUnit: input.temperatureUnit || 'F',
+            humidityPath: input.humidityPath.trim(),
+            timestampPath: (input.timestampPath || '').trim()
+        };
+
+        // Make sure the mapping actually produces a reading before saving it
+        const reading = await readEndpoint(config);
+        if (reading.temp === null || reading.humidity === null) {
+            throw new SensorProviderError('The endpoint answered, but the temperature or humidity field was not a number. Check the field paths.');
+        }
+
+        const device = {
+            device: `http-${Date.now().toString(36)}`,
+            model: 'http-json',
+            deviceName: input.name || new URL(config.url).host,
+            config
+        };
+        return { credentials: {}, devices: [...(existing?.devices || []), device] };
+    },
+
+    async listDevices(integration) {
+        return integration.devices || [];
+    },
+
+    async readDevice(integration, { deviceId }) {
+        const device = (integration.devices || []).find(d => d.device === deviceId);
+        if (!device) {
+            throw new SensorProviderError('This HTTP endpoint was removed from Integrations.', { status: 404 });
+        }
+        return readEndpoint(device.config);
+    }
+};
+
+export default httpJsonProvider;
@@ -0,0 +1,40 @@
+/**
+ *
+ * @file index.js
+ * @path src/services/sensors/index.js
+ * @project Humidor Hub
+ * @author Shawn Miller (hereiamnow@gmail.com)
+ * @date Aug 16, 2025
+ *
+ * Description
+ * Registry of sensor providers. Every provider implements the same interface:
+ *
+ * - `id`, `name`, `description`: identity and copy for the Integrations screen
+ * - `credentialFields`: fields the connect form asks for (`key`, `label`, `type`,
+ *   optional `placeholder`, `help`, `options`, `defaultValue`)
+ * - `connect(input, existing)`: validates the input and resolves to
+ *   `{ credentials, devices }`, the integration to save. `credentials` must not hold
+ *   anything that shouldn't be stored (e.g. passwords are exchanged for tokens)
+ * - `listDevices(integration)`: refreshes the device inventory
+ * - `readDevice(integration, { deviceId, model })`: resolves to
+ *   `{ temp, humidity, online, timestamp }` with temperature in °F
+ *
+ * Devices are `{ device, model, deviceName }`. Failures throw SensorProviderError.
+ *
+ */
+import goveeProvider from './goveeProvider';
+import sensorPushProvider from './sensorPushProvider';
+import inkbirdProvider from './inkbirdProvider';
+import httpJsonProvider from './httpJsonProvider';
+
+export { SensorProviderError } from './sensorHttp';
+
+export const SENSOR_PROVIDERS = [goveeProvider, sensorPushProvider, inkbirdProvider, httpJsonProvider];
+
+/**
+ * Looks up a provider by id.
+ * @param {string} providerId - Provider id, e.g. 'govee'
+ * @returns {Object|null} The provider, or null if unknown
+ */
+export const getSensorProvider = (providerId) =>
+    SENSOR_PROVIDERS.find(provider => provider.id === providerId) || null;
@@ -0,0 +1,174 @@
+/**
+ *
+ * @file inkbirdProvider.js
+ * @path src/services/sensors/inkbirdProvider.js
+ * @project Humidor Hub
+ * @author Shawn Miller (hereiamnow@gmail.com)
+ * @date Aug 16, 2025
+ *
+ * Description
+ * Sensor provider for Inkbird Wi-Fi thermo-hygrometers (IBS-TH2 Plus, ITH-20R and
+ * similar). Inkbird has no public API of its own; its Wi-Fi sensors run on the Tuya
+ * cloud, so this provider uses a Tuya IoT cloud project linked to the Inkbird app
+ * account. Requests are signed with HMAC-SHA256 as the Tuya OpenAPI requires.
+ *
+ * Tuya reports temperature in tenths of a degree Celsius (`va_temperature`), and
+ * some models report humidity in tenths of a percent as well.
+ *
+ */
+import { celsiusToFahrenheit } from '../../utils/environmentUtils';
+import { SensorProviderError, fetchHttpClient } from './sensorHttp';
+
+export const TUYA_REGIONS = [
+    { value: 'https://openapi.tuyaus.com', label: 'Americas' },
+    { value: 'https://openapi.tuyaeu.com', label: 'Europe' },
+    { value: 'https://openapi.tuyacn.com', label: 'China' },
+    { value: 'https://openapi.tuyain.com', label: 'India' }
+];
+
+const PROVIDER_NAME = 'Inkbird';
+const EMPTY_BODY_HASH = 'e3b0c44298fc1c149afbf4c8996fb92427ae41e4649b934ca495991b7852b855';
+
+// Tokens by access id
+const tokens = new Map();
+
+// Tuya codes for an access token that is invalid or has expired
+const TOKEN_REJECTED_CODES = [1010, 1011];
+
+const toHex = (buffer) => Array.from(new Uint8Array(buffer)).map(b => b.toString(16).padStart(2, '0')).join('');
+
+const hmacSha256 = async (secret, message) => {
+    const encoder = new TextEncoder();
+    const key = await crypto.subtle.importKey('raw', encoder.encode(secret), { name: 'HMAC', hash: 'SHA-256' }, false, ['sign']);
+    return toHex(await crypto.subtle.sign('HMAC', key, encoder.encode(message))).toUpperCase();
+};
+
+/**
+ * Sends a signed Tuya OpenAPI GET request.
+ * @param {Object} credentials - `accessId`, `accessSecret` and `region`
+ * @param {string} path - Request path including any query string
+ * @param {string} [accessToken] - Omit for the token request itself
+ * @returns {Promise<any>} The response's `result`
+ */
+const tuyaGet = async ({ accessId, accessSecret, region }, path, accessToken = '') => {
+    const t = String(Date.now());
+    const stringToSign = ['GET', EMPTY_BODY_HASH, '', path].join('\n');
+    const sign = await hmacSha256(accessSecret, accessId + accessToken + t + stringToSign);
+
+    let response;
+    try {
+        response = await fetchHttpClient(`${region}${path}`, {
+            headers: {
+                client_id: accessId,
+                sign,
+                t,
+                sign_method: 'HMAC-SHA256',
+                ...(accessToken ? { access_token: accessToken } : {})
+            }
+        });
+    } catch (networkError) {
+        throw new SensorProviderError(`Could not reach ${PROVIDER_NAME}: ${networkError.message}`);
+    }
+
+    const { status, body } = response;
+    if (status === 429) {
+        throw new SensorProviderError(`${PROVIDER_NAME} rate limit reached. Try again later.`, { status, retryAfterMs: 60 * 1000 });
+    }
+    // Tuya answers 200 with `success: false`; 1004 and 1010 are bad signatures/tokens
+    if (status < 200 || status >= 300 || !body?.success) {
+        const authFailed = [1004, 1010, 1011, 1106].includes(body?.code);
+        throw new SensorProviderError(body?.msg || `${PROVIDER_NAME} request failed (${status})`, { status: authFailed ? 401 : status, code: body?.code ?? null });
+    }
+    return body.result;
+};
+
+const getAccessToken = async (credentials) => {
+    const cached = tokens.get(credentials.accessId);
+    if (cached && cached.expiresAt > Date.now()) return cached.accessToken;
+
+    const result = await tuyaGet(credentials, '/v1.0/token?grant_type=1');
+    // Refresh a minute early
+    tokens.set(credentials.accessId, { accessToken: result.access_token, expiresAt: Date.now() + (result.expire_time - 60) * 1000 });
+    return result.access_token;
+};
+
+/**
+ * Sends a Tuya request with the cached access token. Tuya can revoke or expire a token
+ * before the time it gave, so a rejected token is dropped and the request retried once
+ * with a fresh one before it counts as an auth failure.
+ * @param {Object} credentials - `accessId`, `accessSecret` and `region`
+ * @param {string} path - Request path including any query string
+ * @returns {Promise<any>} The response's `result`
+ */
+const tuyaGetAuthorized = async (credentials, path) => {
+    try {
+        return await tuyaGet(credentials, path, await getAccessToken(credentials));
+    } catch (error) {
+        if (!TOKEN_REJECTED_CODES.includes(error.code)) throw error;
+        tokens.delete(credentials.accessId);
+        return tuyaGet(credentials, path, await getAccessToken(credentials));
+    }
+};
+
+const parseDeviceIds = (deviceIds = '') =>
+    String(deviceIds).split(/[\s,]+/).map(id => id.trim()).filter(Boolean);
+
+const fetchDevices = async (credentials) => {
+    const devices = [];
+    for (const id of parseDeviceIds(credentials.deviceIds)) {
+        const info = await tuyaGetAuthorized(credentials, `/v1.0/devices/${id}`);
+        devices.push({ device: id, model: info.product_name || info.model || 'Inkbird', deviceName: info.name || id });
+    }
+    return devices;
+};
+
+const inkbirdProvider = {
+    id: 'inkbird',
+    name: 'Inkbird',
+    description: 'Inkbird Wi-Fi thermo-hygrometers such as the IBS-TH2 Plus, through a Tuya IoT cloud project.',
+    credentialFields: [
+        { key: 'accessId', label: 'Tuya Access ID', type: 'text', placeholder: 'Cloud project Access ID' },
+        { key: 'accessSecret', label: 'Tuya Access Secret', type: 'password', placeholder: 'Cloud project Access Secret' },
+        { key: 'region', label: 'Data Center', type: 'select', options: TUYA_REGIONS, defaultValue: TUYA_REGIONS[0].value },
+        {
+            key: 'deviceIds',
+            label: 'Device IDs',
+            type: 'text',
+            placeholder: 'e.g. 6c1a2b3c4d5e6f7a8b, ...',
+            help: 'Link your Inkbird app account to a project at iot.tuya.com and copy the device IDs from its device list.'
+        }
+    ],
+
+    async connect(input) {
+        const credentials = { ...input, region: input.region || TUYA_REGIONS[0].value };
+        if (parseDeviceIds(credentials.deviceIds).length === 0) {
+            throw new SensorProviderError('Enter at least one Inkbird device ID.');
+        }
+        return { credentials, devices: await fetchDevices(credentials) };
+    },
+
+    async listDevices(integration) {
+        return fetchDevices(integration.credentials);
+    },
+
+    async readDevice(integration, { deviceId }) {
+        const { credentials } = integration;
+        const [info, status] = await Promise.all([
+            tuyaGetAuthorized(credentials, `/v1.0/devices/${deviceId}`),
+            tuyaGetAuthorized(credentials, `/v1.0/devices/${deviceId}/status`)
+        ]);
+
+        const find = (...codes) => status.find(s => codes.includes(s.code))?.value;
+        const rawTemp = Number(find('va_temperature', 'temp_current'));
+        const rawHumidity = Number(find('va_humidity', 'humidity_value'));
+
+        return {
+            temp: Number.isFinite(rawTemp) ? celsiusToFahrenheit(rawTemp / 10) : null,
+            humidity: Number.isFinite(rawHumidity) ? Number((rawHumidity > 100 ? rawHumidity / 10 : rawHumidity).toFixed(1)) : null,
+            online: info.online !== false,
+            timestamp: new Date().toISOString()
+        };
+    }
+};
+
+export default inkbirdProvider;
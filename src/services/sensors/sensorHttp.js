@@ -0,0 +1,132 @@
+/**
+ *
+ * @file sensorHttp.js
+ * @path src/services/sensors/sensorHttp.js
+ * @project Humidor Hub
+ * @author Shawn Miller (hereiamnow@gmail.com)
+ * @date Aug 16, 2025
+ *
+ * Description
+ * HTTP plumbing shared by the sensor providers: the default fetch-based HTTP layer
+ * (any function with the same signature can replace it, e.g. to hit a local mock
+ * server), the error type providers throw, and helpers for rate-limit headers.
+ *
+ */
+
+/**
+ * Error raised by sensor providers. `status` is the HTTP status (0 for network
+ * failures) and `retryAfterMs` is set when the request was rate limited.
+ */
+export class SensorProviderError extends Error {
+    constructor(message, { status = 0, code = null, retryAfterMs = null } = {}) {
+        super(message);
+        this.name = 'SensorProviderError';
+        this.status = status;
+        this.code = code;
+        this.retryAfterMs = retryAfterMs;
+    }
+
+    get isRateLimited() {
+        return this.status === 429;
+    }
+
+    get isAuthError() {
+        return this.status === 401 || this.status === 403;
+    }
+}
+
+/**
+ * Default HTTP layer built on fetch. Custom layers take the same arguments and
+ * resolve to `{ status, headers, body }`, with `headers` as a plain lower-cased object.
+ * @param {string} url - Request URL
+ * @param {Object} options - `method`, `headers` and optional `body` object
+ * @returns {Promise<{status: number, headers: Object, body: any}>}
+ */
+export async function fetchHttpClient(url, { method = 'GET', headers = {}, body } = {}) {
+    const response = await fetch(url, {
+        method,
+        headers,
+        body: body ? JSON.stringify(body) : undefined
+    });
+
+    const responseHeaders = {};
+    response.headers.forEach((value, key) => { responseHeaders[key.toLowerCase()] = value; });
+
+    let responseBody = null;
+    try {
+        responseBody = await response.json();
+    } catch (parseError) {
+        // Some error responses (e.g. from proxies) aren't JSON
+    }
+
+    return { status: response.status, headers: responseHeaders, body: responseBody };
+}
+
+export const parseNumberHeader = (headers, names) => {
+    for (const name of names) {
+        const value = Number(headers[name]);
+        if (headers[name] !== undefined && Number.isFinite(value)) return value;
+    }
+    return null;
+};
+
+/**
+ * Reads the rate-limit reset time as epoch milliseconds. APIs send epoch seconds;
+ * small values are treated as seconds from now, which is what some mock servers send.
+ */
+export const getResetAt = (headers, now = Date.now()) => {
+    const reset = parseNumberHeader(headers, ['x-ratelimit-reset', 'api-ratelimit-reset']);
+    if (reset === null) return null;
+    return reset > 1e9 ? reset * 1000 : now + reset * 1000;
+};
+
+/**
+ * Works out how long to wait after a rate-limited response. Retry-After is
+ * honoured if a proxy adds it, otherwise the reset header is used.
+ */
+export const getRetryAfterMs = (headers, now = Date.now()) => {
+    const retryAfter = parseNumberHeader(headers, ['retry-after']);
+    if (retryAfter !== null) return retryAfter * 1000;
+
+    const resetAt = getResetAt(headers, now);
+    if (resetAt !== null) return Math.max(0, resetAt - now);
+
+    return 60 * 1000;
+};
+
+/**
+ * Sends a JSON request and turns HTTP failures into SensorProviderErrors.
+ * @param {Function} httpClient - HTTP layer, see fetchHttpClient
+ * @param {string} providerName - Used in error messages and logs
+ * @param {string} url - Request URL
+ * @param {Object} [options] - `method`, `headers` and optional `body` object
+ * @returns {Promise<any>} Parsed response body
+ */
+export async function sendJsonRequest(httpClient, providerName, url, { method = 'GET', headers = {}, body } = {}) {
+    let response;
+    try {
+        response = await httpClient(url, {
+            method,
+            headers: { 'Content-Type': 'application/json', Accept: 'application/json', ...headers },
+            body
+        });
+    } catch (networkError) {
+        console.error(`[sensorHttp] ${providerName} network error:`, networkError);
+        throw new SensorProviderError(`Could not reach ${providerName}: ${networkError.message}`);
+    }
+
+    const { status, headers: responseHeaders = {}, body: responseBody } = response;
+
+    if (status === 429) {
+        throw new SensorProviderError(`${providerName} rate limit reached. Try again later.`, { status, retryAfterMs: getRetryAfterMs(responseHeaders) });
+    }
+    if (status === 401 || status === 403) {
+        throw new SensorProviderError(`${providerName} rejected the credentials. Check them and try again.`, { status });
+    }
+    if (status < 200 || status >= 300) {
+        const message = responseBody?.message || responseBody?.msg || `${providerName} request failed (${status})`;
+        throw new SensorProviderError(message, { status });
+    }
+
+    return responseBody;
+}
@@ -0,0 +1,104 @@
+/**
+ *
+ * @file sensorPushProvider.js
+ * @path src/services/sensors/sensorPushProvider.js
+ * @project Humidor Hub
+ * @author Shawn Miller (hereiamnow@gmail.com)
+ * @date Aug 16, 2025
+ *
+ * Description
+ * Sensor provider for SensorPush sensors reporting through a SensorPush G1 gateway,
+ * using the SensorPush Gateway Cloud API (https://www.sensorpush.com/gateway-cloud-api).
+ *
+ * The account password is only used while connecting: it is exchanged for a refresh
+ * token, which is what gets saved. Access tokens are short-lived and kept in memory.
+ * Readings are the newest sample the gateway uploaded; a sample older than two hours
+ * means the sensor or gateway is offline.
+ *
+ */
+import { fetchHttpClient, sendJsonRequest } from './sensorHttp';
+
+export const SENSORPUSH_API_BASE_URL = process.env.REACT_APP_SENSORPUSH_API_BASE_URL || 'https://api.sensorpush.com/api/v1';
+
+const PROVIDER_NAME = 'SensorPush';
+const ACCESS_TOKEN_LIFETIME_MS = 50 * 60 * 1000;
+const STALE_SAMPLE_MS = 2 * 60 * 60 * 1000;
+
+// Access tokens by refresh token
+const accessTokens = new Map();
+
+const post = (path, body, accessToken, httpClient = fetchHttpClient) =>
+    sendJsonRequest(httpClient, PROVIDER_NAME, `${SENSORPUSH_API_BASE_URL}${path}`, {
+        method: 'POST',
+        headers: accessToken ? { Authorization: accessToken } : {},
+        body
+    });
+
+const getAccessToken = async (refreshToken) => {
+    const cached = accessTokens.get(refreshToken);
+    if (cached && cached.expiresAt > Date.now()) return cached.accessToken;
+
+    const { accesstoken } = await post('/oauth/accesstoken', { refreshtoken: refreshToken });
+    accessTokens.set(refreshToken, { accessToken: accesstoken, expiresAt: Date.now() + ACCESS_TOKEN_LIFETIME_MS });
+    return accesstoken;
+};
+
+const fetchSensors = async (accessToken) => {
+    const sensors = await post('/devices/sensors', {}, accessToken);
+    return Object.values(sensors || {})
+        .filter(sensor => sensor.active !== false)
+        .map(sensor => ({ device: sensor.id, model: sensor.type || 'SensorPush', deviceName: sensor.name || sensor.id }));
+};
+
+const sensorPushProvider = {
+    id: 'sensorpush',
+    name: 'SensorPush',
+    description: 'SensorPush HT1 and HT.w sensors connected through a G1 Wi-Fi gateway.',
+    credentialFields: [
+        { key: 'email', label: 'SensorPush Email', type: 'email', placeholder: 'you@example.com' },
+        {
+            key: 'password',
+            label: 'SensorPush Password',
+            type: 'password',
+            placeholder: 'Your SensorPush password',
+            help: 'Activate API access first at dashboard.sensorpush.com. Your password is not stored.'
+        }
+    ],
+
+    async connect({ email, password }) {
+        const { authorization } = await post('/oauth/authorize', { email, password });
+        const { accesstoken, refreshtoken } = await post('/oauth/accesstoken', { authorization });
+        accessTokens.set(refreshtoken, { accessToken: accesstoken, expiresAt: Date.now() + ACCESS_TOKEN_LIFETIME_MS });
+
+        const devices = await fetchSensors(accesstoken);
+        return { credentials: { email, refreshToken: refreshtoken }, devices };
+    },
+
+    async listDevices(integration) {
+        const accessToken = await getAccessToken(integration.credentials.refreshToken);
+        return fetchSensors(accessToken);
+    },
+
+    async readDevice(integration, { deviceId }) {
+        const accessToken = await getAccessToken(integration.credentials.refreshToken);
+        const result = await post('/samples', { sensors: [deviceId], limit: 1 }, accessToken);
+        const sample = result?.sensors?.[deviceId]?.[0];
+
+        if (!sample) {
+            return { temp: null, humidity: null, online: false, timestamp: new Date().toISOString() };
+        }
+
+        const timestamp = new Date(sample.observed).toISOString();
+        const temp = Number(sample.temperature);
+        const humidity = Number(sample.humidity);
+        return {
+            // SensorPush reports temperature in °F
+            temp: Number.isFinite(temp) ? Number(temp.toFixed(1)) : null,
+            humidity: Number.isFinite(humidity) ? Number(humidity.toFixed(1)) : null,
+            online: Date.now() - new Date(timestamp).getTime() < STALE_SAMPLE_MS,
+            timestamp
+        };
+    }
+};
+
+export default sensorPushProvider;
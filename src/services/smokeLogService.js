@@ -0,0 +1,132 @@
+/**
+ *
+ * @file smokeLogService.js
+ * @path src/services/smokeLogService.js
+ * @project Humidor Hub
+ * @author Shawn Miller (hereiamnow@gmail.com)
+ * @date Aug 25, 2025
+ *
+ * Description
+ * Service functions for the smoke log, a ledger of every cigar smoked kept in the `smokeLog`
+ * collection. Each entry records the cigar, the humidor it came from, the trip it was packed
+ * for (if any), when it was smoked and the journal entry written about it. Logging a smoke
+ * takes one off the cigar's quantity in the same batch; a smoke logged by mistake can be
+ * undone for a short while afterwards.
+ *
+ */
+import { arrayRemove, arrayUnion, collection, doc, updateDoc, writeBatch } from 'firebase/firestore';
+import { buildQuantityUpdate } from '../utils/lotUtils';
+import { buildTripSmokeEntry, getTripsCollectionRef } from './tripService';
+
+// How long after logging a smoke it can still be undone
+export const SMOKE_UNDO_WINDOW_MS = 10 * 1000;
+
+export const getSmokeLogCollectionRef = (db, appId, userId) =>
+  collection(db, 'artifacts', appId, 'users', userId, 'smokeLog');
+
+const getCigarRef = (db, appId, userId, cigarId) =>
+  doc(db, 'artifacts', appId, 'users', userId, 'cigars', cigarId);
+
+/**
+ * Whether a logged smoke is still inside its undo window.
+ * @param {Object} smoke - Smoke log entry
+ * @param {number} [now] - Current time in ms
+ * @returns {boolean}
+ */
+export const canUndoSmoke = (smoke, now = Date.now()) =>
+  !!smoke && now - new Date(smoke.smokedAt).getTime() < SMOKE_UNDO_WINDOW_MS;
+
+/**
+ * Adds smoke log entries for a cigar to a write batch, and records them on the cigar's
+ * trip if it is packed for one. The caller updates the cigar's quantity.
+ * @param {Object} batch - Firestore write batch
+ * @param {Object} db - Firestore database instance
+ * @param {string} appId - Application identifier for Firestore paths
+ * @param {string} userId - Current user's unique identifier
+ * @param {Object} cigar - Cigar smoked
+ * @param {number} [count] - How many were smoked
+ * @returns {Array<Object>} The smoke log entries, including their ids
+ */
+export const queueSmokes = (batch, db, appId, userId, cigar, count = 1) => {
+  const now = Date.now();
+  // Each smoke gets its own millisecond so the trip's log keeps them apart
+  const smokes = Array.from({ length: count }, (_, i) => ({
+    id: doc(getSmokeLogCollectionRef(db, appId, userId)).id,
+    cigarId: cigar.id,
+    cigarName: [cigar.brand, cigar.name].filter(Boolean).join(' '),
+    humidorId: cigar.humidorId,
+    tripId: cigar.trip?.tripId || null,
+    smokedAt: new Date(now + i).toISOString(),
+    journalEntryId: null
+  }));
+
+  smokes.forEach(({ id, ...smoke }) => batch.set(doc(getSmokeLogCollectionRef(db, appId, userId), id), smoke));
+  if (cigar.trip?.tripId) {
+    batch.update(doc(getTripsCollectionRef(db, appId, userId), cigar.trip.tripId), {
+      smokes: arrayUnion(...smokes.map(smoke => buildTripSmokeEntry(cigar, smoke.smokedAt)))
+    });
+  }
+  return smokes;
+};
+
+/**
+ * Logs one of a cigar as smoked and takes it off the quantity. A cigar packed for a
+ * trip is logged on the trip as well.
+ * @param {Object} db - Firestore database instance
+ * @param {string} appId - Application identifier for Firestore paths
+ * @param {string} userId - Current user's unique identifier
+ * @param {Object} cigar - Cigar smoked, with at least one left
+ * @returns {Promise<Object>} The smoke log entry, including its id and the cigar's quantity after it (for undo)
+ */
+export const logSmoke = async (db, appId, userId, cigar) => {
+  if (!(cigar.quantity > 0)) throw new Error(`No ${cigar.brand} ${cigar.name} left to smoke`);
+
+  const batch = writeBatch(db);
+  const [smoke] = queueSmokes(batch, db, appId, userId, cigar);
+  batch.update(getCigarRef(db, appId, userId, cigar.id), buildQuantityUpdate(cigar, cigar.quantity - 1));
+  await batch.commit();
+
+  console.log('[smokeLogService] Logged smoke:', smoke.id, 'of cigar', cigar.id);
+  return { ...smoke, quantityAfter: cigar.quantity - 1 };
+};
+
+/**
+ * Undoes a smoke logged by mistake, putting the cigar back to what it had before the
+ * smoke. The quantity comes from when the smoke was logged, not the cigar passed in,
+ * which may not have caught up with the smoke yet.
+ * @param {Object} db - Firestore database instance
+ * @param {string} appId - Application identifier for Firestore paths
+ * @param {string} userId - Current user's unique identifier
+ * @param {Object} smoke - Smoke log entry as returned by logSmoke
+ * @param {Object} cigar - The cigar smoked
+ * @returns {Promise<void>}
+ */
+export const undoSmoke = async (db, appId, userId, smoke, cigar) => {
+  if (!canUndoSmoke(smoke)) throw new Error('Too late to undo that smoke');
+
+  const batch = writeBatch(db);
+  batch.delete(doc(getSmokeLogCollectionRef(db, appId, userId), smoke.id));
+  batch.update(getCigarRef(db, appId, userId, cigar.id), buildQuantityUpdate(cigar, smoke.quantityAfter + 1));
+  if (smoke.tripId) {
+    batch.update(doc(getTripsCollectionRef(db, appId, userId), smoke.tripId), {
+      smokes: arrayRemove(buildTripSmokeEntry(cigar, smoke.smokedAt))
+    });
+  }
+  await batch.commit();
+
+  console.log('[smokeLogService] Undid smoke:', smoke.id);
+};
+
+/**
+ * Links a logged smoke to the journal entry written about it.
+ * @param {Object} db - Firestore database instance
+ * @param {string} appId - Application identifier for Firestore paths
+ * @param {string} userId - Current user's unique identifier
+ * @param {string} smokeId - Smoke log entry ID
+ * @param {string} journalEntryId - Journal entry ID
+ * @returns {Promise<void>}
+ */
+export const linkSmokeToJournalEntry = async (db, appId, userId, smokeId, journalEntryId) => {
+  await updateDoc(doc(getSmokeLogCollectionRef(db, appId, userId), smokeId), { journalEntryId });
+  console.log('[smokeLogService] Linked smoke', smokeId, 'to journal entry', journalEntryId);
+};
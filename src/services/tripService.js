@@ -0,0 +1,145 @@
+/**
+ *
+ * @file tripService.js
+ * @path src/services/tripService.js
+ * @project Humidor Hub
+ * @author Shawn Miller (hereiamnow@gmail.com)
+ * @date Aug 23, 2025
+ *
+ * Description
+ * Service functions for travel humidor trips, kept in the `trips` collection. Starting a
+ * trip checks cigars out of their home humidors into a travel humidor; each packed cigar
+ * carries a `trip` marker recording the humidor and section it came from. Smokes on the
+ * road go through the smoke log, which records them on the trip too. Ending the trip sends
+ * every cigar still marked for it back to where it came from. Packing and unpacking are
+ * recorded as moves in each cigar's history, and a trip with more cigars than one
+ * Firestore batch takes is saved over several.
+ *
+ */
+import { collection, doc } from 'firebase/firestore';
+import { FIRESTORE_BATCH_LIMIT, createChunkedBatch } from '../utils/firestoreUtils';
+import { appendCigarHistory, buildCigarMoveEvent } from './cigarHistoryService';
+
+export const TRAVEL_HUMIDOR_TYPE = 'Travel Humidor';
+
+export const TRIP_STATUS = {
+  ACTIVE: 'active',
+  COMPLETE: 'complete'
+};
+
+export const getTripsCollectionRef = (db, appId, userId) =>
+  collection(db, 'artifacts', appId, 'users', userId, 'trips');
+
+const getCigarRef = (db, appId, userId, cigarId) =>
+  doc(db, 'artifacts', appId, 'users', userId, 'cigars', cigarId);
+
+const getCigarName = (cigar) => [cigar.brand, cigar.name].filter(Boolean).join(' ');
+
+/**
+ * Whether a humidor is a travel humidor that trips can be packed into.
+ * @param {Object} humidor - Humidor object
+ * @returns {boolean}
+ */
+export const isTravelHumidor = (humidor) => humidor?.type === TRAVEL_HUMIDOR_TYPE;
+
+/**
+ * Starts a trip, checking the given cigars out of their humidors into the travel humidor.
+ * @param {Object} db - Firestore database instance
+ * @param {string} appId - Application identifier for Firestore paths
+ * @param {string} userId - Current user's unique identifier
+ * @param {Object} options
+ * @param {string} options.travelHumidorId - Travel humidor the cigars are packed into
+ * @param {string} options.name - Trip name, e.g. "Vegas weekend"
+ * @param {string} [options.startDate] - First day, YYYY-MM-DD
+ * @param {string} [options.endDate] - Last day, YYYY-MM-DD
+ * @param {Array<Object>} options.cigars - Cigars to pack, as they are in their home humidors
+ * @param {Array<Object>} [options.humidors] - All humidors, to name the moves in each cigar's history
+ * @returns {Promise<string>} ID of the new trip
+ */
+export const startTrip = async (db, appId, userId, { travelHumidorId, name, startDate = '', endDate = '', cigars, humidors = [] }) => {
+  if (!name?.trim()) throw new Error('Give the trip a name');
+  if (!cigars?.length) throw new Error('Pack at least one cigar');
+  if (startDate && endDate && endDate < startDate) throw new Error('The trip ends before it starts');
+
+  const tripRef = doc(getTripsCollectionRef(db, appId, userId));
+  const batch = createChunkedBatch(db);
+  // The trip goes in with as many of its cigars as fit, so a normal-sized trip saves all at once
+  batch.reserve(Math.min(cigars.length + 1, FIRESTORE_BATCH_LIMIT));
+  batch.set(tripRef, {
+    travelHumidorId,
+    name: name.trim(),
+    startDate,
+    endDate,
+    status: TRIP_STATUS.ACTIVE,
+    packed: cigars.map(cigar => ({
+      cigarId: cigar.id,
+      name: getCigarName(cigar),
+      quantity: cigar.quantity,
+      humidorId: cigar.humidorId
+    })),
+    smokes: [],
+    startedAt: new Date().toISOString(),
+    completedAt: null
+  });
+  const travelHumidor = humidors.find(h => h.id === travelHumidorId) || { id: travelHumidorId };
+  cigars.forEach(cigar => batch.update(getCigarRef(db, appId, userId, cigar.id), {
+    humidorId: travelHumidorId,
+    sectionId: null,
+    trip: { tripId: tripRef.id, originHumidorId: cigar.humidorId, originSectionId: cigar.sectionId || null },
+    ...appendCigarHistory(buildCigarMoveEvent(humidors.find(h => h.id === cigar.humidorId), travelHumidor, `Packed for ${name.trim()}`))
+  }));
+  await batch.commit();
+
+  console.log('[tripService] Started trip:', tripRef.id, 'with', cigars.length, 'cigars');
+  return tripRef.id;
+};
+
+/**
+ * Builds the entry recorded in a trip's `smokes` when a packed cigar is smoked.
+ * @param {Object} cigar - Packed cigar
+ * @param {string} at - ISO timestamp of the smoke
+ * @returns {Object}
+ */
+export const buildTripSmokeEntry = (cigar, at) => ({ cigarId: cigar.id, name: getCigarName(cigar), at });
+
+/**
+ * Ends a trip and returns every cigar still packed for it to its original humidor and
+ * section. Cigars whose humidor has since been deleted stay in the travel humidor.
+ * @param {Object} db - Firestore database instance
+ * @param {string} appId - Application identifier for Firestore paths
+ * @param {string} userId - Current user's unique identifier
+ * @param {Object} trip - Active trip, including its id
+ * @param {Array} cigars - All cigars
+ * @param {Array} humidors - All humidors
+ * @returns {Promise<{returned: number, kept: number}>} Cigar records sent home, and those left in the travel humidor
+ */
+export const endTrip = async (db, appId, userId, trip, cigars, humidors) => {
+  const packed = cigars.filter(c => c.trip?.tripId === trip.id);
+  const batch = createChunkedBatch(db);
+  // Saved all at once when it fits; otherwise the trip is only marked complete in the last batch,
+  // after every cigar has gone home
+  batch.reserve(Math.min(packed.length + 1, FIRESTORE_BATCH_LIMIT));
+  let returned = 0;
+
+  packed.forEach(cigar => {
+    const origin = humidors.find(h => h.id === cigar.trip.originHumidorId);
+    const originSectionExists = origin?.sections?.some(s => s.id === cigar.trip.originSectionId);
+    batch.update(getCigarRef(db, appId, userId, cigar.id), origin
+      ? {
+        humidorId: origin.id,
+        sectionId: originSectionExists ? cigar.trip.originSectionId : null,
+        trip: null,
+        ...appendCigarHistory(buildCigarMoveEvent(humidors.find(h => h.id === cigar.humidorId), origin, `Back from ${trip.name}`))
+      }
+      : { trip: null });
+    if (origin) returned++;
+  });
+  batch.update(doc(getTripsCollectionRef(db, appId, userId), trip.id), {
+    status: TRIP_STATUS.COMPLETE,
+    completedAt: new Date().toISOString()
+  });
+  await batch.commit();
+
+  console.log('[tripService] Ended trip:', trip.id, '- returned', returned, 'of', packed.length, 'cigars');
+  return { returned, kept: packed.length - returned };
+};
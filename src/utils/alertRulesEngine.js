@@ -0,0 +1,144 @@
+/**
+ * @file alertRulesEngine.js
+ * @path src/utils/alertRulesEngine.js
+ * @author Shawn Miller
+ * @date August 11, 2025
+ *
+ * Alert Rules Engine
+ *
+ * Pure evaluation logic for humidor environment alerts. Each metric (humidity, temp)
+ * moves through three states:
+ * - ok: reading is in range
+ * - pending: reading is out of range, but not for long enough to alert yet
+ * - alerting: reading has been out of range for at least `minDurationMinutes`
+ *
+ * An alert only clears once the value is back inside the range by the hysteresis
+ * margin, so a reading hovering on the threshold doesn't flap between states.
+ */
+
+/**
+ * Default rule for a humidor. Matches the ranges previously shown on the Alerts screen.
+ */
+export const DEFAULT_ALERT_RULE = {
+    humidityAlert: false,
+    minHumidity: 68,
+    maxHumidity: 72,
+    humidityHysteresis: 1,
+    tempAlert: false,
+    minTemp: 65,
+    maxTemp: 70,
+    tempHysteresis: 1,
+    minDurationMinutes: 30
+};
+
+/**
+ * Maps each metric to its rule keys and display metadata.
+ */
+export const ALERT_METRICS = {
+    humidity: { enabledKey: 'humidityAlert', minKey: 'minHumidity', maxKey: 'maxHumidity', hysteresisKey: 'humidityHysteresis', label: 'Humidity', unit: '%' },
+    temp: { enabledKey: 'tempAlert', minKey: 'minTemp', maxKey: 'maxTemp', hysteresisKey: 'tempHysteresis', label: 'Temperature', unit: '°F' }
+};
+
+export const createInitialMetricState = () => ({ status: 'ok', condition: null, since: null, alertId: null });
+
+/**
+ * Builds a human-readable message for an alert event.
+ * @param {string} metric - 'humidity' or 'temp'
+ * @param {string} condition - 'low' or 'high'
+ * @param {number} value - Reading value
+ * @param {number} threshold - Threshold that was crossed
+ * @returns {string} Alert message
+ */
+export const formatAlertMessage = (metric, condition, value, threshold) => {
+    const { label, unit } = ALERT_METRICS[metric];
+    const direction = condition === 'low' ? 'dropped below' : 'rose above';
+    return `${label} ${direction} ${threshold}${unit} (${value}${unit})`;
+};
+
+const getCondition = (value, min, max) => {
+    if (value < min) return 'low';
+    if (value > max) return 'high';
+    return null;
+};
+
+const minutesBetween = (from, to) => (new Date(to) - new Date(from)) / (60 * 1000);
+
+/**
+ * Evaluates one metric of a reading against a rule.
+ * @param {Object} rule - Alert rule (see DEFAULT_ALERT_RULE)
+ * @param {string} metric - 'humidity' or 'temp'
+ * @param {Object} metricState - Current state for this metric
+ * @param {Object} reading - Reading with `timestamp` and the metric value
+ * @returns {{state: Object, events: Array}} Next state and any triggered/resolved events
+ */
+export const evaluateMetric = (rule, metric, metricState, reading) => {
+    const { enabledKey, minKey, maxKey, hysteresisKey } = ALERT_METRICS[metric];
+    const state = { ...createInitialMetricState(), ...metricState };
+    const events = [];
+    const value = Number(reading[metric]);
+
+    // Disabling a rule resolves anything it had raised
+    if (!rule[enabledKey]) {
+        if (state.status === 'alerting') {
+            events.push({ type: 'resolved', metric, condition: state.condition, value, alertId: state.alertId, timestamp: reading.timestamp });
+        }
+        return { state: createInitialMetricState(), events };
+    }
+
+    if (!Number.isFinite(value)) return { state, events };
+
+    const min = Number(rule[minKey]);
+    const max = Number(rule[maxKey]);
+    const hysteresis = Number(rule[hysteresisKey]) || 0;
+    const condition = getCondition(value, min, max);
+    let next = state;
+
+    if (state.status === 'alerting') {
+        const cleared = state.condition === 'low' ? value >= min + hysteresis : value <= max - hysteresis;
+        if (!cleared) return { state, events };
+
+        events.push({ type: 'resolved', metric, condition: state.condition, value, alertId: state.alertId, timestamp: reading.timestamp });
+        next = createInitialMetricState();
+    }
+
+    if (!condition) {
+        return { state: createInitialMetricState(), events };
+    }
+
+    // Start (or restart, if the reading flipped sides) the out-of-range timer
+    if (next.status !== 'pending' || next.condition !== condition) {
+        next = { status: 'pending', condition, since: reading.timestamp, alertId: null };
+    }
+
+    if (minutesBetween(next.since, reading.timestamp) >= Number(rule.minDurationMinutes || 0)) {
+        events.push({
+            type: 'triggered',
+            metric,
+            condition,
+            value,
+            threshold: condition === 'low' ? min : max,
+            since: next.since,
+            timestamp: reading.timestamp
+        });
+        next = { ...next, status: 'alerting' };
+    }
+
+    return { state: next, events };
+};
+
+/**
+ * Evaluates a reading against every metric in a rule.
+ * @param {Object} rule - Alert rule (see DEFAULT_ALERT_RULE)
+ * @param {Object} ruleState - Per-metric state keyed by metric name
+ * @param {Object} reading - Reading with `timestamp`, `temp` and `humidity`
+ * @returns {{state: Object, events: Array}} Next per-metric state and all events
+ */
+export const evaluateReading = (rule, ruleState = {}, reading) => {
+    const mergedRule = { ...DEFAULT_ALERT_RULE, ...rule };
+    return Object.keys(ALERT_METRICS).reduce((acc, metric) => {
+        const { state, events } = evaluateMetric(mergedRule, metric, ruleState[metric], reading);
+        acc.state[metric] = state;
+        acc.events.push(...events);
+        return acc;
+    }, { state: {}, events: [] });
+};
@@ -0,0 +1,33 @@
+/**
+ * @file archiveUtils.js
+ * @path src/utils/archiveUtils.js
+ * @author Shawn Miller
+ * @date August 25, 2025
+ *
+ * Cigar Archive Utility Functions
+ *
+ * A cigar with none left on hand is archived: it drops out of inventory lists, counts
+ * and charts but keeps its record, history and journal entries. Restocking it brings
+ * it back. There is no separate flag; the archive is just the cigars at zero.
+ */
+
+/**
+ * Whether a cigar is archived (out of stock).
+ * @param {Object} cigar - Cigar object
+ * @returns {boolean}
+ */
+export const isCigarArchived = (cigar) => !(Number(cigar?.quantity) > 0);
+
+/**
+ * Cigars still in stock.
+ * @param {Array} cigars - Cigars
+ * @returns {Array}
+ */
+export const getActiveCigars = (cigars) => cigars.filter(cigar => !isCigarArchived(cigar));
+
+/**
+ * Cigars that are out of stock.
+ * @param {Array} cigars - Cigars
+ * @returns {Array}
+ */
+export const getArchivedCigars = (cigars) => cigars.filter(isCigarArchived);
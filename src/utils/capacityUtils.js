@@ -0,0 +1,95 @@
+/**
+ * @file capacityUtils.js
+ * @path src/utils/capacityUtils.js
+ * @author Shawn Miller
+ * @date August 23, 2025
+ *
+ * Humidor Capacity Utility Functions
+ *
+ * Works out how full a humidor is from its `capacity` and the cigars stored in it,
+ * checks whether adding cigars would overfill it, and finds another humidor with room.
+ * Humidors saved before `capacity` existed fall back to the number in their `size` text.
+ */
+
+import { parseHumidorSize } from './formatUtils';
+
+/** Utilization at or above this percentage counts as nearly full. */
+export const NEAR_CAPACITY_PERCENT = 85;
+
+/**
+ * Returns a humidor's capacity in cigars, or 0 when unknown.
+ * @param {Object} humidor - Humidor object
+ * @returns {number}
+ */
+export const getHumidorCapacity = (humidor) => {
+    const capacity = Number(humidor?.capacity);
+    if (Number.isFinite(capacity) && capacity > 0) return Math.round(capacity);
+    return parseHumidorSize(humidor?.size);
+};
+
+/**
+ * Resolves the capacity to save on a humidor form: the entered number, else the number in its size text.
+ * @param {string|number} capacity - Capacity entered on the form
+ * @param {string} size - Size text, e.g. "150-count"
+ * @returns {number|null} Capacity in cigars, or null when neither gives one
+ */
+export const resolveCapacityInput = (capacity, size) => {
+    const entered = Math.round(Number(capacity));
+    if (Number.isFinite(entered) && entered > 0) return entered;
+    return parseHumidorSize(size) || null;
+};
+
+/**
+ * Counts the cigars (by quantity) stored in a humidor.
+ * @param {Array} cigars - All cigars
+ * @param {string} humidorId - Humidor to count
+ * @returns {number}
+ */
+export const countCigarsInHumidor = (cigars, humidorId) =>
+    (cigars || []).filter(c => c.humidorId === humidorId).reduce((sum, c) => sum + (Number(c.quantity) || 0), 0);
+
+/**
+ * Describes how full a humidor is, optionally after adding more cigars.
+ * @param {Object} humidor - Humidor object
+ * @param {Array} cigars - All cigars
+ * @param {number} [adding] - Cigars about to be added
+ * @returns {{capacity: number, count: number, percent: number|null, remaining: number|null, status: 'unknown'|'ok'|'near'|'full'|'over'}}
+ *   `percent` is not capped at 100; `status` is 'unknown' when the humidor has no capacity
+ */
+export const getHumidorUtilization = (humidor, cigars, adding = 0) => {
+    const capacity = getHumidorCapacity(humidor);
+    const count = countCigarsInHumidor(cigars, humidor?.id) + (Number(adding) || 0);
+    if (!capacity) return { capacity: 0, count, percent: null, remaining: null, status: 'unknown' };
+
+    const percent = Math.round((count / capacity) * 100);
+    const status = count > capacity ? 'over' : count === capacity ? 'full' : percent >= NEAR_CAPACITY_PERCENT ? 'near' : 'ok';
+    return { capacity, count, percent, remaining: capacity - count, status };
+};
+
+/**
+ * Whether adding cigars would take a humidor past its capacity.
+ * @param {Object} humidor - Humidor object
+ * @param {Array} cigars - All cigars
+ * @param {number} adding - Cigars about to be added
+ * @returns {boolean} False when the capacity is unknown
+ */
+export const wouldOverfill = (humidor, cigars, adding) => getHumidorUtilization(humidor, cigars, adding).status === 'over';
+
+/**
+ * Finds the humidor with the most room that can take the given number of cigars.
+ * @param {Array} humidors - Candidate humidors
+ * @param {Array} cigars - All cigars
+ * @param {number} adding - Cigars to place
+ * @param {Object} [options]
+ * @param {Array<string>} [options.excludeIds] - Humidors not to suggest
+ * @param {Function} [options.isAvailable] - Extra filter, e.g. to skip humidors still seasoning
+ * @returns {Object|null} The humidor and its utilization after adding, or null if none has room
+ */
+export const suggestHumidorWithRoom = (humidors, cigars, adding, { excludeIds = [], isAvailable = () => true } = {}) => {
+    const candidates = (humidors || [])
+        .filter(h => !excludeIds.includes(h.id) && isAvailable(h))
+        .map(humidor => ({ humidor, utilization: getHumidorUtilization(humidor, cigars, adding) }))
+        .filter(({ utilization }) => utilization.remaining !== null && utilization.remaining >= 0)
+        .sort((a, b) => b.utilization.remaining - a.utilization.remaining);
+    return candidates[0] || null;
+};
@@ -0,0 +1,150 @@
+/**
+ * @file environmentUtils.js
+ * @path src/utils/environmentUtils.js
+ * @author Shawn Miller
+ * @date August 10, 2025
+ *
+ * Environment Utility Functions
+ *
+ * Helpers for working with humidor reading history: resolving target bands,
+ * computing chart windows, summarizing readings and thinning long series for charts,
+ * plus the latest-reading, in-range, sensor-offline and reading-age helpers shared by
+ * the environment views.
+ */
+
+import { DEFAULT_ENVIRONMENT_TARGETS, READING_WINDOWS } from '../constants/environmentTargets';
+import { getHumidorSensor } from './sensorUtils';
+
+/**
+ * Returns the target band for a humidor, falling back to the defaults.
+ * @param {Object} humidor - Humidor object, may define `targets`
+ * @returns {{humidity: {min: number, max: number}, temp: {min: number, max: number}}}
+ */
+export const getHumidorTargets = (humidor) => ({
+    humidity: { ...DEFAULT_ENVIRONMENT_TARGETS.humidity, ...(humidor?.targets?.humidity || {}) },
+    temp: { ...DEFAULT_ENVIRONMENT_TARGETS.temp, ...(humidor?.targets?.temp || {}) }
+});
+
+/**
+ * Computes the ISO start timestamp for a reading window.
+ * @param {string} windowKey - One of the READING_WINDOWS keys
+ * @param {Date} [now] - Reference time, defaults to the current time
+ * @returns {string} ISO timestamp for the start of the window
+ */
+export const getReadingWindowStart = (windowKey, now = new Date()) => {
+    const window = READING_WINDOWS.find(w => w.key === windowKey) || READING_WINDOWS[0];
+    return new Date(now.getTime() - window.durationMs).toISOString();
+};
+
+/**
+ * Summarizes one metric of a reading series.
+ * @param {Array} readings - Readings ordered oldest to newest
+ * @param {string} key - Metric to summarize ('temp' or 'humidity')
+ * @returns {{min: number, max: number, avg: number, latest: number, count: number}|null}
+ */
+export const summarizeReadings = (readings, key) => {
+    const values = readings.map(r => Number(r[key])).filter(v => Number.isFinite(v));
+    if (values.length === 0) return null;
+
+    // One pass, since spreading a year of readings into Math.min/max overflows the call stack
+    const { min, max, total } = values.reduce((acc, v) => ({
+        min: Math.min(acc.min, v),
+        max: Math.max(acc.max, v),
+        total: acc.total + v
+    }), { min: Infinity, max: -Infinity, total: 0 });
+    return {
+        min,
+        max,
+        avg: total / values.length,
+        latest: values[values.length - 1],
+        count: values.length
+    };
+};
+
+/**
+ * Thins a long reading series by averaging consecutive readings into buckets,
+ * so a year of sensor data doesn't draw thousands of chart points.
+ * @param {Array} readings - Readings ordered oldest to newest
+ * @param {number} [maxPoints] - Maximum number of points to return
+ * @returns {Array} Readings with `timestamp`, `temp` and `humidity`
+ */
+export const downsampleReadings = (readings, maxPoints = 200) => {
+    if (readings.length <= maxPoints) return readings;
+
+    const bucketSize = Math.ceil(readings.length / maxPoints);
+    const buckets = [];
+    for (let i = 0; i < readings.length; i += bucketSize) {
+        const bucket = readings.slice(i, i + bucketSize);
+        const temp = summarizeReadings(bucket, 'temp');
+        const humidity = summarizeReadings(bucket, 'humidity');
+        buckets.push({
+            timestamp: bucket[Math.floor(bucket.length / 2)].timestamp,
+            temp: temp ? Number(temp.avg.toFixed(1)) : null,
+            humidity: humidity ? Number(humidity.avg.toFixed(1)) : null
+        });
+    }
+    return buckets;
+};
+
+/**
+ * Returns the latest stored reading mirrored onto a humidor. Humidors that never had
+ * a reading recorded only carry placeholder values, so they have no latest reading.
+ * @param {Object} humidor - Humidor object
+ * @returns {{temp: number|null, humidity: number|null, timestamp: string, source: string|null}|null}
+ */
+export const getLatestReading = (humidor) => {
+    if (!humidor?.lastReadingAt) return null;
+    const temp = Number(humidor.temp);
+    const humidity = Number(humidor.humidity);
+    return {
+        temp: Number.isFinite(temp) ? temp : null,
+        humidity: Number.isFinite(humidity) ? humidity : null,
+        timestamp: humidor.lastReadingAt,
+        source: humidor.lastReadingSource || null
+    };
+};
+
+/**
+ * Compares a value against a target band.
+ * @param {number|null} value - Reading value
+ * @param {{min: number, max: number}} band - Target band
+ * @returns {'low'|'high'|'ok'|null} Null when there is no value
+ */
+export const getRangeStatus = (value, band) => {
+    if (value === null || value === undefined || !Number.isFinite(Number(value))) return null;
+    if (value < band.min) return 'low';
+    if (value > band.max) return 'high';
+    return 'ok';
+};
+
+/**
+ * Returns true when a humidor has a linked sensor that is currently offline.
+ * @param {Object} humidor - Humidor object, may define `sensorStatus`
+ * @returns {boolean}
+ */
+export const isSensorOffline = (humidor) =>
+    !!getHumidorSensor(humidor) && humidor?.sensorStatus?.state === 'offline';
+
+/**
+ * Converts a Celsius temperature to Fahrenheit, the unit readings are stored in.
+ * @param {number} celsius - Temperature in °C
+ * @returns {number} Temperature in °F, rounded to one decimal
+ */
+export const celsiusToFahrenheit = (celsius) => Number((Number(celsius) * 9 / 5 + 32).toFixed(1));
+
+/**
+ * Describes how long ago a reading was taken (e.g. "5 min ago", "3 days ago").
+ * @param {string} timestamp - ISO timestamp of the reading
+ * @param {Date} [now] - Reference time, defaults to the current time
+ * @returns {string|null} Human-readable age, or null without a timestamp
+ */
+export const formatReadingAge = (timestamp, now = new Date()) => {
+    if (!timestamp) return null;
+    const minutes = Math.max(0, Math.floor((now - new Date(timestamp)) / 60000));
+    if (minutes < 1) return 'just now';
+    if (minutes < 60) return `${minutes} min ago`;
+    const hours = Math.floor(minutes / 60);
+    if (hours < 24) return `${hours} hr ago`;
+    const days = Math.floor(hours / 24);
+    return `${days} day${days === 1 ? '' : 's'} ago`;
+};
@@ -0,0 +1,76 @@
+/**
+ * @file firestoreUtils.js
+ * @path src/utils/firestoreUtils.js
+ * @author Shawn Miller
+ * @date August 25, 2025
+ *
+ * Firestore Utility Functions
+ *
+ * Helpers for writes too large for a single Firestore batch.
+ */
+
+import { getDocs, writeBatch } from 'firebase/firestore';
+
+// Firestore batches are capped at 500 writes
+export const FIRESTORE_BATCH_LIMIT = 500;
+
+/**
+ * Deletes every document in a collection, a batch at a time. Firestore does not remove
+ * subcollections with their parent document, so callers clear them separately.
+ * @param {Object} db - Firestore database instance
+ * @param {Object} collectionRef - Collection (or query) whose documents should be removed
+ * @returns {Promise<number>} Number of documents deleted
+ */
+export const deleteCollectionDocs = async (db, collectionRef) => {
+    const snapshot = await getDocs(collectionRef);
+
+    for (let i = 0; i < snapshot.docs.length; i += FIRESTORE_BATCH_LIMIT) {
+        const batch = writeBatch(db);
+        snapshot.docs.slice(i, i + FIRESTORE_BATCH_LIMIT).forEach(d => batch.delete(d.ref));
+        await batch.commit();
+    }
+
+    return snapshot.docs.length;
+};
+
+/**
+ * A stand-in for a Firestore write batch that spills into further batches once one is
+ * full, so callers can queue any number of writes. The batches commit in order, so a
+ * large set of writes is no longer all-or-nothing; reserve() keeps the writes that must
+ * land together (one cigar's update and its log entries, say) in the same batch.
+ * @param {Object} db - Firestore database instance
+ * @returns {Object} Batch with set, update, delete, reserve and commit
+ */
+export const createChunkedBatch = (db) => {
+    const batches = [];
+    let used = FIRESTORE_BATCH_LIMIT;
+
+    const startBatch = () => {
+        batches.push(writeBatch(db));
+        used = 0;
+    };
+    const nextBatch = () => {
+        if (used >= FIRESTORE_BATCH_LIMIT) startBatch();
+        used++;
+        return batches[batches.length - 1];
+    };
+
+    const chunkedBatch = {
+        set: (...args) => { nextBatch().set(...args); return chunkedBatch; },
+        update: (...args) => { nextBatch().update(...args); return chunkedBatch; },
+        delete: (...args) => { nextBatch().delete(...args); return chunkedBatch; },
+        /**
+         * Makes sure the next `count` writes go into the same batch.
+         * @param {number} count - Writes that must commit together
+         */
+        reserve: (count) => {
+            if (count > FIRESTORE_BATCH_LIMIT) throw new Error(`Can't save more than ${FIRESTORE_BATCH_LIMIT} changes at once`);
+            if (used + count > FIRESTORE_BATCH_LIMIT) startBatch();
+            return chunkedBatch;
+        },
+        commit: async () => {
+            for (const batch of batches) await batch.commit();
+        }
+    };
+    return chunkedBatch;
+};
@@ -0,0 +1,17 @@
+/**
+ * @file idUtils.js
+ * @path src/utils/idUtils.js
+ * @author Shawn Miller
+ * @date August 19, 2025
+ *
+ * ID Utility Functions
+ *
+ * IDs for items kept in arrays inside a document (humidification devices, sections,
+ * purchase lots, history events), which Firestore doesn't name for us.
+ */
+
+/**
+ * Creates an ID that is unique enough within one document: the time plus a random suffix.
+ * @returns {string}
+ */
+export const createLocalId = () => `${Date.now().toString(36)}-${Math.random().toString(16).slice(2, 8)}`;
@@ -0,0 +1,186 @@
+/**
+ * @file lotUtils.js
+ * @path src/utils/lotUtils.js
+ * @author Shawn Miller
+ * @date August 24, 2025
+ *
+ * Purchase Lot Utility Functions
+ *
+ * A cigar's `lots` record each purchase: when it was acquired, how many, the unit price,
+ * the vendor and box code. The cigar's `quantity` stays the count on hand; smokes are
+ * taken from the oldest lot first, so the cigars left belong to the newest lots. The
+ * cigar's `price` (average unit price of what's on hand) and `dateAdded` (acquisition of
+ * the oldest cigar on hand) are derived from its lots, so value and aging stay right
+ * after a restock. Cigars saved before lots existed are read as a single lot. Moving part
+ * of a cigar to another humidor splits its lots, and merging records combines them.
+ */
+
+import { createLocalId } from './idUtils';
+
+const roundCurrency = (value) => Math.round(value * 100) / 100;
+
+/**
+ * Builds a new purchase lot.
+ * @param {Object} lot - Lot details
+ * @param {string} [lot.acquiredAt] - ISO timestamp, defaults to now
+ * @param {number} lot.quantity - Cigars bought
+ * @param {number} [lot.unitPrice] - Price per cigar
+ * @param {string} [lot.vendor] - Where they were bought
+ * @param {string} [lot.boxCode] - Factory box code
+ * @param {string} [lot.notes] - Free-form notes
+ * @returns {Object} Lot with a generated id
+ */
+export const createCigarLot = ({ acquiredAt = new Date().toISOString(), quantity, unitPrice = 0, vendor = '', boxCode = '', notes = '' }) => ({
+    id: createLocalId(),
+    acquiredAt,
+    quantity: Math.max(0, Math.round(Number(quantity) || 0)),
+    unitPrice: roundCurrency(Number(unitPrice) || 0),
+    vendor: String(vendor || '').trim(),
+    boxCode: String(boxCode || '').trim(),
+    notes: String(notes || '').trim()
+});
+
+/**
+ * Returns a cigar's lots, oldest first. A cigar without lots is read as one lot built
+ * from its quantity, price and date added, marked `isLegacy`.
+ * @param {Object} cigar - Cigar object
+ * @returns {Array}
+ */
+export const getCigarLots = (cigar) => {
+    if (cigar?.lots?.length) return [...cigar.lots].sort((a, b) => a.acquiredAt.localeCompare(b.acquiredAt));
+    if (!cigar || !(cigar.quantity > 0 || cigar.price > 0)) return [];
+    return [{
+        id: 'legacy',
+        acquiredAt: cigar.dateAdded || new Date(0).toISOString(),
+        quantity: Number(cigar.quantity) || 0,
+        unitPrice: Number(cigar.price) || 0,
+        vendor: '',
+        boxCode: '',
+        notes: '',
+        isLegacy: true
+    }];
+};
+
+/**
+ * Returns a cigar's lots ready to be stored, oldest first: a legacy single purchase becomes
+ * a real lot (unless none are left from it).
+ * @param {Object} cigar - Cigar object
+ * @returns {Array}
+ */
+export const materializeLots = (cigar) => getCigarLots(cigar)
+    .filter(lot => !lot.isLegacy || lot.quantity > 0)
+    .map(({ isLegacy, ...lot }) => isLegacy ? createCigarLot({ ...lot, notes: 'Recorded before purchase lots' }) : lot);
+
+/**
+ * Works out how many of each lot are still on hand, taking smokes from the oldest lot first.
+ * @param {Array} lots - Lots, oldest first
+ * @param {number} quantity - Cigars on hand
+ * @returns {Array} Lots with a `remaining` count
+ */
+export const allocateRemaining = (lots, quantity) => {
+    const purchased = lots.reduce((sum, lot) => sum + lot.quantity, 0);
+    let consumed = Math.max(0, purchased - (Number(quantity) || 0));
+    return lots.map(lot => {
+        const used = Math.min(lot.quantity, consumed);
+        consumed -= used;
+        return { ...lot, remaining: lot.quantity - used };
+    });
+};
+
+/**
+ * Totals for a cigar's lots.
+ * @param {Object} cigar - Cigar object
+ * @returns {{lots: Array, purchased: number, totalCost: number, onHandValue: number, averageUnitPrice: number, oldestOnHandAt: string|null, untracked: number}}
+ *   `lots` are oldest first with `remaining`; `averageUnitPrice` is over what's on hand, or over all
+ *   purchases when none are left; `untracked` counts cigars on hand beyond what the lots account for
+ */
+export const summarizeLots = (cigar) => {
+    const quantity = Number(cigar?.quantity) || 0;
+    const lots = allocateRemaining(getCigarLots(cigar), quantity);
+    const purchased = lots.reduce((sum, lot) => sum + lot.quantity, 0);
+    const totalCost = roundCurrency(lots.reduce((sum, lot) => sum + lot.quantity * lot.unitPrice, 0));
+    const onHand = lots.reduce((sum, lot) => sum + lot.remaining, 0);
+    const onHandValue = roundCurrency(lots.reduce((sum, lot) => sum + lot.remaining * lot.unitPrice, 0));
+    const averageUnitPrice = onHand > 0 ? roundCurrency(onHandValue / onHand) : (purchased > 0 ? roundCurrency(totalCost / purchased) : 0);
+    const oldestOnHand = lots.find(lot => lot.remaining > 0);
+
+    return {
+        lots,
+        purchased,
+        totalCost,
+        onHandValue,
+        averageUnitPrice,
+        oldestOnHandAt: oldestOnHand?.acquiredAt || null,
+        untracked: Math.max(0, quantity - purchased)
+    };
+};
+
+/**
+ * The cigar fields derived from its lots, to write alongside any change to its lots or quantity.
+ * @param {Array} lots - The cigar's lots
+ * @param {number} quantity - Cigars on hand
+ * @returns {{price: number, dateAdded: string}|{}} Empty when there are no lots
+ */
+export const deriveCigarTotals = (lots, quantity) => {
+    if (!lots?.length) return {};
+    const { averageUnitPrice, oldestOnHandAt, lots: allocated } = summarizeLots({ lots, quantity });
+    return {
+        price: averageUnitPrice,
+        dateAdded: oldestOnHandAt || allocated[allocated.length - 1].acquiredAt
+    };
+};
+
+/**
+ * The document update for a new on-hand quantity, keeping the derived price and date added in step.
+ * @param {Object} cigar - Cigar object
+ * @param {number} quantity - New quantity on hand
+ * @returns {Object}
+ */
+export const buildQuantityUpdate = (cigar, quantity) => ({
+    quantity,
+    ...deriveCigarTotals(cigar.lots, quantity)
+});
+
+/**
+ * Splits a cigar's lots for moving some of it elsewhere. The cigars moved are taken from
+ * the oldest lots still on hand, the same ones a smoke would take next.
+ * @param {Object} cigar - Cigar being split
+ * @param {number} count - Cigars moving out, no more than the quantity on hand
+ * @returns {{kept: Array, moved: Array}} Lots staying with the cigar, and lots for the cigars moved
+ */
+export const splitLots = (cigar, count) => {
+    let toMove = count;
+    const kept = [];
+    const moved = [];
+    allocateRemaining(materializeLots(cigar), cigar.quantity).forEach(({ remaining, ...lot }) => {
+        const take = Math.min(remaining, toMove);
+        toMove -= take;
+        if (lot.quantity - take > 0) kept.push({ ...lot, quantity: lot.quantity - take });
+        if (take > 0) moved.push({ ...lot, quantity: take });
+    });
+    return { kept, moved };
+};
+
+/**
+ * Returns just the cigars a record still has on hand, as lots. Merging other lots into a
+ * record that has smoked some would otherwise let its past smokes eat into the new ones.
+ * @param {Object} cigar - Cigar object
+ * @returns {Array} Lots cut down to what's on hand, oldest first
+ */
+export const getOnHandLots = (cigar) => allocateRemaining(materializeLots(cigar), cigar.quantity)
+    .filter(lot => lot.remaining > 0)
+    .map(({ remaining, ...lot }) => ({ ...lot, quantity: remaining }));
+
+/**
+ * Combines lot lists, adding up lots that came from the same purchase.
+ * @param {...Array} lotLists - Lots to combine
+ * @returns {Array} Lots, oldest first
+ */
+export const mergeLots = (...lotLists) => {
+    const byId = new Map();
+    lotLists.flat().forEach(lot => {
+        const existing = byId.get(lot.id);
+        byId.set(lot.id, existing ? { ...existing, quantity: existing.quantity + lot.quantity } : lot);
+    });
+    return [...byId.values()].sort((a, b) => a.acquiredAt.localeCompare(b.acquiredAt));
+};
@@ -0,0 +1,182 @@
+/**
+ * @file readingImportUtils.js
+ * @path src/utils/readingImportUtils.js
+ * @author Shawn Miller
+ * @date August 17, 2025
+ *
+ * Reading Import Utility Functions
+ *
+ * Helpers for turning hygrometer-app CSV exports into humidor readings: guessing
+ * which columns hold the timestamp, temperature and humidity, detecting the
+ * temperature unit and whether timestamps carry their own timezone, and parsing
+ * the common timestamp formats into ISO strings.
+ */
+
+import { celsiusToFahrenheit } from './environmentUtils';
+
+const COLUMN_PATTERNS = {
+    timestamp: /time|date/i,
+    temp: /temp/i,
+    humidity: /humid|rh\b|rh[^a-z]/i
+};
+
+// "2024-03-05 14:30", "2024-03-05T14:30:00.000", optionally followed by Z or +hh:mm
+const ISO_LIKE = /^(\d{4})-(\d{1,2})-(\d{1,2})(?:[ T](\d{1,2}):(\d{2})(?::(\d{2})(?:\.\d+)?)?)?\s*(Z|[+-]\d{2}:?\d{2})?$/i;
+// "3/5/2024 2:30 PM", "03/05/2024, 14:30:00"
+const US_DATE = /^(\d{1,2})\/(\d{1,2})\/(\d{4}),?(?:\s+(\d{1,2}):(\d{2})(?::(\d{2}))?\s*(AM|PM)?)?$/i;
+const EPOCH = /^\d{10}(\d{3})?$/;
+
+/**
+ * Returns the browser's IANA timezone, used when timestamps don't include one.
+ * @returns {string}
+ */
+export const getLocalTimeZone = () => Intl.DateTimeFormat().resolvedOptions().timeZone || 'UTC';
+
+/**
+ * Lists the timezones the user can pick for timestamps without an offset.
+ * @returns {Array<string>}
+ */
+export const getSupportedTimeZones = () => {
+    const zones = typeof Intl.supportedValuesOf === 'function' ? Intl.supportedValuesOf('timeZone') : [];
+    return Array.from(new Set([getLocalTimeZone(), 'UTC', ...zones]));
+};
+
+/**
+ * Guesses which CSV headers hold the timestamp, temperature and humidity.
+ * @param {Array<string>} headers - CSV header row
+ * @returns {{timestamp: string, temp: string, humidity: string}} Header per field, 'none' when not found
+ */
+export const detectReadingColumns = (headers = []) =>
+    Object.entries(COLUMN_PATTERNS).reduce((acc, [field, pattern]) => ({
+        ...acc,
+        [field]: headers.find(header => pattern.test(header)) || 'none'
+    }), {});
+
+/**
+ * Detects the temperature unit from the column header, falling back to the values:
+ * humidor temperatures above 45 can only be Fahrenheit.
+ * @param {string} header - Temperature column header
+ * @param {Array<string>} values - Sample of the column's values
+ * @returns {'F'|'C'}
+ */
+export const detectTemperatureUnit = (header = '', values = []) => {
+    if (/°\s*c\b|\(c\)|celsius|_c\b/i.test(header)) return 'C';
+    if (/°\s*f\b|\(f\)|fahrenheit|_f\b/i.test(header)) return 'F';
+    const numbers = values.map(parseFloat).filter(n => !isNaN(n)).sort((a, b) => a - b);
+    if (numbers.length === 0) return 'F';
+    return numbers[Math.floor(numbers.length / 2)] > 45 ? 'F' : 'C';
+};
+
+/**
+ * Checks whether timestamps carry their own timezone (an offset, Z or epoch seconds),
+ * in which case no timezone needs to be chosen.
+ * @param {Array<string>} values - Sample of the timestamp column's values
+ * @returns {boolean}
+ */
+export const timestampsIncludeZone = (values = []) => {
+    const samples = values.map(v => String(v ?? '').trim()).filter(Boolean);
+    return samples.length > 0 && samples.every(v => EPOCH.test(v) || /(Z|[+-]\d{2}:?\d{2})$/i.test(v));
+};
+
+const getTimeZoneOffsetMs = (timeZone, utcMs) => {
+    const parts = new Intl.DateTimeFormat('en-US', {
+        timeZone,
+        hourCycle: 'h23',
+        year: 'numeric', month: 'numeric', day: 'numeric',
+        hour: 'numeric', minute: 'numeric', second: 'numeric'
+    }).formatToParts(new Date(utcMs)).reduce((acc, part) => ({ ...acc, [part.type]: Number(part.value) }), {});
+    const asUtc = Date.UTC(parts.year, parts.month - 1, parts.day, parts.hour, parts.minute, parts.second);
+    return asUtc - Math.floor(utcMs / 1000) * 1000;
+};
+
+// Converts a wall-clock time in a timezone to UTC milliseconds, re-checking the offset across DST changes
+const zonedTimeToUtcMs = (wallClockMs, timeZone) => {
+    const guess = wallClockMs - getTimeZoneOffsetMs(timeZone, wallClockMs);
+    return wallClockMs - getTimeZoneOffsetMs(timeZone, guess);
+};
+
+/**
+ * Parses a timestamp from a hygrometer export into an ISO string.
+ * @param {string} value - Raw timestamp
+ * @param {string} [timeZone] - IANA timezone for timestamps without an offset
+ * @returns {string|null} ISO timestamp, or null when it can't be parsed
+ */
+export const parseReadingTimestamp = (value, timeZone = getLocalTimeZone()) => {
+    const text = String(value ?? '').trim();
+    if (!text) return null;
+
+    if (EPOCH.test(text)) {
+        return new Date(text.length === 10 ? Number(text) * 1000 : Number(text)).toISOString();
+    }
+
+    let parts = null;
+    let zone = null;
+    const iso = text.match(ISO_LIKE);
+    const us = text.match(US_DATE);
+    if (iso) {
+        const [, year, month, day, hour = 0, minute = 0, second = 0, offset] = iso;
+        parts = [year, month, day, hour, minute, second].map(Number);
+        zone = offset || null;
+    } else if (us) {
+        const [, month, day, year, hour = 0, minute = 0, second = 0, meridiem] = us;
+        let hours = Number(hour);
+        if (meridiem) hours = (hours % 12) + (meridiem.toUpperCase() === 'PM' ? 12 : 0);
+        parts = [Number(year), Number(month), Number(day), hours, Number(minute), Number(second)];
+    } else {
+        return null;
+    }
+
+    const [year, month, day, hour, minute, second] = parts;
+    if (month < 1 || month > 12 || day < 1 || day > 31 || hour > 23 || minute > 59 || second > 59) return null;
+    const wallClockMs = Date.UTC(year, month - 1, day, hour, minute, second);
+
+    if (zone) {
+        if (zone.toUpperCase() === 'Z') return new Date(wallClockMs).toISOString();
+        const sign = zone.startsWith('-') ? -1 : 1;
+        const digits = zone.replace(/[+:-]/g, '');
+        const offsetMs = sign * (Number(digits.slice(0, 2)) * 60 + Number(digits.slice(2))) * 60000;
+        return new Date(wallClockMs - offsetMs).toISOString();
+    }
+    return new Date(zonedTimeToUtcMs(wallClockMs, timeZone)).toISOString();
+};
+
+/**
+ * Builds readings from parsed CSV rows.
+ * Rows with an unparseable timestamp or values are skipped, as are rows repeating
+ * a timestamp already seen in the file (overlapping exports).
+ * @param {Array<Object>} rows - Rows keyed by CSV header
+ * @param {{timestamp: string, temp: string, humidity: string}} mapping - CSV header per field
+ * @param {Object} options - Parse options
+ * @param {'F'|'C'} options.unit - Unit of the temperature column
+ * @param {string} options.timeZone - IANA timezone for timestamps without an offset
+ * @returns {{readings: Array<{timestamp: string, temp: number, humidity: number}>, invalidCount: number, duplicateCount: number}}
+ *   Readings sorted oldest to newest, with temperatures in °F
+ */
+export const buildReadingsFromRows = (rows, mapping, { unit, timeZone }) => {
+    const byTimestamp = new Map();
+    let invalidCount = 0;
+    let duplicateCount = 0;
+
+    rows.forEach(row => {
+        const timestamp = parseReadingTimestamp(row[mapping.timestamp], timeZone);
+        const rawTemp = parseFloat(String(row[mapping.temp] ?? '').replace(',', '.'));
+        const humidity = parseFloat(String(row[mapping.humidity] ?? '').replace(',', '.'));
+
+        if (!timestamp || isNaN(rawTemp) || isNaN(humidity) || humidity < 0 || humidity > 100) {
+            invalidCount++;
+            return;
+        }
+        if (byTimestamp.has(timestamp)) {
+            duplicateCount++;
+            return;
+        }
+        byTimestamp.set(timestamp, {
+            timestamp,
+            temp: unit === 'C' ? celsiusToFahrenheit(rawTemp) : Number(rawTemp.toFixed(1)),
+            humidity: Number(humidity.toFixed(1))
+        });
+    });
+
+    const readings = Array.from(byTimestamp.values()).sort((a, b) => a.timestamp.localeCompare(b.timestamp));
+    return { readings, invalidCount, duplicateCount };
+};
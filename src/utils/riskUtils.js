@@ -0,0 +1,126 @@
+/**
+ * @file riskUtils.js
+ * @path src/utils/riskUtils.js
+ * @author Shawn Miller
+ * @date August 21, 2025
+ *
+ * Environment Risk Utility Functions
+ *
+ * Scores a humidor's beetle, mold and over-dry risk from its reading history. Each
+ * reading is taken to hold until the next one (up to MAX_READING_HOLD_HOURS), so the
+ * score reflects how long a risky condition lasted rather than how many readings saw it.
+ * A stretch needs at least two readings to count, so one stray number never raises a risk.
+ */
+
+import { MAX_READING_HOLD_HOURS, RISK_LEVELS, RISK_TYPES } from '../constants/riskThresholds';
+
+const HOUR_MS = 60 * 60 * 1000;
+const MAX_HOLD_MS = MAX_READING_HOLD_HOURS * HOUR_MS;
+
+const matchesCondition = (type, reading) => {
+    const temp = Number(reading.temp);
+    const humidity = Number(reading.humidity);
+    if (type.tempAbove !== undefined && !(temp > type.tempAbove)) return false;
+    if (type.humidityAbove !== undefined && !(humidity > type.humidityAbove)) return false;
+    if (type.humidityBelow !== undefined && !(humidity < type.humidityBelow)) return false;
+    return true;
+};
+
+// The value that drives each risk, and whether its worst case is the highest or lowest reading
+const getPeakMetric = (type) => {
+    if (type.humidityBelow !== undefined) return { key: 'humidity', unit: '%', lowest: true };
+    if (type.humidityAbove !== undefined) return { key: 'humidity', unit: '%', lowest: false };
+    return { key: 'temp', unit: '°F', lowest: false };
+};
+
+/**
+ * Describes a risk type's condition in words, e.g. "humidity above 75% while above 70°F".
+ * @param {Object} type - One of RISK_TYPES
+ * @returns {string}
+ */
+export const describeRiskCondition = (type) => {
+    if (type.humidityBelow !== undefined) return `humidity below ${type.humidityBelow}%`;
+    if (type.humidityAbove !== undefined) {
+        return `humidity above ${type.humidityAbove}%${type.tempAbove !== undefined ? ` while above ${type.tempAbove}°F` : ''}`;
+    }
+    return `temperature above ${type.tempAbove}°F`;
+};
+
+/**
+ * Formats a duration in hours for risk explanations.
+ * @param {number} hours - Duration in hours
+ * @returns {string} e.g. "9h" or "2.5 days"
+ */
+export const formatRiskDuration = (hours) => (hours < 48 ? `${Math.round(hours)}h` : `${(hours / 24).toFixed(1)} days`);
+
+/**
+ * Scores one risk type over a reading series.
+ * @param {Object} type - One of RISK_TYPES
+ * @param {Array} readings - Readings ordered oldest to newest
+ * @param {Date} [now] - Reference time, defaults to the current time
+ * @returns {{id: string, label: string, level: string, totalHours: number, longestHours: number, isOngoing: boolean, peak: number|null, explanation: string|null, advice: string}}
+ */
+export const scoreRisk = (type, readings, now = new Date()) => {
+    const metric = getPeakMetric(type);
+    let totalMs = 0;
+    let longestMs = 0;
+    let runMs = 0;
+    let runReadings = 0;
+    let peak = null;
+
+    readings.forEach((reading, i) => {
+        const start = new Date(reading.timestamp).getTime();
+        const nextStart = i < readings.length - 1 ? new Date(readings[i + 1].timestamp).getTime() : now.getTime();
+        const heldMs = Math.max(0, Math.min(nextStart, start + MAX_HOLD_MS) - start);
+
+        if (matchesCondition(type, reading)) {
+            runMs += heldMs;
+            runReadings++;
+            totalMs += heldMs;
+            if (runReadings > 1) longestMs = Math.max(longestMs, runMs);
+            const value = Number(reading[metric.key]);
+            if (peak === null || (metric.lowest ? value < peak : value > peak)) peak = value;
+        } else {
+            runMs = 0;
+            runReadings = 0;
+        }
+
+        // Nothing is known about a gap longer than a reading holds, so it ends the stretch
+        if (nextStart - start > MAX_HOLD_MS) {
+            runMs = 0;
+            runReadings = 0;
+        }
+    });
+
+    const last = readings[readings.length - 1];
+    const isOngoing = !!last && matchesCondition(type, last) && now - new Date(last.timestamp) <= MAX_HOLD_MS;
+    const totalHours = totalMs / HOUR_MS;
+    const longestHours = longestMs / HOUR_MS;
+    const level = longestHours >= type.highHours ? 'high' : longestHours >= type.elevatedHours ? 'elevated' : 'none';
+
+    const condition = describeRiskCondition(type);
+    let explanation = null;
+    if (level !== 'none') {
+        explanation = `${condition.charAt(0).toUpperCase()}${condition.slice(1)} for ${formatRiskDuration(longestHours)} straight${isOngoing ? ' and counting' : ''} `
+            + `(${formatRiskDuration(totalHours)} in total, ${metric.lowest ? 'low' : 'peak'} ${peak}${metric.unit}).`;
+    } else if (totalHours > 0) {
+        explanation = `Briefly ${condition} (${formatRiskDuration(totalHours)} in total), too short to be a risk yet.`;
+    }
+
+    return { id: type.id, label: type.label, level, totalHours, longestHours, isOngoing, peak, explanation, advice: type.advice };
+};
+
+/**
+ * Scores every risk type for a humidor's recent readings.
+ * @param {Array} readings - Readings ordered oldest to newest
+ * @param {Date} [now] - Reference time, defaults to the current time
+ * @returns {{level: string, risks: Array, primary: Object|null, hasData: boolean}} `primary` is the most severe risk, if any
+ */
+export const computeEnvironmentRisk = (readings = [], now = new Date()) => {
+    const risks = RISK_TYPES.map(type => scoreRisk(type, readings, now));
+    const primary = risks
+        .filter(r => r.level !== 'none')
+        .sort((a, b) => RISK_LEVELS.indexOf(b.level) - RISK_LEVELS.indexOf(a.level) || b.longestHours - a.longestHours)[0] || null;
+
+    return { level: primary?.level || 'none', risks, primary, hasData: readings.length > 0 };
+};
@@ -0,0 +1,83 @@
+/**
+ * @file sectionUtils.js
+ * @path src/utils/sectionUtils.js
+ * @author Shawn Miller
+ * @date August 23, 2025
+ *
+ * Humidor Section Utility Functions
+ *
+ * A humidor's `sections` list its shelves, trays, drawers and boxes in the order they
+ * sit, and a cigar's `sectionId` says which one it is in. A cigar whose section has
+ * been removed (or that came from another humidor) counts as unassigned.
+ */
+
+import { HUMIDOR_SECTION_TYPES, UNASSIGNED_SECTION } from '../constants/humidorSections';
+import { createLocalId } from './idUtils';
+
+/**
+ * Builds a new section for a humidor.
+ * @param {Object} section - Section details
+ * @param {string} section.type - One of the HUMIDOR_SECTION_TYPES ids
+ * @param {string} [section.name] - Label, e.g. "Top shelf"; defaults to the type and its position
+ * @param {Array} [existing] - The humidor's current sections, used to number the default name
+ * @returns {Object} Section with a generated id
+ */
+export const createHumidorSection = ({ type, name = '' }, existing = []) => {
+    const sectionType = HUMIDOR_SECTION_TYPES.find(t => t.id === type) || HUMIDOR_SECTION_TYPES[0];
+    const sameType = existing.filter(s => s.type === sectionType.id).length;
+    return {
+        id: createLocalId(),
+        type: sectionType.id,
+        name: name || `${sectionType.label} ${sameType + 1}`
+    };
+};
+
+/**
+ * Returns a humidor's sections, or an empty list for humidors without a layout.
+ * @param {Object} humidor - Humidor object
+ * @returns {Array}
+ */
+export const getHumidorSections = (humidor) => humidor?.sections || [];
+
+/**
+ * Finds the section a cigar is in within the given humidor.
+ * @param {Object} cigar - Cigar object
+ * @param {Object} humidor - The cigar's humidor
+ * @returns {Object|null} The section, or null when the cigar is unassigned
+ */
+export const getCigarSection = (cigar, humidor) =>
+    (cigar?.sectionId && getHumidorSections(humidor).find(s => s.id === cigar.sectionId)) || null;
+
+/**
+ * Whether a cigar matches a section filter value (a section id or UNASSIGNED_SECTION).
+ * @param {Object} cigar - Cigar object
+ * @param {Object} humidor - The cigar's humidor
+ * @param {string} sectionFilter - Section id, UNASSIGNED_SECTION, or '' for any
+ * @returns {boolean}
+ */
+export const matchesSectionFilter = (cigar, humidor, sectionFilter) => {
+    if (!sectionFilter) return true;
+    const section = getCigarSection(cigar, humidor);
+    return sectionFilter === UNASSIGNED_SECTION ? !section : section?.id === sectionFilter;
+};
+
+/**
+ * Groups cigars by section in layout order, with unassigned cigars last.
+ * Every section is included, even when empty; the unassigned group only when it has cigars.
+ * @param {Array} cigars - Cigars in the humidor
+ * @param {Object} humidor - Humidor object
+ * @returns {Array<{section: Object|null, cigars: Array, count: number}>} `count` is by quantity
+ */
+export const groupCigarsBySection = (cigars, humidor) => {
+    const groups = getHumidorSections(humidor).map(section => ({ section, cigars: [], count: 0 }));
+    const unassigned = { section: null, cigars: [], count: 0 };
+
+    cigars.forEach(cigar => {
+        const section = getCigarSection(cigar, humidor);
+        const group = (section && groups.find(g => g.section.id === section.id)) || unassigned;
+        group.cigars.push(cigar);
+        group.count += Number(cigar.quantity) || 0;
+    });
+
+    return unassigned.cigars.length > 0 ? [...groups, unassigned] : groups;
+};
@@ -0,0 +1,44 @@
+/**
+ * @file sensorUtils.js
+ * @path src/utils/sensorUtils.js
+ * @author Shawn Miller
+ * @date August 16, 2025
+ *
+ * Sensor Utility Functions
+ *
+ * Helpers for the sensor linked to a humidor. Humidors store the link as
+ * `sensorProvider`/`sensorDeviceId`/`sensorDeviceModel`; humidors linked before
+ * providers existed only have `goveeDeviceId`/`goveeDeviceModel`, which are read
+ * as a Govee link.
+ */
+
+/**
+ * Returns the sensor linked to a humidor.
+ * @param {Object} humidor - Humidor object
+ * @returns {{provider: string, deviceId: string, model: string|null}|null} Linked sensor, or null
+ */
+export const getHumidorSensor = (humidor) => {
+    if (humidor?.sensorProvider && humidor?.sensorDeviceId) {
+        return { provider: humidor.sensorProvider, deviceId: humidor.sensorDeviceId, model: humidor.sensorDeviceModel || null };
+    }
+    if (humidor?.goveeDeviceId) {
+        return { provider: 'govee', deviceId: humidor.goveeDeviceId, model: humidor.goveeDeviceModel || null };
+    }
+    return null;
+};
+
+/**
+ * Builds the humidor fields that link (or, with no provider, unlink) a sensor.
+ * Always clears the legacy Govee fields so the two never disagree.
+ * @param {string|null} provider - Sensor provider id
+ * @param {string|null} deviceId - Device id within the provider
+ * @param {string|null} [model] - Device model, if the provider needs it
+ * @returns {Object} Fields to write to the humidor document
+ */
+export const buildHumidorSensorFields = (provider, deviceId, model = null) => ({
+    sensorProvider: provider && deviceId ? provider : null,
+    sensorDeviceId: provider && deviceId ? deviceId : null,
+    sensorDeviceModel: provider && deviceId ? model : null,
+    goveeDeviceId: null,
+    goveeDeviceModel: null
+});